@@ -2,6 +2,7 @@
 // API para listar distintivos disponíveis
 
 const { query } = require('../utils/database');
+const { evaluateCriteria, getCriterionTarget } = require('../utils/criteria');
 const { 
   authenticateUser, 
   createResponse, 
@@ -95,6 +96,31 @@ module.exports = async (req, res) => {
       return stats;
     }, {});
     
+    // Calcular progresso do usuário nos distintivos ainda não conquistados
+    const badgeProgress = {};
+    if (userId) {
+      const metricsCache = new Map();
+      for (const badge of badgesResult.rows) {
+        if (userBadgeIds.some(ub => ub.badgeId === badge.id)) continue;
+        
+        const evaluation = await evaluateCriteria(userId, badge.criteria, metricsCache);
+        badgeProgress[badge.id] = {
+          percentage: evaluation.percentage,
+          label: evaluation.label,
+          criteriaMet: evaluation.satisfied,
+          conditions: evaluation.conditions.map(condition => ({
+            metric: condition.metric,
+            operator: condition.operator,
+            current: condition.current,
+            target: condition.target,
+            withinDays: condition.withinDays,
+            satisfied: condition.satisfied,
+            label: condition.label
+          }))
+        };
+      }
+    }
+    
     // Preparar dados dos distintivos
     const badges = badgesResult.rows.map(badge => {
       const userBadge = userBadgeIds.find(ub => ub.badgeId === badge.id);
@@ -111,13 +137,16 @@ module.exports = async (req, res) => {
       else if (criteria.total_spent) category = 'gastos';
       
       // Determinar dificuldade baseada nos critérios
+      const ordersTarget = getCriterionTarget(criteria, 'orders');
+      const totalSpentTarget = getCriterionTarget(criteria, 'total_spent');
+      const referralsTarget = getCriterionTarget(criteria, 'referrals');
       let difficulty = 'facil';
-      if (criteria.orders && criteria.orders >= 50) difficulty = 'dificil';
-      else if (criteria.orders && criteria.orders >= 20) difficulty = 'medio';
-      else if (criteria.total_spent && criteria.total_spent >= 1000) difficulty = 'dificil';
-      else if (criteria.total_spent && criteria.total_spent >= 300) difficulty = 'medio';
-      else if (criteria.referrals && criteria.referrals >= 10) difficulty = 'dificil';
-      else if (criteria.referrals && criteria.referrals >= 5) difficulty = 'medio';
+      if (ordersTarget && ordersTarget >= 50) difficulty = 'dificil';
+      else if (ordersTarget && ordersTarget >= 20) difficulty = 'medio';
+      else if (totalSpentTarget && totalSpentTarget >= 1000) difficulty = 'dificil';
+      else if (totalSpentTarget && totalSpentTarget >= 300) difficulty = 'medio';
+      else if (referralsTarget && referralsTarget >= 10) difficulty = 'dificil';
+      else if (referralsTarget && referralsTarget >= 5) difficulty = 'medio';
       
       return {
         id: badge.id,
@@ -130,6 +159,9 @@ module.exports = async (req, res) => {
         difficulty: difficulty,
         isEarned: !!userBadge,
         earnedAt: userBadge ? userBadge.earnedAt : null,
+        progress: userBadge ? 
+          { percentage: 100, label: null, criteriaMet: true, conditions: [] } : 
+          (badgeProgress[badge.id] || null),
         statistics: stats,
         rarity: stats.timesEarned === 0 ? 'nao_conquistado' :
                 stats.timesEarned <= 5 ? 'muito_raro' :
@@ -169,7 +201,11 @@ module.exports = async (req, res) => {
         counts[difficulty] = badgesByDifficulty[difficulty].length;
         return counts;
       }, {}),
-      rarestBadges: badges.filter(b => b.rarity === 'muito_raro' || b.rarity === 'nao_conquistado').slice(0, 5)
+      rarestBadges: badges.filter(b => b.rarity === 'muito_raro' || b.rarity === 'nao_conquistado').slice(0, 5),
+      closestBadges: badges
+        .filter(b => !b.isEarned && b.progress)
+        .sort((a, b) => b.progress.percentage - a.progress.percentage)
+        .slice(0, 3)
     };
     
     // Preparar resposta
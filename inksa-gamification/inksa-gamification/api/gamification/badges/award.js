@@ -1,7 +1,9 @@
 // api/gamification/badges/award.js
 // API para conceder distintivos aos usuários
 
-const { query, transaction, getUserById, addPointsToUser } = require('../utils/database');
+const { query, getUserById } = require('../utils/database');
+const { awardBadgeToUser } = require('../utils/badges');
+const { getCriterionTarget } = require('../utils/criteria');
 const { 
   authenticateUser, 
   validateRequiredParams, 
@@ -11,8 +13,32 @@ const {
   handleError, 
   handleCors 
 } = require('../utils/auth');
+const { 
+  getIdempotencyKey, 
+  beginIdempotentRequest, 
+  finishIdempotentRequest, 
+  sendIdempotentResponse, 
+  sendReplayedResponse 
+} = require('../utils/idempotency');
+
+// Recompensas especiais dos distintivos cujo critério exige pelo menos minTarget na métrica
+// O alvo vem do critério normalizado, então vale para qualquer formato ({"orders": 10} ou {"orders": {"gte": 10}})
+const SPECIAL_REWARDS = [
+  {
+    metric: 'orders',
+    minTarget: 10,
+    reward: { type: 'discount', description: 'Desconto especial de 5% no próximo pedido', value: 5 }
+  },
+  {
+    metric: 'referrals',
+    minTarget: 5,
+    reward: { type: 'free_delivery', description: 'Entrega grátis nos próximos 3 pedidos', value: 3 }
+  }
+];
 
 module.exports = async (req, res) => {
+  let idempotency = null;
+  
   try {
     // Lidar com CORS preflight
     const corsResponse = handleCors(req);
@@ -61,6 +87,17 @@ module.exports = async (req, res) => {
     
     const badge = badgeResult.rows[0];
     
+    // Verificar autorização (apenas chamadas internas podem conceder distintivos diretamente)
+    if (!auth.isInternal) {
+      return res.status(403).json(createResponse(false, null, 'Apenas chamadas internas podem conceder distintivos', 403));
+    }
+    
+    // Garantir idempotência pelo header Idempotency-Key (repetições devolvem a resposta original)
+    idempotency = await beginIdempotentRequest('badges/award', getIdempotencyKey(req), body);
+    if (idempotency && idempotency.replay) {
+      return sendReplayedResponse(res, idempotency);
+    }
+    
     // Verificar se o usuário já possui este distintivo
     const existingBadgeResult = await query(`
       SELECT id, earned_at 
@@ -69,38 +106,13 @@ module.exports = async (req, res) => {
     `, [userId, badgeId]);
     
     if (existingBadgeResult.rows.length > 0) {
-      return res.status(400).json(createResponse(false, null, 'Usuário já possui este distintivo', 400));
-    }
-    
-    // Verificar autorização (apenas chamadas internas podem conceder distintivos diretamente)
-    if (!auth.isInternal) {
-      return res.status(403).json(createResponse(false, null, 'Apenas chamadas internas podem conceder distintivos', 403));
+      return sendIdempotentResponse(res, idempotency, 400, createResponse(false, null, 'Usuário já possui este distintivo', 400));
     }
     
     try {
-      // Iniciar transação para conceder o distintivo e adicionar pontos
-      const queries = [
-        // Conceder o distintivo
-        {
-          text: `INSERT INTO user_badges (user_id, badge_id, earned_at) 
-                 VALUES ($1, $2, CURRENT_TIMESTAMP)`,
-          params: [userId, badgeId]
-        }
-      ];
-      
-      await transaction(queries);
-      
-      // Adicionar pontos se o distintivo tiver recompensa em pontos
-      let pointsResult = null;
-      if (badge.points_reward > 0) {
-        pointsResult = await addPointsToUser(
-          userId,
-          badge.points_reward,
-          'badge',
-          reason || `Distintivo conquistado: ${badge.name}`,
-          null
-        );
-      }
+      // Conceder o distintivo e adicionar pontos se houver recompensa
+      const awarded = await awardBadgeToUser(userId, badge, reason);
+      const pointsResult = awarded ? awarded.pointsResult : null;
       
       // Obter informações atualizadas do distintivo concedido
       const awardedBadgeResult = await query(`
@@ -143,7 +155,7 @@ module.exports = async (req, res) => {
       };
       
       // Retornar resposta de sucesso
-      return res.status(200).json(createResponse(true, responseData, 'Distintivo concedido com sucesso'));
+      return sendIdempotentResponse(res, idempotency, 200, createResponse(true, responseData, 'Distintivo concedido com sucesso'));
       
     } catch (transactionError) {
       console.error('Transaction error in badge award:', transactionError);
@@ -152,6 +164,7 @@ module.exports = async (req, res) => {
     
   } catch (error) {
     const errorResponse = handleError(error, 'award badge');
+    await finishIdempotentRequest(idempotency, errorResponse.statusCode, errorResponse);
     return res.status(errorResponse.statusCode).json(errorResponse);
   }
 };
@@ -167,7 +180,7 @@ async function checkUnlockedContent(userId, badgeId) {
     
     // Verificar se o usuário subiu de nível
     const userPointsResult = await query(`
-      SELECT total_points, current_level 
+      SELECT lifetime_points, current_level 
       FROM user_points 
       WHERE user_id = $1
     `, [userId]);
@@ -182,7 +195,7 @@ async function checkUnlockedContent(userId, badgeId) {
         WHERE points_required <= $1 AND level_number > $2
         ORDER BY level_number DESC 
         LIMIT 1
-      `, [userPoints.total_points, userPoints.current_level]);
+      `, [userPoints.lifetime_points, userPoints.current_level]);
       
       if (nextLevelResult.rows.length > 0) {
         unlockedContent.levelUp = true;
@@ -220,23 +233,13 @@ async function checkUnlockedContent(userId, badgeId) {
     
     if (badgeResult.rows.length > 0) {
       const badge = badgeResult.rows[0];
-      const criteria = JSON.parse(badge.criteria);
       
-      // Adicionar recompensas especiais baseadas no tipo de distintivo
-      if (criteria.orders && criteria.orders >= 10) {
-        unlockedContent.specialRewards.push({
-          type: 'discount',
-          description: 'Desconto especial de 5% no próximo pedido',
-          value: 5
-        });
-      }
-      
-      if (criteria.referrals && criteria.referrals >= 5) {
-        unlockedContent.specialRewards.push({
-          type: 'free_delivery',
-          description: 'Entrega grátis nos próximos 3 pedidos',
-          value: 3
-        });
+      // Adicionar recompensas especiais baseadas no alvo do critério do distintivo
+      for (const specialReward of SPECIAL_REWARDS) {
+        const target = getCriterionTarget(badge.criteria, specialReward.metric);
+        if (target !== null && target >= specialReward.minTarget) {
+          unlockedContent.specialRewards.push({ ...specialReward.reward });
+        }
       }
     }
     
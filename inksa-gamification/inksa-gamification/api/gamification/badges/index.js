@@ -0,0 +1,255 @@
+// api/gamification/badges/index.js
+// API interna para administrar distintivos (GET lista, POST cria, PUT atualiza/desativa, DELETE arquiva)
+
+const { query } = require('../utils/database');
+const { CRITERIA_SCHEMA, validateCriteria } = require('../utils/criteria');
+const { 
+  authenticateUser, 
+  validateRequiredParams, 
+  validateDataTypes,
+  sanitizeInput,
+  createResponse, 
+  createHttpError,
+  handleError, 
+  handleCors 
+} = require('../utils/auth');
+
+module.exports = async (req, res) => {
+  try {
+    // Lidar com CORS preflight
+    const corsResponse = handleCors(req);
+    if (corsResponse) return res.status(corsResponse.statusCode).json(corsResponse);
+    
+    // Verificar método HTTP
+    if (!['GET', 'POST', 'PUT', 'DELETE'].includes(req.method)) {
+      return res.status(405).json(createResponse(false, null, 'Método não permitido', 405));
+    }
+    
+    // Autenticar usuário ou verificar API key
+    const auth = authenticateUser(req);
+    
+    // Apenas serviços internos podem administrar distintivos
+    if (!auth.isInternal) {
+      return res.status(403).json(createResponse(false, null, 'Apenas chamadas internas podem administrar distintivos', 403));
+    }
+    
+    if (req.method === 'POST') {
+      return await createBadge(req, res);
+    }
+    
+    if (req.method === 'PUT') {
+      return await updateBadge(req, res);
+    }
+    
+    if (req.method === 'DELETE') {
+      return await archiveBadge(req, res);
+    }
+    
+    // Listar distintivos, inclusive inativos (arquivados apenas com includeArchived=true)
+    const includeArchived = req.query.includeArchived === 'true';
+    
+    const badgesResult = await query(`
+      SELECT 
+        b.id, b.name, b.description, b.icon_url, b.criteria, b.points_reward, 
+        b.is_active, b.archived_at, b.created_at, b.updated_at,
+        COUNT(ub.id) as times_earned
+      FROM badges b
+      LEFT JOIN user_badges ub ON ub.badge_id = b.id
+      WHERE ($1 OR b.archived_at IS NULL)
+      GROUP BY b.id
+      ORDER BY b.id ASC
+    `, [includeArchived]);
+    
+    const badges = badgesResult.rows.map(row => ({
+      ...formatBadge(row),
+      timesEarned: parseInt(row.times_earned)
+    }));
+    
+    // Retornar resposta de sucesso
+    return res.status(200).json(createResponse(true, {
+      badges,
+      criteriaSchema: CRITERIA_SCHEMA
+    }, 'Distintivos obtidos com sucesso'));
+    
+  } catch (error) {
+    const errorResponse = handleError(error, 'manage badges');
+    return res.status(errorResponse.statusCode).json(errorResponse);
+  }
+};
+
+// Função para formatar um distintivo
+function formatBadge(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    iconUrl: row.icon_url,
+    criteria: JSON.parse(row.criteria),
+    pointsReward: row.points_reward,
+    isActive: row.is_active,
+    isArchived: !!row.archived_at,
+    archivedAt: row.archived_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Função para validar a URL do ícone
+function validateIconUrl(iconUrl) {
+  let parsed;
+  try {
+    parsed = new URL(iconUrl);
+  } catch (error) {
+    throw createHttpError('icon_url inválida', 400);
+  }
+  
+  if (parsed.protocol !== 'https:') {
+    throw createHttpError('icon_url deve usar https', 400);
+  }
+  
+  if (iconUrl.length > 500) {
+    throw createHttpError('icon_url deve ter no máximo 500 caracteres', 400);
+  }
+}
+
+// Função para validar a recompensa em pontos
+function validatePointsReward(pointsReward) {
+  if (parseInt(pointsReward) < 0) {
+    throw createHttpError('pointsReward não pode ser negativo', 400);
+  }
+}
+
+// Função para garantir que não há outro distintivo (não arquivado) com o mesmo nome
+async function ensureUniqueName(name, excludeId = null) {
+  const result = await query(`
+    SELECT id FROM badges
+    WHERE LOWER(name) = LOWER($1) AND archived_at IS NULL
+    AND ($2::integer IS NULL OR id <> $2)
+  `, [name, excludeId]);
+  
+  if (result.rows.length > 0) {
+    throw createHttpError(`Já existe um distintivo com o nome "${name}"`, 409);
+  }
+}
+
+// Função para criar um distintivo
+async function createBadge(req, res) {
+  // Sanitizar entrada
+  const body = sanitizeInput(req.body);
+  
+  // Validar parâmetros obrigatórios
+  validateRequiredParams(body, ['name', 'description', 'iconUrl', 'criteria', 'pointsReward']);
+  
+  // Validar tipos de dados
+  validateDataTypes(body, {
+    name: 'string',
+    description: 'string',
+    iconUrl: 'string',
+    pointsReward: 'integer',
+    isActive: 'boolean'
+  });
+  
+  const criteria = validateCriteria(body.criteria);
+  validateIconUrl(body.iconUrl);
+  validatePointsReward(body.pointsReward);
+  await ensureUniqueName(body.name);
+  
+  const insertResult = await query(`
+    INSERT INTO badges (name, description, icon_url, criteria, points_reward, is_active)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING id, name, description, icon_url, criteria, points_reward, is_active, archived_at, created_at, updated_at
+  `, [
+    body.name,
+    body.description,
+    body.iconUrl,
+    JSON.stringify(criteria),
+    parseInt(body.pointsReward),
+    body.isActive !== undefined ? body.isActive : true
+  ]);
+  
+  // Retornar resposta de sucesso
+  return res.status(201).json(createResponse(true, formatBadge(insertResult.rows[0]), 'Distintivo criado com sucesso', 201));
+}
+
+// Função para atualizar um distintivo (isActive: false desativa sem alterar user_badges)
+async function updateBadge(req, res) {
+  // Sanitizar entrada
+  const body = sanitizeInput(req.body);
+  
+  // Validar parâmetros obrigatórios
+  validateRequiredParams(body, ['id']);
+  
+  // Validar tipos de dados
+  validateDataTypes(body, {
+    id: 'integer',
+    name: 'string',
+    description: 'string',
+    iconUrl: 'string',
+    pointsReward: 'integer',
+    isActive: 'boolean'
+  });
+  
+  const id = parseInt(body.id);
+  const criteria = body.criteria !== undefined ? validateCriteria(body.criteria) : null;
+  if (body.iconUrl !== undefined) validateIconUrl(body.iconUrl);
+  if (body.pointsReward !== undefined) validatePointsReward(body.pointsReward);
+  
+  const existingResult = await query('SELECT id, archived_at FROM badges WHERE id = $1', [id]);
+  if (existingResult.rows.length === 0) {
+    return res.status(404).json(createResponse(false, null, 'Distintivo não encontrado', 404));
+  }
+  
+  if (existingResult.rows[0].archived_at) {
+    return res.status(409).json(createResponse(false, null, 'Distintivo arquivado não pode ser alterado', 409));
+  }
+  
+  if (body.name !== undefined) await ensureUniqueName(body.name, id);
+  
+  const updateResult = await query(`
+    UPDATE badges
+    SET name = COALESCE($2, name),
+        description = COALESCE($3, description),
+        icon_url = COALESCE($4, icon_url),
+        criteria = COALESCE($5, criteria),
+        points_reward = COALESCE($6, points_reward),
+        is_active = COALESCE($7, is_active),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING id, name, description, icon_url, criteria, points_reward, is_active, archived_at, created_at, updated_at
+  `, [
+    id,
+    body.name || null,
+    body.description !== undefined ? body.description : null,
+    body.iconUrl || null,
+    criteria ? JSON.stringify(criteria) : null,
+    body.pointsReward !== undefined ? parseInt(body.pointsReward) : null,
+    body.isActive !== undefined ? body.isActive : null
+  ]);
+  
+  // Retornar resposta de sucesso
+  return res.status(200).json(createResponse(true, formatBadge(updateResult.rows[0]), 'Distintivo atualizado com sucesso'));
+}
+
+// Função para arquivar um distintivo (fica inativo e oculto; distintivos já conquistados são mantidos)
+async function archiveBadge(req, res) {
+  const id = parseInt(req.query.id);
+  
+  if (!id) {
+    return res.status(400).json(createResponse(false, null, 'id é obrigatório', 400));
+  }
+  
+  const updateResult = await query(`
+    UPDATE badges
+    SET is_active = false, archived_at = COALESCE(archived_at, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING id, name, description, icon_url, criteria, points_reward, is_active, archived_at, created_at, updated_at
+  `, [id]);
+  
+  if (updateResult.rows.length === 0) {
+    return res.status(404).json(createResponse(false, null, 'Distintivo não encontrado', 404));
+  }
+  
+  // Retornar resposta de sucesso
+  return res.status(200).json(createResponse(true, formatBadge(updateResult.rows[0]), 'Distintivo arquivado com sucesso'));
+}
+
@@ -0,0 +1,93 @@
+// api/gamification/badges/revoke.js
+// API interna para revogar distintivos, com motivo registrado para auditoria
+
+const { query, getUserById } = require('../utils/database');
+const { revokeBadge } = require('../utils/reversals');
+const { 
+  authenticateUser, 
+  validateRequiredParams, 
+  validateDataTypes,
+  sanitizeInput,
+  createResponse, 
+  handleError, 
+  handleCors 
+} = require('../utils/auth');
+
+module.exports = async (req, res) => {
+  try {
+    // Lidar com CORS preflight
+    const corsResponse = handleCors(req);
+    if (corsResponse) return res.status(corsResponse.statusCode).json(corsResponse);
+    
+    // Verificar método HTTP
+    if (req.method !== 'POST') {
+      return res.status(405).json(createResponse(false, null, 'Método não permitido', 405));
+    }
+    
+    // Autenticar usuário ou verificar API key
+    const auth = authenticateUser(req);
+    
+    // Apenas serviços internos podem revogar distintivos
+    if (!auth.isInternal) {
+      return res.status(403).json(createResponse(false, null, 'Apenas chamadas internas podem revogar distintivos', 403));
+    }
+    
+    // Sanitizar entrada
+    const body = sanitizeInput(req.body);
+    
+    // Validar parâmetros obrigatórios
+    validateRequiredParams(body, ['userId', 'badgeId', 'reason']);
+    
+    // Validar tipos de dados
+    validateDataTypes(body, {
+      userId: 'integer',
+      badgeId: 'integer',
+      reason: 'string',
+      reversePoints: 'boolean'
+    });
+    
+    const userId = parseInt(body.userId);
+    const badgeId = parseInt(body.badgeId);
+    
+    // Verificar se o usuário existe
+    const user = await getUserById(userId);
+    if (!user) {
+      return res.status(404).json(createResponse(false, null, 'Usuário não encontrado', 404));
+    }
+    
+    // Verificar se o distintivo existe
+    const badgeResult = await query('SELECT id, name FROM badges WHERE id = $1', [badgeId]);
+    if (badgeResult.rows.length === 0) {
+      return res.status(404).json(createResponse(false, null, 'Distintivo não encontrado', 404));
+    }
+    
+    // Revogar o distintivo e, por padrão, estornar a recompensa em pontos
+    const result = await revokeBadge(userId, badgeId, body.reason, {
+      reversePoints: body.reversePoints !== false
+    });
+    
+    // Preparar resposta
+    const responseData = {
+      userId,
+      badge: {
+        id: badgeId,
+        name: badgeResult.rows[0].name
+      },
+      reason: body.reason,
+      revocationId: result.revocationId,
+      earnedAt: result.earnedAt,
+      revokedAt: result.revokedAt,
+      pointsReversed: result.pointsReversed,
+      newTotal: result.points ? result.points.newTotal : null,
+      currentLevel: result.points ? result.points.currentLevel : null
+    };
+    
+    // Retornar resposta de sucesso
+    return res.status(200).json(createResponse(true, responseData, 'Distintivo revogado com sucesso'));
+    
+  } catch (error) {
+    const errorResponse = handleError(error, 'revoke badge');
+    return res.status(errorResponse.statusCode).json(errorResponse);
+  }
+};
+
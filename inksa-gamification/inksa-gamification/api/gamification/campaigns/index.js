@@ -0,0 +1,208 @@
+// api/gamification/campaigns/index.js
+// API interna para campanhas promocionais de pontos (GET lista, POST cria, PUT atualiza, DELETE desativa)
+
+const { query } = require('../utils/database');
+const { 
+  USER_SEGMENTS, 
+  CAMPAIGN_COLUMNS, 
+  validateCampaign, 
+  formatCampaign 
+} = require('../utils/campaigns');
+const { 
+  authenticateUser, 
+  validateRequiredParams, 
+  validateDataTypes,
+  sanitizeInput,
+  createResponse, 
+  handleError, 
+  handleCors 
+} = require('../utils/auth');
+
+module.exports = async (req, res) => {
+  try {
+    // Lidar com CORS preflight
+    const corsResponse = handleCors(req);
+    if (corsResponse) return res.status(corsResponse.statusCode).json(corsResponse);
+    
+    // Verificar método HTTP
+    if (!['GET', 'POST', 'PUT', 'DELETE'].includes(req.method)) {
+      return res.status(405).json(createResponse(false, null, 'Método não permitido', 405));
+    }
+    
+    // Autenticar usuário ou verificar API key
+    const auth = authenticateUser(req);
+    
+    // Apenas serviços internos podem administrar campanhas
+    if (!auth.isInternal) {
+      return res.status(403).json(createResponse(false, null, 'Apenas chamadas internas podem administrar campanhas', 403));
+    }
+    
+    if (req.method === 'POST') {
+      return await createCampaign(req, res);
+    }
+    
+    if (req.method === 'PUT') {
+      return await updateCampaign(req, res);
+    }
+    
+    if (req.method === 'DELETE') {
+      return await deactivateCampaign(req, res);
+    }
+    
+    // Listar campanhas com o bônus já concedido (activeOnly=true lista só as vigentes)
+    const activeOnly = req.query.activeOnly === 'true';
+    
+    const campaignsResult = await query(`
+      SELECT 
+        c.id, c.name, c.description, c.starts_at, c.ends_at, c.multiplier, c.bonus_points, c.points_types,
+        c.restaurant_ids, c.days_of_week, c.min_level, c.max_level, c.user_segment, c.segment_user_ids,
+        c.is_active, c.created_at, c.updated_at,
+        COUNT(ph.id) as credits_boosted,
+        COALESCE(SUM(ph.campaign_bonus), 0) as bonus_points_granted
+      FROM campaigns c
+      LEFT JOIN points_history ph ON ph.campaign_id = c.id
+      WHERE ($1 = false OR (c.is_active = true AND CURRENT_TIMESTAMP >= c.starts_at AND CURRENT_TIMESTAMP < c.ends_at))
+      GROUP BY c.id
+      ORDER BY c.starts_at DESC, c.id DESC
+    `, [activeOnly]);
+    
+    const campaigns = campaignsResult.rows.map(row => ({
+      ...formatCampaign(row),
+      creditsBoosted: parseInt(row.credits_boosted),
+      bonusPointsGranted: parseInt(row.bonus_points_granted)
+    }));
+    
+    // Retornar resposta de sucesso
+    return res.status(200).json(createResponse(true, {
+      campaigns,
+      userSegments: USER_SEGMENTS
+    }, 'Campanhas obtidas com sucesso'));
+    
+  } catch (error) {
+    const errorResponse = handleError(error, 'manage campaigns');
+    return res.status(errorResponse.statusCode).json(errorResponse);
+  }
+};
+
+// Tipos esperados no corpo das requisições de campanha
+const CAMPAIGN_BODY_TYPES = {
+  name: 'string',
+  description: 'string',
+  startsAt: 'string',
+  endsAt: 'string',
+  multiplier: 'number',
+  bonusPoints: 'integer',
+  minLevel: 'integer',
+  maxLevel: 'integer',
+  userSegment: 'string',
+  isActive: 'boolean'
+};
+
+// Função para montar os parâmetros de gravação de uma campanha validada (inserção ou atualização)
+function campaignParams(campaign) {
+  return [
+    campaign.name,
+    campaign.description,
+    campaign.startsAt,
+    campaign.endsAt,
+    campaign.multiplier,
+    campaign.bonusPoints,
+    campaign.pointsTypes,
+    campaign.restaurantIds,
+    campaign.daysOfWeek,
+    campaign.minLevel,
+    campaign.maxLevel,
+    campaign.userSegment,
+    campaign.segmentUserIds,
+    campaign.isActive
+  ];
+}
+
+// Função para criar uma campanha
+async function createCampaign(req, res) {
+  // Sanitizar entrada
+  const body = sanitizeInput(req.body);
+  
+  // Validar parâmetros obrigatórios
+  validateRequiredParams(body, ['name', 'startsAt', 'endsAt']);
+  
+  // Validar tipos de dados
+  validateDataTypes(body, CAMPAIGN_BODY_TYPES);
+  
+  const campaign = validateCampaign(body);
+  
+  const insertResult = await query(`
+    INSERT INTO campaigns 
+      (name, description, starts_at, ends_at, multiplier, bonus_points, points_types, restaurant_ids,
+       days_of_week, min_level, max_level, user_segment, segment_user_ids, is_active)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+    RETURNING ${CAMPAIGN_COLUMNS}
+  `, campaignParams(campaign));
+  
+  // Retornar resposta de sucesso
+  return res.status(201).json(createResponse(true, formatCampaign(insertResult.rows[0]), 'Campanha criada com sucesso', 201));
+}
+
+// Função para atualizar uma campanha
+// Campos omitidos mantêm o valor atual; null remove um filtro opcional
+async function updateCampaign(req, res) {
+  // Sanitizar entrada
+  const body = sanitizeInput(req.body);
+  
+  // Validar parâmetros obrigatórios
+  validateRequiredParams(body, ['id']);
+  
+  // Validar tipos de dados
+  validateDataTypes(body, { id: 'integer', ...CAMPAIGN_BODY_TYPES });
+  
+  const id = parseInt(body.id);
+  
+  const existingResult = await query(`SELECT ${CAMPAIGN_COLUMNS} FROM campaigns WHERE id = $1`, [id]);
+  if (existingResult.rows.length === 0) {
+    return res.status(404).json(createResponse(false, null, 'Campanha não encontrada', 404));
+  }
+  
+  // Validar a campanha resultante, com os campos atuais como base
+  const current = formatCampaign(existingResult.rows[0]);
+  const merged = { ...current };
+  for (const key of Object.keys(current)) {
+    if (body[key] !== undefined) merged[key] = body[key];
+  }
+  const campaign = validateCampaign(merged);
+  
+  const updateResult = await query(`
+    UPDATE campaigns
+    SET name = $1, description = $2, starts_at = $3, ends_at = $4, multiplier = $5, bonus_points = $6,
+        points_types = $7, restaurant_ids = $8, days_of_week = $9, min_level = $10, max_level = $11,
+        user_segment = $12, segment_user_ids = $13, is_active = $14, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $15
+    RETURNING ${CAMPAIGN_COLUMNS}
+  `, [...campaignParams(campaign), id]);
+  
+  // Retornar resposta de sucesso
+  return res.status(200).json(createResponse(true, formatCampaign(updateResult.rows[0]), 'Campanha atualizada com sucesso'));
+}
+
+// Função para desativar uma campanha (créditos já bonificados são mantidos)
+async function deactivateCampaign(req, res) {
+  const id = parseInt(req.query.id);
+  
+  if (!id) {
+    return res.status(400).json(createResponse(false, null, 'id é obrigatório', 400));
+  }
+  
+  const updateResult = await query(`
+    UPDATE campaigns
+    SET is_active = false, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING ${CAMPAIGN_COLUMNS}
+  `, [id]);
+  
+  if (updateResult.rows.length === 0) {
+    return res.status(404).json(createResponse(false, null, 'Campanha não encontrada', 404));
+  }
+  
+  // Retornar resposta de sucesso
+  return res.status(200).json(createResponse(true, formatCampaign(updateResult.rows[0]), 'Campanha desativada com sucesso'));
+}
+
@@ -1,7 +1,8 @@
 // api/gamification/challenges/complete.js
 // API para completar desafios
 
-const { query, transaction, getUserById, addPointsToUser } = require('../utils/database');
+const { query, getUserById } = require('../utils/database');
+const { completeChallengeForUser } = require('../utils/challenges');
 const { 
   authenticateUser, 
   validateRequiredParams, 
@@ -11,8 +12,17 @@ const {
   handleError, 
   handleCors 
 } = require('../utils/auth');
+const { 
+  getIdempotencyKey, 
+  beginIdempotentRequest, 
+  finishIdempotentRequest, 
+  sendIdempotentResponse, 
+  sendReplayedResponse 
+} = require('../utils/idempotency');
 
 module.exports = async (req, res) => {
+  let idempotency = null;
+  
   try {
     // Lidar com CORS preflight
     const corsResponse = handleCors(req);
@@ -94,94 +104,31 @@ module.exports = async (req, res) => {
     
     const userProgress = progressResult.rows[0];
     
+    // Garantir idempotência pelo header Idempotency-Key (repetições devolvem a resposta original)
+    idempotency = await beginIdempotentRequest('challenges/complete', getIdempotencyKey(req), body);
+    if (idempotency && idempotency.replay) {
+      return sendReplayedResponse(res, idempotency);
+    }
+    
     // Verificar se o desafio já foi completado
     if (userProgress.completed) {
-      return res.status(400).json(createResponse(false, null, 'Desafio já foi completado', 400));
+      return sendIdempotentResponse(res, idempotency, 400, createResponse(false, null, 'Desafio já foi completado', 400));
     }
     
     // Verificar se o usuário atingiu o objetivo (exceto para autoComplete)
     if (!autoComplete && userProgress.progress < userProgress.target) {
-      return res.status(400).json(createResponse(false, null, 
+      return sendIdempotentResponse(res, idempotency, 400, createResponse(false, null, 
         `Objetivo não atingido. Progresso atual: ${userProgress.progress}/${userProgress.target}`, 400));
     }
     
     try {
-      // Iniciar transação para completar o desafio
-      const queries = [
-        // Marcar desafio como completado
-        {
-          text: `UPDATE user_challenge_progress 
-                 SET completed = true, completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
-                 WHERE user_id = $1 AND challenge_id = $2`,
-          params: [userId, challengeId]
-        }
-      ];
-      
-      await transaction(queries);
-      
-      // Adicionar pontos da recompensa
-      let pointsResult = null;
-      if (challenge.points_reward > 0) {
-        pointsResult = await addPointsToUser(
-          userId,
-          challenge.points_reward,
-          'challenge',
-          `Desafio completado: ${challenge.title}`,
-          null
-        );
+      // Marcar como completado e entregar as recompensas (pontos e distintivo)
+      const rewards = await completeChallengeForUser(userId, challenge);
+      if (!rewards) {
+        return sendIdempotentResponse(res, idempotency, 400, createResponse(false, null, 'Desafio já foi completado', 400));
       }
       
-      // Conceder distintivo se houver recompensa de distintivo
-      let badgeResult = null;
-      if (challenge.badge_reward) {
-        try {
-          // Verificar se o usuário já possui este distintivo
-          const existingBadgeResult = await query(`
-            SELECT id FROM user_badges 
-            WHERE user_id = $1 AND badge_id = $2
-          `, [userId, challenge.badge_reward]);
-          
-          if (existingBadgeResult.rows.length === 0) {
-            // Conceder o distintivo
-            await query(`
-              INSERT INTO user_badges (user_id, badge_id, earned_at) 
-              VALUES ($1, $2, CURRENT_TIMESTAMP)
-            `, [userId, challenge.badge_reward]);
-            
-            // Obter informações do distintivo
-            const badgeInfoResult = await query(`
-              SELECT id, name, description, icon_url, points_reward
-              FROM badges 
-              WHERE id = $1
-            `, [challenge.badge_reward]);
-            
-            if (badgeInfoResult.rows.length > 0) {
-              const badge = badgeInfoResult.rows[0];
-              badgeResult = {
-                id: badge.id,
-                name: badge.name,
-                description: badge.description,
-                iconUrl: badge.icon_url,
-                pointsReward: badge.points_reward
-              };
-              
-              // Adicionar pontos do distintivo se houver
-              if (badge.points_reward > 0) {
-                await addPointsToUser(
-                  userId,
-                  badge.points_reward,
-                  'badge',
-                  `Distintivo conquistado: ${badge.name}`,
-                  null
-                );
-              }
-            }
-          }
-        } catch (badgeError) {
-          console.error('Error awarding badge:', badgeError);
-          // Não falhar a conclusão do desafio por erro no distintivo
-        }
-      }
+      const { pointsResult, badgeResult } = rewards;
       
       // Obter progresso atualizado
       const updatedProgressResult = await query(`
@@ -263,7 +210,7 @@ module.exports = async (req, res) => {
       };
       
       // Retornar resposta de sucesso
-      return res.status(200).json(createResponse(true, responseData, 'Desafio completado com sucesso'));
+      return sendIdempotentResponse(res, idempotency, 200, createResponse(true, responseData, 'Desafio completado com sucesso'));
       
     } catch (transactionError) {
       console.error('Transaction error in challenge completion:', transactionError);
@@ -272,6 +219,7 @@ module.exports = async (req, res) => {
     
   } catch (error) {
     const errorResponse = handleError(error, 'complete challenge');
+    await finishIdempotentRequest(idempotency, errorResponse.statusCode, errorResponse);
     return res.status(errorResponse.statusCode).json(errorResponse);
   }
 };
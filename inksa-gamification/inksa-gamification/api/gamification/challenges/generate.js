@@ -0,0 +1,41 @@
+// api/gamification/challenges/generate.js
+// Job agendado (Vercel Cron) para gerar as instâncias dos desafios recorrentes
+
+const { generateRecurringChallenges } = require('../utils/recurrence');
+const { 
+  authenticateCron, 
+  createResponse, 
+  handleError, 
+  handleCors 
+} = require('../utils/auth');
+
+module.exports = async (req, res) => {
+  try {
+    // Lidar com CORS preflight
+    const corsResponse = handleCors(req);
+    if (corsResponse) return res.status(corsResponse.statusCode).json(corsResponse);
+    
+    // Verificar método HTTP (o Vercel Cron usa GET)
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      return res.status(405).json(createResponse(false, null, 'Método não permitido', 405));
+    }
+    
+    // Autenticar execução agendada ou chamada interna
+    authenticateCron(req);
+    
+    // Gerar o período atual e o próximo de cada modelo ativo (instâncias existentes são ignoradas)
+    const result = await generateRecurringChallenges();
+    
+    // Retornar resposta de sucesso
+    return res.status(200).json(createResponse(true, {
+      templatesProcessed: result.templatesProcessed,
+      challengesCreated: result.created.length,
+      created: result.created
+    }, 'Desafios recorrentes gerados com sucesso'));
+    
+  } catch (error) {
+    const errorResponse = handleError(error, 'generate recurring challenges');
+    return res.status(errorResponse.statusCode).json(errorResponse);
+  }
+};
+
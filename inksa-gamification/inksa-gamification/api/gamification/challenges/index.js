@@ -0,0 +1,275 @@
+// api/gamification/challenges/index.js
+// API interna para administrar desafios (GET lista, POST cria, PUT atualiza, DELETE desativa)
+
+const { query } = require('../utils/database');
+const { CHALLENGE_TYPES, validateChallengeCriteria, validateBadgeReward } = require('../utils/challenges');
+const { 
+  authenticateUser, 
+  validateRequiredParams, 
+  validateDataTypes,
+  sanitizeInput,
+  createResponse, 
+  createHttpError,
+  handleError, 
+  handleCors 
+} = require('../utils/auth');
+
+// Colunas retornadas pela API de administração
+const CHALLENGE_COLUMNS = `
+  id, title, description, challenge_type, criteria, points_reward, badge_reward,
+  start_date, end_date, is_active, template_id, created_at, updated_at
+`;
+
+module.exports = async (req, res) => {
+  try {
+    // Lidar com CORS preflight
+    const corsResponse = handleCors(req);
+    if (corsResponse) return res.status(corsResponse.statusCode).json(corsResponse);
+    
+    // Verificar método HTTP
+    if (!['GET', 'POST', 'PUT', 'DELETE'].includes(req.method)) {
+      return res.status(405).json(createResponse(false, null, 'Método não permitido', 405));
+    }
+    
+    // Autenticar usuário ou verificar API key
+    const auth = authenticateUser(req);
+    
+    // Apenas serviços internos podem administrar desafios
+    if (!auth.isInternal) {
+      return res.status(403).json(createResponse(false, null, 'Apenas chamadas internas podem administrar desafios', 403));
+    }
+    
+    if (req.method === 'POST') {
+      return await createChallenge(req, res);
+    }
+    
+    if (req.method === 'PUT') {
+      return await updateChallenge(req, res);
+    }
+    
+    if (req.method === 'DELETE') {
+      return await deactivateChallenge(req, res);
+    }
+    
+    // Obter parâmetros opcionais
+    const challengeType = req.query.type; // Filtrar por tipo (daily, weekly, monthly, special)
+    const templateId = parseInt(req.query.templateId) || null; // Instâncias de um modelo recorrente
+    const includeInactive = req.query.includeInactive === 'true';
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+    
+    if (limit > 100) {
+      return res.status(400).json(createResponse(false, null, 'Limite máximo é 100 registros', 400));
+    }
+    
+    const challengesResult = await query(`
+      SELECT ${CHALLENGE_COLUMNS}
+      FROM challenges
+      WHERE ($1::text IS NULL OR challenge_type = $1)
+      AND ($2::integer IS NULL OR template_id = $2)
+      AND ($3 OR is_active = true)
+      ORDER BY start_date DESC, id DESC
+      LIMIT $4 OFFSET $5
+    `, [challengeType || null, templateId, includeInactive, limit, offset]);
+    
+    // Retornar resposta de sucesso
+    return res.status(200).json(createResponse(true, {
+      challenges: challengesResult.rows.map(formatChallenge),
+      pagination: { limit, offset }
+    }, 'Desafios obtidos com sucesso'));
+    
+  } catch (error) {
+    const errorResponse = handleError(error, 'manage challenges');
+    return res.status(errorResponse.statusCode).json(errorResponse);
+  }
+};
+
+// Função para formatar um desafio
+function formatChallenge(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    description: row.description,
+    type: row.challenge_type,
+    criteria: JSON.parse(row.criteria),
+    pointsReward: row.points_reward,
+    badgeReward: row.badge_reward,
+    startDate: row.start_date,
+    endDate: row.end_date,
+    isActive: row.is_active,
+    templateId: row.template_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Função para validar o período do desafio
+function validatePeriod(startDate, endDate) {
+  if (isNaN(startDate.getTime())) {
+    throw createHttpError('startDate inválida', 400);
+  }
+  
+  if (endDate && isNaN(endDate.getTime())) {
+    throw createHttpError('endDate inválida', 400);
+  }
+  
+  if (endDate && endDate <= startDate) {
+    throw createHttpError('endDate deve ser posterior a startDate', 400);
+  }
+}
+
+// Função para criar um desafio
+async function createChallenge(req, res) {
+  // Sanitizar entrada
+  const body = sanitizeInput(req.body);
+  
+  // Validar parâmetros obrigatórios
+  validateRequiredParams(body, ['title', 'challengeType', 'criteria', 'pointsReward', 'startDate']);
+  
+  // Validar tipos de dados
+  validateDataTypes(body, {
+    title: 'string',
+    description: 'string',
+    challengeType: 'string',
+    pointsReward: 'integer',
+    badgeReward: 'integer',
+    startDate: 'string',
+    endDate: 'string',
+    isActive: 'boolean'
+  });
+  
+  if (!CHALLENGE_TYPES.includes(body.challengeType)) {
+    return res.status(400).json(createResponse(false, null, 
+      `challengeType inválido. Tipos válidos: ${CHALLENGE_TYPES.join(', ')}`, 400));
+  }
+  
+  if (parseInt(body.pointsReward) < 0) {
+    return res.status(400).json(createResponse(false, null, 'pointsReward não pode ser negativo', 400));
+  }
+  
+  const criteria = validateChallengeCriteria(body.criteria);
+  const startDate = new Date(body.startDate);
+  const endDate = body.endDate ? new Date(body.endDate) : null;
+  validatePeriod(startDate, endDate);
+  await validateBadgeReward(body.badgeReward);
+  
+  const insertResult = await query(`
+    INSERT INTO challenges 
+      (title, description, challenge_type, criteria, points_reward, badge_reward, start_date, end_date, is_active)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING ${CHALLENGE_COLUMNS}
+  `, [
+    body.title,
+    body.description || null,
+    body.challengeType,
+    JSON.stringify(criteria),
+    parseInt(body.pointsReward),
+    body.badgeReward !== undefined ? parseInt(body.badgeReward) : null,
+    startDate,
+    endDate,
+    body.isActive !== undefined ? body.isActive : true
+  ]);
+  
+  // Retornar resposta de sucesso
+  return res.status(201).json(createResponse(true, formatChallenge(insertResult.rows[0]), 'Desafio criado com sucesso', 201));
+}
+
+// Função para atualizar um desafio
+// O alvo de quem já está inscrito não muda; alterações de critério valem para novas inscrições
+async function updateChallenge(req, res) {
+  // Sanitizar entrada
+  const body = sanitizeInput(req.body);
+  
+  // Validar parâmetros obrigatórios
+  validateRequiredParams(body, ['id']);
+  
+  // Validar tipos de dados
+  validateDataTypes(body, {
+    id: 'integer',
+    title: 'string',
+    description: 'string',
+    challengeType: 'string',
+    pointsReward: 'integer',
+    badgeReward: 'integer',
+    startDate: 'string',
+    endDate: 'string',
+    isActive: 'boolean'
+  });
+  
+  const id = parseInt(body.id);
+  
+  const existingResult = await query('SELECT start_date, end_date FROM challenges WHERE id = $1', [id]);
+  if (existingResult.rows.length === 0) {
+    return res.status(404).json(createResponse(false, null, 'Desafio não encontrado', 404));
+  }
+  
+  if (body.challengeType !== undefined && !CHALLENGE_TYPES.includes(body.challengeType)) {
+    return res.status(400).json(createResponse(false, null, 
+      `challengeType inválido. Tipos válidos: ${CHALLENGE_TYPES.join(', ')}`, 400));
+  }
+  
+  if (body.pointsReward !== undefined && parseInt(body.pointsReward) < 0) {
+    return res.status(400).json(createResponse(false, null, 'pointsReward não pode ser negativo', 400));
+  }
+  
+  const criteria = body.criteria !== undefined ? validateChallengeCriteria(body.criteria) : null;
+  const existing = existingResult.rows[0];
+  const startDate = body.startDate ? new Date(body.startDate) : new Date(existing.start_date);
+  const endDate = body.endDate ? new Date(body.endDate) : (existing.end_date ? new Date(existing.end_date) : null);
+  validatePeriod(startDate, endDate);
+  await validateBadgeReward(body.badgeReward);
+  
+  const updateResult = await query(`
+    UPDATE challenges
+    SET title = COALESCE($2, title),
+        description = COALESCE($3, description),
+        challenge_type = COALESCE($4, challenge_type),
+        criteria = COALESCE($5, criteria),
+        points_reward = COALESCE($6, points_reward),
+        badge_reward = COALESCE($7, badge_reward),
+        start_date = $8,
+        end_date = $9,
+        is_active = COALESCE($10, is_active),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING ${CHALLENGE_COLUMNS}
+  `, [
+    id,
+    body.title || null,
+    body.description !== undefined ? body.description : null,
+    body.challengeType || null,
+    criteria ? JSON.stringify(criteria) : null,
+    body.pointsReward !== undefined ? parseInt(body.pointsReward) : null,
+    body.badgeReward !== undefined ? parseInt(body.badgeReward) : null,
+    startDate,
+    endDate,
+    body.isActive !== undefined ? body.isActive : null
+  ]);
+  
+  // Retornar resposta de sucesso
+  return res.status(200).json(createResponse(true, formatChallenge(updateResult.rows[0]), 'Desafio atualizado com sucesso'));
+}
+
+// Função para desativar um desafio (o progresso dos usuários é mantido)
+async function deactivateChallenge(req, res) {
+  const id = parseInt(req.query.id);
+  
+  if (!id) {
+    return res.status(400).json(createResponse(false, null, 'id é obrigatório', 400));
+  }
+  
+  const updateResult = await query(`
+    UPDATE challenges
+    SET is_active = false, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING ${CHALLENGE_COLUMNS}
+  `, [id]);
+  
+  if (updateResult.rows.length === 0) {
+    return res.status(404).json(createResponse(false, null, 'Desafio não encontrado', 404));
+  }
+  
+  // Retornar resposta de sucesso
+  return res.status(200).json(createResponse(true, formatChallenge(updateResult.rows[0]), 'Desafio desativado com sucesso'));
+}
+
@@ -0,0 +1,119 @@
+// api/gamification/challenges/join.js
+// API para inscrever o usuário em um desafio
+
+const { query, getUserById } = require('../utils/database');
+const { getChallengeTarget } = require('../utils/challenges');
+const { 
+  authenticateUser, 
+  validateRequiredParams, 
+  validateDataTypes,
+  sanitizeInput,
+  createResponse, 
+  handleError, 
+  handleCors 
+} = require('../utils/auth');
+
+module.exports = async (req, res) => {
+  try {
+    // Lidar com CORS preflight
+    const corsResponse = handleCors(req);
+    if (corsResponse) return res.status(corsResponse.statusCode).json(corsResponse);
+    
+    // Verificar método HTTP
+    if (req.method !== 'POST') {
+      return res.status(405).json(createResponse(false, null, 'Método não permitido', 405));
+    }
+    
+    // Autenticar usuário ou verificar API key
+    const auth = authenticateUser(req);
+    
+    // Sanitizar entrada
+    const body = sanitizeInput(req.body);
+    
+    // Validar parâmetros obrigatórios
+    const requiredFields = ['userId', 'challengeId'];
+    validateRequiredParams(body, requiredFields);
+    
+    // Validar tipos de dados
+    validateDataTypes(body, {
+      userId: 'integer',
+      challengeId: 'integer'
+    });
+    
+    const { userId, challengeId } = body;
+    
+    // Verificar se o usuário existe
+    const user = await getUserById(userId);
+    if (!user) {
+      return res.status(404).json(createResponse(false, null, 'Usuário não encontrado', 404));
+    }
+    
+    // Verificar autorização (usuário só pode se inscrever em seu próprio nome, exceto chamadas internas)
+    if (!auth.isInternal && auth.userId !== userId) {
+      return res.status(403).json(createResponse(false, null, 'Não autorizado a inscrever este usuário em desafios', 403));
+    }
+    
+    // Verificar se o desafio existe e está ativo no período atual
+    const challengeResult = await query(`
+      SELECT 
+        id, title, description, challenge_type, criteria, points_reward, 
+        badge_reward, start_date, end_date
+      FROM challenges 
+      WHERE id = $1 AND is_active = true
+      AND start_date <= CURRENT_TIMESTAMP 
+      AND (end_date IS NULL OR end_date >= CURRENT_TIMESTAMP)
+    `, [challengeId]);
+    
+    if (challengeResult.rows.length === 0) {
+      return res.status(404).json(createResponse(false, null, 'Desafio não encontrado, inativo ou fora do período', 404));
+    }
+    
+    const challenge = challengeResult.rows[0];
+    const target = getChallengeTarget(JSON.parse(challenge.criteria));
+    
+    // Inscrever o usuário (ignorado se já estiver participando)
+    const enrollmentResult = await query(`
+      INSERT INTO user_challenge_progress (user_id, challenge_id, progress, target, completed) 
+      VALUES ($1, $2, 0, $3, false)
+      ON CONFLICT (user_id, challenge_id) DO NOTHING
+      RETURNING id, progress, target, completed, created_at
+    `, [userId, challengeId, target]);
+    
+    if (enrollmentResult.rows.length === 0) {
+      return res.status(400).json(createResponse(false, null, 'Usuário já está participando deste desafio', 400));
+    }
+    
+    const enrollment = enrollmentResult.rows[0];
+    
+    // Preparar resposta
+    const responseData = {
+      userId,
+      challengeId,
+      challenge: {
+        title: challenge.title,
+        description: challenge.description,
+        type: challenge.challenge_type,
+        criteria: JSON.parse(challenge.criteria),
+        pointsReward: challenge.points_reward,
+        badgeReward: challenge.badge_reward,
+        startDate: challenge.start_date,
+        endDate: challenge.end_date
+      },
+      progress: {
+        current: enrollment.progress,
+        target: enrollment.target,
+        percentage: 0,
+        isCompleted: enrollment.completed,
+        startedAt: enrollment.created_at
+      }
+    };
+    
+    // Retornar resposta de sucesso
+    return res.status(200).json(createResponse(true, responseData, 'Inscrição no desafio realizada com sucesso'));
+    
+  } catch (error) {
+    const errorResponse = handleError(error, 'join challenge');
+    return res.status(errorResponse.statusCode).json(errorResponse);
+  }
+};
+
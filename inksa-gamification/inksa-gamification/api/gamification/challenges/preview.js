@@ -0,0 +1,56 @@
+// api/gamification/challenges/preview.js
+// API interna para prever quais desafios estarão ativos em uma data futura
+
+const { previewActiveChallenges } = require('../utils/recurrence');
+const { 
+  authenticateUser, 
+  createResponse, 
+  handleError, 
+  handleCors 
+} = require('../utils/auth');
+
+module.exports = async (req, res) => {
+  try {
+    // Lidar com CORS preflight
+    const corsResponse = handleCors(req);
+    if (corsResponse) return res.status(corsResponse.statusCode).json(corsResponse);
+    
+    // Verificar método HTTP
+    if (req.method !== 'GET') {
+      return res.status(405).json(createResponse(false, null, 'Método não permitido', 405));
+    }
+    
+    // Autenticar usuário ou verificar API key
+    const auth = authenticateUser(req);
+    
+    // Apenas serviços internos podem consultar a previsão
+    if (!auth.isInternal) {
+      return res.status(403).json(createResponse(false, null, 'Apenas chamadas internas podem prever desafios', 403));
+    }
+    
+    // Obter e validar a data (formato ISO, ex.: 2024-06-01 ou 2024-06-01T12:00:00Z)
+    if (!req.query.date) {
+      return res.status(400).json(createResponse(false, null, 'date é obrigatório', 400));
+    }
+    
+    const date = new Date(req.query.date);
+    if (isNaN(date.getTime())) {
+      return res.status(400).json(createResponse(false, null, 'date inválida', 400));
+    }
+    
+    const challenges = await previewActiveChallenges(date);
+    
+    // Retornar resposta de sucesso
+    return res.status(200).json(createResponse(true, {
+      date,
+      challenges,
+      totalChallenges: challenges.length,
+      pendingGeneration: challenges.filter(challenge => !challenge.generated).length
+    }, 'Previsão de desafios obtida com sucesso'));
+    
+  } catch (error) {
+    const errorResponse = handleError(error, 'preview challenges');
+    return res.status(errorResponse.statusCode).json(errorResponse);
+  }
+};
+
@@ -1,9 +1,13 @@
 // api/gamification/challenges/progress.js
-// API para obter progresso do usuário nos desafios
+// API para obter (GET) e incrementar (POST, chamadas internas) o progresso do usuário nos desafios
 
-const { query, getUserById } = require('../utils/database');
+const { query, withTransaction, getUserById } = require('../utils/database');
+const { incrementChallengeProgress, applyChallengeCompletion } = require('../utils/challenges');
 const { 
   authenticateUser, 
+  validateRequiredParams, 
+  validateDataTypes,
+  sanitizeInput,
   createResponse, 
   handleError, 
   handleCors 
@@ -15,6 +19,11 @@ module.exports = async (req, res) => {
     const corsResponse = handleCors(req);
     if (corsResponse) return res.status(corsResponse.statusCode).json(corsResponse);
     
+    // Incremento de progresso por chamadas internas
+    if (req.method === 'POST') {
+      return await incrementProgress(req, res);
+    }
+    
     // Verificar método HTTP
     if (req.method !== 'GET') {
       return res.status(405).json(createResponse(false, null, 'Método não permitido', 405));
@@ -270,3 +279,103 @@ module.exports = async (req, res) => {
   }
 };
 
+// Função auxiliar para incrementar o progresso de forma idempotente por eventId
+async function incrementProgress(req, res) {
+  // Autenticar usuário ou verificar API key
+  const auth = authenticateUser(req);
+  
+  // Apenas chamadas internas podem alterar o progresso
+  if (!auth.isInternal) {
+    return res.status(403).json(createResponse(false, null, 'Apenas chamadas internas podem atualizar o progresso', 403));
+  }
+  
+  // Sanitizar entrada
+  const body = sanitizeInput(req.body);
+  
+  // Validar parâmetros obrigatórios
+  const requiredFields = ['userId', 'challengeId', 'eventId'];
+  validateRequiredParams(body, requiredFields);
+  
+  // Validar tipos de dados
+  validateDataTypes(body, {
+    userId: 'integer',
+    challengeId: 'integer',
+    eventId: 'string',
+    amount: 'integer'
+  });
+  
+  const userId = parseInt(body.userId);
+  const challengeId = parseInt(body.challengeId);
+  const amount = body.amount !== undefined ? parseInt(body.amount) : 1;
+  const { eventId } = body;
+  
+  if (amount <= 0) {
+    return res.status(400).json(createResponse(false, null, 'amount deve ser um valor positivo', 400));
+  }
+  
+  // Verificar participação do usuário no desafio
+  const progressResult = await query(`
+    SELECT 
+      ucp.progress, ucp.target, ucp.completed,
+      c.id, c.title, c.points_reward, c.badge_reward, c.is_active, c.start_date, c.end_date
+    FROM user_challenge_progress ucp
+    JOIN challenges c ON ucp.challenge_id = c.id
+    WHERE ucp.user_id = $1 AND ucp.challenge_id = $2
+  `, [userId, challengeId]);
+  
+  if (progressResult.rows.length === 0) {
+    return res.status(404).json(createResponse(false, null, 'Usuário não está participando deste desafio', 404));
+  }
+  
+  const challenge = progressResult.rows[0];
+  
+  // Verificar se o desafio ainda está no período válido
+  const now = new Date();
+  if (!challenge.is_active || now < new Date(challenge.start_date) || 
+      (challenge.end_date && now > new Date(challenge.end_date))) {
+    return res.status(400).json(createResponse(false, null, 'Desafio não está ativo', 400));
+  }
+  
+  // Incrementar progresso (eventos repetidos ou desafios já completados não alteram nada)
+  // O incremento, o registro do eventId e a conclusão automática ao atingir o objetivo usam a mesma
+  // transação: se a conclusão falhar, o evento não fica registrado e pode ser reenviado
+  let increment = { applied: false };
+  let rewards = null;
+  if (!challenge.completed) {
+    await withTransaction(async (client) => {
+      increment = await incrementChallengeProgress(client, userId, challengeId, eventId, amount);
+      
+      if (increment.applied && increment.progress >= increment.target) {
+        rewards = await applyChallengeCompletion(client, userId, challenge);
+      }
+    });
+  }
+  
+  const progress = increment.applied ? increment.progress : challenge.progress;
+  const target = increment.applied ? increment.target : challenge.target;
+  
+  // Preparar resposta
+  const responseData = {
+    userId,
+    challengeId,
+    eventId,
+    applied: increment.applied,
+    progress: {
+      current: progress,
+      target: target,
+      percentage: Math.round((progress / target) * 100),
+      isCompleted: challenge.completed || !!rewards
+    },
+    rewards: rewards ? {
+      pointsEarned: challenge.points_reward + (rewards.badgeResult ? rewards.badgeResult.pointsReward : 0),
+      badgeEarned: rewards.badgeResult,
+      newTotalPoints: rewards.pointsResult ? rewards.pointsResult.newTotal : null,
+      currentLevel: rewards.pointsResult ? rewards.pointsResult.currentLevel : null
+    } : null
+  };
+  
+  // Retornar resposta de sucesso
+  return res.status(200).json(createResponse(true, responseData, 
+    increment.applied ? 'Progresso atualizado com sucesso' : 'Nenhuma alteração: evento já processado ou desafio completado'));
+}
+
@@ -0,0 +1,270 @@
+// api/gamification/challenges/templates.js
+// API interna para modelos de desafios recorrentes (GET lista, POST cria, PUT atualiza, DELETE desativa)
+
+const { query } = require('../utils/database');
+const { validateChallengeCriteria, validateBadgeReward } = require('../utils/challenges');
+const { RECURRENCE_TYPES, generateRecurringChallenges } = require('../utils/recurrence');
+const { 
+  authenticateUser, 
+  validateRequiredParams, 
+  validateDataTypes,
+  sanitizeInput,
+  createResponse, 
+  createHttpError,
+  handleError, 
+  handleCors 
+} = require('../utils/auth');
+
+// Colunas retornadas pela API de modelos
+const TEMPLATE_COLUMNS = `
+  id, title, description, recurrence, criteria, points_reward, badge_reward,
+  starts_at, ends_at, is_active, created_at, updated_at
+`;
+
+module.exports = async (req, res) => {
+  try {
+    // Lidar com CORS preflight
+    const corsResponse = handleCors(req);
+    if (corsResponse) return res.status(corsResponse.statusCode).json(corsResponse);
+    
+    // Verificar método HTTP
+    if (!['GET', 'POST', 'PUT', 'DELETE'].includes(req.method)) {
+      return res.status(405).json(createResponse(false, null, 'Método não permitido', 405));
+    }
+    
+    // Autenticar usuário ou verificar API key
+    const auth = authenticateUser(req);
+    
+    // Apenas serviços internos podem administrar modelos de desafios
+    if (!auth.isInternal) {
+      return res.status(403).json(createResponse(false, null, 'Apenas chamadas internas podem administrar desafios', 403));
+    }
+    
+    if (req.method === 'POST') {
+      return await createTemplate(req, res);
+    }
+    
+    if (req.method === 'PUT') {
+      return await updateTemplate(req, res);
+    }
+    
+    if (req.method === 'DELETE') {
+      return await deactivateTemplate(req, res);
+    }
+    
+    // Listar modelos com a quantidade de instâncias geradas
+    const templatesResult = await query(`
+      SELECT 
+        ct.id, ct.title, ct.description, ct.recurrence, ct.criteria, ct.points_reward, ct.badge_reward,
+        ct.starts_at, ct.ends_at, ct.is_active, ct.created_at, ct.updated_at,
+        COUNT(c.id) as instances_generated,
+        MAX(c.start_date) as last_instance_start
+      FROM challenge_templates ct
+      LEFT JOIN challenges c ON c.template_id = ct.id
+      GROUP BY ct.id
+      ORDER BY ct.id ASC
+    `);
+    
+    const templates = templatesResult.rows.map(row => ({
+      ...formatTemplate(row),
+      instancesGenerated: parseInt(row.instances_generated),
+      lastInstanceStart: row.last_instance_start
+    }));
+    
+    // Retornar resposta de sucesso
+    return res.status(200).json(createResponse(true, {
+      templates,
+      recurrenceTypes: RECURRENCE_TYPES
+    }, 'Modelos de desafios obtidos com sucesso'));
+    
+  } catch (error) {
+    const errorResponse = handleError(error, 'manage challenge templates');
+    return res.status(errorResponse.statusCode).json(errorResponse);
+  }
+};
+
+// Função para formatar um modelo
+function formatTemplate(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    description: row.description,
+    recurrence: row.recurrence,
+    criteria: JSON.parse(row.criteria),
+    pointsReward: row.points_reward,
+    badgeReward: row.badge_reward,
+    startsAt: row.starts_at,
+    endsAt: row.ends_at,
+    isActive: row.is_active,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Função para validar a vigência do modelo
+function validateValidity(startsAt, endsAt) {
+  if (isNaN(startsAt.getTime())) {
+    throw createHttpError('startsAt inválida', 400);
+  }
+  
+  if (endsAt && (isNaN(endsAt.getTime()) || endsAt <= startsAt)) {
+    throw createHttpError('endsAt deve ser uma data posterior a startsAt', 400);
+  }
+}
+
+// Função para criar um modelo e gerar as instâncias do período atual e do próximo
+async function createTemplate(req, res) {
+  // Sanitizar entrada
+  const body = sanitizeInput(req.body);
+  
+  // Validar parâmetros obrigatórios
+  validateRequiredParams(body, ['title', 'recurrence', 'criteria', 'pointsReward']);
+  
+  // Validar tipos de dados
+  validateDataTypes(body, {
+    title: 'string',
+    description: 'string',
+    recurrence: 'string',
+    pointsReward: 'integer',
+    badgeReward: 'integer',
+    startsAt: 'string',
+    endsAt: 'string'
+  });
+  
+  if (!RECURRENCE_TYPES.includes(body.recurrence)) {
+    return res.status(400).json(createResponse(false, null, 
+      `recurrence inválida. Valores válidos: ${RECURRENCE_TYPES.join(', ')}`, 400));
+  }
+  
+  if (parseInt(body.pointsReward) < 0) {
+    return res.status(400).json(createResponse(false, null, 'pointsReward não pode ser negativo', 400));
+  }
+  
+  const criteria = validateChallengeCriteria(body.criteria);
+  const startsAt = body.startsAt ? new Date(body.startsAt) : new Date();
+  const endsAt = body.endsAt ? new Date(body.endsAt) : null;
+  validateValidity(startsAt, endsAt);
+  await validateBadgeReward(body.badgeReward);
+  
+  const insertResult = await query(`
+    INSERT INTO challenge_templates 
+      (title, description, recurrence, criteria, points_reward, badge_reward, starts_at, ends_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING ${TEMPLATE_COLUMNS}
+  `, [
+    body.title,
+    body.description || null,
+    body.recurrence,
+    JSON.stringify(criteria),
+    parseInt(body.pointsReward),
+    body.badgeReward !== undefined ? parseInt(body.badgeReward) : null,
+    startsAt,
+    endsAt
+  ]);
+  
+  const generation = await generateRecurringChallenges();
+  const template = insertResult.rows[0];
+  
+  // Retornar resposta de sucesso
+  return res.status(201).json(createResponse(true, {
+    ...formatTemplate(template),
+    generatedChallenges: generation.created.filter(challenge => challenge.templateId === template.id)
+  }, 'Modelo de desafio criado com sucesso', 201));
+}
+
+// Função para atualizar um modelo (vale para as próximas instâncias; as já geradas não mudam)
+async function updateTemplate(req, res) {
+  // Sanitizar entrada
+  const body = sanitizeInput(req.body);
+  
+  // Validar parâmetros obrigatórios
+  validateRequiredParams(body, ['id']);
+  
+  // Validar tipos de dados (endsAt: null remove o fim da vigência)
+  validateDataTypes({ ...body, endsAt: body.endsAt === null ? undefined : body.endsAt }, {
+    id: 'integer',
+    title: 'string',
+    description: 'string',
+    pointsReward: 'integer',
+    badgeReward: 'integer',
+    startsAt: 'string',
+    endsAt: 'string',
+    isActive: 'boolean'
+  });
+  
+  const id = parseInt(body.id);
+  
+  const existingResult = await query('SELECT starts_at, ends_at FROM challenge_templates WHERE id = $1', [id]);
+  if (existingResult.rows.length === 0) {
+    return res.status(404).json(createResponse(false, null, 'Modelo de desafio não encontrado', 404));
+  }
+  
+  if (body.recurrence !== undefined) {
+    return res.status(400).json(createResponse(false, null, 
+      'recurrence não pode ser alterada; desative o modelo e crie outro', 400));
+  }
+  
+  if (body.pointsReward !== undefined && parseInt(body.pointsReward) < 0) {
+    return res.status(400).json(createResponse(false, null, 'pointsReward não pode ser negativo', 400));
+  }
+  
+  const criteria = body.criteria !== undefined ? validateChallengeCriteria(body.criteria) : null;
+  const existing = existingResult.rows[0];
+  const startsAt = body.startsAt ? new Date(body.startsAt) : new Date(existing.starts_at);
+  const endsAt = body.endsAt === null ? null :
+    body.endsAt ? new Date(body.endsAt) : (existing.ends_at ? new Date(existing.ends_at) : null);
+  validateValidity(startsAt, endsAt);
+  await validateBadgeReward(body.badgeReward);
+  
+  const updateResult = await query(`
+    UPDATE challenge_templates
+    SET title = COALESCE($2, title),
+        description = COALESCE($3, description),
+        criteria = COALESCE($4, criteria),
+        points_reward = COALESCE($5, points_reward),
+        badge_reward = COALESCE($6, badge_reward),
+        starts_at = $7,
+        ends_at = $8,
+        is_active = COALESCE($9, is_active),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING ${TEMPLATE_COLUMNS}
+  `, [
+    id,
+    body.title || null,
+    body.description !== undefined ? body.description : null,
+    criteria ? JSON.stringify(criteria) : null,
+    body.pointsReward !== undefined ? parseInt(body.pointsReward) : null,
+    body.badgeReward !== undefined ? parseInt(body.badgeReward) : null,
+    startsAt,
+    endsAt,
+    body.isActive !== undefined ? body.isActive : null
+  ]);
+  
+  // Retornar resposta de sucesso
+  return res.status(200).json(createResponse(true, formatTemplate(updateResult.rows[0]), 'Modelo de desafio atualizado com sucesso'));
+}
+
+// Função para desativar um modelo (novas instâncias deixam de ser geradas; as existentes continuam)
+async function deactivateTemplate(req, res) {
+  const id = parseInt(req.query.id);
+  
+  if (!id) {
+    return res.status(400).json(createResponse(false, null, 'id é obrigatório', 400));
+  }
+  
+  const updateResult = await query(`
+    UPDATE challenge_templates
+    SET is_active = false, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING ${TEMPLATE_COLUMNS}
+  `, [id]);
+  
+  if (updateResult.rows.length === 0) {
+    return res.status(404).json(createResponse(false, null, 'Modelo de desafio não encontrado', 404));
+  }
+  
+  // Retornar resposta de sucesso
+  return res.status(200).json(createResponse(true, formatTemplate(updateResult.rows[0]), 'Modelo de desafio desativado com sucesso'));
+}
+
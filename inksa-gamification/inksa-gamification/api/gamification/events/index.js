@@ -0,0 +1,110 @@
+// api/gamification/events/index.js
+// API para ingestão de eventos de domínio (pedidos, avaliações, indicações)
+
+const { getUserById } = require('../utils/database');
+const { EVENT_RULES, processEvent } = require('../utils/rules');
+const { convertReferral } = require('../utils/referrals');
+const { updateRegionFromDeliveryAddress } = require('../utils/regions');
+const {
+  authenticateUser,
+  validateRequiredParams,
+  validateDataTypes,
+  sanitizeInput,
+  createResponse,
+  handleError,
+  handleCors
+} = require('../utils/auth');
+
+module.exports = async (req, res) => {
+  try {
+    // Lidar com CORS preflight
+    const corsResponse = handleCors(req);
+    if (corsResponse) return res.status(corsResponse.statusCode).json(corsResponse);
+    
+    // Verificar método HTTP
+    if (req.method !== 'POST') {
+      return res.status(405).json(createResponse(false, null, 'Método não permitido', 405));
+    }
+    
+    // Autenticar usuário ou verificar API key
+    const auth = authenticateUser(req);
+    
+    // Apenas serviços internos podem enviar eventos
+    if (!auth.isInternal) {
+      return res.status(403).json(createResponse(false, null, 'Apenas chamadas internas podem enviar eventos', 403));
+    }
+    
+    // Sanitizar entrada
+    const body = sanitizeInput(req.body);
+    
+    // Validar parâmetros obrigatórios
+    const requiredFields = ['eventId', 'eventType', 'userId'];
+    validateRequiredParams(body, requiredFields);
+    
+    // Validar tipos de dados
+    validateDataTypes(body, {
+      eventId: 'string',
+      eventType: 'string',
+      userId: 'integer',
+      occurredAt: 'string',
+      payload: 'object'
+    });
+    
+    const { eventId, eventType, occurredAt, payload = {} } = body;
+    const userId = parseInt(body.userId);
+    
+    // Verificar se o tipo de evento é suportado
+    if (!EVENT_RULES[eventType]) {
+      return res.status(400).json(createResponse(false, null,
+        `Tipo de evento não suportado. Tipos válidos: ${Object.keys(EVENT_RULES).join(', ')}`, 400));
+    }
+    
+    // Verificar se o usuário existe
+    const user = await getUserById(userId);
+    if (!user) {
+      return res.status(404).json(createResponse(false, null, 'Usuário não encontrado', 404));
+    }
+    
+    // Processar evento pelo pipeline de regras
+    const result = await processEvent({ eventId, eventType, userId, occurredAt, payload });
+    
+    // Pedido entregue converte a indicação pendente do usuário (também em reenvios, se algo ficou pela metade)
+    const referral = eventType === 'order.delivered' ?
+      await convertReferral(userId, payload.orderId || null) : null;
+    
+    // Endereço de entrega do pedido define a região do usuário nos rankings (se ele não informou outra)
+    // O evento já foi gravado: uma falha aqui é apenas registrada e não muda a resposta
+    if (eventType === 'order.delivered' && !result.duplicate) {
+      try {
+        await updateRegionFromDeliveryAddress(userId, payload.deliveryAddress);
+      } catch (regionError) {
+        console.error('Error updating region from delivery address:', regionError);
+      }
+    }
+    
+    // Preparar resposta
+    const responseData = {
+      eventId,
+      eventType,
+      userId,
+      ...result,
+      referral
+    };
+    
+    // Pontos barrados pelos limites de velocidade: o evento fica registrado, sem pontos
+    let message = result.duplicate ? 'Evento já processado anteriormente' : 'Evento processado com sucesso';
+    if (!result.duplicate && result.velocity) {
+      message = result.velocity.status === 'pending' ?
+        'Evento registrado; pontos enviados para revisão' :
+        'Evento registrado; pontos recusados pelo limite de velocidade';
+    }
+    
+    // Retornar resposta de sucesso
+    return res.status(200).json(createResponse(true, responseData, message));
+      
+  } catch (error) {
+    const errorResponse = handleError(error, 'process event');
+    return res.status(errorResponse.statusCode).json(errorResponse);
+  }
+};
+
@@ -0,0 +1,58 @@
+// api/gamification/friends/accept.js
+// API para aceitar um convite de amizade recebido
+
+const { acceptFriendRequest } = require('../utils/friendships');
+const {
+  authenticateUser,
+  validateRequiredParams,
+  validateDataTypes,
+  sanitizeInput,
+  createResponse,
+  handleError,
+  handleCors
+} = require('../utils/auth');
+
+module.exports = async (req, res) => {
+  try {
+    // Lidar com CORS preflight
+    const corsResponse = handleCors(req);
+    if (corsResponse) return res.status(corsResponse.statusCode).json(corsResponse);
+    
+    // Verificar método HTTP
+    if (req.method !== 'POST') {
+      return res.status(405).json(createResponse(false, null, 'Método não permitido', 405));
+    }
+    
+    // Autenticar usuário ou verificar API key
+    const auth = authenticateUser(req);
+    
+    // Sanitizar entrada
+    const body = sanitizeInput(req.body);
+    
+    // Validar parâmetros obrigatórios
+    validateRequiredParams(body, ['userId', 'friendshipId']);
+    
+    // Validar tipos de dados
+    validateDataTypes(body, {
+      userId: 'integer',
+      friendshipId: 'integer'
+    });
+    
+    const userId = parseInt(body.userId);
+    
+    // Verificar autorização (apenas o convidado aceita o convite, exceto chamadas internas)
+    if (!auth.isInternal && auth.userId !== userId) {
+      return res.status(403).json(createResponse(false, null, 'Não autorizado a aceitar convites para este usuário', 403));
+    }
+    
+    const friendship = await acceptFriendRequest(userId, parseInt(body.friendshipId));
+    
+    // Retornar resposta de sucesso
+    return res.status(200).json(createResponse(true, friendship, 'Convite de amizade aceito com sucesso'));
+    
+  } catch (error) {
+    const errorResponse = handleError(error, 'accept friend request');
+    return res.status(errorResponse.statusCode).json(errorResponse);
+  }
+};
+
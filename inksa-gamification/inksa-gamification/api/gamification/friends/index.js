@@ -0,0 +1,136 @@
+// api/gamification/friends/index.js
+// API de amizades (GET lista amigos e convites, POST convida, DELETE desfaz amizade ou convite)
+
+const { getUserById } = require('../utils/database');
+const {
+  sendFriendRequest,
+  removeFriendship,
+  listFriendships
+} = require('../utils/friendships');
+const {
+  authenticateUser,
+  validateRequiredParams,
+  validateDataTypes,
+  sanitizeInput,
+  createResponse,
+  handleError,
+  handleCors
+} = require('../utils/auth');
+
+module.exports = async (req, res) => {
+  try {
+    // Lidar com CORS preflight
+    const corsResponse = handleCors(req);
+    if (corsResponse) return res.status(corsResponse.statusCode).json(corsResponse);
+    
+    // Verificar método HTTP
+    if (!['GET', 'POST', 'DELETE'].includes(req.method)) {
+      return res.status(405).json(createResponse(false, null, 'Método não permitido', 405));
+    }
+    
+    // Autenticar usuário ou verificar API key
+    const auth = authenticateUser(req);
+    
+    if (req.method === 'POST') {
+      return await inviteFriend(req, res, auth);
+    }
+    
+    if (req.method === 'DELETE') {
+      return await removeFriend(req, res, auth);
+    }
+    
+    // Obter userId dos parâmetros da query
+    const userId = parseInt(req.query.userId);
+    
+    // Validar parâmetros obrigatórios
+    if (!userId) {
+      return res.status(400).json(createResponse(false, null, 'userId é obrigatório', 400));
+    }
+    
+    // Verificar autorização (usuário só pode ver as próprias amizades, exceto chamadas internas)
+    if (!auth.isInternal && auth.userId !== userId) {
+      return res.status(403).json(createResponse(false, null, 'Não autorizado a ver informações deste usuário', 403));
+    }
+    
+    // Verificar se o usuário existe
+    const user = await getUserById(userId);
+    if (!user) {
+      return res.status(404).json(createResponse(false, null, 'Usuário não encontrado', 404));
+    }
+    
+    const friendships = await listFriendships(userId);
+    
+    // Retornar resposta de sucesso
+    return res.status(200).json(createResponse(true, {
+      userId,
+      ...friendships,
+      totals: {
+        friends: friendships.friends.length,
+        incoming: friendships.incoming.length,
+        outgoing: friendships.outgoing.length
+      }
+    }, 'Amizades obtidas com sucesso'));
+    
+  } catch (error) {
+    const errorResponse = handleError(error, 'manage friendships');
+    return res.status(errorResponse.statusCode).json(errorResponse);
+  }
+};
+
+// Função para convidar um amigo (aceita na hora se o outro usuário já havia convidado)
+async function inviteFriend(req, res, auth) {
+  // Sanitizar entrada
+  const body = sanitizeInput(req.body);
+  
+  // Validar parâmetros obrigatórios
+  validateRequiredParams(body, ['userId', 'friendId']);
+  
+  // Validar tipos de dados
+  validateDataTypes(body, {
+    userId: 'integer',
+    friendId: 'integer'
+  });
+  
+  const userId = parseInt(body.userId);
+  const friendId = parseInt(body.friendId);
+  
+  // Verificar autorização (usuário só pode convidar em nome próprio, exceto chamadas internas)
+  if (!auth.isInternal && auth.userId !== userId) {
+    return res.status(403).json(createResponse(false, null, 'Não autorizado a convidar amigos para este usuário', 403));
+  }
+  
+  const user = await getUserById(userId);
+  if (!user) {
+    return res.status(404).json(createResponse(false, null, 'Usuário não encontrado', 404));
+  }
+  
+  const result = await sendFriendRequest(userId, friendId);
+  
+  // Retornar resposta de sucesso
+  if (result.accepted) {
+    return res.status(200).json(createResponse(true, result.friendship, 'Convite recíproco aceito; amizade confirmada'));
+  }
+  return res.status(201).json(createResponse(true, result.friendship, 'Convite de amizade enviado com sucesso', 201));
+}
+
+// Função para desfazer uma amizade, recusar um convite recebido ou cancelar um convite enviado
+async function removeFriend(req, res, auth) {
+  const userId = parseInt(req.query.userId);
+  const friendId = parseInt(req.query.friendId);
+  
+  // Validar parâmetros obrigatórios
+  if (!userId || !friendId) {
+    return res.status(400).json(createResponse(false, null, 'userId e friendId são obrigatórios', 400));
+  }
+  
+  // Verificar autorização (usuário só pode alterar as próprias amizades, exceto chamadas internas)
+  if (!auth.isInternal && auth.userId !== userId) {
+    return res.status(403).json(createResponse(false, null, 'Não autorizado a alterar as amizades deste usuário', 403));
+  }
+  
+  const friendship = await removeFriendship(userId, friendId);
+  
+  // Retornar resposta de sucesso
+  return res.status(200).json(createResponse(true, friendship, 'Amizade removida com sucesso'));
+}
+
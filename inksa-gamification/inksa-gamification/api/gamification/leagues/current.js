@@ -0,0 +1,57 @@
+// api/gamification/leagues/current.js
+// API para obter a liga semanal do usuário: divisão, classificação do grupo e histórico de divisões
+
+const { getUserById } = require('../utils/database');
+const { getCurrentLeague } = require('../utils/leagues');
+const { 
+  authenticateUser, 
+  createResponse, 
+  handleError, 
+  handleCors 
+} = require('../utils/auth');
+
+module.exports = async (req, res) => {
+  try {
+    // Lidar com CORS preflight
+    const corsResponse = handleCors(req);
+    if (corsResponse) return res.status(corsResponse.statusCode).json(corsResponse);
+    
+    // Verificar método HTTP
+    if (req.method !== 'GET') {
+      return res.status(405).json(createResponse(false, null, 'Método não permitido', 405));
+    }
+    
+    // Autenticar usuário ou verificar API key
+    const auth = authenticateUser(req);
+    
+    // Obter userId dos parâmetros da query
+    const userId = parseInt(req.query.userId);
+    
+    // Validar parâmetros obrigatórios
+    if (!userId) {
+      return res.status(400).json(createResponse(false, null, 'userId é obrigatório', 400));
+    }
+    
+    // Verificar autorização (usuário só pode ver a própria liga, exceto chamadas internas)
+    if (!auth.isInternal && auth.userId !== userId) {
+      return res.status(403).json(createResponse(false, null, 'Não autorizado a ver a liga deste usuário', 403));
+    }
+    
+    // Verificar se o usuário existe
+    const user = await getUserById(userId);
+    if (!user) {
+      return res.status(404).json(createResponse(false, null, 'Usuário não encontrado', 404));
+    }
+    
+    // Usuários sem pontos na semana ainda não entram em um grupo (cohort null)
+    const league = await getCurrentLeague(userId);
+    
+    // Retornar resposta de sucesso
+    return res.status(200).json(createResponse(true, { userId, ...league }, 'Liga obtida com sucesso'));
+    
+  } catch (error) {
+    const errorResponse = handleError(error, 'get current league');
+    return res.status(errorResponse.statusCode).json(errorResponse);
+  }
+};
+
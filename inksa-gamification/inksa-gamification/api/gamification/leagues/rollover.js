@@ -0,0 +1,42 @@
+// api/gamification/leagues/rollover.js
+// Job agendado (Vercel Cron) para apurar as ligas das semanas encerradas e formar os grupos da semana atual
+
+const { processLeagues } = require('../utils/leagues');
+const {
+  authenticateCron,
+  createResponse,
+  handleError,
+  handleCors
+} = require('../utils/auth');
+
+module.exports = async (req, res) => {
+  try {
+    // Lidar com CORS preflight
+    const corsResponse = handleCors(req);
+    if (corsResponse) return res.status(corsResponse.statusCode).json(corsResponse);
+    
+    // Verificar método HTTP (o Vercel Cron usa GET)
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      return res.status(405).json(createResponse(false, null, 'Método não permitido', 405));
+    }
+    
+    // Autenticar execução agendada ou chamada interna
+    authenticateCron(req);
+    
+    // Apurar promoções e rebaixamentos pendentes e colocar os usuários ativos em grupos
+    const result = await processLeagues();
+    
+    // Retornar resposta de sucesso
+    return res.status(200).json(createResponse(true, {
+      week: result.week,
+      weeksClosed: result.closed.length,
+      closed: result.closed,
+      usersPlaced: result.placed.length
+    }, 'Ligas apuradas com sucesso'));
+    
+  } catch (error) {
+    const errorResponse = handleError(error, 'roll over leagues');
+    return res.status(errorResponse.statusCode).json(errorResponse);
+  }
+};
+
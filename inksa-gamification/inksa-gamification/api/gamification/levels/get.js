@@ -46,7 +46,7 @@ module.exports = async (req, res) => {
     const userPoints = await getUserPoints(userId);
     
     // Obter informações do nível atual
-    const currentLevel = await calculateLevel(userPoints.total_points);
+    const currentLevel = await calculateLevel(userPoints.lifetime_points);
     
     // Obter informações do próximo nível
     const nextLevel = await getNextLevel(currentLevel.level_number);
@@ -64,32 +64,30 @@ module.exports = async (req, res) => {
     
     // Calcular progresso no nível atual
     const currentLevelStartPoints = currentLevel.points_required;
-    const nextLevelPoints = nextLevel ? nextLevel.points_required : userPoints.total_points;
-    const pointsInCurrentLevel = userPoints.total_points - currentLevelStartPoints;
+    const nextLevelPoints = nextLevel ? nextLevel.points_required : userPoints.lifetime_points;
+    const pointsInCurrentLevel = userPoints.lifetime_points - currentLevelStartPoints;
     const pointsNeededForCurrentLevel = nextLevel ? nextLevelPoints - currentLevelStartPoints : 0;
     const progressPercentage = nextLevel ? 
       Math.round((pointsInCurrentLevel / pointsNeededForCurrentLevel) * 100) : 100;
     
-    // Obter estatísticas de tempo no nível atual
+    // Obter quando o nível atual foi alcançado (último registro em level_history) e os lançamentos desde então
     const levelStatsResult = await query(`
-      SELECT 
-        MIN(created_at) as level_achieved_at,
-        COUNT(*) as points_earned_in_level
-      FROM points_history 
-      WHERE user_id = $1 
-      AND created_at >= (
+      WITH achieved AS (
         SELECT COALESCE(
           (SELECT MAX(created_at) 
-           FROM points_history ph2 
-           WHERE ph2.user_id = $1 
-           AND (SELECT SUM(points_earned) 
-                FROM points_history ph3 
-                WHERE ph3.user_id = $1 
-                AND ph3.created_at <= ph2.created_at) >= $2),
+           FROM level_history 
+           WHERE user_id = $1 AND new_level = $2),
           (SELECT MIN(created_at) FROM points_history WHERE user_id = $1)
-        )
+        ) AS level_achieved_at
       )
-    `, [userId, currentLevelStartPoints]);
+      SELECT 
+        achieved.level_achieved_at,
+        COUNT(ph.id) as points_earned_in_level
+      FROM achieved
+      LEFT JOIN points_history ph 
+        ON ph.user_id = $1 AND ph.created_at >= achieved.level_achieved_at
+      GROUP BY achieved.level_achieved_at
+    `, [userId, currentLevel.level_number]);
     
     const levelStats = levelStatsResult.rows[0];
     
@@ -116,10 +114,14 @@ module.exports = async (req, res) => {
         pointsRequired: nextLevel.points_required,
         benefits: JSON.parse(nextLevel.benefits)
       } : null,
+      balance: {
+        lifetimePoints: userPoints.lifetime_points,
+        availablePoints: userPoints.available_points
+      },
       progress: {
-        totalPoints: userPoints.total_points,
+        totalPoints: userPoints.lifetime_points,
         pointsInCurrentLevel: pointsInCurrentLevel,
-        pointsNeededForNextLevel: nextLevel ? nextLevel.points_required - userPoints.total_points : 0,
+        pointsNeededForNextLevel: nextLevel ? nextLevel.points_required - userPoints.lifetime_points : 0,
         progressPercentage: progressPercentage,
         isMaxLevel: !nextLevel
       },
@@ -0,0 +1,117 @@
+// api/gamification/levels/history.js
+// API para obter o histórico de mudanças de nível do usuário
+
+const { query, getUserById } = require('../utils/database');
+const { 
+  authenticateUser, 
+  createResponse, 
+  handleError, 
+  handleCors 
+} = require('../utils/auth');
+
+module.exports = async (req, res) => {
+  try {
+    // Lidar com CORS preflight
+    const corsResponse = handleCors(req);
+    if (corsResponse) return res.status(corsResponse.statusCode).json(corsResponse);
+    
+    // Verificar método HTTP
+    if (req.method !== 'GET') {
+      return res.status(405).json(createResponse(false, null, 'Método não permitido', 405));
+    }
+    
+    // Autenticar usuário ou verificar API key
+    const auth = authenticateUser(req);
+    
+    // Obter parâmetros da query
+    const userId = parseInt(req.query.userId);
+    const limit = parseInt(req.query.limit) || 20; // Padrão: 20 registros
+    const offset = parseInt(req.query.offset) || 0; // Padrão: começar do início
+    
+    // Validar parâmetros obrigatórios
+    if (!userId) {
+      return res.status(400).json(createResponse(false, null, 'userId é obrigatório', 400));
+    }
+    
+    // Validar limite
+    if (limit > 100) {
+      return res.status(400).json(createResponse(false, null, 'Limite máximo é 100 registros', 400));
+    }
+    
+    // Verificar se o usuário existe
+    const user = await getUserById(userId);
+    if (!user) {
+      return res.status(404).json(createResponse(false, null, 'Usuário não encontrado', 404));
+    }
+    
+    // Verificar autorização (usuário só pode ver seu próprio histórico, exceto chamadas internas)
+    if (!auth.isInternal && auth.userId !== userId) {
+      return res.status(403).json(createResponse(false, null, 'Não autorizado a ver histórico de níveis deste usuário', 403));
+    }
+    
+    // Obter mudanças de nível com os dados dos níveis envolvidos
+    const historyResult = await query(`
+      SELECT 
+        lh.id,
+        lh.previous_level,
+        pl.level_name as previous_level_name,
+        lh.new_level,
+        nl.level_name as new_level_name,
+        nl.benefits as new_level_benefits,
+        lh.lifetime_points,
+        lh.created_at
+      FROM level_history lh
+      LEFT JOIN levels pl ON pl.level_number = lh.previous_level
+      LEFT JOIN levels nl ON nl.level_number = lh.new_level
+      WHERE lh.user_id = $1
+      ORDER BY lh.created_at DESC, lh.id DESC
+      LIMIT $2 OFFSET $3
+    `, [userId, limit, offset]);
+    
+    // Contar total de registros
+    const countResult = await query(
+      'SELECT COUNT(*) as total FROM level_history WHERE user_id = $1',
+      [userId]
+    );
+    const totalRecords = parseInt(countResult.rows[0].total);
+    
+    // Preparar dados do histórico
+    const history = historyResult.rows.map(row => ({
+      id: row.id,
+      previousLevel: {
+        number: row.previous_level,
+        name: row.previous_level_name
+      },
+      newLevel: {
+        number: row.new_level,
+        name: row.new_level_name,
+        benefits: row.new_level_benefits ? JSON.parse(row.new_level_benefits) : null
+      },
+      direction: row.new_level > row.previous_level ? 'up' : 'down',
+      lifetimePoints: row.lifetime_points,
+      changedAt: row.created_at
+    }));
+    
+    // Preparar resposta
+    const responseData = {
+      userId,
+      history,
+      pagination: {
+        limit,
+        offset,
+        totalRecords,
+        hasMore: offset + limit < totalRecords,
+        currentPage: Math.floor(offset / limit) + 1,
+        totalPages: Math.ceil(totalRecords / limit)
+      }
+    };
+    
+    // Retornar resposta de sucesso
+    return res.status(200).json(createResponse(true, responseData, 'Histórico de níveis obtido com sucesso'));
+    
+  } catch (error) {
+    const errorResponse = handleError(error, 'get level history');
+    return res.status(errorResponse.statusCode).json(errorResponse);
+  }
+};
+
@@ -0,0 +1,181 @@
+// api/gamification/levels/index.js
+// API interna para criar (POST), atualizar (PUT) e remover (DELETE) níveis
+
+const { validateBenefits, modifyLevels } = require('../utils/levels');
+const { 
+  authenticateUser, 
+  validateRequiredParams, 
+  validateDataTypes,
+  sanitizeInput,
+  createResponse, 
+  createHttpError,
+  handleError, 
+  handleCors 
+} = require('../utils/auth');
+
+module.exports = async (req, res) => {
+  try {
+    // Lidar com CORS preflight
+    const corsResponse = handleCors(req);
+    if (corsResponse) return res.status(corsResponse.statusCode).json(corsResponse);
+    
+    // Verificar método HTTP
+    if (!['POST', 'PUT', 'DELETE'].includes(req.method)) {
+      return res.status(405).json(createResponse(false, null, 'Método não permitido', 405));
+    }
+    
+    // Autenticar usuário ou verificar API key
+    const auth = authenticateUser(req);
+    
+    // Apenas serviços internos podem alterar níveis
+    if (!auth.isInternal) {
+      return res.status(403).json(createResponse(false, null, 'Apenas chamadas internas podem alterar níveis', 403));
+    }
+    
+    if (req.method === 'PUT') {
+      return await updateLevel(req, res);
+    }
+    
+    if (req.method === 'DELETE') {
+      return await deleteLevel(req, res);
+    }
+    
+    return await createLevel(req, res);
+    
+  } catch (error) {
+    const errorResponse = handleError(error, 'manage levels');
+    return res.status(errorResponse.statusCode).json(errorResponse);
+  }
+};
+
+// Função para formatar um nível
+function formatLevel(level) {
+  return {
+    number: level.level_number,
+    name: level.level_name,
+    pointsRequired: level.points_required,
+    benefits: JSON.parse(level.benefits)
+  };
+}
+
+// Função para criar um nível
+async function createLevel(req, res) {
+  // Sanitizar entrada
+  const body = sanitizeInput(req.body);
+  
+  // Validar parâmetros obrigatórios
+  validateRequiredParams(body, ['levelNumber', 'levelName', 'pointsRequired', 'benefits']);
+  
+  // Validar tipos de dados
+  validateDataTypes(body, {
+    levelNumber: 'integer',
+    levelName: 'string',
+    pointsRequired: 'integer'
+  });
+  
+  const levelNumber = parseInt(body.levelNumber);
+  const pointsRequired = parseInt(body.pointsRequired);
+  const benefits = validateBenefits(body.benefits);
+  
+  if (levelNumber <= 0 || pointsRequired < 0) {
+    return res.status(400).json(createResponse(false, null, 'levelNumber deve ser positivo e pointsRequired não pode ser negativo', 400));
+  }
+  
+  const result = await modifyLevels(async (levels, client) => {
+    if (levels.some(level => level.level_number === levelNumber)) {
+      throw createHttpError(`Nível ${levelNumber} já existe`, 409);
+    }
+    
+    const insertResult = await client.query(`
+      INSERT INTO levels (level_number, level_name, points_required, benefits)
+      VALUES ($1, $2, $3, $4)
+      RETURNING level_number, level_name, points_required, benefits
+    `, [levelNumber, body.levelName, pointsRequired, JSON.stringify(benefits)]);
+    
+    return { level: insertResult.rows[0], thresholdsChanged: true };
+  });
+  
+  // Retornar resposta de sucesso
+  return res.status(201).json(createResponse(true, {
+    level: formatLevel(result.level),
+    recalculation: result.recalculation
+  }, 'Nível criado com sucesso', 201));
+}
+
+// Função para atualizar um nível
+async function updateLevel(req, res) {
+  // Sanitizar entrada
+  const body = sanitizeInput(req.body);
+  
+  // Validar parâmetros obrigatórios
+  validateRequiredParams(body, ['levelNumber']);
+  
+  // Validar tipos de dados
+  validateDataTypes(body, {
+    levelNumber: 'integer',
+    levelName: 'string',
+    pointsRequired: 'integer'
+  });
+  
+  const levelNumber = parseInt(body.levelNumber);
+  const pointsRequired = body.pointsRequired !== undefined ? parseInt(body.pointsRequired) : null;
+  const benefits = body.benefits !== undefined ? validateBenefits(body.benefits) : null;
+  
+  if (pointsRequired !== null && pointsRequired < 0) {
+    return res.status(400).json(createResponse(false, null, 'pointsRequired não pode ser negativo', 400));
+  }
+  
+  const result = await modifyLevels(async (levels, client) => {
+    const existing = levels.find(level => level.level_number === levelNumber);
+    if (!existing) {
+      throw createHttpError('Nível não encontrado', 404);
+    }
+    
+    const updateResult = await client.query(`
+      UPDATE levels
+      SET level_name = COALESCE($2, level_name),
+          points_required = COALESCE($3, points_required),
+          benefits = COALESCE($4, benefits)
+      WHERE level_number = $1
+      RETURNING level_number, level_name, points_required, benefits
+    `, [levelNumber, body.levelName || null, pointsRequired, benefits ? JSON.stringify(benefits) : null]);
+    
+    return {
+      level: updateResult.rows[0],
+      thresholdsChanged: pointsRequired !== null && pointsRequired !== existing.points_required
+    };
+  });
+  
+  // Retornar resposta de sucesso
+  return res.status(200).json(createResponse(true, {
+    level: formatLevel(result.level),
+    recalculation: result.recalculation
+  }, 'Nível atualizado com sucesso'));
+}
+
+// Função para remover um nível (usuários nesse nível são recalculados)
+async function deleteLevel(req, res) {
+  const levelNumber = parseInt(req.query.levelNumber);
+  
+  if (!levelNumber) {
+    return res.status(400).json(createResponse(false, null, 'levelNumber é obrigatório', 400));
+  }
+  
+  const result = await modifyLevels(async (levels, client) => {
+    const existing = levels.find(level => level.level_number === levelNumber);
+    if (!existing) {
+      throw createHttpError('Nível não encontrado', 404);
+    }
+    
+    await client.query('DELETE FROM levels WHERE level_number = $1', [levelNumber]);
+    
+    return { level: existing, thresholdsChanged: true };
+  });
+  
+  // Retornar resposta de sucesso
+  return res.status(200).json(createResponse(true, {
+    level: formatLevel(result.level),
+    recalculation: result.recalculation
+  }, 'Nível removido com sucesso'));
+}
+
@@ -48,7 +48,7 @@ module.exports = async (req, res) => {
       }
       
       const userPointsResult = await query(`
-        SELECT total_points, current_level 
+        SELECT lifetime_points, current_level 
         FROM user_points 
         WHERE user_id = $1
       `, [userId]);
@@ -100,7 +100,7 @@ module.exports = async (req, res) => {
           l.level_number,
           l.level_name,
           COUNT(up.user_id) as users_count,
-          AVG(up.total_points) as avg_points_in_level
+          AVG(up.lifetime_points) as avg_points_in_level
         FROM levels l
         LEFT JOIN user_points up ON up.current_level = l.level_number
         GROUP BY l.level_number, l.level_name
@@ -1,7 +1,9 @@
 // api/gamification/points/add.js
 // API para adicionar pontos ao usuário
 
-const { addPointsToUser, getUserById } = require('../utils/database');
+const { getUserById } = require('../utils/database');
+const { addPointsWithVelocityLimits } = require('../utils/velocity');
+const { getPointType, calculatePointsForType } = require('../utils/pointTypes');
 const { 
   authenticateUser, 
   validateRequiredParams, 
@@ -11,8 +13,17 @@ const {
   handleError, 
   handleCors 
 } = require('../utils/auth');
+const { 
+  getIdempotencyKey, 
+  beginIdempotentRequest, 
+  finishIdempotentRequest, 
+  sendIdempotentResponse, 
+  sendReplayedResponse 
+} = require('../utils/idempotency');
 
 module.exports = async (req, res) => {
+  let idempotency = null;
+  
   try {
     // Lidar com CORS preflight
     const corsResponse = handleCors(req);
@@ -30,7 +41,7 @@ module.exports = async (req, res) => {
     const body = sanitizeInput(req.body);
     
     // Validar parâmetros obrigatórios
-    const requiredFields = ['userId', 'points', 'pointsType'];
+    const requiredFields = ['userId', 'pointsType'];
     validateRequiredParams(body, requiredFields);
     
     // Validar tipos de dados
@@ -39,16 +50,35 @@ module.exports = async (req, res) => {
       points: 'integer',
       pointsType: 'string',
       description: 'string',
-      orderId: 'integer'
+      orderId: 'integer',
+      orderValue: 'number',
+      restaurantId: 'integer',
+      category: 'string',
+      orderTime: 'string'
     });
     
-    const { userId, points, pointsType, description, orderId } = body;
+    const { userId, pointsType, description, orderId } = body;
+    
+    // Apenas tipos registrados são aceitos
+    const pointType = await getPointType(pointsType);
+    if (!pointType) {
+      return res.status(400).json(createResponse(false, null, `Tipo de pontos não registrado: ${pointsType}`, 400));
+    }
+    
+    // Usuários só podem disparar tipos marcados como user_triggerable
+    if (!auth.isInternal && !pointType.user_triggerable) {
+      return res.status(403).json(createResponse(false, null, 'Este tipo de pontos só pode ser concedido internamente', 403));
+    }
     
-    // Verificar se os pontos são positivos
-    if (points <= 0) {
-      return res.status(400).json(createResponse(false, null, 'Pontos devem ser um valor positivo', 400));
+    // O valor é calculado pelo servidor; o informado só vale para tipos 'custom'
+    // Tipos com fórmula (null aqui) são calculados na transação, com o nível do usuário bloqueado
+    const points = calculatePointsForType(pointType, body);
+    if (points !== null && points <= 0) {
+      return res.status(400).json(createResponse(false, null, 'O lançamento não gera pontos', 400));
     }
     
+    const entryDescription = description || pointType.description || `Pontos adicionados: ${pointsType}`;
+    
     // Verificar se o usuário existe
     const user = await getUserById(userId);
     if (!user) {
@@ -60,28 +90,70 @@ module.exports = async (req, res) => {
       return res.status(403).json(createResponse(false, null, 'Não autorizado a adicionar pontos para este usuário', 403));
     }
     
-    // Adicionar pontos
-    const result = await addPointsToUser(
-      userId, 
-      points, 
-      pointsType, 
-      description || `Pontos adicionados: ${pointsType}`,
-      orderId
-    );
+    // Garantir idempotência: header Idempotency-Key ou chave natural (usuário, tipo, pedido)
+    const naturalKey = orderId ? `${userId}:${pointsType}:${orderId}` : null;
+    idempotency = await beginIdempotentRequest('points/add', getIdempotencyKey(req, naturalKey), body);
+    if (idempotency && idempotency.replay) {
+      return sendReplayedResponse(res, idempotency);
+    }
+    
+    // Adicionar pontos respeitando os limites de velocidade do tipo
+    const velocity = await addPointsWithVelocityLimits({
+      userId,
+      points,
+      pointsType,
+      description: entryDescription,
+      orderId,
+      order: points === null ? {
+        orderValue: body.orderValue,
+        restaurantId: body.restaurantId,
+        category: body.category,
+        orderTime: body.orderTime
+      } : null,
+      restaurantId: body.restaurantId || null,
+      source: auth.isInternal ? 'internal' : 'user'
+    });
+    
+    if (velocity.status === 'rejected') {
+      return sendIdempotentResponse(res, idempotency, 429, createResponse(false, {
+        userId,
+        flagId: velocity.flag.id,
+        violations: velocity.flag.violations
+      }, 'Limite de pontos excedido para este tipo', 429));
+    }
+    
+    if (velocity.status === 'pending') {
+      return sendIdempotentResponse(res, idempotency, 202, createResponse(true, {
+        userId,
+        pointsAdded: 0,
+        pointsType,
+        review: velocity.flag
+      }, 'Pontos enviados para revisão', 202));
+    }
+    
+    const result = velocity.pointsResult;
     
     // Retornar resposta de sucesso
-    return res.status(200).json(createResponse(true, {
+    return sendIdempotentResponse(res, idempotency, 200, createResponse(true, {
       userId,
-      pointsAdded: points,
+      pointsAdded: result.pointsAdded,
+      previousTotal: result.previousTotal,
       newTotal: result.newTotal,
+      availablePoints: result.availablePoints,
+      previousLevel: result.previousLevel,
       currentLevel: result.currentLevel,
+      leveledUp: result.leveledUp,
+      levelUp: result.levelUp,
       pointsToNextLevel: result.pointsToNextLevel,
       pointsType,
-      description: description || `Pontos adicionados: ${pointsType}`
+      formula: result.formula,
+      campaign: result.campaign,
+      description: entryDescription
     }, 'Pontos adicionados com sucesso'));
     
   } catch (error) {
     const errorResponse = handleError(error, 'add points');
+    await finishIdempotentRequest(idempotency, errorResponse.statusCode, errorResponse);
     return res.status(errorResponse.statusCode).json(errorResponse);
   }
 };
@@ -0,0 +1,52 @@
+// api/gamification/points/expire.js
+// Job agendado (Vercel Cron) para expirar pontos vencidos
+
+const { runPointsExpiration } = require('../utils/expiration');
+const { 
+  authenticateCron, 
+  createResponse, 
+  handleError, 
+  handleCors 
+} = require('../utils/auth');
+
+// Limite de lotes por execução para respeitar o tempo máximo da função
+const MAX_BATCHES = 10;
+
+module.exports = async (req, res) => {
+  try {
+    // Lidar com CORS preflight
+    const corsResponse = handleCors(req);
+    if (corsResponse) return res.status(corsResponse.statusCode).json(corsResponse);
+    
+    // Verificar método HTTP (o Vercel Cron usa GET)
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      return res.status(405).json(createResponse(false, null, 'Método não permitido', 405));
+    }
+    
+    // Autenticar execução agendada ou chamada interna
+    authenticateCron(req);
+    
+    // Processar usuários com pontos vencidos em lotes
+    const summary = { usersProcessed: 0, pointsExpired: 0, failedUsers: [], batches: 0, hasMore: false };
+    
+    // Cada lote continua do último usuário do anterior; falhas ficam para a próxima execução
+    let lastUserId = 0;
+    do {
+      const batch = await runPointsExpiration(lastUserId);
+      lastUserId = batch.lastUserId;
+      summary.usersProcessed += batch.usersProcessed;
+      summary.pointsExpired += batch.pointsExpired;
+      summary.failedUsers = [...new Set(summary.failedUsers.concat(batch.failedUsers))];
+      summary.hasMore = batch.hasMore;
+      summary.batches++;
+    } while (summary.hasMore && summary.batches < MAX_BATCHES);
+    
+    // Retornar resposta de sucesso
+    return res.status(200).json(createResponse(true, summary, 'Expiração de pontos executada com sucesso'));
+    
+  } catch (error) {
+    const errorResponse = handleError(error, 'expire points');
+    return res.status(errorResponse.statusCode).json(errorResponse);
+  }
+};
+
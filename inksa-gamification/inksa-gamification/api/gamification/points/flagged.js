@@ -0,0 +1,99 @@
+// api/gamification/points/flagged.js
+// API interna para listar usuários barrados pelos limites de velocidade de pontos
+
+const { query } = require('../utils/database');
+const { 
+  authenticateUser, 
+  createResponse, 
+  handleError, 
+  handleCors 
+} = require('../utils/auth');
+
+module.exports = async (req, res) => {
+  try {
+    // Lidar com CORS preflight
+    const corsResponse = handleCors(req);
+    if (corsResponse) return res.status(corsResponse.statusCode).json(corsResponse);
+    
+    // Verificar método HTTP
+    if (req.method !== 'GET') {
+      return res.status(405).json(createResponse(false, null, 'Método não permitido', 405));
+    }
+    
+    // Autenticar usuário ou verificar API key
+    const auth = authenticateUser(req);
+    
+    // Apenas serviços internos podem ver usuários sinalizados
+    if (!auth.isInternal) {
+      return res.status(403).json(createResponse(false, null, 'Apenas chamadas internas podem ver usuários sinalizados', 403));
+    }
+    
+    // Obter parâmetros da query
+    const days = parseInt(req.query.days) || 30; // Padrão: últimos 30 dias
+    const limit = parseInt(req.query.limit) || 50; // Padrão: 50 usuários
+    const offset = parseInt(req.query.offset) || 0; // Padrão: começar do início
+    
+    // Validar limite
+    if (limit > 100) {
+      return res.status(400).json(createResponse(false, null, 'Limite máximo é 100 registros', 400));
+    }
+    
+    // Agrupar os bloqueios por usuário, começando pelos mais recentes
+    const flaggedResult = await query(`
+      SELECT 
+        f.user_id,
+        u.name,
+        u.email,
+        COUNT(*) as total_flags,
+        COUNT(*) FILTER (WHERE f.status = 'rejected') as rejected_count,
+        COUNT(*) FILTER (WHERE f.status = 'pending') as pending_count,
+        COUNT(*) FILTER (WHERE f.source = 'internal') as internal_count,
+        COALESCE(SUM(f.points), 0) as points_attempted,
+        ARRAY_AGG(DISTINCT f.points_type) as points_types,
+        MAX(f.created_at) as last_flagged_at
+      FROM points_velocity_flags f
+      JOIN users u ON u.id = f.user_id
+      WHERE f.created_at >= CURRENT_TIMESTAMP - ($1::integer * INTERVAL '1 day')
+      GROUP BY f.user_id, u.name, u.email
+      ORDER BY last_flagged_at DESC
+      LIMIT $2 OFFSET $3
+    `, [days, limit, offset]);
+    
+    const countResult = await query(`
+      SELECT COUNT(DISTINCT user_id) as total 
+      FROM points_velocity_flags 
+      WHERE created_at >= CURRENT_TIMESTAMP - ($1::integer * INTERVAL '1 day')
+    `, [days]);
+    const totalRecords = parseInt(countResult.rows[0].total);
+    
+    const users = flaggedResult.rows.map(row => ({
+      userId: row.user_id,
+      name: row.name,
+      email: row.email,
+      totalFlags: parseInt(row.total_flags),
+      rejectedCount: parseInt(row.rejected_count),
+      pendingCount: parseInt(row.pending_count),
+      internalCount: parseInt(row.internal_count),
+      pointsAttempted: parseInt(row.points_attempted),
+      pointsTypes: row.points_types,
+      lastFlaggedAt: row.last_flagged_at
+    }));
+    
+    // Retornar resposta de sucesso
+    return res.status(200).json(createResponse(true, {
+      users,
+      periodDays: days,
+      pagination: {
+        limit,
+        offset,
+        totalRecords,
+        hasMore: offset + limit < totalRecords
+      }
+    }, 'Usuários sinalizados obtidos com sucesso'));
+    
+  } catch (error) {
+    const errorResponse = handleError(error, 'get flagged users');
+    return res.status(errorResponse.statusCode).json(errorResponse);
+  }
+};
+
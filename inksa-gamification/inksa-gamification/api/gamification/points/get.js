@@ -1,7 +1,9 @@
 // api/gamification/points/get.js
 // API para obter pontos do usuário
 
-const { getUserPoints, getUserById, calculateLevel, getNextLevel } = require('../utils/database');
+const { query, getUserPoints, getUserById, calculateLevel, getNextLevel } = require('../utils/database');
+const { getExpiringPoints } = require('../utils/expiration');
+const { getUserStreaks } = require('../utils/streaks');
 const { 
   authenticateUser, 
   validateRequiredParams,
@@ -26,6 +28,7 @@ module.exports = async (req, res) => {
     
     // Obter userId dos parâmetros da query
     const userId = parseInt(req.query.userId);
+    const expiringWithinDays = parseInt(req.query.expiringWithinDays) || 30; // Janela do aviso de expiração
     
     // Validar parâmetros obrigatórios
     if (!userId) {
@@ -47,19 +50,30 @@ module.exports = async (req, res) => {
     const userPoints = await getUserPoints(userId);
     
     // Obter informações do nível atual
-    const currentLevel = await calculateLevel(userPoints.total_points);
+    const currentLevel = await calculateLevel(userPoints.lifetime_points);
     
     // Obter informações do próximo nível
     const nextLevel = await getNextLevel(currentLevel.level_number);
     
     // Calcular pontos para o próximo nível
     const pointsToNextLevel = nextLevel ? 
-      nextLevel.points_required - userPoints.total_points : 0;
+      nextLevel.points_required - userPoints.lifetime_points : 0;
+    
+    // Obter pontos que expiram em breve
+    const expiringLots = await getExpiringPoints(userId, expiringWithinDays);
+    const expiringTotal = expiringLots.reduce((sum, lot) => sum + lot.points, 0);
+    
+    // Obter sequências diária e semanal
+    const streaks = await getUserStreaks({ query }, userId);
     
     // Preparar resposta
     const responseData = {
       userId: userPoints.user_id,
-      totalPoints: userPoints.total_points,
+      totalPoints: userPoints.lifetime_points,
+      balance: {
+        lifetimePoints: userPoints.lifetime_points,
+        availablePoints: userPoints.available_points
+      },
       currentLevel: {
         number: currentLevel.level_number,
         name: currentLevel.level_name,
@@ -74,12 +88,19 @@ module.exports = async (req, res) => {
       } : null,
       pointsToNextLevel: pointsToNextLevel,
       progress: {
-        currentLevelProgress: userPoints.total_points - currentLevel.points_required,
+        currentLevelProgress: userPoints.lifetime_points - currentLevel.points_required,
         nextLevelTarget: nextLevel ? nextLevel.points_required - currentLevel.points_required : 0,
         progressPercentage: nextLevel ? 
-          Math.round(((userPoints.total_points - currentLevel.points_required) / 
+          Math.round(((userPoints.lifetime_points - currentLevel.points_required) / 
           (nextLevel.points_required - currentLevel.points_required)) * 100) : 100
       },
+      expiringSoon: {
+        withinDays: expiringWithinDays,
+        totalPoints: Math.min(expiringTotal, userPoints.available_points),
+        nextExpiration: expiringLots.length > 0 ? expiringLots[0].expiresAt : null,
+        lots: expiringLots
+      },
+      streaks,
       lastUpdated: userPoints.updated_at
     };
     
@@ -1,7 +1,7 @@
 // api/gamification/points/history.js
 // API para obter histórico de pontos do usuário
 
-const { query, getUserById } = require('../utils/database');
+const { query, getUserById, getUserPoints, SPENDING_POINTS_TYPES } = require('../utils/database');
 const { 
   authenticateUser, 
   createResponse, 
@@ -58,6 +58,8 @@ module.exports = async (req, res) => {
         points_type,
         description,
         order_id,
+        campaign_id,
+        campaign_bonus,
         created_at
       FROM points_history 
       WHERE user_id = $1
@@ -110,6 +112,20 @@ module.exports = async (req, res) => {
       ORDER BY count_by_type DESC
     `, [userId]);
     
+    // Query para bônus de campanhas (já incluídos em points_earned)
+    const campaignStatsResult = await query(`
+      SELECT 
+        ph.campaign_id,
+        c.name as campaign_name,
+        SUM(ph.campaign_bonus) as bonus_points,
+        COUNT(*) as credits_boosted
+      FROM points_history ph
+      JOIN campaigns c ON c.id = ph.campaign_id
+      WHERE ph.user_id = $1 AND ph.campaign_id IS NOT NULL
+      GROUP BY ph.campaign_id, c.name
+      ORDER BY bonus_points DESC
+    `, [userId]);
+    
     // Preparar dados do histórico
     const history = historyResult.rows.map(row => ({
       id: row.id,
@@ -117,12 +133,27 @@ module.exports = async (req, res) => {
       pointsType: row.points_type,
       description: row.description,
       orderId: row.order_id,
-      earnedAt: row.created_at
+      campaignId: row.campaign_id,
+      campaignBonus: row.campaign_bonus,
+      earnedAt: row.created_at,
+      affectsLifetimePoints: !SPENDING_POINTS_TYPES.includes(row.points_type)
     }));
     
+    // Separar lançamentos que contam para o acumulado dos que só movimentam o saldo disponível
+    const lifetimeRows = statsResult.rows.filter(row => !SPENDING_POINTS_TYPES.includes(row.points_type));
+    const spendingRows = statsResult.rows.filter(row => SPENDING_POINTS_TYPES.includes(row.points_type));
+    
+    // Obter saldos atuais
+    const userPoints = await getUserPoints(userId);
+    
     // Preparar estatísticas
     const stats = {
-      totalPointsEarned: statsResult.rows.reduce((sum, row) => sum + parseInt(row.total_points_earned), 0),
+      totalPointsEarned: lifetimeRows.reduce((sum, row) => sum + parseInt(row.total_points_earned), 0),
+      pointsSpent: Math.abs(spendingRows.reduce((sum, row) => sum + parseInt(row.total_points_earned), 0)),
+      balance: {
+        lifetimePoints: userPoints.lifetime_points,
+        availablePoints: userPoints.available_points
+      },
       totalTransactions: totalRecords,
       averagePointsPerTransaction: statsResult.rows.length > 0 ? 
         Math.round(statsResult.rows.reduce((sum, row) => sum + parseFloat(row.average_points_per_transaction), 0) / statsResult.rows.length) : 0,
@@ -130,7 +161,16 @@ module.exports = async (req, res) => {
         type: row.points_type,
         totalPoints: parseInt(row.total_points_earned),
         transactionCount: parseInt(row.count_by_type)
-      }))
+      })),
+      campaignBonuses: {
+        totalBonusPoints: campaignStatsResult.rows.reduce((sum, row) => sum + parseInt(row.bonus_points), 0),
+        byCampaign: campaignStatsResult.rows.map(row => ({
+          campaignId: row.campaign_id,
+          name: row.campaign_name,
+          bonusPoints: parseInt(row.bonus_points),
+          creditsBoosted: parseInt(row.credits_boosted)
+        }))
+      }
     };
     
     // Preparar resposta
@@ -0,0 +1,97 @@
+// api/gamification/points/quote.js
+// API para simular os pontos de um pedido antes do pagamento ("você vai ganhar X pontos")
+
+const { query, getUserById } = require('../utils/database');
+const { calculateOrderPoints } = require('../utils/formulas');
+const { getBestCampaignBonus } = require('../utils/campaigns');
+const { 
+  authenticateUser, 
+  validateRequiredParams, 
+  validateDataTypes,
+  sanitizeInput,
+  createResponse, 
+  handleError, 
+  handleCors 
+} = require('../utils/auth');
+
+module.exports = async (req, res) => {
+  try {
+    // Lidar com CORS preflight
+    const corsResponse = handleCors(req);
+    if (corsResponse) return res.status(corsResponse.statusCode).json(corsResponse);
+    
+    // Verificar método HTTP
+    if (req.method !== 'POST') {
+      return res.status(405).json(createResponse(false, null, 'Método não permitido', 405));
+    }
+    
+    // Autenticar usuário ou verificar API key
+    const auth = authenticateUser(req);
+    
+    // Sanitizar entrada
+    const body = sanitizeInput(req.body);
+    
+    // Validar parâmetros obrigatórios
+    validateRequiredParams(body, ['userId', 'orderValue']);
+    
+    // Validar tipos de dados
+    validateDataTypes(body, {
+      userId: 'integer',
+      pointsType: 'string',
+      orderValue: 'number',
+      restaurantId: 'integer',
+      category: 'string',
+      deliveredAt: 'string',
+      orderTime: 'string'
+    });
+    
+    const userId = parseInt(body.userId);
+    const pointsType = body.pointsType || 'order';
+    
+    // Verificar se o usuário existe
+    const user = await getUserById(userId);
+    if (!user) {
+      return res.status(404).json(createResponse(false, null, 'Usuário não encontrado', 404));
+    }
+    
+    // Verificar autorização (usuário só pode simular os próprios pontos, exceto chamadas internas)
+    if (!auth.isInternal && auth.userId !== userId) {
+      return res.status(403).json(createResponse(false, null, 'Não autorizado a simular pontos deste usuário', 403));
+    }
+    
+    // Mesma fórmula aplicada por addPointsToUser na entrega do pedido
+    // O horário dos multiplicadores é o da entrega, como no evento order.delivered (occurredAt):
+    // deliveredAt é a previsão de entrega (orderTime continua aceito; sem nenhum dos dois, agora)
+    const quote = await calculateOrderPoints({ query }, userId, pointsType, {
+      orderValue: body.orderValue,
+      restaurantId: body.restaurantId,
+      category: body.category,
+      orderTime: body.deliveredAt || body.orderTime
+    });
+    
+    if (!quote) {
+      return res.status(400).json(createResponse(false, null, `Tipo de pontos sem fórmula por valor do pedido: ${pointsType}`, 400));
+    }
+    
+    // Incluir o bônus da campanha que estiver valendo agora
+    const levelResult = await query('SELECT current_level FROM user_points WHERE user_id = $1', [userId]);
+    const campaign = quote.points > 0 ? await getBestCampaignBonus({ query }, userId, quote.points, pointsType, {
+      restaurantId: body.restaurantId,
+      levelNumber: levelResult.rows[0] ? levelResult.rows[0].current_level : 1
+    }) : null;
+    const totalPoints = quote.points + (campaign ? campaign.bonus : 0);
+    
+    // Retornar resposta de sucesso
+    return res.status(200).json(createResponse(true, {
+      userId,
+      ...quote,
+      campaign,
+      totalPoints
+    }, `Você vai ganhar ${totalPoints} pontos`));
+    
+  } catch (error) {
+    const errorResponse = handleError(error, 'quote points');
+    return res.status(errorResponse.statusCode).json(errorResponse);
+  }
+};
+
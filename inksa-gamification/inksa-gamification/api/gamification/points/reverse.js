@@ -0,0 +1,96 @@
+// api/gamification/points/reverse.js
+// API interna para estornar pontos de pedidos reembolsados ou cancelados
+
+const { getUserById } = require('../utils/database');
+const { reversePoints } = require('../utils/reversals');
+const { 
+  authenticateUser, 
+  validateRequiredParams, 
+  validateDataTypes,
+  sanitizeInput,
+  createResponse, 
+  handleError, 
+  handleCors 
+} = require('../utils/auth');
+
+module.exports = async (req, res) => {
+  try {
+    // Lidar com CORS preflight
+    const corsResponse = handleCors(req);
+    if (corsResponse) return res.status(corsResponse.statusCode).json(corsResponse);
+    
+    // Verificar método HTTP
+    if (req.method !== 'POST') {
+      return res.status(405).json(createResponse(false, null, 'Método não permitido', 405));
+    }
+    
+    // Autenticar usuário ou verificar API key
+    const auth = authenticateUser(req);
+    
+    // Apenas serviços internos podem estornar pontos
+    if (!auth.isInternal) {
+      return res.status(403).json(createResponse(false, null, 'Apenas chamadas internas podem estornar pontos', 403));
+    }
+    
+    // Sanitizar entrada
+    const body = sanitizeInput(req.body);
+    
+    // Validar parâmetros obrigatórios
+    validateRequiredParams(body, ['userId', 'reason']);
+    
+    // Validar tipos de dados
+    validateDataTypes(body, {
+      userId: 'integer',
+      orderId: 'integer',
+      historyId: 'integer',
+      reason: 'string'
+    });
+    
+    const userId = parseInt(body.userId);
+    const orderId = body.orderId !== undefined && body.orderId !== null ? parseInt(body.orderId) : null;
+    const historyId = body.historyId !== undefined && body.historyId !== null ? parseInt(body.historyId) : null;
+    
+    // O estorno é identificado pelo pedido ou pelo lançamento, nunca pelos dois
+    if ((orderId === null) === (historyId === null)) {
+      return res.status(400).json(createResponse(false, null, 'Informe orderId ou historyId', 400));
+    }
+    
+    // Verificar se o usuário existe
+    const user = await getUserById(userId);
+    if (!user) {
+      return res.status(404).json(createResponse(false, null, 'Usuário não encontrado', 404));
+    }
+    
+    // Estornar os créditos, recalcular o nível e revogar distintivos que dependiam do pedido
+    const result = await reversePoints({ userId, orderId, historyId, reason: body.reason });
+    
+    // Preparar resposta
+    const responseData = {
+      userId,
+      orderId,
+      historyId,
+      reason: body.reason,
+      pointsReversed: result.pointsReversed,
+      reversalIds: result.reversalIds,
+      reversedEntries: result.reversedEntries,
+      previousTotal: result.previousTotal,
+      newTotal: result.newTotal,
+      availablePoints: result.availablePoints,
+      previousLevel: result.previousLevel,
+      currentLevel: result.currentLevel,
+      leveledDown: result.leveledDown,
+      pointsToNextLevel: result.pointsToNextLevel,
+      reversedEvents: result.reversedEvents,
+      revokedBadges: result.revokedBadges,
+      reversedReferrals: result.reversedReferrals
+    };
+    
+    // Retornar resposta de sucesso
+    return res.status(200).json(createResponse(true, responseData, `${result.pointsReversed} pontos estornados com sucesso`));
+    
+  } catch (error) {
+    const errorResponse = handleError(error, 'reverse points');
+    return res.status(errorResponse.statusCode).json(errorResponse);
+  }
+};
+
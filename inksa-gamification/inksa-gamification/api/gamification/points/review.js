@@ -0,0 +1,121 @@
+// api/gamification/points/review.js
+// API interna da fila de revisão antifraude (GET lista, POST aprova ou nega um lançamento)
+
+const { query } = require('../utils/database');
+const { reviewFlag, formatFlag } = require('../utils/velocity');
+const { 
+  authenticateUser, 
+  validateRequiredParams, 
+  validateDataTypes,
+  sanitizeInput,
+  createResponse, 
+  handleError, 
+  handleCors 
+} = require('../utils/auth');
+
+// Situações aceitas no filtro da listagem
+const FLAG_STATUSES = ['rejected', 'pending', 'approved', 'denied'];
+
+module.exports = async (req, res) => {
+  try {
+    // Lidar com CORS preflight
+    const corsResponse = handleCors(req);
+    if (corsResponse) return res.status(corsResponse.statusCode).json(corsResponse);
+    
+    // Verificar método HTTP
+    if (!['GET', 'POST'].includes(req.method)) {
+      return res.status(405).json(createResponse(false, null, 'Método não permitido', 405));
+    }
+    
+    // Autenticar usuário ou verificar API key
+    const auth = authenticateUser(req);
+    
+    // Apenas serviços internos podem revisar lançamentos
+    if (!auth.isInternal) {
+      return res.status(403).json(createResponse(false, null, 'Apenas chamadas internas podem revisar lançamentos', 403));
+    }
+    
+    if (req.method === 'POST') {
+      return await decideFlag(req, res);
+    }
+    
+    // Obter parâmetros da query
+    const status = req.query.status || 'pending';
+    const userId = req.query.userId ? parseInt(req.query.userId) : null;
+    const limit = parseInt(req.query.limit) || 50; // Padrão: 50 registros
+    const offset = parseInt(req.query.offset) || 0; // Padrão: começar do início
+    
+    if (!FLAG_STATUSES.includes(status)) {
+      return res.status(400).json(createResponse(false, null, `status deve ser um de: ${FLAG_STATUSES.join(', ')}`, 400));
+    }
+    
+    // Validar limite
+    if (limit > 100) {
+      return res.status(400).json(createResponse(false, null, 'Limite máximo é 100 registros', 400));
+    }
+    
+    const flagsResult = await query(`
+      SELECT * FROM points_velocity_flags
+      WHERE status = $1 AND ($2::integer IS NULL OR user_id = $2)
+      ORDER BY created_at ASC, id ASC
+      LIMIT $3 OFFSET $4
+    `, [status, userId, limit, offset]);
+    
+    const countResult = await query(`
+      SELECT COUNT(*) as total FROM points_velocity_flags
+      WHERE status = $1 AND ($2::integer IS NULL OR user_id = $2)
+    `, [status, userId]);
+    const totalRecords = parseInt(countResult.rows[0].total);
+    
+    // Preparar resposta
+    const responseData = {
+      flags: flagsResult.rows.map(formatFlag),
+      filters: {
+        status,
+        userId
+      },
+      pagination: {
+        limit,
+        offset,
+        totalRecords,
+        hasMore: offset + limit < totalRecords
+      }
+    };
+    
+    // Retornar resposta de sucesso
+    return res.status(200).json(createResponse(true, responseData, 'Fila de revisão obtida com sucesso'));
+    
+  } catch (error) {
+    const errorResponse = handleError(error, 'points review');
+    return res.status(errorResponse.statusCode).json(errorResponse);
+  }
+};
+
+// Função para aprovar ou negar um lançamento pendente
+async function decideFlag(req, res) {
+  const body = sanitizeInput(req.body);
+  
+  validateRequiredParams(body, ['flagId', 'decision']);
+  validateDataTypes(body, {
+    flagId: 'integer',
+    decision: 'string',
+    note: 'string'
+  });
+  
+  if (!['approve', 'deny'].includes(body.decision)) {
+    return res.status(400).json(createResponse(false, null, 'decision deve ser approve ou deny', 400));
+  }
+  
+  const result = await reviewFlag(parseInt(body.flagId), body.decision, body.note || null);
+  
+  return res.status(200).json(createResponse(true, {
+    flag: result.flag,
+    points: result.pointsResult ? {
+      newTotal: result.pointsResult.newTotal,
+      availablePoints: result.pointsResult.availablePoints,
+      currentLevel: result.pointsResult.currentLevel,
+      levelUp: result.pointsResult.levelUp
+    } : null
+  }, body.decision === 'approve' ? 'Lançamento aprovado e pontos adicionados' : 'Lançamento negado'));
+}
+
@@ -0,0 +1,39 @@
+// api/gamification/points/types.js
+// API para listar os tipos de pontos registrados (usuários veem apenas os que podem disparar)
+
+const { listPointTypes, formatPointType } = require('../utils/pointTypes');
+const { 
+  authenticateUser, 
+  createResponse, 
+  handleError, 
+  handleCors 
+} = require('../utils/auth');
+
+module.exports = async (req, res) => {
+  try {
+    // Lidar com CORS preflight
+    const corsResponse = handleCors(req);
+    if (corsResponse) return res.status(corsResponse.statusCode).json(corsResponse);
+    
+    // Verificar método HTTP
+    if (req.method !== 'GET') {
+      return res.status(405).json(createResponse(false, null, 'Método não permitido', 405));
+    }
+    
+    // Autenticar usuário ou verificar API key
+    const auth = authenticateUser(req);
+    
+    // Chamadas internas veem todo o registro
+    const pointTypes = await listPointTypes(!auth.isInternal);
+    
+    // Retornar resposta de sucesso
+    return res.status(200).json(createResponse(true, {
+      pointTypes: pointTypes.map(formatPointType)
+    }, 'Tipos de pontos obtidos com sucesso'));
+    
+  } catch (error) {
+    const errorResponse = handleError(error, 'list point types');
+    return res.status(errorResponse.statusCode).json(errorResponse);
+  }
+};
+
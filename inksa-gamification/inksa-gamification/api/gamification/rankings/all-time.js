@@ -2,6 +2,8 @@
 // API para ranking geral (all-time)
 
 const { query, getUserById } = require('../utils/database');
+const { getRankingScopeUserIds } = require('../utils/friendships');
+const { parseRegion, regionJoin } = require('../utils/regions');
 const { 
   authenticateUser, 
   createResponse, 
@@ -27,6 +29,8 @@ module.exports = async (req, res) => {
     const userId = parseInt(req.query.userId); // Para destacar posição do usuário
     const limit = parseInt(req.query.limit) || 50; // Número de posições no ranking
     const sortBy = req.query.sortBy || 'total_points'; // Critério de ordenação
+    const scope = req.query.scope || 'global'; // global ou friends (usuário e seus amigos)
+    const region = req.query.region || null; // Cidade ou cidade/bairro (ex.: sao-paulo/pinheiros)
     
     // Validar limite
     if (limit > 100) {
@@ -52,22 +56,30 @@ module.exports = async (req, res) => {
       }
     }
     
+    // Usuários considerados pelo escopo (null = ranking geral) e região (filtrada nas consultas)
+    const scopeUserIds = await getRankingScopeUserIds(scope, userId);
+    const regionFilter = region ? parseRegion(region) : null;
+    
     // Construir query de ordenação baseada no critério
     let orderByClause;
     switch (sortBy) {
       case 'current_level':
-        orderByClause = 'up.current_level DESC, up.total_points DESC';
+        orderByClause = 'up.current_level DESC, up.lifetime_points DESC';
         break;
       case 'badges_count':
-        orderByClause = 'badges_count DESC, up.total_points DESC';
+        orderByClause = 'badges_count DESC, up.lifetime_points DESC';
         break;
       case 'challenges_completed':
-        orderByClause = 'challenges_completed DESC, up.total_points DESC';
+        orderByClause = 'challenges_completed DESC, up.lifetime_points DESC';
         break;
-      default: // total_points
-        orderByClause = 'up.total_points DESC, up.current_level DESC';
+      default: // total_points (pontos acumulados)
+        orderByClause = 'up.lifetime_points DESC, up.current_level DESC';
     }
     
+    // Filtros de região das consultas (parâmetros a partir de $3 ou de $2)
+    const rankingRegion = regionJoin('u.id', regionFilter, 3);
+    const statsRegion = regionJoin('up.user_id', regionFilter, 2);
+    
     // Obter ranking geral
     const rankingResult = await query(`
       WITH user_stats AS (
@@ -76,7 +88,8 @@ module.exports = async (req, res) => {
           u.name,
           u.email,
           u.created_at as user_since,
-          up.total_points,
+          up.lifetime_points,
+          up.available_points,
           up.current_level,
           up.created_at as gamification_since,
           up.updated_at as last_activity,
@@ -87,6 +100,7 @@ module.exports = async (req, res) => {
           COALESCE(transaction_counts.last_transaction, up.created_at) as last_transaction
         FROM users u
         JOIN user_points up ON u.id = up.user_id
+        ${rankingRegion.sql}
         LEFT JOIN (
           SELECT user_id, COUNT(*) as badges_count
           FROM user_badges
@@ -107,7 +121,8 @@ module.exports = async (req, res) => {
           FROM points_history
           GROUP BY user_id
         ) transaction_counts ON u.id = transaction_counts.user_id
-        WHERE up.total_points > 0
+        WHERE up.lifetime_points > 0
+        AND ($2::integer[] IS NULL OR u.id = ANY($2::integer[]))
       ),
       ranked_users AS (
         SELECT 
@@ -118,7 +133,7 @@ module.exports = async (req, res) => {
       SELECT * FROM ranked_users
       ORDER BY position
       LIMIT $1
-    `, [limit]);
+    `, [limit, scopeUserIds, ...rankingRegion.params]);
     
     // Obter posição específica do usuário se fornecido
     let userPosition = null;
@@ -130,7 +145,8 @@ module.exports = async (req, res) => {
             u.name,
             u.email,
             u.created_at as user_since,
-            up.total_points,
+            up.lifetime_points,
+            up.available_points,
             up.current_level,
             up.created_at as gamification_since,
             up.updated_at as last_activity,
@@ -141,6 +157,7 @@ module.exports = async (req, res) => {
             COALESCE(transaction_counts.last_transaction, up.created_at) as last_transaction
           FROM users u
           JOIN user_points up ON u.id = up.user_id
+          ${rankingRegion.sql}
           LEFT JOIN (
             SELECT user_id, COUNT(*) as badges_count
             FROM user_badges
@@ -161,7 +178,8 @@ module.exports = async (req, res) => {
             FROM points_history
             GROUP BY user_id
           ) transaction_counts ON u.id = transaction_counts.user_id
-          WHERE up.total_points > 0
+          WHERE up.lifetime_points > 0
+          AND ($2::integer[] IS NULL OR u.id = ANY($2::integer[]))
         ),
         ranked_users AS (
           SELECT 
@@ -171,7 +189,7 @@ module.exports = async (req, res) => {
         )
         SELECT * FROM ranked_users
         WHERE user_id = $1
-      `, [userId]);
+      `, [userId, scopeUserIds, ...rankingRegion.params]);
       
       if (userPositionResult.rows.length > 0) {
         userPosition = userPositionResult.rows[0];
@@ -182,15 +200,18 @@ module.exports = async (req, res) => {
     const statsResult = await query(`
       SELECT 
         COUNT(*) as total_users,
-        SUM(up.total_points) as total_points_all_users,
-        AVG(up.total_points) as avg_points_per_user,
-        MAX(up.total_points) as highest_points,
-        MIN(up.total_points) as lowest_points,
+        SUM(up.lifetime_points) as total_points_all_users,
+        SUM(up.available_points) as available_points_all_users,
+        AVG(up.lifetime_points) as avg_points_per_user,
+        MAX(up.lifetime_points) as highest_points,
+        MIN(up.lifetime_points) as lowest_points,
         AVG(up.current_level) as avg_level,
         MAX(up.current_level) as highest_level
       FROM user_points up
-      WHERE up.total_points > 0
-    `);
+      ${statsRegion.sql}
+      WHERE up.lifetime_points > 0
+      AND ($1::integer[] IS NULL OR up.user_id = ANY($1::integer[]))
+    `, [scopeUserIds, ...statsRegion.params]);
     
     const generalStats = statsResult.rows[0];
     
@@ -200,12 +221,17 @@ module.exports = async (req, res) => {
         l.level_number,
         l.level_name,
         COUNT(up.user_id) as users_count,
-        ROUND(AVG(up.total_points)) as avg_points_in_level
+        ROUND(AVG(up.lifetime_points)) as avg_points_in_level
       FROM levels l
-      LEFT JOIN user_points up ON up.current_level = l.level_number
+      LEFT JOIN (
+        SELECT up.user_id, up.current_level, up.lifetime_points
+        FROM user_points up
+        ${statsRegion.sql}
+        WHERE $1::integer[] IS NULL OR up.user_id = ANY($1::integer[])
+      ) up ON up.current_level = l.level_number
       GROUP BY l.level_number, l.level_name
       ORDER BY l.level_number
-    `);
+    `, [scopeUserIds, ...statsRegion.params]);
     
     const levelDistribution = levelDistributionResult.rows.map(row => ({
       levelNumber: row.level_number,
@@ -220,13 +246,14 @@ module.exports = async (req, res) => {
     const hallOfFameResult = await query(`
       SELECT 
         u.name,
-        up.total_points,
+        up.lifetime_points,
         up.current_level,
         badge_counts.badges_count,
         challenge_counts.challenges_completed,
         up.created_at as member_since
       FROM users u
       JOIN user_points up ON u.id = up.user_id
+      ${statsRegion.sql}
       LEFT JOIN (
         SELECT user_id, COUNT(*) as badges_count
         FROM user_badges
@@ -238,18 +265,21 @@ module.exports = async (req, res) => {
         WHERE completed = true
         GROUP BY user_id
       ) challenge_counts ON u.id = challenge_counts.user_id
-      WHERE up.total_points >= (
-        SELECT PERCENTILE_CONT(0.95) WITHIN GROUP (ORDER BY total_points)
-        FROM user_points
-        WHERE total_points > 0
+      WHERE up.lifetime_points >= (
+        SELECT PERCENTILE_CONT(0.95) WITHIN GROUP (ORDER BY up.lifetime_points)
+        FROM user_points up
+        ${statsRegion.sql}
+        WHERE up.lifetime_points > 0
+        AND ($1::integer[] IS NULL OR up.user_id = ANY($1::integer[]))
       )
-      ORDER BY up.total_points DESC
+      AND ($1::integer[] IS NULL OR up.user_id = ANY($1::integer[]))
+      ORDER BY up.lifetime_points DESC
       LIMIT 10
-    `);
+    `, [scopeUserIds, ...statsRegion.params]);
     
     const hallOfFame = hallOfFameResult.rows.map(row => ({
       name: row.name,
-      totalPoints: parseInt(row.total_points),
+      totalPoints: parseInt(row.lifetime_points),
       currentLevel: row.current_level,
       badgesCount: parseInt(row.badges_count) || 0,
       challengesCompleted: parseInt(row.challenges_completed) || 0,
@@ -268,7 +298,9 @@ module.exports = async (req, res) => {
         userId: row.user_id,
         name: row.name,
         email: row.email,
-        totalPoints: parseInt(row.total_points),
+        totalPoints: parseInt(row.lifetime_points),
+        lifetimePoints: parseInt(row.lifetime_points),
+        availablePoints: parseInt(row.available_points),
         currentLevel: row.current_level,
         badgesCount: parseInt(row.badges_count),
         challengesCompleted: parseInt(row.challenges_completed),
@@ -282,7 +314,7 @@ module.exports = async (req, res) => {
           daysSinceGamification: daysSinceGamification,
           daysSinceLastActivity: daysSinceLastActivity,
           averagePointsPerDay: daysSinceGamification > 0 ? 
-            Math.round(parseInt(row.total_points) / daysSinceGamification) : parseInt(row.total_points),
+            Math.round(parseInt(row.lifetime_points) / daysSinceGamification) : parseInt(row.lifetime_points),
           averageTransactionsPerDay: daysSinceGamification > 0 ? 
             Math.round(parseInt(row.total_transactions) / daysSinceGamification) : parseInt(row.total_transactions),
           isActive: daysSinceLastActivity <= 7, // Ativo se teve atividade nos últimos 7 dias
@@ -307,6 +339,7 @@ module.exports = async (req, res) => {
       general: {
         totalUsers: parseInt(generalStats.total_users),
         totalPointsAllUsers: parseInt(generalStats.total_points_all_users),
+        availablePointsAllUsers: parseInt(generalStats.available_points_all_users),
         averagePointsPerUser: Math.round(parseFloat(generalStats.avg_points_per_user) || 0),
         highestPoints: parseInt(generalStats.highest_points),
         lowestPoints: parseInt(generalStats.lowest_points),
@@ -321,7 +354,7 @@ module.exports = async (req, res) => {
         userInTop50: userPosition ? userPosition.position <= 50 : false,
         leaderPoints: ranking.length > 0 ? ranking[0].totalPoints : 0,
         pointsGapToLeader: userPosition ? 
-          (ranking.length > 0 ? ranking[0].totalPoints - userPosition.total_points : 0) : null
+          (ranking.length > 0 ? ranking[0].totalPoints - userPosition.lifetime_points : 0) : null
       },
       activity: {
         activeUsers: ranking.filter(u => u.statistics.isActive).length,
@@ -342,10 +375,12 @@ module.exports = async (req, res) => {
       filters: {
         userId: userId || null,
         limit,
-        sortBy
+        sortBy,
+        scope,
+        region
       },
       sortOptions: {
-        total_points: 'Total de pontos',
+        total_points: 'Total de pontos acumulados',
         current_level: 'Nível atual',
         badges_count: 'Número de distintivos',
         challenges_completed: 'Desafios completados'
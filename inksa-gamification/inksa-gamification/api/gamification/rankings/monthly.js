@@ -1,7 +1,18 @@
 // api/gamification/rankings/monthly.js
-// API para ranking mensal
+// API para ranking mensal (meses encerrados são servidos do snapshot em rankings)
 
 const { query, getUserById } = require('../utils/database');
+const {
+  getRankingPeriod,
+  getRankingPositions,
+  getUserRankingPosition,
+  getRankingStatistics,
+  getTopByCategory,
+  getDailyEvolution
+} = require('../utils/rankings');
+const { getRankingRewardLookup } = require('../utils/rankingRewards');
+const { getRankingScopeUserIds } = require('../utils/friendships');
+const { parseRegion, regionJoin } = require('../utils/regions');
 const { 
   authenticateUser, 
   createResponse, 
@@ -27,23 +38,17 @@ module.exports = async (req, res) => {
     const userId = parseInt(req.query.userId); // Para destacar posição do usuário
     const limit = parseInt(req.query.limit) || 50; // Número de posições no ranking
     const month = req.query.month; // Mês específico (formato: YYYY-MM)
+    const scope = req.query.scope || 'global'; // global ou friends (usuário e seus amigos)
+    const region = req.query.region || null; // Cidade ou cidade/bairro (ex.: sao-paulo/pinheiros)
     
     // Validar limite
     if (limit > 100) {
       return res.status(400).json(createResponse(false, null, 'Limite máximo é 100 posições', 400));
     }
     
-    // Calcular período do mês
-    let monthStart, monthEnd;
-    if (month) {
-      const [year, monthNum] = month.split('-').map(Number);
-      monthStart = new Date(year, monthNum - 1, 1);
-      monthEnd = new Date(year, monthNum, 0, 23, 59, 59, 999);
-    } else {
-      // Mês atual
-      const now = new Date();
-      monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-      monthEnd = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59, 999);
+    // Validar mês informado
+    if (month && !/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      return res.status(400).json(createResponse(false, null, 'month deve estar no formato YYYY-MM', 400));
     }
     
     // Verificar se userId foi fornecido e se o usuário existe
@@ -59,150 +64,59 @@ module.exports = async (req, res) => {
       }
     }
     
+    // Usuários considerados pelo escopo (null = ranking geral) e região (filtrada nas consultas)
+    const scopeUserIds = await getRankingScopeUserIds(scope, userId);
+    const regionFilter = region ? parseRegion(region) : null;
+    
+    // Mês informado ou mês atual
+    // Meses encerrados vêm do snapshot congelado (ou do histórico, até o job congelá-los); o mês atual, dos totais incrementais
+    const period = await getRankingPeriod('monthly', month ? `${month}-01` : null);
+    const monthStart = period.start;
+    const monthEnd = period.end;
+    
     // Obter ranking mensal baseado em pontos ganhos no mês
-    const rankingResult = await query(`
-      WITH monthly_points AS (
-        SELECT 
-          ph.user_id,
-          u.name,
-          u.email,
-          SUM(ph.points_earned) as points_this_month,
-          COUNT(ph.id) as transactions_this_month,
-          COUNT(DISTINCT DATE(ph.created_at)) as active_days,
-          up.total_points,
-          up.current_level,
-          MIN(ph.created_at) as first_activity,
-          MAX(ph.created_at) as last_activity
-        FROM points_history ph
-        JOIN users u ON ph.user_id = u.id
-        JOIN user_points up ON ph.user_id = up.user_id
-        WHERE ph.created_at >= $1 AND ph.created_at <= $2
-        GROUP BY ph.user_id, u.name, u.email, up.total_points, up.current_level
-        HAVING SUM(ph.points_earned) > 0
-      ),
-      ranked_users AS (
-        SELECT 
-          *,
-          ROW_NUMBER() OVER (ORDER BY points_this_month DESC, active_days DESC, total_points DESC, user_id ASC) as position
-        FROM monthly_points
-      )
-      SELECT * FROM ranked_users
-      ORDER BY position
-      LIMIT $3
-    `, [monthStart, monthEnd, limit]);
+    const rankingRows = await getRankingPositions(period, limit, scopeUserIds, regionFilter);
     
     // Obter posição específica do usuário se fornecido
     let userPosition = null;
     if (userId) {
-      const userPositionResult = await query(`
-        WITH monthly_points AS (
-          SELECT 
-            ph.user_id,
-            SUM(ph.points_earned) as points_this_month,
-            COUNT(ph.id) as transactions_this_month,
-            COUNT(DISTINCT DATE(ph.created_at)) as active_days,
-            MIN(ph.created_at) as first_activity,
-            MAX(ph.created_at) as last_activity
-          FROM points_history ph
-          WHERE ph.created_at >= $1 AND ph.created_at <= $2
-          GROUP BY ph.user_id
-          HAVING SUM(ph.points_earned) > 0
-        ),
-        ranked_users AS (
-          SELECT 
-            user_id,
-            points_this_month,
-            transactions_this_month,
-            active_days,
-            first_activity,
-            last_activity,
-            ROW_NUMBER() OVER (ORDER BY points_this_month DESC, active_days DESC, user_id ASC) as position
-          FROM monthly_points
-        )
-        SELECT 
-          ru.*,
-          u.name,
-          u.email,
-          up.total_points,
-          up.current_level
-        FROM ranked_users ru
-        JOIN users u ON ru.user_id = u.id
-        JOIN user_points up ON ru.user_id = up.user_id
-        WHERE ru.user_id = $3
-      `, [monthStart, monthEnd, userId]);
+      const userRow = await getUserRankingPosition(period, userId, scopeUserIds, regionFilter);
       
-      if (userPositionResult.rows.length > 0) {
-        userPosition = userPositionResult.rows[0];
+      if (userRow) {
+        userPosition = {
+          user_id: userRow.user_id,
+          points_this_month: userRow.points,
+          transactions_this_month: userRow.transactions,
+          active_days: userRow.active_days,
+          first_activity: userRow.first_activity,
+          last_activity: userRow.last_activity,
+          position: userRow.position,
+          name: userRow.name,
+          email: userRow.email,
+          lifetime_points: userRow.lifetime_points,
+          current_level: userRow.current_level
+        };
       }
     }
     
     // Obter estatísticas do mês
-    const statsResult = await query(`
-      SELECT 
-        COUNT(DISTINCT ph.user_id) as active_users,
-        SUM(ph.points_earned) as total_points_earned,
-        AVG(ph.points_earned) as avg_points_per_transaction,
-        COUNT(ph.id) as total_transactions,
-        COUNT(DISTINCT DATE(ph.created_at)) as active_days_total,
-        MAX(ph.points_earned) as highest_single_transaction
-      FROM points_history ph
-      WHERE ph.created_at >= $1 AND ph.created_at <= $2
-    `, [monthStart, monthEnd]);
-    
-    const monthStats = statsResult.rows[0];
+    const monthStats = await getRankingStatistics(period, scopeUserIds, regionFilter);
     
     // Obter evolução diária do mês
-    const dailyEvolutionResult = await query(`
-      SELECT 
-        DATE(ph.created_at) as day,
-        SUM(ph.points_earned) as points_day,
-        COUNT(DISTINCT ph.user_id) as active_users_day,
-        COUNT(ph.id) as transactions_day
-      FROM points_history ph
-      WHERE ph.created_at >= $1 AND ph.created_at <= $2
-      GROUP BY DATE(ph.created_at)
-      ORDER BY day
-    `, [monthStart, monthEnd]);
-    
-    const dailyEvolution = dailyEvolutionResult.rows.map(row => ({
-      date: row.day,
-      points: parseInt(row.points_day),
-      activeUsers: parseInt(row.active_users_day),
-      transactions: parseInt(row.transactions_day)
-    }));
-    
-    // Obter top performers por categoria no mês
-    const categoryStatsResult = await query(`
-      SELECT 
-        ph.points_type,
-        ph.user_id,
-        u.name,
-        SUM(ph.points_earned) as points_in_category,
-        COUNT(ph.id) as transactions_in_category,
-        AVG(ph.points_earned) as avg_points_in_category
-      FROM points_history ph
-      JOIN users u ON ph.user_id = u.id
-      WHERE ph.created_at >= $1 AND ph.created_at <= $2
-      GROUP BY ph.points_type, ph.user_id, u.name
-      ORDER BY ph.points_type, points_in_category DESC
-    `, [monthStart, monthEnd]);
-    
-    // Agrupar por categoria e pegar o top 5 de cada
-    const topByCategory = categoryStatsResult.rows.reduce((categories, row) => {
-      if (!categories[row.points_type]) categories[row.points_type] = [];
-      if (categories[row.points_type].length < 5) {
-        categories[row.points_type].push({
-          userId: row.user_id,
-          name: row.name,
-          points: parseInt(row.points_in_category),
-          transactions: parseInt(row.transactions_in_category),
-          averagePoints: Math.round(parseFloat(row.avg_points_in_category))
-        });
-      }
+    const dailyEvolution = await getDailyEvolution(period, scopeUserIds, regionFilter);
+    
+    // Obter top 5 por categoria no mês
+    const categoryStats = await getTopByCategory(period, 5, scopeUserIds, regionFilter);
+    const topByCategory = Object.keys(categoryStats).reduce((categories, pointsType) => {
+      categories[pointsType] = categoryStats[pointsType].map(entry => ({
+        ...entry,
+        averagePoints: Math.round(entry.points / entry.transactions)
+      }));
       return categories;
     }, {});
     
     // Obter distintivos mais conquistados no mês
+    const badgeRegion = regionJoin('ub.user_id', regionFilter, 4);
     const badgeStatsResult = await query(`
       SELECT 
         b.id,
@@ -212,11 +126,13 @@ module.exports = async (req, res) => {
         COUNT(ub.id) as times_earned
       FROM user_badges ub
       JOIN badges b ON ub.badge_id = b.id
+      ${badgeRegion.sql}
       WHERE ub.earned_at >= $1 AND ub.earned_at <= $2
+      AND ($3::integer[] IS NULL OR ub.user_id = ANY($3::integer[]))
       GROUP BY b.id, b.name, b.description, b.icon_url
       ORDER BY times_earned DESC
       LIMIT 5
-    `, [monthStart, monthEnd]);
+    `, [monthStart, monthEnd, scopeUserIds, ...badgeRegion.params]);
     
     const topBadges = badgeStatsResult.rows.map(row => ({
       id: row.id,
@@ -226,22 +142,28 @@ module.exports = async (req, res) => {
       timesEarned: parseInt(row.times_earned)
     }));
     
+    // Prêmio de fim de período de cada posição (pago ou previsto pelas faixas ativas)
+    // O prêmio segue a posição no ranking geral, mesmo com scope ou region
+    const getReward = await getRankingRewardLookup(period);
+    
     // Preparar dados do ranking
-    const ranking = rankingResult.rows.map((row, index) => ({
+    const ranking = rankingRows.map((row, index) => ({
       position: row.position,
+      globalPosition: row.global_position,
       userId: row.user_id,
       name: row.name,
       email: row.email,
-      pointsThisMonth: parseInt(row.points_this_month),
-      transactionsThisMonth: parseInt(row.transactions_this_month),
-      activeDays: parseInt(row.active_days),
-      totalPoints: parseInt(row.total_points),
+      pointsThisMonth: row.points,
+      transactionsThisMonth: row.transactions,
+      activeDays: row.active_days,
+      totalPoints: parseInt(row.lifetime_points),
       currentLevel: row.current_level,
       firstActivity: row.first_activity,
       lastActivity: row.last_activity,
       isCurrentUser: userId === row.user_id,
-      consistency: Math.round((parseInt(row.active_days) / getDaysInMonth(monthStart)) * 100),
-      averagePointsPerDay: Math.round(parseInt(row.points_this_month) / parseInt(row.active_days)),
+      reward: getReward(row.global_position, row.user_id),
+      consistency: Math.round((row.active_days / getDaysInMonth(monthStart)) * 100),
+      averagePointsPerDay: Math.round(row.points / row.active_days),
       badge: (() => {
         if (row.position === 1) return { type: 'gold', name: '👑 Campeão do Mês' };
         if (row.position === 2) return { type: 'silver', name: '🥈 Vice-Campeão' };
@@ -262,10 +184,12 @@ module.exports = async (req, res) => {
         year: monthStart.getFullYear(),
         monthName: monthStart.toLocaleDateString('pt-BR', { month: 'long' }),
         daysInMonth: daysInMonth,
-        isCurrentMonth: isCurrentMonth(monthStart)
+        isCurrentMonth: period.isCurrent,
+        isFinal: period.frozen,
+        frozenAt: period.frozenAt
       },
       participants: {
-        total: parseInt(monthStats.active_users),
+        total: monthStats.activeUsers,
         inRanking: ranking.length,
         userPosition: userPosition ? userPosition.position : null,
         userInTop5: userPosition ? userPosition.position <= 5 : false,
@@ -273,20 +197,20 @@ module.exports = async (req, res) => {
         userInTop50: userPosition ? userPosition.position <= 50 : false
       },
       points: {
-        totalEarned: parseInt(monthStats.total_points_earned),
-        averagePerTransaction: Math.round(parseFloat(monthStats.avg_points_per_transaction) || 0),
+        totalEarned: monthStats.totalPointsEarned,
+        averagePerTransaction: Math.round(monthStats.averagePointsPerTransaction),
         averagePerUser: ranking.length > 0 ? 
-          Math.round(parseInt(monthStats.total_points_earned) / parseInt(monthStats.active_users)) : 0,
-        averagePerDay: Math.round(parseInt(monthStats.total_points_earned) / daysInMonth),
-        highestSingleTransaction: parseInt(monthStats.highest_single_transaction) || 0,
+          Math.round(monthStats.totalPointsEarned / monthStats.activeUsers) : 0,
+        averagePerDay: Math.round(monthStats.totalPointsEarned / daysInMonth),
+        highestSingleTransaction: monthStats.highestSingleTransaction,
         leaderPoints: ranking.length > 0 ? ranking[0].pointsThisMonth : 0
       },
       activity: {
-        totalTransactions: parseInt(monthStats.total_transactions),
-        activeDaysTotal: parseInt(monthStats.active_days_total),
-        averageTransactionsPerUser: parseInt(monthStats.active_users) > 0 ? 
-          Math.round(parseInt(monthStats.total_transactions) / parseInt(monthStats.active_users)) : 0,
-        averageTransactionsPerDay: Math.round(parseInt(monthStats.total_transactions) / daysInMonth),
+        totalTransactions: monthStats.totalTransactions,
+        activeDaysTotal: dailyEvolution.length,
+        averageTransactionsPerUser: monthStats.activeUsers > 0 ? 
+          Math.round(monthStats.totalTransactions / monthStats.activeUsers) : 0,
+        averageTransactionsPerDay: Math.round(monthStats.totalTransactions / daysInMonth),
         peakDay: dailyEvolution.length > 0 ? 
           dailyEvolution.reduce((max, day) => day.points > max.points ? day : max) : null
       }
@@ -303,7 +227,9 @@ module.exports = async (req, res) => {
       filters: {
         userId: userId || null,
         limit,
-        month: month || null
+        month: month || null,
+        scope,
+        region
       }
     };
     
@@ -321,10 +247,3 @@ function getDaysInMonth(date) {
   return new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
 }
 
-// Função auxiliar para verificar se é o mês atual
-function isCurrentMonth(monthStart) {
-  const now = new Date();
-  return now.getFullYear() === monthStart.getFullYear() && 
-         now.getMonth() === monthStart.getMonth();
-}
-
@@ -0,0 +1,82 @@
+// api/gamification/rankings/payouts.js
+// API para o log de prêmios pagos ao fim de cada semana e mês
+
+const { query, getUserById } = require('../utils/database');
+const { PAYOUT_COLUMNS, formatPayout } = require('../utils/rankingRewards');
+const { RANKING_PERIODS } = require('../utils/rankings');
+const {
+  authenticateUser,
+  createResponse,
+  handleError,
+  handleCors
+} = require('../utils/auth');
+
+module.exports = async (req, res) => {
+  try {
+    // Lidar com CORS preflight
+    const corsResponse = handleCors(req);
+    if (corsResponse) return res.status(corsResponse.statusCode).json(corsResponse);
+    
+    // Verificar método HTTP
+    if (req.method !== 'GET') {
+      return res.status(405).json(createResponse(false, null, 'Método não permitido', 405));
+    }
+    
+    // Autenticar usuário ou verificar API key
+    const auth = authenticateUser(req);
+    
+    // Obter parâmetros opcionais
+    const userId = parseInt(req.query.userId) || null; // Prêmios de um usuário
+    const periodType = req.query.periodType || null; // weekly ou monthly
+    const periodStart = req.query.periodStart || null; // Início do período (formato: YYYY-MM-DD)
+    const limit = parseInt(req.query.limit) || 50;
+    const offset = parseInt(req.query.offset) || 0;
+    
+    if (limit > 100) {
+      return res.status(400).json(createResponse(false, null, 'Limite máximo é 100 registros', 400));
+    }
+    
+    if (periodType && !RANKING_PERIODS[periodType]) {
+      return res.status(400).json(createResponse(false, null,
+        `periodType inválido. Tipos válidos: ${Object.keys(RANKING_PERIODS).join(', ')}`, 400));
+    }
+    
+    if (periodStart && (!/^\d{4}-\d{2}-\d{2}$/.test(periodStart) || isNaN(new Date(periodStart).getTime()))) {
+      return res.status(400).json(createResponse(false, null, 'periodStart deve estar no formato YYYY-MM-DD', 400));
+    }
+    
+    // Usuários só podem ver os próprios prêmios; o log completo é interno
+    if (!auth.isInternal && (!userId || auth.userId !== userId)) {
+      return res.status(403).json(createResponse(false, null, 'Não autorizado a ver estes prêmios', 403));
+    }
+    
+    if (userId) {
+      const user = await getUserById(userId);
+      if (!user) {
+        return res.status(404).json(createResponse(false, null, 'Usuário não encontrado', 404));
+      }
+    }
+    
+    const payoutsResult = await query(`
+      SELECT ${PAYOUT_COLUMNS}
+      FROM ranking_payouts
+      WHERE ($1::integer IS NULL OR user_id = $1)
+      AND ($2::text IS NULL OR period_type = $2)
+      AND ($3::date IS NULL OR period_start = $3::date)
+      ORDER BY period_start DESC, period_type, position
+      LIMIT $4 OFFSET $5
+    `, [userId, periodType, periodStart, limit, offset]);
+    
+    // Retornar resposta de sucesso
+    return res.status(200).json(createResponse(true, {
+      payouts: payoutsResult.rows.map(formatPayout),
+      filters: { userId, periodType, periodStart },
+      pagination: { limit, offset }
+    }, 'Prêmios de ranking obtidos com sucesso'));
+    
+  } catch (error) {
+    const errorResponse = handleError(error, 'get ranking payouts');
+    return res.status(errorResponse.statusCode).json(errorResponse);
+  }
+};
+
@@ -0,0 +1,178 @@
+// api/gamification/rankings/rewards.js
+// API interna para as faixas de premiação dos rankings (GET lista, POST cria, PUT atualiza, DELETE desativa)
+
+const { query } = require('../utils/database');
+const {
+  TIER_COLUMNS,
+  validateRewardTier,
+  formatRewardTier
+} = require('../utils/rankingRewards');
+const {
+  authenticateUser,
+  validateRequiredParams,
+  validateDataTypes,
+  sanitizeInput,
+  createResponse,
+  handleError,
+  handleCors
+} = require('../utils/auth');
+
+module.exports = async (req, res) => {
+  try {
+    // Lidar com CORS preflight
+    const corsResponse = handleCors(req);
+    if (corsResponse) return res.status(corsResponse.statusCode).json(corsResponse);
+    
+    // Verificar método HTTP
+    if (!['GET', 'POST', 'PUT', 'DELETE'].includes(req.method)) {
+      return res.status(405).json(createResponse(false, null, 'Método não permitido', 405));
+    }
+    
+    // Autenticar usuário ou verificar API key
+    const auth = authenticateUser(req);
+    
+    // Apenas serviços internos podem administrar a premiação
+    if (!auth.isInternal) {
+      return res.status(403).json(createResponse(false, null, 'Apenas chamadas internas podem administrar a premiação dos rankings', 403));
+    }
+    
+    if (req.method === 'POST') {
+      return await createTier(req, res);
+    }
+    
+    if (req.method === 'PUT') {
+      return await updateTier(req, res);
+    }
+    
+    if (req.method === 'DELETE') {
+      return await deactivateTier(req, res);
+    }
+    
+    // Listar faixas com o total já pago (includeInactive=true lista também as desativadas)
+    const periodType = req.query.periodType || null;
+    const includeInactive = req.query.includeInactive === 'true';
+    
+    const tiersResult = await query(`
+      SELECT
+        t.id, t.period_type, t.position_from, t.position_to, t.points, t.badge_id, t.is_active,
+        t.created_at, t.updated_at,
+        COUNT(p.id) as times_paid,
+        COALESCE(SUM(p.points), 0) as points_paid
+      FROM ranking_reward_tiers t
+      LEFT JOIN ranking_payouts p ON p.tier_id = t.id
+      WHERE ($1::text IS NULL OR t.period_type = $1)
+      AND ($2 OR t.is_active = true)
+      GROUP BY t.id
+      ORDER BY t.period_type, t.position_from, t.id
+    `, [periodType, includeInactive]);
+    
+    const tiers = tiersResult.rows.map(row => ({
+      ...formatRewardTier(row),
+      timesPaid: parseInt(row.times_paid),
+      pointsPaid: parseInt(row.points_paid)
+    }));
+    
+    // Retornar resposta de sucesso
+    return res.status(200).json(createResponse(true, { tiers }, 'Faixas de premiação obtidas com sucesso'));
+    
+  } catch (error) {
+    const errorResponse = handleError(error, 'manage ranking rewards');
+    return res.status(errorResponse.statusCode).json(errorResponse);
+  }
+};
+
+// Tipos esperados no corpo das requisições de faixa
+const TIER_BODY_TYPES = {
+  periodType: 'string',
+  positionFrom: 'integer',
+  positionTo: 'integer',
+  points: 'integer',
+  badgeId: 'integer',
+  isActive: 'boolean'
+};
+
+// Função para criar uma faixa de premiação
+async function createTier(req, res) {
+  // Sanitizar entrada
+  const body = sanitizeInput(req.body);
+  
+  // Validar parâmetros obrigatórios
+  validateRequiredParams(body, ['periodType', 'positionFrom', 'positionTo']);
+  
+  // Validar tipos de dados
+  validateDataTypes(body, TIER_BODY_TYPES);
+  
+  const tier = await validateRewardTier(body);
+  
+  const insertResult = await query(`
+    INSERT INTO ranking_reward_tiers (period_type, position_from, position_to, points, badge_id, is_active)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING ${TIER_COLUMNS}
+  `, [tier.periodType, tier.positionFrom, tier.positionTo, tier.points, tier.badgeId, tier.isActive]);
+  
+  // Retornar resposta de sucesso
+  return res.status(201).json(createResponse(true, formatRewardTier(insertResult.rows[0]), 'Faixa de premiação criada com sucesso', 201));
+}
+
+// Função para atualizar uma faixa de premiação
+// Campos omitidos mantêm o valor atual; a alteração vale para os próximos pagamentos
+async function updateTier(req, res) {
+  // Sanitizar entrada
+  const body = sanitizeInput(req.body);
+  
+  // Validar parâmetros obrigatórios
+  validateRequiredParams(body, ['id']);
+  
+  // Validar tipos de dados
+  validateDataTypes(body, { id: 'integer', ...TIER_BODY_TYPES });
+  
+  const id = parseInt(body.id);
+  
+  const existingResult = await query(`SELECT ${TIER_COLUMNS} FROM ranking_reward_tiers WHERE id = $1`, [id]);
+  if (existingResult.rows.length === 0) {
+    return res.status(404).json(createResponse(false, null, 'Faixa de premiação não encontrada', 404));
+  }
+  
+  // Validar a faixa resultante, com os campos atuais como base
+  const current = formatRewardTier(existingResult.rows[0]);
+  const merged = { ...current };
+  for (const key of Object.keys(TIER_BODY_TYPES)) {
+    if (body[key] !== undefined) merged[key] = body[key];
+  }
+  const tier = await validateRewardTier(merged, id);
+  
+  const updateResult = await query(`
+    UPDATE ranking_reward_tiers
+    SET period_type = $1, position_from = $2, position_to = $3, points = $4, badge_id = $5, is_active = $6,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $7
+    RETURNING ${TIER_COLUMNS}
+  `, [tier.periodType, tier.positionFrom, tier.positionTo, tier.points, tier.badgeId, tier.isActive, id]);
+  
+  // Retornar resposta de sucesso
+  return res.status(200).json(createResponse(true, formatRewardTier(updateResult.rows[0]), 'Faixa de premiação atualizada com sucesso'));
+}
+
+// Função para desativar uma faixa de premiação (pagamentos já feitos são mantidos)
+async function deactivateTier(req, res) {
+  const id = parseInt(req.query.id);
+  
+  if (!id) {
+    return res.status(400).json(createResponse(false, null, 'id é obrigatório', 400));
+  }
+  
+  const updateResult = await query(`
+    UPDATE ranking_reward_tiers
+    SET is_active = false, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING ${TIER_COLUMNS}
+  `, [id]);
+  
+  if (updateResult.rows.length === 0) {
+    return res.status(404).json(createResponse(false, null, 'Faixa de premiação não encontrada', 404));
+  }
+  
+  // Retornar resposta de sucesso
+  return res.status(200).json(createResponse(true, formatRewardTier(updateResult.rows[0]), 'Faixa de premiação desativada com sucesso'));
+}
+
@@ -0,0 +1,60 @@
+// api/gamification/rankings/snapshot.js
+// Job agendado (Vercel Cron) para congelar em rankings as semanas e meses encerrados e pagar os prêmios
+
+const { RANKING_PERIODS, freezeClosedRankingPeriods } = require('../utils/rankings');
+const { payPendingRankingRewards } = require('../utils/rankingRewards');
+const {
+  authenticateCron,
+  createResponse,
+  handleError,
+  handleCors
+} = require('../utils/auth');
+
+module.exports = async (req, res) => {
+  try {
+    // Lidar com CORS preflight
+    const corsResponse = handleCors(req);
+    if (corsResponse) return res.status(corsResponse.statusCode).json(corsResponse);
+    
+    // Verificar método HTTP (o Vercel Cron usa GET)
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      return res.status(405).json(createResponse(false, null, 'Método não permitido', 405));
+    }
+    
+    // Autenticar execução agendada ou chamada interna
+    authenticateCron(req);
+    
+    // since (YYYY-MM-DD) permite congelar períodos mais antigos que a janela padrão
+    const since = req.query.since;
+    if (since && (!/^\d{4}-\d{2}-\d{2}$/.test(since) || isNaN(new Date(since).getTime()))) {
+      return res.status(400).json(createResponse(false, null, 'since deve estar no formato YYYY-MM-DD', 400));
+    }
+    
+    // Congelar os períodos encerrados sem snapshot (períodos já congelados são ignorados)
+    const frozen = [];
+    for (const periodType of Object.keys(RANKING_PERIODS)) {
+      const periods = await freezeClosedRankingPeriods(periodType, since || null);
+      frozen.push(...periods);
+    }
+    
+    // Premiar as primeiras posições dos períodos congelados (vencedores já pagos são ignorados)
+    const rewarded = [];
+    for (const periodType of Object.keys(RANKING_PERIODS)) {
+      const periods = await payPendingRankingRewards(periodType);
+      rewarded.push(...periods);
+    }
+    
+    // Retornar resposta de sucesso
+    return res.status(200).json(createResponse(true, {
+      periodsFrozen: frozen.length,
+      frozen,
+      periodsRewarded: rewarded.length,
+      rewarded
+    }, 'Rankings congelados e premiados com sucesso'));
+    
+  } catch (error) {
+    const errorResponse = handleError(error, 'freeze rankings');
+    return res.status(errorResponse.statusCode).json(errorResponse);
+  }
+};
+
@@ -1,7 +1,17 @@
 // api/gamification/rankings/weekly.js
-// API para ranking semanal
+// API para ranking semanal (semanas encerradas são servidas do snapshot em rankings)
 
-const { query, getUserById } = require('../utils/database');
+const { getUserById } = require('../utils/database');
+const {
+  getRankingPeriod,
+  getRankingPositions,
+  getUserRankingPosition,
+  getRankingStatistics,
+  getTopByCategory
+} = require('../utils/rankings');
+const { getRankingRewardLookup } = require('../utils/rankingRewards');
+const { getRankingScopeUserIds } = require('../utils/friendships');
+const { parseRegion } = require('../utils/regions');
 const { 
   authenticateUser, 
   createResponse, 
@@ -27,32 +37,17 @@ module.exports = async (req, res) => {
     const userId = parseInt(req.query.userId); // Para destacar posição do usuário
     const limit = parseInt(req.query.limit) || 50; // Número de posições no ranking
     const week = req.query.week; // Semana específica (formato: YYYY-MM-DD)
+    const scope = req.query.scope || 'global'; // global ou friends (usuário e seus amigos)
+    const region = req.query.region || null; // Cidade ou cidade/bairro (ex.: sao-paulo/pinheiros)
     
     // Validar limite
     if (limit > 100) {
       return res.status(400).json(createResponse(false, null, 'Limite máximo é 100 posições', 400));
     }
     
-    // Calcular período da semana
-    let weekStart, weekEnd;
-    if (week) {
-      weekStart = new Date(week);
-      weekEnd = new Date(weekStart);
-      weekEnd.setDate(weekEnd.getDate() + 6);
-      weekEnd.setHours(23, 59, 59, 999);
-    } else {
-      // Semana atual (segunda a domingo)
-      const now = new Date();
-      const dayOfWeek = now.getDay(); // 0 = domingo, 1 = segunda, etc.
-      const daysToMonday = dayOfWeek === 0 ? 6 : dayOfWeek - 1; // Ajustar para segunda-feira
-      
-      weekStart = new Date(now);
-      weekStart.setDate(now.getDate() - daysToMonday);
-      weekStart.setHours(0, 0, 0, 0);
-      
-      weekEnd = new Date(weekStart);
-      weekEnd.setDate(weekStart.getDate() + 6);
-      weekEnd.setHours(23, 59, 59, 999);
+    // Validar semana informada
+    if (week && (!/^\d{4}-\d{2}-\d{2}$/.test(week) || isNaN(new Date(week).getTime()))) {
+      return res.status(400).json(createResponse(false, null, 'week deve estar no formato YYYY-MM-DD', 400));
     }
     
     // Verificar se userId foi fornecido e se o usuário existe
@@ -68,128 +63,61 @@ module.exports = async (req, res) => {
       }
     }
     
+    // Usuários considerados pelo escopo (null = ranking geral) e região (filtrada nas consultas)
+    const scopeUserIds = await getRankingScopeUserIds(scope, userId);
+    const regionFilter = region ? parseRegion(region) : null;
+    
+    // Semana (segunda a domingo) que contém a data informada ou a semana atual
+    // Semanas encerradas vêm do snapshot congelado (ou do histórico, até o job congelá-las); a semana atual, dos totais incrementais
+    const period = await getRankingPeriod('weekly', week || null);
+    const weekStart = period.start;
+    const weekEnd = period.end;
+    
     // Obter ranking semanal baseado em pontos ganhos na semana
-    const rankingResult = await query(`
-      WITH weekly_points AS (
-        SELECT 
-          ph.user_id,
-          u.name,
-          u.email,
-          SUM(ph.points_earned) as points_this_week,
-          COUNT(ph.id) as transactions_this_week,
-          up.total_points,
-          up.current_level
-        FROM points_history ph
-        JOIN users u ON ph.user_id = u.id
-        JOIN user_points up ON ph.user_id = up.user_id
-        WHERE ph.created_at >= $1 AND ph.created_at <= $2
-        GROUP BY ph.user_id, u.name, u.email, up.total_points, up.current_level
-        HAVING SUM(ph.points_earned) > 0
-      ),
-      ranked_users AS (
-        SELECT 
-          *,
-          ROW_NUMBER() OVER (ORDER BY points_this_week DESC, total_points DESC, user_id ASC) as position
-        FROM weekly_points
-      )
-      SELECT * FROM ranked_users
-      ORDER BY position
-      LIMIT $3
-    `, [weekStart, weekEnd, limit]);
+    const rankingRows = await getRankingPositions(period, limit, scopeUserIds, regionFilter);
     
     // Obter posição específica do usuário se fornecido
     let userPosition = null;
     if (userId) {
-      const userPositionResult = await query(`
-        WITH weekly_points AS (
-          SELECT 
-            ph.user_id,
-            SUM(ph.points_earned) as points_this_week,
-            COUNT(ph.id) as transactions_this_week
-          FROM points_history ph
-          WHERE ph.created_at >= $1 AND ph.created_at <= $2
-          GROUP BY ph.user_id
-          HAVING SUM(ph.points_earned) > 0
-        ),
-        ranked_users AS (
-          SELECT 
-            user_id,
-            points_this_week,
-            transactions_this_week,
-            ROW_NUMBER() OVER (ORDER BY points_this_week DESC, user_id ASC) as position
-          FROM weekly_points
-        )
-        SELECT 
-          ru.*,
-          u.name,
-          u.email,
-          up.total_points,
-          up.current_level
-        FROM ranked_users ru
-        JOIN users u ON ru.user_id = u.id
-        JOIN user_points up ON ru.user_id = up.user_id
-        WHERE ru.user_id = $3
-      `, [weekStart, weekEnd, userId]);
+      const userRow = await getUserRankingPosition(period, userId, scopeUserIds, regionFilter);
       
-      if (userPositionResult.rows.length > 0) {
-        userPosition = userPositionResult.rows[0];
+      if (userRow) {
+        userPosition = {
+          user_id: userRow.user_id,
+          points_this_week: userRow.points,
+          transactions_this_week: userRow.transactions,
+          position: userRow.position,
+          name: userRow.name,
+          email: userRow.email,
+          lifetime_points: userRow.lifetime_points,
+          current_level: userRow.current_level
+        };
       }
     }
     
     // Obter estatísticas da semana
-    const statsResult = await query(`
-      SELECT 
-        COUNT(DISTINCT ph.user_id) as active_users,
-        SUM(ph.points_earned) as total_points_earned,
-        AVG(ph.points_earned) as avg_points_per_transaction,
-        COUNT(ph.id) as total_transactions,
-        MAX(ph.points_earned) as highest_single_transaction
-      FROM points_history ph
-      WHERE ph.created_at >= $1 AND ph.created_at <= $2
-    `, [weekStart, weekEnd]);
+    const weekStats = await getRankingStatistics(period, scopeUserIds, regionFilter);
     
-    const weekStats = statsResult.rows[0];
+    // Obter top 3 por categoria
+    const topByCategory = await getTopByCategory(period, 3, scopeUserIds, regionFilter);
     
-    // Obter top performers por categoria
-    const categoryStatsResult = await query(`
-      SELECT 
-        ph.points_type,
-        ph.user_id,
-        u.name,
-        SUM(ph.points_earned) as points_in_category,
-        COUNT(ph.id) as transactions_in_category
-      FROM points_history ph
-      JOIN users u ON ph.user_id = u.id
-      WHERE ph.created_at >= $1 AND ph.created_at <= $2
-      GROUP BY ph.points_type, ph.user_id, u.name
-      ORDER BY ph.points_type, points_in_category DESC
-    `, [weekStart, weekEnd]);
-    
-    // Agrupar por categoria e pegar o top 3 de cada
-    const topByCategory = categoryStatsResult.rows.reduce((categories, row) => {
-      if (!categories[row.points_type]) categories[row.points_type] = [];
-      if (categories[row.points_type].length < 3) {
-        categories[row.points_type].push({
-          userId: row.user_id,
-          name: row.name,
-          points: parseInt(row.points_in_category),
-          transactions: parseInt(row.transactions_in_category)
-        });
-      }
-      return categories;
-    }, {});
+    // Prêmio de fim de período de cada posição (pago ou previsto pelas faixas ativas)
+    // O prêmio segue a posição no ranking geral, mesmo com scope ou region
+    const getReward = await getRankingRewardLookup(period);
     
     // Preparar dados do ranking
-    const ranking = rankingResult.rows.map((row, index) => ({
+    const ranking = rankingRows.map((row, index) => ({
       position: row.position,
+      globalPosition: row.global_position,
       userId: row.user_id,
       name: row.name,
       email: row.email,
-      pointsThisWeek: parseInt(row.points_this_week),
-      transactionsThisWeek: parseInt(row.transactions_this_week),
-      totalPoints: parseInt(row.total_points),
+      pointsThisWeek: row.points,
+      transactionsThisWeek: row.transactions,
+      totalPoints: parseInt(row.lifetime_points),
       currentLevel: row.current_level,
       isCurrentUser: userId === row.user_id,
+      reward: getReward(row.global_position, row.user_id),
       badge: (() => {
         if (row.position === 1) return { type: 'gold', name: '🥇 Campeão da Semana' };
         if (row.position === 2) return { type: 'silver', name: '🥈 Vice-Campeão' };
@@ -206,27 +134,29 @@ module.exports = async (req, res) => {
         end: weekEnd,
         weekNumber: getWeekNumber(weekStart),
         year: weekStart.getFullYear(),
-        isCurrentWeek: isCurrentWeek(weekStart, weekEnd)
+        isCurrentWeek: period.isCurrent,
+        isFinal: period.frozen,
+        frozenAt: period.frozenAt
       },
       participants: {
-        total: parseInt(weekStats.active_users),
+        total: weekStats.activeUsers,
         inRanking: ranking.length,
         userPosition: userPosition ? userPosition.position : null,
         userInTop10: userPosition ? userPosition.position <= 10 : false,
         userInTop50: userPosition ? userPosition.position <= 50 : false
       },
       points: {
-        totalEarned: parseInt(weekStats.total_points_earned),
-        averagePerTransaction: Math.round(parseFloat(weekStats.avg_points_per_transaction) || 0),
+        totalEarned: weekStats.totalPointsEarned,
+        averagePerTransaction: Math.round(weekStats.averagePointsPerTransaction),
         averagePerUser: ranking.length > 0 ? 
-          Math.round(parseInt(weekStats.total_points_earned) / parseInt(weekStats.active_users)) : 0,
-        highestSingleTransaction: parseInt(weekStats.highest_single_transaction) || 0,
+          Math.round(weekStats.totalPointsEarned / weekStats.activeUsers) : 0,
+        highestSingleTransaction: weekStats.highestSingleTransaction,
         leaderPoints: ranking.length > 0 ? ranking[0].pointsThisWeek : 0
       },
       transactions: {
-        total: parseInt(weekStats.total_transactions),
-        averagePerUser: parseInt(weekStats.active_users) > 0 ? 
-          Math.round(parseInt(weekStats.total_transactions) / parseInt(weekStats.active_users)) : 0
+        total: weekStats.totalTransactions,
+        averagePerUser: weekStats.activeUsers > 0 ? 
+          Math.round(weekStats.totalTransactions / weekStats.activeUsers) : 0
       }
     };
     
@@ -239,7 +169,9 @@ module.exports = async (req, res) => {
       filters: {
         userId: userId || null,
         limit,
-        week: week || null
+        week: week || null,
+        scope,
+        region
       }
     };
     
@@ -261,9 +193,3 @@ function getWeekNumber(date) {
   return Math.ceil((((d - yearStart) / 86400000) + 1) / 7);
 }
 
-// Função auxiliar para verificar se é a semana atual
-function isCurrentWeek(weekStart, weekEnd) {
-  const now = new Date();
-  return now >= weekStart && now <= weekEnd;
-}
-
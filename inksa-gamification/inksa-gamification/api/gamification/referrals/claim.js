@@ -0,0 +1,66 @@
+// api/gamification/referrals/claim.js
+// API para registrar, no cadastro, o código de indicação informado pelo novo usuário
+
+const { getUserById } = require('../utils/database');
+const { claimReferral } = require('../utils/referrals');
+const { 
+  authenticateUser, 
+  validateRequiredParams, 
+  validateDataTypes,
+  sanitizeInput,
+  createResponse, 
+  handleError, 
+  handleCors 
+} = require('../utils/auth');
+
+module.exports = async (req, res) => {
+  try {
+    // Lidar com CORS preflight
+    const corsResponse = handleCors(req);
+    if (corsResponse) return res.status(corsResponse.statusCode).json(corsResponse);
+    
+    // Verificar método HTTP
+    if (req.method !== 'POST') {
+      return res.status(405).json(createResponse(false, null, 'Método não permitido', 405));
+    }
+    
+    // Autenticar usuário ou verificar API key
+    const auth = authenticateUser(req);
+    
+    // Sanitizar entrada
+    const body = sanitizeInput(req.body);
+    
+    // Validar parâmetros obrigatórios
+    validateRequiredParams(body, ['userId', 'code']);
+    
+    // Validar tipos de dados
+    validateDataTypes(body, {
+      userId: 'integer',
+      code: 'string'
+    });
+    
+    const userId = parseInt(body.userId);
+    
+    // Verificar se o usuário existe
+    const user = await getUserById(userId);
+    if (!user) {
+      return res.status(404).json(createResponse(false, null, 'Usuário não encontrado', 404));
+    }
+    
+    // Verificar autorização (usuário só pode informar o código no próprio cadastro, exceto chamadas internas)
+    if (!auth.isInternal && auth.userId !== userId) {
+      return res.status(403).json(createResponse(false, null, 'Não autorizado a registrar indicação para este usuário', 403));
+    }
+    
+    // Registrar indicação (converte no primeiro pedido entregue)
+    const referral = await claimReferral(userId, body.code);
+    
+    // Retornar resposta de sucesso
+    return res.status(201).json(createResponse(true, referral, 'Indicação registrada com sucesso', 201));
+    
+  } catch (error) {
+    const errorResponse = handleError(error, 'claim referral');
+    return res.status(errorResponse.statusCode).json(errorResponse);
+  }
+};
+
@@ -0,0 +1,102 @@
+// api/gamification/referrals/index.js
+// API para obter o código de indicação do usuário e as indicações feitas por ele
+
+const { query, getUserById } = require('../utils/database');
+const { 
+  getOrCreateReferralCode, 
+  formatReferral, 
+  REFEREE_WELCOME_POINTS 
+} = require('../utils/referrals');
+const { EVENT_RULES } = require('../utils/rules');
+const { 
+  authenticateUser, 
+  createResponse, 
+  handleError, 
+  handleCors 
+} = require('../utils/auth');
+
+module.exports = async (req, res) => {
+  try {
+    // Lidar com CORS preflight
+    const corsResponse = handleCors(req);
+    if (corsResponse) return res.status(corsResponse.statusCode).json(corsResponse);
+    
+    // Verificar método HTTP
+    if (req.method !== 'GET') {
+      return res.status(405).json(createResponse(false, null, 'Método não permitido', 405));
+    }
+    
+    // Autenticar usuário ou verificar API key
+    const auth = authenticateUser(req);
+    
+    // Obter userId dos parâmetros da query
+    const userId = parseInt(req.query.userId);
+    
+    // Validar parâmetros obrigatórios
+    if (!userId) {
+      return res.status(400).json(createResponse(false, null, 'userId é obrigatório', 400));
+    }
+    
+    // Verificar se o usuário existe
+    const user = await getUserById(userId);
+    if (!user) {
+      return res.status(404).json(createResponse(false, null, 'Usuário não encontrado', 404));
+    }
+    
+    // Verificar autorização (usuário só pode ver suas próprias indicações, exceto chamadas internas)
+    if (!auth.isInternal && auth.userId !== userId) {
+      return res.status(403).json(createResponse(false, null, 'Não autorizado a ver indicações deste usuário', 403));
+    }
+    
+    // Código de indicação (criado no primeiro acesso)
+    const code = await getOrCreateReferralCode(userId);
+    
+    // Indicações feitas pelo usuário
+    const referralsResult = await query(`
+      SELECT r.id, r.referrer_id, r.referee_id, r.code, r.status, r.claimed_at, r.converted_at,
+             r.reversed_at, r.conversion_order_id, u.name as referee_name
+      FROM referrals r
+      JOIN users u ON u.id = r.referee_id
+      WHERE r.referrer_id = $1
+      ORDER BY r.claimed_at DESC
+    `, [userId]);
+    
+    // Indicação pela qual o próprio usuário chegou, se houver
+    const referredByResult = await query(`
+      SELECT id, referrer_id, referee_id, code, status, claimed_at, converted_at, reversed_at, conversion_order_id
+      FROM referrals
+      WHERE referee_id = $1
+    `, [userId]);
+    
+    const referrals = referralsResult.rows.map(row => ({
+      ...formatReferral(row),
+      refereeName: row.referee_name
+    }));
+    
+    // Preparar resposta
+    const responseData = {
+      userId,
+      code,
+      stats: {
+        total: referrals.length,
+        pending: referrals.filter(referral => referral.status === 'pending').length,
+        converted: referrals.filter(referral => referral.status === 'converted').length,
+        reversed: referrals.filter(referral => referral.status === 'reversed').length
+      },
+      rewards: {
+        referrerPoints: EVENT_RULES['referral.converted'].points,
+        refereePoints: REFEREE_WELCOME_POINTS
+      },
+      referrals,
+      referredBy: referredByResult.rows[0] ? formatReferral(referredByResult.rows[0]) : null
+    };
+    
+    // Retornar resposta de sucesso
+    return res.status(200).json(createResponse(true, responseData, 'Indicações obtidas com sucesso'));
+    
+  } catch (error) {
+    const errorResponse = handleError(error, 'get referrals');
+    return res.status(errorResponse.statusCode).json(errorResponse);
+  }
+};
+
@@ -0,0 +1,110 @@
+// api/gamification/regions/index.js
+// API da região do usuário usada nos rankings por região (GET consulta, PUT informa, DELETE remove)
+
+const { getUserById } = require('../utils/database');
+const {
+  getUserRegion,
+  setUserRegion,
+  removeUserRegion
+} = require('../utils/regions');
+const {
+  authenticateUser,
+  validateRequiredParams,
+  validateDataTypes,
+  sanitizeInput,
+  createResponse,
+  handleError,
+  handleCors
+} = require('../utils/auth');
+
+module.exports = async (req, res) => {
+  try {
+    // Lidar com CORS preflight
+    const corsResponse = handleCors(req);
+    if (corsResponse) return res.status(corsResponse.statusCode).json(corsResponse);
+    
+    // Verificar método HTTP
+    if (!['GET', 'PUT', 'DELETE'].includes(req.method)) {
+      return res.status(405).json(createResponse(false, null, 'Método não permitido', 405));
+    }
+    
+    // Autenticar usuário ou verificar API key
+    const auth = authenticateUser(req);
+    
+    if (req.method === 'PUT') {
+      return await updateRegion(req, res, auth);
+    }
+    
+    // Obter userId dos parâmetros da query
+    const userId = parseInt(req.query.userId);
+    
+    // Validar parâmetros obrigatórios
+    if (!userId) {
+      return res.status(400).json(createResponse(false, null, 'userId é obrigatório', 400));
+    }
+    
+    // Verificar autorização (usuário só pode ver e alterar a própria região, exceto chamadas internas)
+    if (!auth.isInternal && auth.userId !== userId) {
+      return res.status(403).json(createResponse(false, null, 'Não autorizado a ver informações deste usuário', 403));
+    }
+    
+    if (req.method === 'DELETE') {
+      const removed = await removeUserRegion(userId);
+      if (!removed) {
+        return res.status(404).json(createResponse(false, null, 'Região do usuário não encontrada', 404));
+      }
+      
+      // Retornar resposta de sucesso
+      return res.status(200).json(createResponse(true, removed, 'Região removida com sucesso'));
+    }
+    
+    // Verificar se o usuário existe
+    const user = await getUserById(userId);
+    if (!user) {
+      return res.status(404).json(createResponse(false, null, 'Usuário não encontrado', 404));
+    }
+    
+    const region = await getUserRegion(userId);
+    
+    // Retornar resposta de sucesso
+    return res.status(200).json(createResponse(true, { userId, region }, 'Região obtida com sucesso'));
+    
+  } catch (error) {
+    const errorResponse = handleError(error, 'manage user region');
+    return res.status(errorResponse.statusCode).json(errorResponse);
+  }
+};
+
+// Função para informar a região do usuário (tem prioridade sobre o endereço de entrega)
+async function updateRegion(req, res, auth) {
+  // Sanitizar entrada
+  const body = sanitizeInput(req.body);
+  
+  // Validar parâmetros obrigatórios
+  validateRequiredParams(body, ['userId', 'city']);
+  
+  // Validar tipos de dados
+  validateDataTypes(body, {
+    userId: 'integer',
+    city: 'string',
+    neighborhood: 'string'
+  });
+  
+  const userId = parseInt(body.userId);
+  
+  // Verificar autorização (usuário só pode alterar a própria região, exceto chamadas internas)
+  if (!auth.isInternal && auth.userId !== userId) {
+    return res.status(403).json(createResponse(false, null, 'Não autorizado a alterar a região deste usuário', 403));
+  }
+  
+  const user = await getUserById(userId);
+  if (!user) {
+    return res.status(404).json(createResponse(false, null, 'Usuário não encontrado', 404));
+  }
+  
+  const region = await setUserRegion(userId, { city: body.city, neighborhood: body.neighborhood }, 'manual');
+  
+  // Retornar resposta de sucesso
+  return res.status(200).json(createResponse(true, { userId, region }, 'Região atualizada com sucesso'));
+}
+
@@ -0,0 +1,150 @@
+// api/gamification/rewards/index.js
+// API para listar o catálogo de recompensas
+
+const { query, getUserPoints } = require('../utils/database');
+const { REWARD_TYPES } = require('../utils/rewards');
+const { 
+  authenticateUser, 
+  createResponse, 
+  handleError, 
+  handleCors 
+} = require('../utils/auth');
+
+module.exports = async (req, res) => {
+  try {
+    // Lidar com CORS preflight
+    const corsResponse = handleCors(req);
+    if (corsResponse) return res.status(corsResponse.statusCode).json(corsResponse);
+    
+    // Verificar método HTTP
+    if (req.method !== 'GET') {
+      return res.status(405).json(createResponse(false, null, 'Método não permitido', 405));
+    }
+    
+    // Autenticar usuário ou verificar API key
+    const auth = authenticateUser(req);
+    
+    // Obter parâmetros opcionais
+    const userId = parseInt(req.query.userId); // Para indicar o que o usuário pode resgatar
+    const rewardType = req.query.type; // Filtrar por tipo (coupon, free_delivery, partner_item)
+    
+    if (rewardType && !REWARD_TYPES[rewardType]) {
+      return res.status(400).json(createResponse(false, null, 'Tipo de recompensa inválido', 400));
+    }
+    
+    // Obter recompensas ativas e dentro do período de resgate
+    let rewardsQuery = `
+      SELECT 
+        id,
+        name,
+        description,
+        reward_type,
+        points_cost,
+        stock,
+        per_user_limit,
+        reward_value,
+        partner_name,
+        image_url,
+        starts_at,
+        ends_at
+      FROM rewards 
+      WHERE is_active = true 
+      AND (starts_at IS NULL OR starts_at <= CURRENT_TIMESTAMP) 
+      AND (ends_at IS NULL OR ends_at >= CURRENT_TIMESTAMP)
+    `;
+    
+    const queryParams = [];
+    
+    if (rewardType) {
+      rewardsQuery += ` AND reward_type = $${queryParams.length + 1}`;
+      queryParams.push(rewardType);
+    }
+    
+    rewardsQuery += ` ORDER BY points_cost ASC, name ASC`;
+    
+    const rewardsResult = await query(rewardsQuery, queryParams);
+    
+    // Se userId foi fornecido, obter saldo e resgates do usuário
+    let availablePoints = null;
+    let userRedemptions = {};
+    if (userId) {
+      // Verificar autorização se não for chamada interna
+      if (!auth.isInternal && auth.userId !== userId) {
+        return res.status(403).json(createResponse(false, null, 'Não autorizado a ver informações deste usuário', 403));
+      }
+      
+      const userPoints = await getUserPoints(userId);
+      availablePoints = userPoints.available_points;
+      
+      const redemptionsResult = await query(`
+        SELECT reward_id, SUM(quantity) as redeemed 
+        FROM reward_redemptions 
+        WHERE user_id = $1 
+        GROUP BY reward_id
+      `, [userId]);
+      
+      userRedemptions = redemptionsResult.rows.reduce((redemptions, row) => {
+        redemptions[row.reward_id] = parseInt(row.redeemed);
+        return redemptions;
+      }, {});
+    }
+    
+    // Preparar dados das recompensas
+    const rewards = rewardsResult.rows.map(reward => {
+      const redeemedByUser = userRedemptions[reward.id] || 0;
+      const inStock = reward.stock === null || reward.stock > 0;
+      const withinUserLimit = reward.per_user_limit === null || redeemedByUser < reward.per_user_limit;
+      
+      return {
+        id: reward.id,
+        name: reward.name,
+        description: reward.description,
+        type: reward.reward_type,
+        pointsCost: reward.points_cost,
+        value: reward.reward_value,
+        partnerName: reward.partner_name,
+        imageUrl: reward.image_url,
+        stock: reward.stock,
+        inStock,
+        perUserLimit: reward.per_user_limit,
+        redeemedByUser: userId ? redeemedByUser : null,
+        availableUntil: reward.ends_at,
+        canRedeem: userId ? 
+          inStock && withinUserLimit && availablePoints >= reward.points_cost : null,
+        pointsMissing: userId ? Math.max(0, reward.points_cost - availablePoints) : null
+      };
+    });
+    
+    // Agrupar por tipo
+    const rewardsByType = rewards.reduce((types, reward) => {
+      if (!types[reward.type]) types[reward.type] = [];
+      types[reward.type].push(reward);
+      return types;
+    }, {});
+    
+    // Preparar resposta
+    const responseData = {
+      rewards,
+      rewardsByType,
+      availablePoints,
+      statistics: {
+        totalRewards: rewards.length,
+        redeemableNow: userId ? rewards.filter(r => r.canRedeem).length : null,
+        cheapestReward: rewards.length > 0 ? rewards[0].pointsCost : null
+      },
+      filters: {
+        userId: userId || null,
+        type: rewardType || null
+      },
+      rewardTypes: REWARD_TYPES
+    };
+    
+    // Retornar resposta de sucesso
+    return res.status(200).json(createResponse(true, responseData, 'Catálogo de recompensas obtido com sucesso'));
+    
+  } catch (error) {
+    const errorResponse = handleError(error, 'list rewards');
+    return res.status(errorResponse.statusCode).json(errorResponse);
+  }
+};
+
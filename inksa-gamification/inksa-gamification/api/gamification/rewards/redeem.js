@@ -0,0 +1,93 @@
+// api/gamification/rewards/redeem.js
+// API para resgatar recompensas com pontos
+
+const { getUserById } = require('../utils/database');
+const { redeemReward } = require('../utils/rewards');
+const { 
+  authenticateUser, 
+  validateRequiredParams, 
+  validateDataTypes,
+  sanitizeInput,
+  createResponse, 
+  handleError, 
+  handleCors 
+} = require('../utils/auth');
+const { 
+  getIdempotencyKey, 
+  beginIdempotentRequest, 
+  finishIdempotentRequest, 
+  sendIdempotentResponse, 
+  sendReplayedResponse 
+} = require('../utils/idempotency');
+
+module.exports = async (req, res) => {
+  let idempotency = null;
+  
+  try {
+    // Lidar com CORS preflight
+    const corsResponse = handleCors(req);
+    if (corsResponse) return res.status(corsResponse.statusCode).json(corsResponse);
+    
+    // Verificar método HTTP
+    if (req.method !== 'POST') {
+      return res.status(405).json(createResponse(false, null, 'Método não permitido', 405));
+    }
+    
+    // Autenticar usuário ou verificar API key
+    const auth = authenticateUser(req);
+    
+    // Sanitizar entrada
+    const body = sanitizeInput(req.body);
+    
+    // Validar parâmetros obrigatórios
+    const requiredFields = ['userId', 'rewardId'];
+    validateRequiredParams(body, requiredFields);
+    
+    // Validar tipos de dados
+    validateDataTypes(body, {
+      userId: 'integer',
+      rewardId: 'integer',
+      quantity: 'integer'
+    });
+    
+    const userId = parseInt(body.userId);
+    const rewardId = parseInt(body.rewardId);
+    const quantity = body.quantity !== undefined ? parseInt(body.quantity) : 1;
+    
+    if (quantity <= 0) {
+      return res.status(400).json(createResponse(false, null, 'Quantidade deve ser um valor positivo', 400));
+    }
+    
+    // Verificar se o usuário existe
+    const user = await getUserById(userId);
+    if (!user) {
+      return res.status(404).json(createResponse(false, null, 'Usuário não encontrado', 404));
+    }
+    
+    // Verificar autorização (usuário só pode resgatar com seus próprios pontos, exceto chamadas internas)
+    if (!auth.isInternal && auth.userId !== userId) {
+      return res.status(403).json(createResponse(false, null, 'Não autorizado a resgatar recompensas para este usuário', 403));
+    }
+    
+    // Garantir idempotência pelo header Idempotency-Key (repetições devolvem a resposta original)
+    idempotency = await beginIdempotentRequest('rewards/redeem', getIdempotencyKey(req), body);
+    if (idempotency && idempotency.replay) {
+      return sendReplayedResponse(res, idempotency);
+    }
+    
+    // Resgatar recompensa (débito, estoque e histórico na mesma transação)
+    const redemption = await redeemReward(userId, rewardId, quantity);
+    
+    // Retornar resposta de sucesso
+    return sendIdempotentResponse(res, idempotency, 200, createResponse(true, {
+      userId,
+      ...redemption
+    }, 'Recompensa resgatada com sucesso'));
+    
+  } catch (error) {
+    const errorResponse = handleError(error, 'redeem reward');
+    await finishIdempotentRequest(idempotency, errorResponse.statusCode, errorResponse);
+    return res.status(errorResponse.statusCode).json(errorResponse);
+  }
+};
+
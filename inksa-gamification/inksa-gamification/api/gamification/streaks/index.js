@@ -0,0 +1,74 @@
+// api/gamification/streaks/index.js
+// API para obter as sequências (streaks) diária e semanal do usuário
+
+const { query, getUserById } = require('../utils/database');
+const { getUserStreaks, STREAK_POINTS_TYPES, MAX_STREAK_FREEZES } = require('../utils/streaks');
+const { 
+  authenticateUser, 
+  createResponse, 
+  handleError, 
+  handleCors 
+} = require('../utils/auth');
+
+module.exports = async (req, res) => {
+  try {
+    // Lidar com CORS preflight
+    const corsResponse = handleCors(req);
+    if (corsResponse) return res.status(corsResponse.statusCode).json(corsResponse);
+    
+    // Verificar método HTTP
+    if (req.method !== 'GET') {
+      return res.status(405).json(createResponse(false, null, 'Método não permitido', 405));
+    }
+    
+    // Autenticar usuário ou verificar API key
+    const auth = authenticateUser(req);
+    
+    // Obter userId dos parâmetros da query
+    const userId = parseInt(req.query.userId);
+    
+    // Validar parâmetros obrigatórios
+    if (!userId) {
+      return res.status(400).json(createResponse(false, null, 'userId é obrigatório', 400));
+    }
+    
+    // Verificar se o usuário existe
+    const user = await getUserById(userId);
+    if (!user) {
+      return res.status(404).json(createResponse(false, null, 'Usuário não encontrado', 404));
+    }
+    
+    // Verificar autorização (usuário só pode ver suas próprias sequências, exceto chamadas internas)
+    if (!auth.isInternal && auth.userId !== userId) {
+      return res.status(403).json(createResponse(false, null, 'Não autorizado a ver sequências deste usuário', 403));
+    }
+    
+    const streaks = await getUserStreaks({ query }, userId);
+    
+    // Marcos configurados por tipo de sequência
+    const milestonesResult = await query(`
+      SELECT streak_type, streak_count, bonus_points
+      FROM streak_milestones
+      WHERE is_active = true
+      ORDER BY streak_type, streak_count
+    `);
+    
+    // Retornar resposta de sucesso
+    return res.status(200).json(createResponse(true, {
+      userId,
+      streaks,
+      milestones: milestonesResult.rows.map(row => ({
+        streakType: row.streak_type,
+        streakCount: row.streak_count,
+        bonusPoints: row.bonus_points
+      })),
+      qualifyingPointsTypes: STREAK_POINTS_TYPES,
+      maxFreezes: MAX_STREAK_FREEZES
+    }, 'Sequências obtidas com sucesso'));
+    
+  } catch (error) {
+    const errorResponse = handleError(error, 'get streaks');
+    return res.status(errorResponse.statusCode).json(errorResponse);
+  }
+};
+
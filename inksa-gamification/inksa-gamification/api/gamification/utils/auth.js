@@ -69,6 +69,23 @@ function authenticateUser(req) {
   }
 }
 
+// Middleware para autenticação de jobs agendados (Vercel Cron ou chamadas internas)
+// O Vercel envia "Authorization: Bearer <CRON_SECRET>" nas execuções agendadas
+function authenticateCron(req) {
+  const apiKey = req.headers['x-api-key'];
+  if (apiKey) {
+    verifyApiKey(apiKey);
+    return { isInternal: true, isCron: false };
+  }
+  
+  const authHeader = req.headers.authorization;
+  if (!process.env.CRON_SECRET || authHeader !== `Bearer ${process.env.CRON_SECRET}`) {
+    throw new Error('API Key inválida para execução agendada');
+  }
+  
+  return { isInternal: true, isCron: true };
+}
+
 // Função para validar parâmetros obrigatórios
 function validateRequiredParams(params, requiredFields) {
   const missing = [];
@@ -121,6 +138,10 @@ function sanitizeInput(input) {
     return input.trim().replace(/[<>]/g, '');
   }
   
+  if (Array.isArray(input)) {
+    return input.map(sanitizeInput);
+  }
+  
   if (typeof input === 'object' && input !== null) {
     const sanitized = {};
     for (const [key, value] of Object.entries(input)) {
@@ -143,6 +164,13 @@ function createResponse(success, data = null, message = null, statusCode = 200)
   };
 }
 
+// Função para criar erro com status HTTP explícito
+function createHttpError(message, statusCode) {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+}
+
 // Função para lidar com erros
 function handleError(error, context = '') {
   console.error(`Error in ${context}:`, error);
@@ -150,7 +178,10 @@ function handleError(error, context = '') {
   let statusCode = 500;
   let message = 'Erro interno do servidor';
   
-  if (error.message.includes('Token')) {
+  if (error.statusCode) {
+    statusCode = error.statusCode;
+    message = error.message;
+  } else if (error.message.includes('Token')) {
     statusCode = 401;
     message = 'Não autorizado';
   } else if (error.message.includes('API Key')) {
@@ -181,10 +212,12 @@ module.exports = {
   verifyToken,
   verifyApiKey,
   authenticateUser,
+  authenticateCron,
   validateRequiredParams,
   validateDataTypes,
   sanitizeInput,
   createResponse,
+  createHttpError,
   handleError,
   handleCors
 };
@@ -0,0 +1,110 @@
+// api/gamification/utils/badges.js
+// Utilitário para concessão e verificação automática de distintivos
+
+const { withTransaction, applyPointsToUser } = require('./database');
+const { enqueueWebhookEvent } = require('./outbox');
+const { evaluateCriteria, getCriteriaMetrics } = require('./criteria');
+
+// Função para conceder um distintivo dentro de uma transação já aberta (client)
+// Retorna null se o usuário já possuir o distintivo
+async function applyBadgeToUser(client, userId, badge, reason = null) {
+  // O índice único (user_id, badge_id) garante que concessões simultâneas não creditem a recompensa duas vezes
+  const userBadgeResult = await client.query(`
+    INSERT INTO user_badges (user_id, badge_id, earned_at)
+    VALUES ($1, $2, CURRENT_TIMESTAMP)
+    ON CONFLICT (user_id, badge_id) DO NOTHING
+    RETURNING id
+  `, [userId, badge.id]);
+  
+  if (userBadgeResult.rows.length === 0) {
+    return null;
+  }
+  
+  let pointsResult = null;
+  if (badge.points_reward > 0) {
+    pointsResult = await applyPointsToUser(
+      client,
+      userId,
+      badge.points_reward,
+      'badge',
+      reason || `Distintivo conquistado: ${badge.name}`,
+      null
+    );
+    
+    // Guardar o lançamento da recompensa para que uma revogação possa estorná-lo
+    await client.query(
+      'UPDATE user_badges SET points_history_id = $2 WHERE id = $1',
+      [userBadgeResult.rows[0].id, pointsResult.historyId]
+    );
+  }
+  
+  await enqueueWebhookEvent(client, 'badge.earned', userId, {
+    userId,
+    badge: {
+      id: badge.id,
+      name: badge.name,
+      description: badge.description,
+      iconUrl: badge.icon_url,
+      pointsReward: badge.points_reward
+    },
+    reason: reason || null
+  });
+  
+  return { badge, pointsResult };
+}
+
+// Função para conceder um distintivo ao usuário e creditar a recompensa em pontos
+// Distintivo, pontos e evento de webhook são gravados na mesma transação
+// Retorna null se o usuário já possuir o distintivo
+async function awardBadgeToUser(userId, badge, reason = null) {
+  try {
+    return await withTransaction(client => applyBadgeToUser(client, userId, badge, reason));
+  } catch (error) {
+    console.error('Error awarding badge:', error);
+    throw error;
+  }
+}
+
+// Função para conceder automaticamente os distintivos cujos critérios foram atingidos
+// Roda dentro da transação do evento (client); apenas distintivos que usam alguma das métricas afetadas são avaliados
+// Distintivos revogados manualmente não são concedidos de novo
+async function awardEligibleBadges(client, userId, affectedMetrics) {
+  const badgesResult = await client.query(`
+    SELECT id, name, description, icon_url, criteria, points_reward
+    FROM badges
+    WHERE is_active = true
+    AND id NOT IN (SELECT badge_id FROM user_badges WHERE user_id = $1)
+    AND id NOT IN (SELECT badge_id FROM badge_revocations WHERE user_id = $1 AND manual = true)
+  `, [userId]);
+  
+  const awarded = [];
+  const cache = new Map();
+  
+  for (const badge of badgesResult.rows) {
+    const usesAffectedMetric = getCriteriaMetrics(badge.criteria).some(key => affectedMetrics.includes(key));
+    if (!usesAffectedMetric) continue;
+    
+    const evaluation = await evaluateCriteria(userId, badge.criteria, cache, client);
+    if (evaluation.satisfied) {
+      const result = await applyBadgeToUser(client, userId, badge);
+      if (result) {
+        awarded.push({
+          id: badge.id,
+          name: badge.name,
+          description: badge.description,
+          iconUrl: badge.icon_url,
+          pointsReward: badge.points_reward
+        });
+      }
+    }
+  }
+  
+  return awarded;
+}
+
+module.exports = {
+  applyBadgeToUser,
+  awardBadgeToUser,
+  awardEligibleBadges
+};
+
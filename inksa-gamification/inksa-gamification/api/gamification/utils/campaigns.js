@@ -0,0 +1,204 @@
+// api/gamification/utils/campaigns.js
+// Utilitário de campanhas promocionais de pontos
+//
+// Durante uma campanha ativa, créditos feitos por addPointsToUser recebem um multiplicador
+// e/ou um bônus fixo. Quando mais de uma campanha se aplica, vale a que dá o maior bônus
+// (campanhas não se acumulam). O crédito guarda campaign_id e campaign_bonus em points_history.
+//
+// Não depende de database.js (que usa este módulo em applyPointsToUser): as funções
+// recebem o client da transação ou qualquer objeto com query(text, params).
+
+const { createHttpError } = require('./auth');
+
+// Segmentos de usuários aceitos em campaigns.user_segment
+const USER_SEGMENTS = ['new_users', 'inactive', 'custom'];
+
+// Limite do multiplicador de campanha
+const MAX_CAMPAIGN_MULTIPLIER = 10;
+
+// Colunas retornadas pela API de campanhas
+const CAMPAIGN_COLUMNS = `
+  id, name, description, starts_at, ends_at, multiplier, bonus_points, points_types, restaurant_ids,
+  days_of_week, min_level, max_level, user_segment, segment_user_ids, is_active, created_at, updated_at
+`;
+
+// Função para obter as campanhas ativas agora que se aplicam ao crédito
+// context: { restaurantId, levelNumber }
+async function findApplicableCampaigns(db, userId, pointsType, context = {}) {
+  const result = await db.query(
+    `SELECT id, name, multiplier, bonus_points 
+     FROM campaigns c 
+     WHERE c.is_active = true 
+     AND CURRENT_TIMESTAMP >= c.starts_at AND CURRENT_TIMESTAMP < c.ends_at 
+     AND (c.points_types IS NULL OR $2 = ANY(c.points_types)) 
+     AND (c.restaurant_ids IS NULL OR $3::integer = ANY(c.restaurant_ids)) 
+     AND (c.days_of_week IS NULL OR EXTRACT(DOW FROM CURRENT_TIMESTAMP)::smallint = ANY(c.days_of_week)) 
+     AND (c.min_level IS NULL OR $4::integer >= c.min_level) 
+     AND (c.max_level IS NULL OR $4::integer <= c.max_level) 
+     AND ( 
+       c.user_segment IS NULL 
+       OR (c.user_segment = 'custom' AND $1 = ANY(c.segment_user_ids)) 
+       OR (c.user_segment = 'new_users' AND EXISTS ( 
+         SELECT 1 FROM users u WHERE u.id = $1 AND u.created_at >= CURRENT_TIMESTAMP - INTERVAL '30 days')) 
+       OR (c.user_segment = 'inactive' AND NOT EXISTS ( 
+         SELECT 1 FROM points_history ph 
+         WHERE ph.user_id = $1 AND ph.points_earned > 0 
+         AND ph.created_at >= CURRENT_TIMESTAMP - INTERVAL '30 days')) 
+     )`,
+    [userId, pointsType, context.restaurantId || null, context.levelNumber || null]
+  );
+  
+  return result.rows;
+}
+
+// Função para calcular o bônus de uma campanha sobre um crédito
+function calculateCampaignBonus(campaign, points) {
+  const multiplierBonus = campaign.multiplier ? Math.floor(points * (Number(campaign.multiplier) - 1)) : 0;
+  return multiplierBonus + (campaign.bonus_points || 0);
+}
+
+// Função para escolher a campanha de maior bônus para o crédito; retorna null se nenhuma se aplica
+async function getBestCampaignBonus(db, userId, points, pointsType, context = {}) {
+  const campaigns = await findApplicableCampaigns(db, userId, pointsType, context);
+  
+  let best = null;
+  for (const campaign of campaigns) {
+    const bonus = calculateCampaignBonus(campaign, points);
+    if (bonus > 0 && (!best || bonus > best.bonus)) {
+      best = { id: campaign.id, name: campaign.name, bonus };
+    }
+  }
+  
+  return best;
+}
+
+// Função para validar uma lista de inteiros (opcionalmente dentro de uma faixa)
+function validateIntegerList(value, field, min = null, max = null) {
+  if (value === undefined || value === null) return null;
+  
+  if (!Array.isArray(value) || value.length === 0) {
+    throw createHttpError(`${field} deve ser uma lista não vazia`, 400);
+  }
+  
+  const list = value.map(Number);
+  if (list.some(item => !Number.isInteger(item) || (min !== null && item < min) || (max !== null && item > max))) {
+    throw createHttpError(`${field} deve conter apenas inteiros${min !== null ? ` entre ${min} e ${max}` : ''}`, 400);
+  }
+  
+  return Array.from(new Set(list));
+}
+
+// Função para validar e normalizar os dados de uma campanha (já mesclados com a campanha existente, na edição)
+function validateCampaign(input) {
+  const startsAt = new Date(input.startsAt);
+  const endsAt = new Date(input.endsAt);
+  
+  if (isNaN(startsAt.getTime())) {
+    throw createHttpError('startsAt inválida', 400);
+  }
+  
+  if (isNaN(endsAt.getTime())) {
+    throw createHttpError('endsAt inválida', 400);
+  }
+  
+  if (endsAt <= startsAt) {
+    throw createHttpError('endsAt deve ser posterior a startsAt', 400);
+  }
+  
+  const multiplier = input.multiplier !== undefined && input.multiplier !== null ? Number(input.multiplier) : null;
+  const bonusPoints = input.bonusPoints !== undefined && input.bonusPoints !== null ? Number(input.bonusPoints) : null;
+  
+  if (multiplier === null && bonusPoints === null) {
+    throw createHttpError('Informe multiplier e/ou bonusPoints', 400);
+  }
+  
+  if (multiplier !== null && (isNaN(multiplier) || multiplier < 1 || multiplier > MAX_CAMPAIGN_MULTIPLIER)) {
+    throw createHttpError(`multiplier deve estar entre 1 e ${MAX_CAMPAIGN_MULTIPLIER}`, 400);
+  }
+  
+  if (bonusPoints !== null && (!Number.isInteger(bonusPoints) || bonusPoints <= 0)) {
+    throw createHttpError('bonusPoints deve ser um inteiro positivo', 400);
+  }
+  
+  let pointsTypes = null;
+  if (input.pointsTypes !== undefined && input.pointsTypes !== null) {
+    if (!Array.isArray(input.pointsTypes) || input.pointsTypes.length === 0 ||
+        input.pointsTypes.some(type => typeof type !== 'string' || !type)) {
+      throw createHttpError('pointsTypes deve ser uma lista de tipos de pontos', 400);
+    }
+    pointsTypes = Array.from(new Set(input.pointsTypes));
+  }
+  
+  const minLevel = input.minLevel !== undefined && input.minLevel !== null ? Number(input.minLevel) : null;
+  const maxLevel = input.maxLevel !== undefined && input.maxLevel !== null ? Number(input.maxLevel) : null;
+  
+  if ((minLevel !== null && !Number.isInteger(minLevel)) || (maxLevel !== null && !Number.isInteger(maxLevel))) {
+    throw createHttpError('minLevel e maxLevel devem ser inteiros', 400);
+  }
+  
+  if (minLevel !== null && maxLevel !== null && minLevel > maxLevel) {
+    throw createHttpError('minLevel não pode ser maior que maxLevel', 400);
+  }
+  
+  const userSegment = input.userSegment || null;
+  if (userSegment !== null && !USER_SEGMENTS.includes(userSegment)) {
+    throw createHttpError(`userSegment inválido. Segmentos válidos: ${USER_SEGMENTS.join(', ')}`, 400);
+  }
+  
+  const segmentUserIds = validateIntegerList(input.segmentUserIds, 'segmentUserIds');
+  if (userSegment === 'custom' && !segmentUserIds) {
+    throw createHttpError('segmentUserIds é obrigatório para o segmento custom', 400);
+  }
+  
+  return {
+    name: input.name,
+    description: input.description || null,
+    startsAt,
+    endsAt,
+    multiplier,
+    bonusPoints,
+    pointsTypes,
+    restaurantIds: validateIntegerList(input.restaurantIds, 'restaurantIds'),
+    daysOfWeek: validateIntegerList(input.daysOfWeek, 'daysOfWeek', 0, 6),
+    minLevel,
+    maxLevel,
+    userSegment,
+    segmentUserIds: userSegment === 'custom' ? segmentUserIds : null,
+    isActive: input.isActive !== undefined ? input.isActive : true
+  };
+}
+
+// Função para formatar uma campanha
+function formatCampaign(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    startsAt: row.starts_at,
+    endsAt: row.ends_at,
+    multiplier: row.multiplier !== null ? Number(row.multiplier) : null,
+    bonusPoints: row.bonus_points,
+    pointsTypes: row.points_types,
+    restaurantIds: row.restaurant_ids,
+    daysOfWeek: row.days_of_week,
+    minLevel: row.min_level,
+    maxLevel: row.max_level,
+    userSegment: row.user_segment,
+    segmentUserIds: row.segment_user_ids,
+    isActive: row.is_active,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+module.exports = {
+  USER_SEGMENTS,
+  MAX_CAMPAIGN_MULTIPLIER,
+  CAMPAIGN_COLUMNS,
+  findApplicableCampaigns,
+  calculateCampaignBonus,
+  getBestCampaignBonus,
+  validateCampaign,
+  formatCampaign
+};
+
@@ -0,0 +1,252 @@
+// api/gamification/utils/challenges.js
+// Utilitário para inscrição, progresso e conclusão de desafios
+
+const { query, withTransaction, applyPointsToUser } = require('./database');
+const { enqueueWebhookEvent } = require('./outbox');
+const { METRIC_KEYS, getUserMetric } = require('./metrics');
+const { getCriterionCondition, getCriterionTarget, validateCriteria } = require('./criteria');
+const { applyBadgeToUser } = require('./badges');
+const { createHttpError } = require('./auth');
+
+// Tipos de desafio (os recorrentes usam daily, weekly e monthly)
+const CHALLENGE_TYPES = ['daily', 'weekly', 'monthly', 'special'];
+
+// Função para obter a métrica principal de um desafio (primeira chave suportada do critério)
+function getChallengeMetric(criteria) {
+  return Object.keys(criteria).find(key => METRIC_KEYS.includes(key)) || null;
+}
+
+// Função para obter o alvo de progresso de um desafio a partir do critério
+function getChallengeTarget(criteria) {
+  const metric = getChallengeMetric(criteria);
+  if (!metric) return 1;
+  
+  const target = getCriterionTarget(criteria, metric);
+  return Math.max(1, Math.ceil(target || 1));
+}
+
+// Função para validar o critério de um desafio
+// Além do esquema geral, o desafio precisa de uma métrica no nível superior para medir o progresso
+function validateChallengeCriteria(criteria) {
+  const parsed = validateCriteria(criteria);
+  
+  if (!getChallengeMetric(parsed)) {
+    throw createHttpError(`criteria do desafio deve ter uma métrica no nível superior (${METRIC_KEYS.join(', ')})`, 400);
+  }
+  
+  return parsed;
+}
+
+// Função para verificar se o distintivo de recompensa existe e não está arquivado
+async function validateBadgeReward(badgeId) {
+  if (badgeId === null || badgeId === undefined) return;
+  
+  const result = await query(`
+    SELECT id FROM badges
+    WHERE id = $1 AND archived_at IS NULL
+  `, [badgeId]);
+  
+  if (result.rows.length === 0) {
+    throw createHttpError('badgeReward não encontrado ou arquivado', 400);
+  }
+}
+
+// Função para completar um desafio dentro de uma transação já aberta (client)
+// Conclusão, pontos, distintivo e evento de webhook usam o mesmo client
+// Retorna null se o desafio já estava completado
+async function applyChallengeCompletion(client, userId, challenge) {
+  const completedResult = await client.query(`
+    UPDATE user_challenge_progress
+    SET completed = true, completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE user_id = $1 AND challenge_id = $2 AND completed = false
+    RETURNING id
+  `, [userId, challenge.id]);
+  
+  if (completedResult.rows.length === 0) {
+    return null;
+  }
+  
+  // Adicionar pontos da recompensa
+  let pointsResult = null;
+  if (challenge.points_reward > 0) {
+    pointsResult = await applyPointsToUser(
+      client,
+      userId,
+      challenge.points_reward,
+      'challenge',
+      `Desafio completado: ${challenge.title}`,
+      null
+    );
+  }
+  
+  await enqueueWebhookEvent(client, 'challenge.completed', userId, {
+    userId,
+    challenge: {
+      id: challenge.id,
+      title: challenge.title,
+      pointsReward: challenge.points_reward,
+      badgeReward: challenge.badge_reward || null
+    }
+  });
+  
+  // Conceder distintivo se houver recompensa de distintivo
+  // O savepoint desfaz só o distintivo em caso de erro, sem falhar a conclusão do desafio
+  let badgeResult = null;
+  if (challenge.badge_reward) {
+    await client.query('SAVEPOINT challenge_badge_reward');
+    try {
+      const badgeInfoResult = await client.query(`
+        SELECT id, name, description, icon_url, points_reward
+        FROM badges
+        WHERE id = $1
+      `, [challenge.badge_reward]);
+      
+      if (badgeInfoResult.rows.length > 0) {
+        // Conceder o distintivo (ignorado se o usuário já o possuir)
+        const awarded = await applyBadgeToUser(client, userId, badgeInfoResult.rows[0]);
+        
+        if (awarded) {
+          const badge = awarded.badge;
+          badgeResult = {
+            id: badge.id,
+            name: badge.name,
+            description: badge.description,
+            iconUrl: badge.icon_url,
+            pointsReward: badge.points_reward
+          };
+        }
+      }
+      await client.query('RELEASE SAVEPOINT challenge_badge_reward');
+    } catch (badgeError) {
+      console.error('Error awarding badge:', badgeError);
+      await client.query('ROLLBACK TO SAVEPOINT challenge_badge_reward');
+      badgeResult = null;
+    }
+  }
+  
+  return { pointsResult, badgeResult };
+}
+
+// Função para completar um desafio e entregar as recompensas (pontos e distintivo)
+// Retorna null se o desafio já estava completado
+async function completeChallengeForUser(userId, challenge) {
+  try {
+    return await withTransaction(client => applyChallengeCompletion(client, userId, challenge));
+  } catch (error) {
+    console.error('Error completing challenge:', error);
+    throw error;
+  }
+}
+
+// Função para incrementar o progresso de forma idempotente por eventId, dentro de uma transação já aberta (client)
+// O registro do evento e o incremento acontecem no mesmo comando; a conclusão deve usar o mesmo client
+async function incrementChallengeProgress(client, userId, challengeId, eventId, amount = 1) {
+  const result = await client.query(`
+    WITH recorded AS (
+      INSERT INTO challenge_progress_events (event_id, user_id, challenge_id, amount)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (user_id, challenge_id, event_id) DO NOTHING
+      RETURNING id
+    )
+    UPDATE user_challenge_progress
+    SET progress = LEAST(progress + $4, target), updated_at = CURRENT_TIMESTAMP
+    WHERE user_id = $2 AND challenge_id = $3 AND completed = false
+    AND EXISTS (SELECT 1 FROM recorded)
+    RETURNING progress, target
+  `, [eventId, userId, challengeId, amount]);
+  
+  if (result.rows.length === 0) {
+    return { applied: false };
+  }
+  
+  return { applied: true, progress: result.rows[0].progress, target: result.rows[0].target };
+}
+
+// Função para recalcular o progresso dos desafios em andamento afetados por um evento
+// Roda dentro da transação do evento (client), junto com os pontos e as conclusões
+// O progresso conta apenas a atividade desde a inscrição do usuário no desafio (e dentro de within_days)
+async function advanceChallengeProgress(client, userId, affectedMetrics) {
+  const progressResult = await client.query(`
+    SELECT
+      ucp.challenge_id,
+      ucp.progress,
+      ucp.target,
+      ucp.created_at,
+      c.title,
+      c.criteria,
+      c.points_reward,
+      c.badge_reward,
+      c.start_date
+    FROM user_challenge_progress ucp
+    JOIN challenges c ON ucp.challenge_id = c.id
+    WHERE ucp.user_id = $1
+    AND ucp.completed = false
+    AND c.is_active = true
+    AND c.start_date <= CURRENT_TIMESTAMP
+    AND (c.end_date IS NULL OR c.end_date >= CURRENT_TIMESTAMP)
+  `, [userId]);
+  
+  const updated = [];
+  
+  for (const row of progressResult.rows) {
+    const criteria = JSON.parse(row.criteria);
+    const metric = getChallengeMetric(criteria);
+    if (!metric || !affectedMetrics.includes(metric)) continue;
+    
+    // Faixa de horário e janela vêm da condição normalizada ("22:00-06:00" ou {"range": ..., "gte": 3})
+    const condition = getCriterionCondition(criteria, metric);
+    let since = new Date(Math.max(new Date(row.created_at).getTime(), new Date(row.start_date).getTime()));
+    if (condition.withinDays) {
+      const windowStart = new Date(Date.now() - condition.withinDays * 24 * 60 * 60 * 1000);
+      if (windowStart > since) since = windowStart;
+    }
+    
+    const value = await getUserMetric(userId, metric, condition.range, since, client);
+    const progress = Math.min(Math.floor(value), row.target);
+    
+    if (progress <= row.progress) continue;
+    
+    await client.query(`
+      UPDATE user_challenge_progress
+      SET progress = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1 AND challenge_id = $2
+    `, [userId, row.challenge_id, progress]);
+    
+    // Completar automaticamente ao atingir o objetivo
+    let rewards = null;
+    if (progress >= row.target) {
+      rewards = await applyChallengeCompletion(client, userId, {
+        id: row.challenge_id,
+        title: row.title,
+        points_reward: row.points_reward,
+        badge_reward: row.badge_reward
+      });
+    }
+    
+    updated.push({
+      challengeId: row.challenge_id,
+      title: row.title,
+      previousProgress: row.progress,
+      progress,
+      target: row.target,
+      targetReached: progress >= row.target,
+      completed: !!rewards,
+      badgeEarned: rewards ? rewards.badgeResult : null
+    });
+  }
+  
+  return updated;
+}
+
+module.exports = {
+  CHALLENGE_TYPES,
+  getChallengeMetric,
+  getChallengeTarget,
+  validateChallengeCriteria,
+  validateBadgeReward,
+  applyChallengeCompletion,
+  completeChallengeForUser,
+  incrementChallengeProgress,
+  advanceChallengeProgress
+};
+
@@ -0,0 +1,324 @@
+// api/gamification/utils/criteria.js
+// Motor de avaliação dos critérios JSON armazenados em badges.criteria
+//
+// Formatos aceitos:
+//   {"orders": 10}                                   -> pelo menos 10 pedidos
+//   {"orders": {"gte": 5, "within_days": 7}}          -> operador e janela de tempo por critério
+//   {"time": "22:00-06:00"}                           -> ao menos um pedido na faixa de horário
+//   {"time": {"range": "22:00-06:00", "gte": 3}}      -> três pedidos na faixa de horário
+//   {"any": [{"orders": 50}, {"total_spent": 1000}]}  -> composição OU (também "all" para E)
+//   {"within_days": 30, "orders": 10, "reviews": 5}   -> janela aplicada a todos os critérios do nível
+// Chaves de métricas no mesmo objeto são combinadas com E.
+
+const { METRIC_KEYS, getUserMetric } = require('./metrics');
+const { createHttpError } = require('./auth');
+
+// Operadores de comparação suportados
+const OPERATORS = {
+  gte: (current, target) => current >= target,
+  gt: (current, target) => current > target,
+  lte: (current, target) => current <= target,
+  lt: (current, target) => current < target,
+  eq: (current, target) => current === target
+};
+
+// Rótulos usados na descrição do progresso ("7/10 pedidos")
+const METRIC_LABELS = {
+  orders: 'pedidos',
+  reviews: 'avaliações',
+  referrals: 'indicações',
+  time: 'pedidos no horário',
+  different_restaurants: 'restaurantes diferentes',
+  total_spent: 'reais gastos'
+};
+
+// Esquema publicado dos critérios (usado na validação e retornado pela API de administração)
+const CRITERIA_SCHEMA = {
+  metrics: METRIC_KEYS.reduce((schema, metric) => {
+    schema[metric] = metric === 'time' ?
+      'faixa "HH:MM-HH:MM" ou {"range": "HH:MM-HH:MM", "<operador>": número, "within_days": número}' :
+      'número (pelo menos) ou {"<operador>": número, "within_days": número}';
+    return schema;
+  }, {}),
+  operators: Object.keys(OPERATORS),
+  groups: ['all', 'any'],
+  options: ['within_days']
+};
+
+// Formato aceito para faixas de horário ("22:00-06:00")
+const TIME_RANGE_PATTERN = /^([01]\d|2[0-3]):[0-5]\d-([01]\d|2[0-3]):[0-5]\d$/;
+
+// Função para converter o critério (string JSON ou objeto) em objeto
+function parseCriteria(criteria) {
+  if (typeof criteria === 'string') {
+    return JSON.parse(criteria);
+  }
+  return criteria || {};
+}
+
+// Função para normalizar um critério de métrica em uma condição
+function normalizeCondition(metric, value, withinDays) {
+  const condition = {
+    type: 'condition',
+    metric,
+    operator: 'gte',
+    target: metric === 'time' ? 1 : Number(value),
+    range: null,
+    withinDays
+  };
+  
+  if (metric === 'time' && typeof value === 'string') {
+    condition.range = value;
+    return condition;
+  }
+  
+  if (typeof value === 'object' && value !== null) {
+    const operator = Object.keys(OPERATORS).find(op => value[op] !== undefined);
+    if (operator) {
+      condition.operator = operator;
+      condition.target = Number(value[operator]);
+    }
+    if (metric === 'time') condition.range = value.range;
+    if (value.within_days !== undefined) condition.withinDays = Number(value.within_days);
+  }
+  
+  if (isNaN(condition.target)) {
+    throw new Error(`Erros de validação: alvo inválido para o critério ${metric}`);
+  }
+  
+  return condition;
+}
+
+// Função para transformar o critério em uma árvore de condições
+function normalizeCriteria(criteria, inheritedWithinDays = null) {
+  const withinDays = criteria.within_days !== undefined ? Number(criteria.within_days) : inheritedWithinDays;
+  const children = [];
+  
+  for (const [key, value] of Object.entries(criteria)) {
+    if (METRIC_KEYS.includes(key)) {
+      children.push(normalizeCondition(key, value, withinDays));
+    } else if ((key === 'all' || key === 'any') && Array.isArray(value)) {
+      const group = value.map(child => normalizeCriteria(child, withinDays));
+      children.push({ type: key, children: group });
+    }
+  }
+  
+  return { type: 'all', children };
+}
+
+// Função para validar o valor de uma métrica do critério
+function validateMetricValue(metric, value, path, errors) {
+  if (metric === 'time' && typeof value === 'string') {
+    if (!TIME_RANGE_PATTERN.test(value)) errors.push(`${path} deve ser uma faixa "HH:MM-HH:MM"`);
+    return;
+  }
+  
+  if (typeof value === 'number') {
+    if (metric === 'time') errors.push(`${path} deve informar a faixa de horário`);
+    else if (!isFinite(value) || value < 0) errors.push(`${path} deve ser um número não negativo`);
+    return;
+  }
+  
+  if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+    errors.push(`${path} deve ser um número ou um objeto com operador`);
+    return;
+  }
+  
+  const allowedKeys = Object.keys(OPERATORS).concat(['within_days'], metric === 'time' ? ['range'] : []);
+  const unknownKeys = Object.keys(value).filter(key => !allowedKeys.includes(key));
+  if (unknownKeys.length > 0) {
+    errors.push(`${path} possui chaves não suportadas: ${unknownKeys.join(', ')}`);
+  }
+  
+  const operators = Object.keys(OPERATORS).filter(op => value[op] !== undefined);
+  if (operators.length > 1) {
+    errors.push(`${path} deve usar apenas um operador`);
+  } else if (operators.length === 1 && (typeof value[operators[0]] !== 'number' || value[operators[0]] < 0)) {
+    errors.push(`${path}.${operators[0]} deve ser um número não negativo`);
+  } else if (operators.length === 0 && metric !== 'time') {
+    errors.push(`${path} deve usar um operador (${Object.keys(OPERATORS).join(', ')})`);
+  }
+  
+  if (metric === 'time' && (typeof value.range !== 'string' || !TIME_RANGE_PATTERN.test(value.range))) {
+    errors.push(`${path}.range deve ser uma faixa "HH:MM-HH:MM"`);
+  }
+  
+  if (value.within_days !== undefined && !(Number.isInteger(value.within_days) && value.within_days > 0)) {
+    errors.push(`${path}.within_days deve ser um inteiro positivo`);
+  }
+}
+
+// Função para validar recursivamente um objeto de critério
+function validateCriteriaNode(node, path, errors) {
+  if (typeof node !== 'object' || node === null || Array.isArray(node)) {
+    errors.push(`${path} deve ser um objeto`);
+    return 0;
+  }
+  
+  let conditions = 0;
+  
+  for (const [key, value] of Object.entries(node)) {
+    const keyPath = `${path}.${key}`;
+    
+    if (METRIC_KEYS.includes(key)) {
+      validateMetricValue(key, value, keyPath, errors);
+      conditions++;
+    } else if (key === 'all' || key === 'any') {
+      if (!Array.isArray(value) || value.length === 0) {
+        errors.push(`${keyPath} deve ser uma lista não vazia`);
+        continue;
+      }
+      value.forEach((child, index) => {
+        conditions += validateCriteriaNode(child, `${keyPath}[${index}]`, errors);
+      });
+    } else if (key === 'within_days') {
+      if (!(Number.isInteger(value) && value > 0)) errors.push(`${keyPath} deve ser um inteiro positivo`);
+    } else {
+      errors.push(`${keyPath} não é suportado (métricas: ${METRIC_KEYS.join(', ')})`);
+    }
+  }
+  
+  return conditions;
+}
+
+// Função para validar um critério contra o esquema publicado
+// Retorna o critério como objeto; lança erro 400 com a lista de problemas
+function validateCriteria(criteria) {
+  let parsed;
+  try {
+    parsed = parseCriteria(criteria);
+  } catch (error) {
+    throw createHttpError('criteria deve ser um JSON válido', 400);
+  }
+  
+  const errors = [];
+  const conditions = validateCriteriaNode(parsed, 'criteria', errors);
+  
+  if (errors.length === 0 && conditions === 0) {
+    errors.push('criteria deve ter pelo menos uma métrica');
+  }
+  
+  if (errors.length > 0) {
+    throw createHttpError(`Critério inválido: ${errors.join('; ')}`, 400);
+  }
+  
+  return parsed;
+}
+
+// Função para listar as métricas usadas em um critério
+function getCriteriaMetrics(criteria) {
+  const metrics = new Set();
+  
+  const collect = node => {
+    if (node.type === 'condition') metrics.add(node.metric);
+    else node.children.forEach(collect);
+  };
+  
+  collect(normalizeCriteria(parseCriteria(criteria)));
+  return Array.from(metrics);
+}
+
+// Função para obter a condição normalizada de uma métrica no nível superior do critério
+// Traz operador, alvo, faixa de horário (range) e janela (within_days do critério ou do nível superior)
+function getCriterionCondition(criteria, metric) {
+  const parsed = parseCriteria(criteria);
+  if (parsed[metric] === undefined) return null;
+  
+  const withinDays = parsed.within_days !== undefined ? Number(parsed.within_days) : null;
+  return normalizeCondition(metric, parsed[metric], withinDays);
+}
+
+// Função para obter o alvo numérico de uma métrica no nível superior do critério
+function getCriterionTarget(criteria, metric) {
+  const condition = getCriterionCondition(criteria, metric);
+  return condition ? condition.target : null;
+}
+
+// Função para formatar números no rótulo de progresso
+function formatValue(value) {
+  return Number.isInteger(value) ? String(value) : value.toFixed(2);
+}
+
+// Função para avaliar uma condição individual
+async function evaluateCondition(userId, condition, cache, db) {
+  const since = condition.withinDays ?
+    new Date(Date.now() - condition.withinDays * 24 * 60 * 60 * 1000) : null;
+  
+  // Valores são reaproveitados entre condições e distintivos na mesma avaliação
+  const cacheKey = `${condition.metric}|${condition.range || ''}|${condition.withinDays || ''}`;
+  if (!cache.has(cacheKey)) {
+    cache.set(cacheKey, getUserMetric(userId, condition.metric, condition.range, since, db));
+  }
+  const current = await cache.get(cacheKey);
+  
+  const satisfied = OPERATORS[condition.operator](current, condition.target);
+  const isUpperBound = condition.operator === 'lt' || condition.operator === 'lte';
+  const percentage = isUpperBound || condition.target <= 0 ?
+    (satisfied ? 100 : 0) :
+    Math.min(100, Math.round((current / condition.target) * 100));
+  
+  return {
+    metric: condition.metric,
+    operator: condition.operator,
+    current,
+    target: condition.target,
+    range: condition.range,
+    withinDays: condition.withinDays,
+    satisfied,
+    percentage,
+    label: `${formatValue(current)}/${formatValue(condition.target)} ${METRIC_LABELS[condition.metric]}`
+  };
+}
+
+// Função para avaliar recursivamente um nó da árvore de condições
+async function evaluateNode(userId, node, cache, db) {
+  if (node.type === 'condition') {
+    const result = await evaluateCondition(userId, node, cache, db);
+    return { satisfied: result.satisfied, percentage: result.percentage, label: result.label, conditions: [result] };
+  }
+  
+  const results = [];
+  for (const child of node.children) {
+    results.push(await evaluateNode(userId, child, cache, db));
+  }
+  
+  if (results.length === 0) {
+    return { satisfied: false, percentage: 0, label: null, conditions: [] };
+  }
+  
+  const isAny = node.type === 'any';
+  return {
+    satisfied: isAny ? results.some(r => r.satisfied) : results.every(r => r.satisfied),
+    percentage: isAny ?
+      Math.max(...results.map(r => r.percentage)) :
+      Math.round(results.reduce((sum, r) => sum + r.percentage, 0) / results.length),
+    label: results.map(r => r.label).filter(Boolean).join(isAny ? ' ou ' : ' e '),
+    conditions: results.reduce((all, r) => all.concat(r.conditions), [])
+  };
+}
+
+// Função para avaliar um critério para o usuário
+// Passe o mesmo cache ao avaliar vários critérios do mesmo usuário (db: client de uma transação aberta)
+async function evaluateCriteria(userId, criteria, cache = new Map(), db) {
+  try {
+    const tree = normalizeCriteria(parseCriteria(criteria));
+    return await evaluateNode(userId, tree, cache, db);
+  } catch (error) {
+    console.error('Error evaluating criteria:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  OPERATORS,
+  METRIC_LABELS,
+  CRITERIA_SCHEMA,
+  parseCriteria,
+  validateCriteria,
+  normalizeCriteria,
+  getCriteriaMetrics,
+  getCriterionCondition,
+  getCriterionTarget,
+  evaluateCriteria
+};
+
@@ -2,9 +2,20 @@
 // Utilitário para conexão com banco de dados PostgreSQL (Supabase)
 
 const { Pool } = require('pg');
+const { enqueueWebhookEvent } = require('./outbox');
+const { calculateOrderPoints } = require('./formulas');
+const { getBestCampaignBonus } = require('./campaigns');
+const { updateStreaks, STREAK_BONUS_POINTS_TYPE } = require('./streaks');
+const { createHttpError } = require('./auth');
 
 let pool;
 
+// Tipos de lançamento que debitam apenas o saldo disponível (não contam para nível nem rankings)
+const SPENDING_POINTS_TYPES = ['redemption', 'expiration'];
+
+// Tipos de lançamento que não contam nos rankings semanal e mensal (prêmios de ranking não realimentam o ranking)
+const RANKING_EXCLUDED_POINTS_TYPES = [...SPENDING_POINTS_TYPES, 'ranking_reward'];
+
 // Função para obter conexão com o banco de dados
 function getPool() {
   if (!pool) {
@@ -33,20 +44,14 @@ async function query(text, params) {
   }
 }
 
-// Função para executar transações
-async function transaction(queries) {
+// Função para executar uma função dentro de uma transação, usando o mesmo client
+async function withTransaction(callback) {
   const client = await getPool().connect();
   try {
     await client.query('BEGIN');
-    const results = [];
-    
-    for (const { text, params } of queries) {
-      const result = await client.query(text, params);
-      results.push(result);
-    }
-    
+    const result = await callback(client);
     await client.query('COMMIT');
-    return results;
+    return result;
   } catch (error) {
     await client.query('ROLLBACK');
     console.error('Transaction error:', error);
@@ -56,6 +61,20 @@ async function transaction(queries) {
   }
 }
 
+// Função para executar transações
+async function transaction(queries) {
+  return withTransaction(async (client) => {
+    const results = [];
+    
+    for (const { text, params } of queries) {
+      const result = await client.query(text, params);
+      results.push(result);
+    }
+    
+    return results;
+  });
+}
+
 // Função para verificar se usuário existe
 async function getUserById(userId) {
   try {
@@ -81,7 +100,7 @@ async function getUserPoints(userId) {
     if (result.rows.length === 0) {
       // Criar registro de pontos para o usuário
       result = await query(
-        `INSERT INTO user_points (user_id, total_points, current_level, points_to_next_level) 
+        `INSERT INTO user_points (user_id, lifetime_points, current_level, points_to_next_level) 
          VALUES ($1, 0, 1, 100) 
          RETURNING *`,
         [userId]
@@ -96,9 +115,10 @@ async function getUserPoints(userId) {
 }
 
 // Função para calcular nível baseado nos pontos
-async function calculateLevel(totalPoints) {
+// Aceita opcionalmente o client de uma transação em andamento
+async function calculateLevel(totalPoints, client = null) {
   try {
-    const result = await query(
+    const result = await (client || getPool()).query(
       `SELECT level_number, level_name, points_required, benefits 
        FROM levels 
        WHERE points_required <= $1 
@@ -125,9 +145,10 @@ async function calculateLevel(totalPoints) {
 }
 
 // Função para obter próximo nível
-async function getNextLevel(currentLevel) {
+// Aceita opcionalmente o client de uma transação em andamento
+async function getNextLevel(currentLevel, client = null) {
   try {
-    const result = await query(
+    const result = await (client || getPool()).query(
       `SELECT level_number, level_name, points_required, benefits 
        FROM levels 
        WHERE level_number > $1 
@@ -143,59 +164,322 @@ async function getNextLevel(currentLevel) {
   }
 }
 
-// Função para adicionar pontos ao usuário
-async function addPointsToUser(userId, points, pointsType, description, orderId = null) {
+// Função para obter os benefícios que mudaram de um nível para outro
+function getUnlockedBenefits(previousBenefits, newBenefits) {
+  const previous = typeof previousBenefits === 'string' ? JSON.parse(previousBenefits) : (previousBenefits || {});
+  const next = typeof newBenefits === 'string' ? JSON.parse(newBenefits) : (newBenefits || {});
+  const unlocked = {};
+  
+  for (const [key, value] of Object.entries(next)) {
+    if (previous[key] !== value) {
+      unlocked[key] = value;
+    }
+  }
+  
+  return unlocked;
+}
+
+// Função para registrar uma mudança de nível (dentro da transação que a causou)
+// Retorna o objeto levelUp quando o usuário subiu de nível, ou null
+async function recordLevelChange(client, userId, previousLevelNumber, newLevel, lifetimePoints, pointsHistoryId = null) {
+  if (previousLevelNumber === newLevel.level_number) return null;
+  
+  await client.query(
+    `INSERT INTO level_history (user_id, previous_level, new_level, lifetime_points, points_history_id) 
+     VALUES ($1, $2, $3, $4, $5)`,
+    [userId, previousLevelNumber, newLevel.level_number, lifetimePoints, pointsHistoryId]
+  );
+  
+  if (newLevel.level_number < previousLevelNumber) return null;
+  
+  const previousLevelResult = await client.query(
+    'SELECT level_number, level_name, benefits FROM levels WHERE level_number = $1',
+    [previousLevelNumber]
+  );
+  const previousLevel = previousLevelResult.rows[0] || { level_number: previousLevelNumber, level_name: null, benefits: '{}' };
+  
+  return {
+    previousLevel: {
+      number: previousLevel.level_number,
+      name: previousLevel.level_name
+    },
+    newLevel: {
+      number: newLevel.level_number,
+      name: newLevel.level_name,
+      benefits: JSON.parse(newLevel.benefits)
+    },
+    unlockedBenefits: getUnlockedBenefits(previousLevel.benefits, newLevel.benefits)
+  };
+}
+
+// Função para recalcular nível e pontos para o próximo nível a partir do acumulado (dentro da transação)
+// Vale para subidas e rebaixamentos; a mudança é registrada em level_history
+async function syncUserLevel(client, userId, previousLevelNumber, lifetimePoints, pointsHistoryId = null) {
+  const currentLevel = await calculateLevel(lifetimePoints, client);
+  const nextLevel = await getNextLevel(currentLevel.level_number, client);
+  
+  const pointsToNextLevel = nextLevel ? 
+    nextLevel.points_required - lifetimePoints : 0;
+  
+  await client.query(
+    `UPDATE user_points 
+     SET current_level = $2, points_to_next_level = $3, updated_at = CURRENT_TIMESTAMP 
+     WHERE user_id = $1`,
+    [userId, currentLevel.level_number, pointsToNextLevel]
+  );
+  
+  const levelUp = await recordLevelChange(
+    client, userId, previousLevelNumber, currentLevel, lifetimePoints, pointsHistoryId
+  );
+  
+  return { currentLevel, pointsToNextLevel, levelUp };
+}
+
+// Função para obter a validade (em dias) dos pontos de um tipo; null quando não expiram
+async function getPointsExpirationDays(pointsType) {
   try {
-    const queries = [
-      // Adicionar ao histórico
-      {
-        text: `INSERT INTO points_history (user_id, points_earned, points_type, description, order_id) 
-               VALUES ($1, $2, $3, $4, $5)`,
-        params: [userId, points, pointsType, description, orderId]
-      },
-      // Atualizar total de pontos
-      {
-        text: `UPDATE user_points 
-               SET total_points = total_points + $2, updated_at = CURRENT_TIMESTAMP 
-               WHERE user_id = $1`,
-        params: [userId, points]
-      }
-    ];
-    
-    await transaction(queries);
-    
-    // Recalcular nível
-    const userPoints = await getUserPoints(userId);
-    const currentLevel = await calculateLevel(userPoints.total_points);
-    const nextLevel = await getNextLevel(currentLevel.level_number);
-    
-    const pointsToNextLevel = nextLevel ? 
-      nextLevel.points_required - userPoints.total_points : 0;
+    const result = await query(
+      `SELECT expires_after_days 
+       FROM points_expiration_rules 
+       WHERE points_type = $1 AND is_active = true`,
+      [pointsType]
+    );
     
-    // Atualizar nível se necessário
-    if (currentLevel.level_number !== userPoints.current_level) {
-      await query(
-        `UPDATE user_points 
-         SET current_level = $2, points_to_next_level = $3, updated_at = CURRENT_TIMESTAMP 
-         WHERE user_id = $1`,
-        [userId, currentLevel.level_number, pointsToNextLevel]
-      );
-    } else {
-      await query(
-        `UPDATE user_points 
-         SET points_to_next_level = $2, updated_at = CURRENT_TIMESTAMP 
-         WHERE user_id = $1`,
-        [userId, pointsToNextLevel]
-      );
-    }
+    return result.rows[0] ? result.rows[0].expires_after_days : null;
+  } catch (error) {
+    console.error('Error getting points expiration rule:', error);
+    throw error;
+  }
+}
+
+// Função para consumir lotes de pontos ainda não utilizados, do mais antigo para o mais novo
+// Deve ser chamada dentro de uma transação (client); retorna quantos pontos foram consumidos dos lotes
+async function consumePointLots(client, userId, amount) {
+  const lotsResult = await client.query(
+    `SELECT id, points_remaining 
+     FROM points_history 
+     WHERE user_id = $1 AND points_remaining > 0 
+     ORDER BY created_at ASC, id ASC 
+     FOR UPDATE`,
+    [userId]
+  );
+  
+  let remaining = amount;
+  for (const lot of lotsResult.rows) {
+    if (remaining <= 0) break;
     
+    const consumed = Math.min(lot.points_remaining, remaining);
+    await client.query(
+      'UPDATE points_history SET points_remaining = points_remaining - $2 WHERE id = $1',
+      [lot.id, consumed]
+    );
+    remaining -= consumed;
+  }
+  
+  return amount - remaining;
+}
+
+// Função para somar um lançamento aos totais da semana e do mês correntes (ranking_period_totals)
+// Chamada na mesma transação que grava o lançamento em points_history; resgates, expiração e prêmios de ranking não entram
+async function recordRankingActivity(client, userId, points, pointsType) {
+  if (RANKING_EXCLUDED_POINTS_TYPES.includes(pointsType)) return;
+  
+  await client.query(
+    `INSERT INTO ranking_period_totals AS t 
+       (period_type, period_start, user_id, points, transactions, active_days, last_activity_date, 
+        highest_transaction, points_by_type, first_activity, last_activity) 
+     SELECT p.period_type, date_trunc(p.unit, CURRENT_TIMESTAMP)::date, $1, $2, 1, 1, CURRENT_DATE, 
+            $2, jsonb_build_object($3::text, jsonb_build_object('points', $2::integer, 'transactions', 1)), 
+            CURRENT_TIMESTAMP, CURRENT_TIMESTAMP 
+     FROM (VALUES ('weekly', 'week'), ('monthly', 'month')) AS p(period_type, unit) 
+     ON CONFLICT (period_type, period_start, user_id) DO UPDATE 
+     SET points = t.points + EXCLUDED.points, 
+         transactions = t.transactions + 1, 
+         active_days = t.active_days + CASE WHEN t.last_activity_date = CURRENT_DATE THEN 0 ELSE 1 END, 
+         last_activity_date = CURRENT_DATE, 
+         highest_transaction = GREATEST(t.highest_transaction, EXCLUDED.highest_transaction), 
+         points_by_type = jsonb_set(t.points_by_type, ARRAY[$3::text], jsonb_build_object( 
+           'points', COALESCE((t.points_by_type->$3::text->>'points')::integer, 0) + EXCLUDED.points, 
+           'transactions', COALESCE((t.points_by_type->$3::text->>'transactions')::integer, 0) + 1 
+         )), 
+         last_activity = CURRENT_TIMESTAMP`,
+    [userId, points, pointsType]
+  );
+}
+
+// Função para verificar se o usuário entrou no top 10 semanal e avisar os webhooks (uma vez por semana)
+// A posição vem dos totais incrementais da semana corrente
+async function notifyWeeklyTopEntry(client, userId) {
+  const positionResult = await client.query(
+    `SELECT
+       t.points as points_this_week,
+       to_char(t.period_start, 'YYYY-MM-DD') as week_start,
+       (SELECT COUNT(*) FROM ranking_period_totals other 
+        WHERE other.period_type = t.period_type AND other.period_start = t.period_start 
+        AND other.points > t.points) + 1 as position
+     FROM ranking_period_totals t
+     WHERE t.period_type = 'weekly'
+     AND t.period_start = date_trunc('week', CURRENT_TIMESTAMP)::date
+     AND t.user_id = $1`,
+    [userId]
+  );
+  
+  const row = positionResult.rows[0];
+  if (!row || parseInt(row.position) > 10) return;
+  
+  await enqueueWebhookEvent(client, 'ranking.weekly_top10', userId, {
+    userId,
+    weekStart: row.week_start,
+    position: parseInt(row.position),
+    pointsThisWeek: parseInt(row.points_this_week)
+  }, `ranking.weekly_top10:${userId}:${row.week_start}`);
+}
+
+// Função para adicionar pontos ao usuário dentro de uma transação já aberta (client)
+// Histórico, saldos, transição de nível e eventos de webhook usam o mesmo client, com o saldo bloqueado (FOR UPDATE)
+// Com options.order ({ orderValue, restaurantId, category, orderTime }), tipos com fórmula recalculam os pontos
+// Campanhas ativas somam um bônus ao crédito (options.restaurantId direciona campanhas por restaurante);
+// options.campaign traz a campanha já escolhida por quem verificou os limites com o crédito bonificado
+async function applyPointsToUser(client, userId, points, pointsType, description, orderId = null, options = {}) {
+  const expirationDays = await getPointsExpirationDays(pointsType);
+  
+  // Garantir o registro de pontos e bloqueá-lo até o fim da transação
+  await client.query(
+    `INSERT INTO user_points (user_id, lifetime_points, current_level, points_to_next_level) 
+     VALUES ($1, 0, 1, 100) 
+     ON CONFLICT (user_id) DO NOTHING`,
+    [userId]
+  );
+  
+  const balanceResult = await client.query(
+    `SELECT lifetime_points, available_points, current_level, points_to_next_level 
+     FROM user_points 
+     WHERE user_id = $1 
+     FOR UPDATE`,
+    [userId]
+  );
+  const before = balanceResult.rows[0];
+  
+  // Avaliar a fórmula do tipo com o nível já bloqueado
+  const formula = options.order ? await calculateOrderPoints(client, userId, pointsType, options.order) : null;
+  if (formula) {
+    points = formula.points;
+  }
+  
+  // Pedido que pela fórmula não rende pontos (ex.: valor zero) não gera lançamento
+  if (formula && points === 0) {
     return {
       success: true,
-      newTotal: userPoints.total_points + points,
-      currentLevel: currentLevel.level_number,
-      pointsToNextLevel: pointsToNextLevel
+      previousTotal: before.lifetime_points,
+      newTotal: before.lifetime_points,
+      availablePoints: before.available_points,
+      previousLevel: before.current_level,
+      currentLevel: before.current_level,
+      leveledUp: false,
+      levelUp: null,
+      pointsToNextLevel: before.points_to_next_level,
+      pointsAdded: 0,
+      formula,
+      campaign: null,
+      streaks: null,
+      historyId: null
     };
-    
+  }
+  
+  // Aplicar a campanha promocional de maior bônus, se houver
+  const campaign = options.campaign !== undefined ? options.campaign :
+    points > 0 ? await getBestCampaignBonus(client, userId, points, pointsType, {
+      restaurantId: options.order ? options.order.restaurantId : options.restaurantId,
+      levelNumber: before.current_level
+    }) : null;
+  if (campaign) {
+    points += campaign.bonus;
+  }
+  
+  // Adicionar ao histórico como um lote de pontos com validade própria
+  // O índice único (usuário, tipo, pedido) impede creditar o mesmo pedido duas vezes
+  const historyResult = await client.query(
+    `INSERT INTO points_history 
+       (user_id, points_earned, points_type, description, order_id, points_remaining, expires_at, 
+        campaign_id, campaign_bonus) 
+     VALUES ($1, $2, $3, $4, $5, $2, 
+       CASE WHEN $6::integer IS NULL THEN NULL 
+            ELSE CURRENT_TIMESTAMP + ($6::integer * INTERVAL '1 day') END, 
+       $7, $8) 
+     ON CONFLICT (user_id, points_type, order_id) WHERE order_id IS NOT NULL AND reversal_of IS NULL DO NOTHING 
+     RETURNING id`,
+    [userId, points, pointsType, description, orderId, expirationDays,
+     campaign ? campaign.id : null, campaign ? campaign.bonus : 0]
+  );
+  
+  if (historyResult.rows.length === 0) {
+    throw createHttpError(`Pontos do tipo ${pointsType} já creditados para o pedido ${orderId}`, 409);
+  }
+  
+  // Atualizar pontos acumulados (nível e rankings) e saldo disponível (resgates)
+  const updatedResult = await client.query(
+    `UPDATE user_points 
+     SET lifetime_points = lifetime_points + $2, available_points = available_points + $2, 
+         updated_at = CURRENT_TIMESTAMP 
+     WHERE user_id = $1 
+     RETURNING lifetime_points, available_points`,
+    [userId, points]
+  );
+  const after = updatedResult.rows[0];
+  
+  // Somar o crédito aos totais dos rankings semanal e mensal
+  await recordRankingActivity(client, userId, points, pointsType);
+  
+  // Recalcular nível com o novo acumulado e registrar a mudança, se houver
+  const { currentLevel, pointsToNextLevel, levelUp } = await syncUserLevel(
+    client, userId, before.current_level, after.lifetime_points, historyResult.rows[0].id
+  );
+  
+  // Avisar os webhooks sobre subida de nível e entrada no top 10 semanal
+  if (levelUp) {
+    await enqueueWebhookEvent(client, 'level.up', userId, { userId, lifetimePoints: after.lifetime_points, ...levelUp });
+  }
+  await notifyWeeklyTopEntry(client, userId);
+  
+  // Atualizar sequências e creditar os bônus dos marcos atingidos (streak_bonus não conta para sequências)
+  const streaks = await updateStreaks(client, userId, pointsType);
+  const streakBonuses = [];
+  for (const streak of streaks || []) {
+    for (const milestone of streak.milestones) {
+      const unit = milestone.streakType === 'daily' ? 'dias' : 'semanas';
+      await applyPointsToUser(
+        client, userId, milestone.bonusPoints, STREAK_BONUS_POINTS_TYPE,
+        `Sequência de ${milestone.streakCount} ${unit}`
+      );
+      streakBonuses.push(milestone);
+    }
+  }
+  
+  return {
+    success: true,
+    previousTotal: before.lifetime_points,
+    newTotal: after.lifetime_points,
+    availablePoints: after.available_points,
+    previousLevel: before.current_level,
+    currentLevel: currentLevel.level_number,
+    leveledUp: currentLevel.level_number > before.current_level,
+    levelUp,
+    pointsToNextLevel: pointsToNextLevel,
+    pointsAdded: points,
+    formula,
+    campaign,
+    streaks: streaks ? { updated: streaks.map(({ milestones, ...streak }) => streak), bonuses: streakBonuses } : null,
+    historyId: historyResult.rows[0].id
+  };
+}
+
+// Função para adicionar pontos ao usuário
+// Histórico, saldos e transição de nível acontecem na mesma transação, com o saldo bloqueado (FOR UPDATE)
+async function addPointsToUser(userId, points, pointsType, description, orderId = null, options = {}) {
+  try {
+    return await withTransaction(client =>
+      applyPointsToUser(client, userId, points, pointsType, description, orderId, options)
+    );
   } catch (error) {
     console.error('Error adding points:', error);
     throw error;
@@ -203,12 +487,22 @@ async function addPointsToUser(userId, points, pointsType, description, orderId
 }
 
 module.exports = {
+  SPENDING_POINTS_TYPES,
+  RANKING_EXCLUDED_POINTS_TYPES,
   query,
+  withTransaction,
   transaction,
   getUserById,
   getUserPoints,
   calculateLevel,
   getNextLevel,
+  getUnlockedBenefits,
+  recordLevelChange,
+  syncUserLevel,
+  getPointsExpirationDays,
+  consumePointLots,
+  recordRankingActivity,
+  applyPointsToUser,
   addPointsToUser
 };
 
@@ -0,0 +1,122 @@
+// api/gamification/utils/expiration.js
+// Utilitário para expiração de pontos por tipo (points_expiration_rules)
+//
+// Cada crédito em points_history é um lote com points_remaining e expires_at.
+// Resgates e expirações consomem os lotes do mais antigo para o mais novo,
+// e a expiração debita apenas available_points (lifetime_points não muda).
+
+const { query, withTransaction } = require('./database');
+
+// Função para expirar os lotes vencidos de um usuário, gerando um débito "expiration"
+async function expireUserPoints(userId) {
+  return withTransaction(async (client) => {
+    const balanceResult = await client.query(`
+      SELECT available_points
+      FROM user_points
+      WHERE user_id = $1
+      FOR UPDATE
+    `, [userId]);
+    
+    if (balanceResult.rows.length === 0) {
+      return { userId, pointsExpired: 0 };
+    }
+    
+    const lotsResult = await client.query(`
+      SELECT id, points_remaining
+      FROM points_history
+      WHERE user_id = $1 AND points_remaining > 0 AND expires_at <= CURRENT_TIMESTAMP
+      ORDER BY created_at ASC, id ASC
+      FOR UPDATE
+    `, [userId]);
+    
+    const expiredTotal = lotsResult.rows.reduce((sum, lot) => sum + lot.points_remaining, 0);
+    
+    // Nunca deixar o saldo disponível negativo
+    const pointsExpired = Math.min(expiredTotal, balanceResult.rows[0].available_points);
+    
+    await client.query(`
+      UPDATE points_history
+      SET points_remaining = 0
+      WHERE id = ANY($1)
+    `, [lotsResult.rows.map(lot => lot.id)]);
+    
+    if (pointsExpired > 0) {
+      await client.query(`
+        INSERT INTO points_history (user_id, points_earned, points_type, description, order_id)
+        VALUES ($1, $2, 'expiration', $3, NULL)
+      `, [userId, -pointsExpired, `Pontos expirados (${lotsResult.rows.length} lançamento(s))`]);
+      
+      await client.query(`
+        UPDATE user_points
+        SET available_points = available_points - $2, updated_at = CURRENT_TIMESTAMP
+        WHERE user_id = $1
+      `, [userId, pointsExpired]);
+    }
+    
+    return { userId, pointsExpired };
+  });
+}
+
+// Função para executar a expiração de um lote de usuários com lotes vencidos
+// Os usuários são percorridos em ordem de user_id a partir de afterUserId (lastUserId do lote anterior),
+// então quem falhou não volta nos lotes seguintes da mesma execução
+async function runPointsExpiration(afterUserId = 0, batchSize = 200) {
+  const usersResult = await query(`
+    SELECT DISTINCT user_id
+    FROM points_history
+    WHERE points_remaining > 0 AND expires_at <= CURRENT_TIMESTAMP
+    AND user_id > $2
+    ORDER BY user_id
+    LIMIT $1
+  `, [batchSize, afterUserId]);
+  
+  const results = [];
+  const failures = [];
+  
+  for (const row of usersResult.rows) {
+    try {
+      results.push(await expireUserPoints(row.user_id));
+    } catch (error) {
+      console.error(`Error expiring points for user ${row.user_id}:`, error);
+      failures.push(row.user_id);
+    }
+  }
+  
+  return {
+    usersProcessed: results.length,
+    pointsExpired: results.reduce((sum, r) => sum + r.pointsExpired, 0),
+    failedUsers: failures,
+    lastUserId: usersResult.rows.length > 0 ? usersResult.rows[usersResult.rows.length - 1].user_id : afterUserId,
+    hasMore: usersResult.rows.length === batchSize
+  };
+}
+
+// Função para obter os pontos que vão expirar nos próximos dias
+async function getExpiringPoints(userId, withinDays = 30) {
+  const result = await query(`
+    SELECT
+      points_type,
+      points_remaining,
+      expires_at
+    FROM points_history
+    WHERE user_id = $1
+    AND points_remaining > 0
+    AND expires_at > CURRENT_TIMESTAMP
+    AND expires_at <= CURRENT_TIMESTAMP + ($2::integer * INTERVAL '1 day')
+    ORDER BY expires_at ASC
+  `, [userId, withinDays]);
+  
+  return result.rows.map(row => ({
+    points: row.points_remaining,
+    pointsType: row.points_type,
+    expiresAt: row.expires_at,
+    daysLeft: Math.ceil((new Date(row.expires_at) - new Date()) / (1000 * 60 * 60 * 24))
+  }));
+}
+
+module.exports = {
+  expireUserPoints,
+  runPointsExpiration,
+  getExpiringPoints
+};
+
@@ -0,0 +1,129 @@
+// api/gamification/utils/formulas.js
+// Utilitário da fórmula de pontos por valor do pedido
+//
+// pontos = orderValue * points_per_currency * multiplicadores, arredondado (rounding) e limitado a max_points.
+// Multiplicadores: benefício points_multiplier do nível atual do usuário e points_multipliers por
+// restaurante, categoria e faixa de horário (UTC). Dentro do mesmo escopo vale o maior.
+//
+// Não depende de database.js (que usa este módulo em addPointsToUser): as funções recebem
+// o client da transação ou qualquer objeto com query(text, params).
+
+const { createHttpError } = require('./auth');
+
+// Funções de arredondamento aceitas em point_types.rounding
+const ROUNDING_FUNCTIONS = {
+  floor: Math.floor,
+  round: Math.round,
+  ceil: Math.ceil
+};
+
+// Função para obter o horário (HH:MM, UTC) do pedido
+function getOrderTimeOfDay(orderTime) {
+  const date = orderTime ? new Date(orderTime) : new Date();
+  if (isNaN(date.getTime())) {
+    throw createHttpError('orderTime deve ser uma data válida', 400);
+  }
+  return date.toISOString().slice(11, 16);
+}
+
+// Função para obter o multiplicador de pontos do nível atual do usuário
+async function getLevelMultiplier(db, userId) {
+  const result = await db.query(
+    `SELECT l.level_number, l.level_name, l.benefits 
+     FROM user_points up 
+     JOIN levels l ON l.level_number = up.current_level 
+     WHERE up.user_id = $1`,
+    [userId]
+  );
+  
+  const level = result.rows[0];
+  if (!level) return null;
+  
+  const benefits = typeof level.benefits === 'string' ? JSON.parse(level.benefits) : (level.benefits || {});
+  if (!benefits.points_multiplier || benefits.points_multiplier === 1) return null;
+  
+  return {
+    scope: 'level',
+    multiplier: Number(benefits.points_multiplier),
+    description: `Nível ${level.level_name}`
+  };
+}
+
+// Função para obter os multiplicadores aplicáveis ao pedido (o maior de cada escopo)
+async function getOrderMultipliers(db, pointsType, order) {
+  const result = await db.query(
+    `SELECT DISTINCT ON (scope) id, scope, multiplier, description 
+     FROM points_multipliers 
+     WHERE is_active = true 
+     AND (points_type IS NULL OR points_type = $1) 
+     AND ( 
+       (scope = 'restaurant' AND restaurant_id = $2) 
+       OR (scope = 'category' AND category = $3) 
+       OR (scope = 'time_of_day' AND CASE 
+             WHEN start_time <= end_time THEN $4::time >= start_time AND $4::time < end_time 
+             ELSE $4::time >= start_time OR $4::time < end_time 
+           END) 
+     ) 
+     ORDER BY scope, multiplier DESC`,
+    [pointsType, order.restaurantId || null, order.category || null, getOrderTimeOfDay(order.orderTime)]
+  );
+  
+  return result.rows.map(row => ({
+    id: row.id,
+    scope: row.scope,
+    multiplier: Number(row.multiplier),
+    description: row.description
+  }));
+}
+
+// Função para calcular os pontos de um pedido pela fórmula do tipo
+// order: { orderValue, restaurantId, category, orderTime }; retorna null se o tipo não usa fórmula
+async function calculateOrderPoints(db, userId, pointsType, order) {
+  const typeResult = await db.query(
+    `SELECT points_type, points_per_currency, max_points, rounding 
+     FROM point_types 
+     WHERE points_type = $1 AND is_active = true AND amount_mode = 'order_formula'`,
+    [pointsType]
+  );
+  
+  const formula = typeResult.rows[0];
+  if (!formula) return null;
+  
+  const orderValue = Number(order.orderValue);
+  if (order.orderValue === undefined || order.orderValue === null || isNaN(orderValue) || orderValue < 0) {
+    throw createHttpError(`orderValue é obrigatório para o tipo ${pointsType}`, 400);
+  }
+  
+  const basePoints = orderValue * Number(formula.points_per_currency);
+  
+  const levelMultiplier = await getLevelMultiplier(db, userId);
+  const multipliers = (levelMultiplier ? [levelMultiplier] : []).concat(
+    await getOrderMultipliers(db, pointsType, order)
+  );
+  const totalMultiplier = multipliers.reduce((product, item) => product * item.multiplier, 1);
+  
+  const rounded = ROUNDING_FUNCTIONS[formula.rounding](basePoints * totalMultiplier);
+  const points = formula.max_points ? Math.min(rounded, formula.max_points) : rounded;
+  
+  return {
+    pointsType,
+    orderValue,
+    pointsPerCurrency: Number(formula.points_per_currency),
+    basePoints: ROUNDING_FUNCTIONS[formula.rounding](basePoints),
+    multipliers,
+    totalMultiplier: Math.round(totalMultiplier * 10000) / 10000,
+    rounding: formula.rounding,
+    maxPoints: formula.max_points,
+    capped: formula.max_points !== null && rounded > formula.max_points,
+    points
+  };
+}
+
+module.exports = {
+  ROUNDING_FUNCTIONS,
+  getOrderTimeOfDay,
+  getLevelMultiplier,
+  getOrderMultipliers,
+  calculateOrderPoints
+};
+
@@ -0,0 +1,233 @@
+// api/gamification/utils/friendships.js
+// Utilitário de amizades entre usuários
+//
+// Um usuário convida outro (pendente) e a amizade vale depois que o convidado aceita.
+// Recusar, cancelar o convite ou desfazer a amizade remove o registro. Os rankings com
+// scope=friends consideram apenas o usuário e seus amigos aceitos.
+
+const { query, withTransaction, getUserById } = require('./database');
+const { createHttpError } = require('./auth');
+
+// Limite de amizades (aceitas e convites pendentes) por usuário
+const MAX_FRIENDS = 500;
+
+// Escopos aceitos pelos rankings
+const RANKING_SCOPES = ['global', 'friends'];
+
+// Colunas de friendships usadas nas respostas
+const FRIENDSHIP_COLUMNS = 'id, requester_id, addressee_id, status, created_at, accepted_at';
+
+// Função para formatar uma amizade do ponto de vista do usuário
+function formatFriendship(row, userId) {
+  return {
+    id: row.id,
+    friendId: row.requester_id === userId ? row.addressee_id : row.requester_id,
+    direction: row.requester_id === userId ? 'outgoing' : 'incoming',
+    status: row.status,
+    createdAt: row.created_at,
+    acceptedAt: row.accepted_at
+  };
+}
+
+// Função para garantir que o usuário ainda pode ter novas amizades
+async function ensureFriendLimit(db, userId) {
+  const countResult = await db.query(
+    'SELECT COUNT(*) as total FROM friendships WHERE requester_id = $1 OR addressee_id = $1',
+    [userId]
+  );
+  
+  if (parseInt(countResult.rows[0].total) >= MAX_FRIENDS) {
+    throw createHttpError(`Limite de ${MAX_FRIENDS} amizades atingido`, 409);
+  }
+}
+
+// Função para convidar um usuário para a amizade
+// Se o outro usuário já havia convidado, o convite dele é aceito
+async function sendFriendRequest(userId, friendId) {
+  try {
+    if (userId === friendId) {
+      throw createHttpError('Não é possível adicionar a si mesmo como amigo', 400);
+    }
+    
+    const friend = await getUserById(friendId);
+    if (!friend) {
+      throw createHttpError('Usuário convidado não encontrado', 404);
+    }
+    
+    return await withTransaction(async (client) => {
+      const existingResult = await client.query(
+        `SELECT ${FRIENDSHIP_COLUMNS}
+         FROM friendships
+         WHERE LEAST(requester_id, addressee_id) = LEAST($1::integer, $2::integer)
+         AND GREATEST(requester_id, addressee_id) = GREATEST($1::integer, $2::integer)
+         FOR UPDATE`,
+        [userId, friendId]
+      );
+      
+      const existing = existingResult.rows[0];
+      if (existing && existing.status === 'accepted') {
+        throw createHttpError('Os usuários já são amigos', 409);
+      }
+      
+      if (existing && existing.requester_id === userId) {
+        throw createHttpError('Convite de amizade já enviado', 409);
+      }
+      
+      if (existing) {
+        const acceptedResult = await client.query(
+          `UPDATE friendships
+           SET status = 'accepted', accepted_at = CURRENT_TIMESTAMP
+           WHERE id = $1
+           RETURNING ${FRIENDSHIP_COLUMNS}`,
+          [existing.id]
+        );
+        return { friendship: formatFriendship(acceptedResult.rows[0], userId), accepted: true };
+      }
+      
+      await ensureFriendLimit(client, userId);
+      await ensureFriendLimit(client, friendId);
+      
+      const insertResult = await client.query(
+        `INSERT INTO friendships (requester_id, addressee_id)
+         VALUES ($1, $2)
+         ON CONFLICT (LEAST(requester_id, addressee_id), GREATEST(requester_id, addressee_id)) DO NOTHING
+         RETURNING ${FRIENDSHIP_COLUMNS}`,
+        [userId, friendId]
+      );
+      
+      if (insertResult.rows.length === 0) {
+        throw createHttpError('Convite de amizade já enviado', 409);
+      }
+      
+      return { friendship: formatFriendship(insertResult.rows[0], userId), accepted: false };
+    });
+  } catch (error) {
+    console.error('Error sending friend request:', error);
+    throw error;
+  }
+}
+
+// Função para aceitar um convite de amizade recebido pelo usuário
+async function acceptFriendRequest(userId, friendshipId) {
+  try {
+    return await withTransaction(async (client) => {
+      const pendingResult = await client.query(
+        `SELECT ${FRIENDSHIP_COLUMNS}
+         FROM friendships
+         WHERE id = $1 AND addressee_id = $2
+         FOR UPDATE`,
+        [friendshipId, userId]
+      );
+      
+      const pending = pendingResult.rows[0];
+      if (!pending) {
+        throw createHttpError('Convite de amizade não encontrado', 404);
+      }
+      
+      if (pending.status === 'accepted') {
+        throw createHttpError('Convite de amizade já aceito', 409);
+      }
+      
+      const acceptedResult = await client.query(
+        `UPDATE friendships
+         SET status = 'accepted', accepted_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING ${FRIENDSHIP_COLUMNS}`,
+        [friendshipId]
+      );
+      
+      return formatFriendship(acceptedResult.rows[0], userId);
+    });
+  } catch (error) {
+    console.error('Error accepting friend request:', error);
+    throw error;
+  }
+}
+
+// Função para desfazer uma amizade, recusar um convite recebido ou cancelar um convite enviado
+async function removeFriendship(userId, friendId) {
+  try {
+    const deleteResult = await query(`
+      DELETE FROM friendships
+      WHERE LEAST(requester_id, addressee_id) = LEAST($1::integer, $2::integer)
+      AND GREATEST(requester_id, addressee_id) = GREATEST($1::integer, $2::integer)
+      RETURNING ${FRIENDSHIP_COLUMNS}
+    `, [userId, friendId]);
+    
+    if (deleteResult.rows.length === 0) {
+      throw createHttpError('Amizade não encontrada', 404);
+    }
+    
+    return formatFriendship(deleteResult.rows[0], userId);
+  } catch (error) {
+    console.error('Error removing friendship:', error);
+    throw error;
+  }
+}
+
+// Função para listar as amizades e convites do usuário, com nome e nível de cada amigo
+async function listFriendships(userId) {
+  const result = await query(`
+    SELECT
+      f.id, f.requester_id, f.addressee_id, f.status, f.created_at, f.accepted_at,
+      u.name, COALESCE(up.lifetime_points, 0) as lifetime_points, COALESCE(up.current_level, 1) as current_level
+    FROM friendships f
+    JOIN users u ON u.id = CASE WHEN f.requester_id = $1 THEN f.addressee_id ELSE f.requester_id END
+    LEFT JOIN user_points up ON up.user_id = u.id
+    WHERE f.requester_id = $1 OR f.addressee_id = $1
+    ORDER BY f.status, u.name, f.id
+  `, [userId]);
+  
+  const friendships = result.rows.map(row => ({
+    ...formatFriendship(row, userId),
+    name: row.name,
+    lifetimePoints: parseInt(row.lifetime_points),
+    currentLevel: row.current_level
+  }));
+  
+  return {
+    friends: friendships.filter(friendship => friendship.status === 'accepted'),
+    incoming: friendships.filter(friendship => friendship.status === 'pending' && friendship.direction === 'incoming'),
+    outgoing: friendships.filter(friendship => friendship.status === 'pending' && friendship.direction === 'outgoing')
+  };
+}
+
+// Função para obter os ids dos amigos aceitos do usuário
+async function getFriendIds(userId) {
+  const result = await query(`
+    SELECT CASE WHEN requester_id = $1 THEN addressee_id ELSE requester_id END as friend_id
+    FROM friendships
+    WHERE (requester_id = $1 OR addressee_id = $1) AND status = 'accepted'
+  `, [userId]);
+  
+  return result.rows.map(row => row.friend_id);
+}
+
+// Função para obter os usuários considerados pelo escopo do ranking (null = todos)
+// scope=friends exige userId e considera o usuário e seus amigos aceitos
+async function getRankingScopeUserIds(scope, userId) {
+  if (!RANKING_SCOPES.includes(scope)) {
+    throw createHttpError(`scope inválido. Escopos válidos: ${RANKING_SCOPES.join(', ')}`, 400);
+  }
+  
+  if (scope === 'global') return null;
+  
+  if (!userId) {
+    throw createHttpError('userId é obrigatório para scope=friends', 400);
+  }
+  
+  const friendIds = await getFriendIds(userId);
+  return [userId, ...friendIds];
+}
+
+module.exports = {
+  MAX_FRIENDS,
+  RANKING_SCOPES,
+  sendFriendRequest,
+  acceptFriendRequest,
+  removeFriendship,
+  listFriendships,
+  getFriendIds,
+  getRankingScopeUserIds
+};
+
@@ -0,0 +1,126 @@
+// api/gamification/utils/idempotency.js
+// Utilitário para idempotência de endpoints que alteram dados
+//
+// A chave vem do header Idempotency-Key ou de uma chave natural do endpoint
+// (ex.: user_id + points_type + order_id). A primeira resposta (exceto erros 5xx)
+// fica salva em idempotency_keys e é devolvida nas repetições, sem refazer os efeitos.
+
+const crypto = require('crypto');
+const { query } = require('./database');
+const { createResponse } = require('./auth');
+
+// Tempo de retenção das chaves
+const IDEMPOTENCY_TTL_HOURS = 24;
+
+// Prazo de uma chave em processamento; depois dele a requisição é considerada interrompida e pode ser refeita
+const IDEMPOTENCY_LEASE_SECONDS = 120;
+
+// Função para obter a chave de idempotência do header ou da chave natural
+function getIdempotencyKey(req, naturalKey = null) {
+  const headerKey = req.headers['idempotency-key'];
+  if (headerKey) return String(headerKey).trim().slice(0, 255);
+  return naturalKey;
+}
+
+// Função para calcular o hash do corpo da requisição
+function hashRequest(body) {
+  return crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+}
+
+// Função para iniciar uma requisição idempotente
+// Retorna { replay: true, statusCode, response } quando a chave já foi usada
+async function beginIdempotentRequest(endpoint, key, body) {
+  if (!key) return null;
+  
+  const requestHash = hashRequest(body);
+  
+  // Remover chave vencida ou presa em processamento (requisição interrompida) para permitir reutilização
+  await query(`
+    DELETE FROM idempotency_keys
+    WHERE endpoint = $1 AND idempotency_key = $2
+    AND (
+      expires_at < CURRENT_TIMESTAMP
+      OR (completed_at IS NULL AND created_at < CURRENT_TIMESTAMP - ($3::integer * INTERVAL '1 second'))
+    )
+  `, [endpoint, key, IDEMPOTENCY_LEASE_SECONDS]);
+  
+  const insertResult = await query(`
+    INSERT INTO idempotency_keys (endpoint, idempotency_key, request_hash, expires_at)
+    VALUES ($1, $2, $3, CURRENT_TIMESTAMP + ($4::integer * INTERVAL '1 hour'))
+    ON CONFLICT (endpoint, idempotency_key) DO NOTHING
+    RETURNING id
+  `, [endpoint, key, requestHash, IDEMPOTENCY_TTL_HOURS]);
+  
+  if (insertResult.rows.length > 0) {
+    return { id: insertResult.rows[0].id, endpoint, key, replay: false };
+  }
+  
+  const existingResult = await query(`
+    SELECT request_hash, status_code, response, completed_at
+    FROM idempotency_keys
+    WHERE endpoint = $1 AND idempotency_key = $2
+  `, [endpoint, key]);
+  
+  const existing = existingResult.rows[0];
+  
+  if (existing.request_hash !== requestHash) {
+    return {
+      replay: true,
+      statusCode: 422,
+      response: createResponse(false, null, 'Chave de idempotência já utilizada com outros parâmetros', 422)
+    };
+  }
+  
+  if (!existing.completed_at) {
+    return {
+      replay: true,
+      statusCode: 409,
+      response: createResponse(false, null, 'Requisição com esta chave de idempotência ainda em processamento', 409)
+    };
+  }
+  
+  return { replay: true, statusCode: existing.status_code, response: existing.response };
+}
+
+// Função para concluir a requisição: salva a resposta ou libera a chave em caso de erro 5xx
+async function finishIdempotentRequest(idempotency, statusCode, response) {
+  if (!idempotency || idempotency.replay) return;
+  
+  try {
+    if (statusCode >= 500) {
+      await query('DELETE FROM idempotency_keys WHERE id = $1', [idempotency.id]);
+      return;
+    }
+    
+    await query(`
+      UPDATE idempotency_keys
+      SET status_code = $2, response = $3, completed_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [idempotency.id, statusCode, JSON.stringify(response)]);
+  } catch (error) {
+    console.error('Error finishing idempotent request:', error);
+  }
+}
+
+// Função para enviar a resposta registrando-a na chave de idempotência
+async function sendIdempotentResponse(res, idempotency, statusCode, response) {
+  await finishIdempotentRequest(idempotency, statusCode, response);
+  if (idempotency && !idempotency.replay) {
+    res.setHeader('Idempotency-Key', idempotency.key);
+  }
+  return res.status(statusCode).json(response);
+}
+
+// Função para devolver a resposta original de uma requisição repetida
+function sendReplayedResponse(res, idempotency) {
+  res.setHeader('Idempotent-Replayed', 'true');
+  return res.status(idempotency.statusCode).json(idempotency.response);
+}
+
+module.exports = {
+  getIdempotencyKey,
+  beginIdempotentRequest,
+  finishIdempotentRequest,
+  sendIdempotentResponse,
+  sendReplayedResponse
+};
@@ -0,0 +1,344 @@
+// api/gamification/utils/leagues.js
+// Utilitário das ligas semanais
+//
+// Cada semana (segunda a domingo) os usuários ativos são separados em grupos (league_cohorts) de até
+// COHORT_SIZE usuários da mesma divisão, ordenados pela atividade da semana anterior. A pontuação do
+// grupo vem dos totais do ranking semanal (ranking_period_totals ou o snapshot em rankings). Na apuração
+// da semana, os primeiros de cada grupo sobem de divisão e os últimos descem (league_tiers); o resultado
+// fica em league_memberships, que também serve de histórico de divisões.
+
+const { query, withTransaction } = require('./database');
+const { getRankingPeriod, freezeRankingPeriod } = require('./rankings');
+
+// Tamanho máximo de um grupo
+const COHORT_SIZE = 30;
+
+// Semanas apuradas retornadas no histórico do usuário
+const HISTORY_WEEKS = 8;
+
+// Função para obter as divisões em ordem crescente
+async function getLeagueTiers(db = { query }) {
+  const result = await db.query(
+    'SELECT tier, name, promote_count, demote_count FROM league_tiers ORDER BY tier'
+  );
+  return result.rows;
+}
+
+// Função para formatar uma divisão
+function formatTier(tier) {
+  return tier ? {
+    tier: tier.tier,
+    name: tier.name,
+    promoteCount: tier.promote_count,
+    demoteCount: tier.demote_count
+  } : null;
+}
+
+// Função para obter a zona de uma posição do grupo ('promotion', 'demotion' ou null)
+// Não há promoção na última divisão nem rebaixamento na primeira, e só sobe quem pontuou
+function getLeagueZone(position, points, cohortSize, tier, tiers) {
+  const index = tiers.findIndex(candidate => candidate.tier === tier.tier);
+  const canPromote = index < tiers.length - 1;
+  const canDemote = index > 0;
+  const promoteCount = canPromote ? Math.min(tier.promote_count, cohortSize) : 0;
+  const demoteFrom = Math.max(promoteCount, cohortSize - (canDemote ? tier.demote_count : 0));
+  
+  if (position <= promoteCount && points > 0) return 'promotion';
+  if (position > demoteFrom) return 'demotion';
+  return null;
+}
+
+// Função para obter a classificação de um grupo
+// Semanas apuradas usam a posição e os pontos finais; a semana atual, os totais do ranking semanal
+async function getCohortStandings(db, cohortId) {
+  const result = await db.query(`
+    SELECT
+      m.user_id, u.name, m.tier, m.joined_at, m.final_position, m.outcome,
+      COALESCE(m.final_points, r.points, t.points, 0)::integer as points,
+      COALESCE(m.final_position, ROW_NUMBER() OVER (
+        ORDER BY COALESCE(m.final_points, r.points, t.points, 0) DESC, m.joined_at ASC, m.user_id ASC
+      ))::integer as position
+    FROM league_memberships m
+    JOIN users u ON u.id = m.user_id
+    LEFT JOIN rankings r
+      ON r.period_type = 'weekly' AND r.period_start = m.week_start AND r.user_id = m.user_id
+    LEFT JOIN ranking_period_totals t
+      ON t.period_type = 'weekly' AND t.period_start = m.week_start AND t.user_id = m.user_id
+    WHERE m.cohort_id = $1
+    ORDER BY position
+  `, [cohortId]);
+  
+  return result.rows;
+}
+
+// Função para colocar usuários da mesma divisão nos grupos da semana
+// Completa o último grupo aberto da divisão e cria novos grupos quando ele enche
+async function assignToCohorts(client, weekKey, tier, userIds) {
+  const openResult = await client.query(`
+    SELECT c.id, (SELECT COUNT(*) FROM league_memberships m WHERE m.cohort_id = c.id)::integer as members
+    FROM league_cohorts c
+    WHERE c.week_start = $1::date AND c.tier = $2 AND c.closed_at IS NULL
+    ORDER BY c.id DESC
+    LIMIT 1
+    FOR UPDATE
+  `, [weekKey, tier]);
+  
+  let cohort = openResult.rows[0] || null;
+  const placed = [];
+  
+  for (const userId of userIds) {
+    if (!cohort || cohort.members >= COHORT_SIZE) {
+      const cohortResult = await client.query(
+        'INSERT INTO league_cohorts (week_start, tier) VALUES ($1::date, $2) RETURNING id',
+        [weekKey, tier]
+      );
+      cohort = { id: cohortResult.rows[0].id, members: 0 };
+    }
+    
+    const membershipResult = await client.query(`
+      INSERT INTO league_memberships (cohort_id, week_start, user_id, tier)
+      VALUES ($1, $2::date, $3, $4)
+      ON CONFLICT (week_start, user_id) DO NOTHING
+      RETURNING cohort_id
+    `, [cohort.id, weekKey, userId, tier]);
+    
+    if (membershipResult.rows.length > 0) {
+      cohort.members++;
+      placed.push({ userId, cohortId: cohort.id, tier });
+    }
+  }
+  
+  return placed;
+}
+
+// Função para colocar nos grupos da semana os usuários ativos ainda sem grupo
+// Ativos: pontuaram na semana ou na semana anterior da liga; userId restringe a um usuário
+async function placeActiveUsers(weekKey, userId = null) {
+  try {
+    const tiers = await getLeagueTiers();
+    if (tiers.length === 0) return [];
+    
+    const candidatesResult = await query(`
+      WITH candidates AS (
+        SELECT user_id FROM ranking_period_totals
+        WHERE period_type = 'weekly' AND period_start = $1::date AND points > 0
+        UNION
+        SELECT user_id FROM league_memberships
+        WHERE week_start = $1::date - 7 AND final_points > 0
+      )
+      SELECT c.user_id, COALESCE(ult.tier, $2) as tier
+      FROM candidates c
+      LEFT JOIN user_league_tiers ult ON ult.user_id = c.user_id
+      LEFT JOIN league_memberships prev ON prev.user_id = c.user_id AND prev.week_start = $1::date - 7
+      LEFT JOIN ranking_period_totals t
+        ON t.period_type = 'weekly' AND t.period_start = $1::date AND t.user_id = c.user_id
+      WHERE ($3::integer IS NULL OR c.user_id = $3)
+      AND NOT EXISTS (
+        SELECT 1 FROM league_memberships m WHERE m.user_id = c.user_id AND m.week_start = $1::date
+      )
+      ORDER BY tier, COALESCE(prev.final_points, t.points, 0) DESC, c.user_id
+    `, [weekKey, tiers[0].tier, userId]);
+    
+    // Agrupar por divisão mantendo a ordem de atividade, para que grupos reúnam atividade parecida
+    const byTier = new Map();
+    for (const row of candidatesResult.rows) {
+      if (!byTier.has(row.tier)) byTier.set(row.tier, []);
+      byTier.get(row.tier).push(row.user_id);
+    }
+    
+    const placed = [];
+    for (const [tier, userIds] of byTier) {
+      const tierPlaced = await withTransaction(client => assignToCohorts(client, weekKey, tier, userIds));
+      placed.push(...tierPlaced);
+    }
+    
+    return placed;
+  } catch (error) {
+    console.error('Error placing users in leagues:', error);
+    throw error;
+  }
+}
+
+// Função para apurar as ligas de uma semana encerrada: grava posições e resultados e muda as divisões
+// Grupos já apurados são ignorados, então repetir a apuração não move ninguém duas vezes
+async function closeLeagueWeek(weekKey) {
+  try {
+    // Garantir o snapshot do ranking semanal, fonte dos pontos finais (sem efeito se já existe)
+    await freezeRankingPeriod('weekly', weekKey);
+    
+    const tiers = await getLeagueTiers();
+    
+    const cohortsResult = await query(`
+      SELECT id FROM league_cohorts
+      WHERE week_start = $1::date AND closed_at IS NULL
+      ORDER BY tier, id
+    `, [weekKey]);
+    
+    const closed = [];
+    for (const { id } of cohortsResult.rows) {
+      const summary = await withTransaction(async (client) => {
+        const cohortResult = await client.query(
+          'SELECT id, tier FROM league_cohorts WHERE id = $1 AND closed_at IS NULL FOR UPDATE',
+          [id]
+        );
+        
+        const cohort = cohortResult.rows[0];
+        if (!cohort) return null;
+        
+        const tierIndex = tiers.findIndex(candidate => candidate.tier === cohort.tier);
+        const tier = tiers[tierIndex];
+        const standings = await getCohortStandings(client, cohort.id);
+        const counts = { promoted: 0, stayed: 0, demoted: 0 };
+        
+        for (const row of standings) {
+          const zone = tier ? getLeagueZone(row.position, row.points, standings.length, tier, tiers) : null;
+          const outcome = zone === 'promotion' ? 'promoted' : zone === 'demotion' ? 'demoted' : 'stayed';
+          const newTier = outcome === 'promoted' ? tiers[tierIndex + 1].tier :
+            outcome === 'demoted' ? tiers[tierIndex - 1].tier : cohort.tier;
+          
+          await client.query(`
+            UPDATE league_memberships
+            SET final_position = $1, final_points = $2, outcome = $3
+            WHERE cohort_id = $4 AND user_id = $5
+          `, [row.position, row.points, outcome, cohort.id, row.user_id]);
+          
+          await client.query(`
+            INSERT INTO user_league_tiers (user_id, tier)
+            VALUES ($1, $2)
+            ON CONFLICT (user_id) DO UPDATE
+            SET tier = EXCLUDED.tier, updated_at = CURRENT_TIMESTAMP
+          `, [row.user_id, newTier]);
+          
+          counts[outcome]++;
+        }
+        
+        await client.query('UPDATE league_cohorts SET closed_at = CURRENT_TIMESTAMP WHERE id = $1', [cohort.id]);
+        
+        return { cohortId: cohort.id, tier: cohort.tier, members: standings.length, ...counts };
+      });
+      
+      if (summary) closed.push(summary);
+    }
+    
+    return closed;
+  } catch (error) {
+    console.error('Error closing league week:', error);
+    throw error;
+  }
+}
+
+// Função para obter as semanas anteriores à informada que ainda têm grupos abertos
+async function getPendingLeagueWeeks(weekKey) {
+  const result = await query(`
+    SELECT DISTINCT to_char(week_start, 'YYYY-MM-DD') as week_key
+    FROM league_cohorts
+    WHERE week_start < $1::date AND closed_at IS NULL
+    ORDER BY week_key
+  `, [weekKey]);
+  
+  return result.rows.map(row => row.week_key);
+}
+
+// Função para apurar as semanas encerradas com grupos abertos e formar os grupos da semana atual
+async function processLeagues() {
+  const currentWeek = await getRankingPeriod('weekly');
+  const pendingWeeks = await getPendingLeagueWeeks(currentWeek.key);
+  
+  const closed = [];
+  for (const weekKey of pendingWeeks) {
+    const cohorts = await closeLeagueWeek(weekKey);
+    closed.push({ week: weekKey, cohorts });
+  }
+  
+  const placed = await placeActiveUsers(currentWeek.key);
+  
+  return { week: currentWeek.key, closed, placed };
+}
+
+// Função para obter a liga atual do usuário: divisão, grupo da semana com a classificação e histórico
+// Um usuário ativo ainda sem grupo na semana é colocado em um grupo na hora, desde que as semanas
+// anteriores já tenham sido apuradas (antes disso a divisão dele ainda pode mudar)
+async function getCurrentLeague(userId) {
+  const week = await getRankingPeriod('weekly');
+  const tiers = await getLeagueTiers();
+  
+  let membershipResult = await query(
+    'SELECT cohort_id, tier, joined_at FROM league_memberships WHERE user_id = $1 AND week_start = $2::date',
+    [userId, week.key]
+  );
+  
+  if (membershipResult.rows.length === 0 && (await getPendingLeagueWeeks(week.key)).length === 0) {
+    const placed = await placeActiveUsers(week.key, userId);
+    if (placed.length > 0) {
+      membershipResult = await query(
+        'SELECT cohort_id, tier, joined_at FROM league_memberships WHERE user_id = $1 AND week_start = $2::date',
+        [userId, week.key]
+      );
+    }
+  }
+  
+  const membership = membershipResult.rows[0] || null;
+  
+  const tierResult = await query('SELECT tier FROM user_league_tiers WHERE user_id = $1', [userId]);
+  const tierNumber = membership ? membership.tier :
+    tierResult.rows[0] ? tierResult.rows[0].tier : (tiers[0] ? tiers[0].tier : null);
+  const tier = tiers.find(candidate => candidate.tier === tierNumber) || null;
+  
+  let cohort = null;
+  if (membership) {
+    const standings = await getCohortStandings({ query }, membership.cohort_id);
+    cohort = {
+      id: membership.cohort_id,
+      size: standings.length,
+      joinedAt: membership.joined_at,
+      standings: standings.map(row => ({
+        position: row.position,
+        userId: row.user_id,
+        name: row.name,
+        pointsThisWeek: row.points,
+        zone: tier ? getLeagueZone(row.position, row.points, standings.length, tier, tiers) : null,
+        isCurrentUser: row.user_id === userId
+      }))
+    };
+  }
+  
+  const historyResult = await query(`
+    SELECT m.week_start, m.cohort_id, m.tier, lt.name as tier_name, m.final_position, m.final_points, m.outcome
+    FROM league_memberships m
+    JOIN league_tiers lt ON lt.tier = m.tier
+    WHERE m.user_id = $1 AND m.outcome IS NOT NULL
+    ORDER BY m.week_start DESC
+    LIMIT $2
+  `, [userId, HISTORY_WEEKS]);
+  
+  return {
+    week: {
+      start: week.start,
+      end: week.end
+    },
+    tier: formatTier(tier),
+    cohort,
+    userStanding: cohort ? cohort.standings.find(entry => entry.isCurrentUser) || null : null,
+    history: historyResult.rows.map(row => ({
+      weekStart: row.week_start,
+      cohortId: row.cohort_id,
+      tier: row.tier,
+      tierName: row.tier_name,
+      position: row.final_position,
+      points: row.final_points,
+      outcome: row.outcome
+    }))
+  };
+}
+
+module.exports = {
+  COHORT_SIZE,
+  getLeagueTiers,
+  getLeagueZone,
+  getCohortStandings,
+  placeActiveUsers,
+  closeLeagueWeek,
+  processLeagues,
+  getCurrentLeague
+};
+
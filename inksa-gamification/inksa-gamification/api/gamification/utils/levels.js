@@ -0,0 +1,167 @@
+// api/gamification/utils/levels.js
+// Utilitário para manutenção dos níveis (validação de benefícios e limites de pontos)
+//
+// Alterações em levels são feitas em transação com a tabela bloqueada: o conjunto final
+// de níveis é validado antes de gravar e, em seguida, current_level e points_to_next_level
+// de user_points são recalculados para os usuários afetados.
+
+const { withTransaction } = require('./database');
+const { createHttpError } = require('./auth');
+
+// Esquema dos benefícios aceitos em levels.benefits
+const LEVEL_BENEFITS_SCHEMA = {
+  discount: { type: 'number', min: 0, max: 100 },
+  free_delivery: { type: 'boolean' },
+  points_multiplier: { type: 'number', min: 1, max: 10 }
+};
+
+// Função para validar e normalizar o JSON de benefícios
+function validateBenefits(benefits) {
+  let parsed = benefits;
+  
+  if (typeof benefits === 'string') {
+    try {
+      parsed = JSON.parse(benefits);
+    } catch (error) {
+      throw createHttpError('benefits deve ser um JSON válido', 400);
+    }
+  }
+  
+  if (typeof parsed !== 'object' || parsed === null || Array.isArray(parsed)) {
+    throw createHttpError('benefits deve ser um objeto', 400);
+  }
+  
+  const errors = [];
+  
+  for (const [key, value] of Object.entries(parsed)) {
+    const rule = LEVEL_BENEFITS_SCHEMA[key];
+    
+    if (!rule) {
+      errors.push(`benefício desconhecido: ${key}`);
+    } else if (typeof value !== rule.type) {
+      errors.push(`${key} deve ser do tipo ${rule.type}`);
+    } else if (rule.type === 'number' && (value < rule.min || value > rule.max)) {
+      errors.push(`${key} deve estar entre ${rule.min} e ${rule.max}`);
+    }
+  }
+  
+  if (errors.length > 0) {
+    throw createHttpError(
+      `Benefícios inválidos: ${errors.join(', ')}. Benefícios aceitos: ${Object.keys(LEVEL_BENEFITS_SCHEMA).join(', ')}`, 400);
+  }
+  
+  return parsed;
+}
+
+// Função para validar o conjunto final de níveis
+// O primeiro nível começa em 0 e points_required cresce estritamente junto com level_number
+function validateLevelThresholds(levels) {
+  if (levels.length === 0) {
+    throw createHttpError('Deve existir pelo menos um nível', 400);
+  }
+  
+  const sorted = [...levels].sort((a, b) => a.level_number - b.level_number);
+  
+  if (sorted[0].points_required !== 0) {
+    throw createHttpError(`O primeiro nível (${sorted[0].level_number}) deve exigir 0 pontos`, 400);
+  }
+  
+  for (let i = 1; i < sorted.length; i++) {
+    const previous = sorted[i - 1];
+    const current = sorted[i];
+    
+    if (current.points_required <= previous.points_required) {
+      throw createHttpError(
+        `points_required do nível ${current.level_number} (${current.points_required}) deve ser maior que o do nível ${previous.level_number} (${previous.points_required})`, 400);
+    }
+  }
+}
+
+// Função para recalcular nível e pontos para o próximo nível dos usuários afetados
+// Mudanças de nível são registradas em level_history
+async function recalculateUserLevels(client) {
+  const result = await client.query(`
+    WITH computed AS (
+      SELECT
+        up.user_id,
+        up.current_level as previous_level,
+        COALESCE(
+          (SELECT level_number FROM levels WHERE points_required <= up.lifetime_points
+           ORDER BY points_required DESC LIMIT 1),
+          1
+        ) as level_number,
+        COALESCE(
+          (SELECT points_required FROM levels WHERE points_required > up.lifetime_points
+           ORDER BY points_required ASC LIMIT 1) - up.lifetime_points,
+          0
+        ) as points_to_next_level
+      FROM user_points up
+    ),
+    updated AS (
+      UPDATE user_points up
+      SET current_level = c.level_number,
+          points_to_next_level = c.points_to_next_level,
+          updated_at = CURRENT_TIMESTAMP
+      FROM computed c
+      WHERE up.user_id = c.user_id
+      AND (up.current_level IS DISTINCT FROM c.level_number
+           OR up.points_to_next_level IS DISTINCT FROM c.points_to_next_level)
+      RETURNING up.user_id, c.previous_level, up.current_level, up.lifetime_points
+    ),
+    history AS (
+      INSERT INTO level_history (user_id, previous_level, new_level, lifetime_points)
+      SELECT user_id, previous_level, current_level, lifetime_points
+      FROM updated
+      WHERE previous_level IS DISTINCT FROM current_level
+      RETURNING id
+    )
+    SELECT
+      (SELECT COUNT(*) FROM updated) as users_updated,
+      (SELECT COUNT(*) FROM history) as level_changes
+  `);
+  
+  return {
+    usersUpdated: parseInt(result.rows[0].users_updated),
+    levelChanges: parseInt(result.rows[0].level_changes)
+  };
+}
+
+// Função para obter todos os níveis usando o client da transação
+async function getAllLevels(client) {
+  const result = await client.query(`
+    SELECT level_number, level_name, points_required, benefits
+    FROM levels
+    ORDER BY level_number ASC
+  `);
+  
+  return result.rows;
+}
+
+// Função para aplicar uma alteração nos níveis de forma atômica
+// change recebe a lista atual de níveis e o client, grava a alteração e retorna
+// { level, thresholdsChanged }; o conjunto resultante é validado antes do COMMIT
+async function modifyLevels(change) {
+  return withTransaction(async (client) => {
+    // Impedir alterações simultâneas nos níveis durante a validação
+    await client.query('LOCK TABLE levels IN SHARE ROW EXCLUSIVE MODE');
+    
+    const { level, thresholdsChanged } = await change(await getAllLevels(client), client);
+    
+    validateLevelThresholds(await getAllLevels(client));
+    
+    const recalculation = thresholdsChanged ?
+      await recalculateUserLevels(client) :
+      { usersUpdated: 0, levelChanges: 0 };
+    
+    return { level, recalculation };
+  });
+}
+
+module.exports = {
+  LEVEL_BENEFITS_SCHEMA,
+  validateBenefits,
+  validateLevelThresholds,
+  recalculateUserLevels,
+  modifyLevels
+};
+
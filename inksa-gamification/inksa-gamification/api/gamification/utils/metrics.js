@@ -0,0 +1,89 @@
+// api/gamification/utils/metrics.js
+// Utilitário para calcular métricas do usuário a partir dos eventos de domínio
+
+const { query } = require('./database');
+
+// Métricas suportadas nos critérios de distintivos e desafios
+const METRIC_KEYS = ['orders', 'reviews', 'referrals', 'time', 'different_restaurants', 'total_spent'];
+
+// Função para verificar se um horário (HH:MM) está dentro de uma faixa "HH:MM-HH:MM"
+function parseTimeRange(range) {
+  const match = /^(\d{2}):(\d{2})-(\d{2}):(\d{2})$/.exec(String(range));
+  if (!match) {
+    throw new Error(`Erros de validação: faixa de horário inválida (${range}), use HH:MM-HH:MM`);
+  }
+  
+  return {
+    from: Number(match[1]) * 60 + Number(match[2]),
+    to: Number(match[3]) * 60 + Number(match[4])
+  };
+}
+
+// Função para obter o valor atual de uma métrica do usuário
+// Eventos estornados (pedidos reembolsados ou cancelados) não contam
+// "time" conta pedidos entregues dentro da faixa de horário informada no critério
+// db permite ler dentro de uma transação já aberta (client), vendo os eventos ainda não confirmados
+async function getUserMetric(userId, metric, criterionValue = null, since = null, db = { query }) {
+  const params = [userId, since];
+  let sql;
+  
+  switch (metric) {
+    case 'orders':
+      sql = `SELECT COUNT(*) AS value FROM gamification_events
+             WHERE user_id = $1 AND event_type = 'order.delivered'
+             AND reversed_at IS NULL
+             AND ($2::timestamp IS NULL OR occurred_at >= $2)`;
+      break;
+    case 'reviews':
+      sql = `SELECT COUNT(*) AS value FROM gamification_events
+             WHERE user_id = $1 AND event_type = 'review.created'
+             AND reversed_at IS NULL
+             AND ($2::timestamp IS NULL OR occurred_at >= $2)`;
+      break;
+    case 'referrals':
+      sql = `SELECT COUNT(*) AS value FROM gamification_events
+             WHERE user_id = $1 AND event_type = 'referral.converted'
+             AND reversed_at IS NULL
+             AND ($2::timestamp IS NULL OR occurred_at >= $2)`;
+      break;
+    case 'different_restaurants':
+      sql = `SELECT COUNT(DISTINCT payload->>'restaurantId') AS value FROM gamification_events
+             WHERE user_id = $1 AND event_type = 'order.delivered'
+             AND payload->>'restaurantId' IS NOT NULL
+             AND reversed_at IS NULL
+             AND ($2::timestamp IS NULL OR occurred_at >= $2)`;
+      break;
+    case 'total_spent':
+      sql = `SELECT COALESCE(SUM((payload->>'orderTotal')::numeric), 0) AS value FROM gamification_events
+             WHERE user_id = $1 AND event_type = 'order.delivered'
+             AND reversed_at IS NULL
+             AND ($2::timestamp IS NULL OR occurred_at >= $2)`;
+      break;
+    case 'time': {
+      const { from, to } = parseTimeRange(criterionValue);
+      // Faixas que atravessam a meia-noite (ex.: 22:00-06:00) usam OR
+      const minuteOfDay = `(EXTRACT(HOUR FROM occurred_at) * 60 + EXTRACT(MINUTE FROM occurred_at))`;
+      const rangeCondition = from <= to ?
+        `${minuteOfDay} BETWEEN $3 AND $4` :
+        `(${minuteOfDay} >= $3 OR ${minuteOfDay} <= $4)`;
+      sql = `SELECT COUNT(*) AS value FROM gamification_events
+             WHERE user_id = $1 AND event_type = 'order.delivered'
+             AND reversed_at IS NULL
+             AND ($2::timestamp IS NULL OR occurred_at >= $2)
+             AND ${rangeCondition}`;
+      params.push(from, to);
+      break;
+    }
+    default:
+      throw new Error(`Erros de validação: métrica não suportada (${metric})`);
+  }
+  
+  const result = await db.query(sql, params);
+  return parseFloat(result.rows[0].value) || 0;
+}
+
+module.exports = {
+  METRIC_KEYS,
+  getUserMetric
+};
+
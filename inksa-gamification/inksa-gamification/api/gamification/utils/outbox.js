@@ -0,0 +1,46 @@
+// api/gamification/utils/outbox.js
+// Outbox de eventos de webhook, gravado na mesma transação que gerou o evento
+//
+// Cada evento vira uma linha em webhook_outbox e uma entrega pendente (webhook_deliveries)
+// para cada assinatura ativa interessada. O envio é feito depois por utils/webhooks.js.
+
+// Eventos que podem ser assinados
+const WEBHOOK_EVENT_TYPES = [
+  'badge.earned',
+  'challenge.completed',
+  'level.up',
+  'ranking.weekly_top10'
+];
+
+// Função para registrar um evento no outbox usando o client da transação em andamento
+// dedupeKey evita registrar o mesmo evento duas vezes (ex.: entrada no top 10 na mesma semana)
+async function enqueueWebhookEvent(client, eventType, userId, payload, dedupeKey = null) {
+  const eventResult = await client.query(`
+    INSERT INTO webhook_outbox (event_type, user_id, payload, dedupe_key)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (dedupe_key) DO NOTHING
+    RETURNING id
+  `, [eventType, userId, JSON.stringify(payload), dedupeKey]);
+  
+  if (eventResult.rows.length === 0) {
+    return null;
+  }
+  
+  const eventId = eventResult.rows[0].id;
+  
+  // Criar uma entrega pendente para cada assinatura ativa do tipo de evento
+  await client.query(`
+    INSERT INTO webhook_deliveries (event_id, subscription_id)
+    SELECT $1, id
+    FROM webhook_subscriptions
+    WHERE is_active = true AND $2 = ANY(event_types)
+  `, [eventId, eventType]);
+  
+  return eventId;
+}
+
+module.exports = {
+  WEBHOOK_EVENT_TYPES,
+  enqueueWebhookEvent
+};
+
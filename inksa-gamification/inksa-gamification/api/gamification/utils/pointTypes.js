@@ -0,0 +1,98 @@
+// api/gamification/utils/pointTypes.js
+// Utilitário do registro de tipos de pontos (point_types)
+//
+// points/add só aceita tipos registrados e ativos. O valor é calculado pelo servidor
+// a partir do tipo; apenas tipos 'custom' usam o valor informado, e só em chamadas internas.
+// Tipos 'order_formula' são calculados por utils/formulas.js dentro da transação do lançamento.
+
+const { query } = require('./database');
+const { createHttpError } = require('./auth');
+
+// Modos de cálculo do valor
+const AMOUNT_MODES = ['fixed', 'order_percentage', 'order_formula', 'custom'];
+
+// Função para obter um tipo de pontos ativo do registro
+async function getPointType(pointsType) {
+  try {
+    const result = await query(`
+      SELECT points_type, description, amount_mode, fixed_points, order_percentage,
+        points_per_currency, max_points, rounding, user_triggerable
+      FROM point_types
+      WHERE points_type = $1 AND is_active = true
+    `, [pointsType]);
+    
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error getting point type:', error);
+    throw error;
+  }
+}
+
+// Função para listar os tipos de pontos ativos (apenas os disparáveis pelo usuário, se pedido)
+async function listPointTypes(userTriggerableOnly = false) {
+  try {
+    const result = await query(`
+      SELECT points_type, description, amount_mode, fixed_points, order_percentage,
+        points_per_currency, max_points, rounding, user_triggerable
+      FROM point_types
+      WHERE is_active = true AND ($1::boolean = false OR user_triggerable = true)
+      ORDER BY points_type ASC
+    `, [userTriggerableOnly]);
+    
+    return result.rows;
+  } catch (error) {
+    console.error('Error listing point types:', error);
+    throw error;
+  }
+}
+
+// Função para calcular os pontos de um lançamento conforme o tipo
+// input: { points, orderValue } vindos da requisição; points só vale para tipos 'custom'
+// Retorna null para tipos 'order_formula', calculados na transação do lançamento
+function calculatePointsForType(pointType, input = {}) {
+  if (pointType.amount_mode === 'order_formula') {
+    return null;
+  }
+  
+  if (pointType.amount_mode === 'fixed') {
+    return pointType.fixed_points;
+  }
+  
+  if (pointType.amount_mode === 'order_percentage') {
+    const orderValue = Number(input.orderValue);
+    if (input.orderValue === undefined || input.orderValue === null || isNaN(orderValue) || orderValue <= 0) {
+      throw createHttpError(`orderValue é obrigatório e deve ser positivo para o tipo ${pointType.points_type}`, 400);
+    }
+    return Math.floor(orderValue * Number(pointType.order_percentage) / 100);
+  }
+  
+  const points = Number(input.points);
+  if (!Number.isInteger(points) || points <= 0) {
+    throw createHttpError(`points é obrigatório e deve ser positivo para o tipo ${pointType.points_type}`, 400);
+  }
+  return points;
+}
+
+// Função para formatar um tipo de pontos
+function formatPointType(row) {
+  return {
+    pointsType: row.points_type,
+    description: row.description,
+    amountMode: row.amount_mode,
+    fixedPoints: row.fixed_points,
+    orderPercentage: row.order_percentage !== null ? Number(row.order_percentage) : null,
+    pointsPerCurrency: row.points_per_currency !== null ? Number(row.points_per_currency) : null,
+    maxPoints: row.max_points,
+    rounding: row.amount_mode === 'order_formula' ? row.rounding : null,
+    userTriggerable: row.user_triggerable
+  };
+}
+
+module.exports = {
+  AMOUNT_MODES,
+  getPointType,
+  listPointTypes,
+  calculatePointsForType,
+  formatPointType
+};
+
@@ -0,0 +1,283 @@
+// api/gamification/utils/rankingRewards.js
+// Utilitário de prêmios de fim de período dos rankings semanal e mensal
+//
+// Depois que um período é congelado em rankings, as primeiras posições recebem os pontos
+// e o distintivo da faixa (ranking_reward_tiers) correspondente à posição final. Empates já
+// chegam desfeitos no snapshot pelos critérios de desempate do ranking. Cada pagamento fica em
+// ranking_payouts, único por usuário e período: repetir o job nunca paga duas vezes.
+
+const { query, withTransaction, applyPointsToUser } = require('./database');
+const { applyBadgeToUser } = require('./badges');
+const { createHttpError } = require('./auth');
+const { RANKING_PERIODS } = require('./rankings');
+
+// Tipo dos lançamentos de prêmio (não conta nos próprios rankings)
+const RANKING_REWARD_POINTS_TYPE = 'ranking_reward';
+
+// Maior posição que uma faixa pode premiar
+const MAX_REWARD_POSITION = 100;
+
+// Colunas retornadas pela API de faixas de premiação
+const TIER_COLUMNS = `
+  id, period_type, position_from, position_to, points, badge_id, is_active, created_at, updated_at
+`;
+
+// Colunas do log de pagamentos
+const PAYOUT_COLUMNS = `
+  id, period_type, period_start, user_id, position, period_points, tier_id, points,
+  points_history_id, badge_id, badge_awarded, created_at
+`;
+
+// Nome do período usado na descrição do lançamento
+const PERIOD_LABELS = {
+  weekly: 'semanal',
+  monthly: 'mensal'
+};
+
+// Função para validar uma faixa de premiação
+// Faixas ativas do mesmo tipo não podem se sobrepor (excludeId ignora a própria faixa na atualização)
+async function validateRewardTier(input, excludeId = null) {
+  if (!RANKING_PERIODS[input.periodType]) {
+    throw createHttpError(`periodType inválido. Tipos válidos: ${Object.keys(RANKING_PERIODS).join(', ')}`, 400);
+  }
+  
+  const positionFrom = Number(input.positionFrom);
+  const positionTo = Number(input.positionTo);
+  
+  if (!Number.isInteger(positionFrom) || !Number.isInteger(positionTo) || positionFrom < 1 || positionTo < positionFrom) {
+    throw createHttpError('positionFrom e positionTo devem ser inteiros com 1 <= positionFrom <= positionTo', 400);
+  }
+  
+  if (positionTo > MAX_REWARD_POSITION) {
+    throw createHttpError(`positionTo deve ser no máximo ${MAX_REWARD_POSITION}`, 400);
+  }
+  
+  const points = Number(input.points || 0);
+  if (!Number.isInteger(points) || points < 0) {
+    throw createHttpError('points deve ser um inteiro não negativo', 400);
+  }
+  
+  const badgeId = input.badgeId !== undefined && input.badgeId !== null ? Number(input.badgeId) : null;
+  if (points === 0 && badgeId === null) {
+    throw createHttpError('Informe points e/ou badgeId', 400);
+  }
+  
+  if (badgeId !== null) {
+    const badgeResult = await query('SELECT id FROM badges WHERE id = $1 AND archived_at IS NULL', [badgeId]);
+    if (badgeResult.rows.length === 0) {
+      throw createHttpError('badgeId não encontrado ou arquivado', 400);
+    }
+  }
+  
+  if (input.isActive !== false) {
+    const overlapResult = await query(`
+      SELECT id FROM ranking_reward_tiers
+      WHERE period_type = $1 AND is_active = true
+      AND position_from <= $3 AND position_to >= $2
+      AND ($4::integer IS NULL OR id <> $4)
+    `, [input.periodType, positionFrom, positionTo, excludeId]);
+    
+    if (overlapResult.rows.length > 0) {
+      throw createHttpError(`A faixa se sobrepõe à faixa ativa ${overlapResult.rows[0].id}`, 409);
+    }
+  }
+  
+  return {
+    periodType: input.periodType,
+    positionFrom,
+    positionTo,
+    points,
+    badgeId,
+    isActive: input.isActive !== undefined ? input.isActive : true
+  };
+}
+
+// Função para formatar uma faixa de premiação
+function formatRewardTier(row) {
+  return {
+    id: row.id,
+    periodType: row.period_type,
+    positionFrom: row.position_from,
+    positionTo: row.position_to,
+    points: row.points,
+    badgeId: row.badge_id,
+    isActive: row.is_active,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Função para formatar um pagamento do log
+function formatPayout(row) {
+  return {
+    id: row.id,
+    periodType: row.period_type,
+    periodStart: row.period_start,
+    userId: row.user_id,
+    position: row.position,
+    periodPoints: row.period_points,
+    tierId: row.tier_id,
+    points: row.points,
+    pointsHistoryId: row.points_history_id,
+    badgeId: row.badge_id,
+    badgeAwarded: row.badge_awarded,
+    paidAt: row.created_at
+  };
+}
+
+// Função para montar a consulta do prêmio de cada posição de um período
+// Retorna o pagamento registrado ou, se ainda não houve pagamento, a faixa ativa que a posição renderia
+// Períodos encerrados antes do início da premiação (ranking_reward_settings) não têm prêmio previsto
+async function getRankingRewardLookup(period) {
+  const tiersResult = await query(`
+    SELECT ${TIER_COLUMNS}
+    FROM ranking_reward_tiers
+    WHERE period_type = $1 AND is_active = true
+    AND $2::timestamp > (SELECT enabled_at FROM ranking_reward_settings)
+  `, [period.type, period.end]);
+  
+  const payoutsResult = period.frozen ? await query(`
+    SELECT ${PAYOUT_COLUMNS}
+    FROM ranking_payouts
+    WHERE period_type = $1 AND period_start = $2::date
+  `, [period.type, period.key]) : { rows: [] };
+  
+  const payouts = new Map(payoutsResult.rows.map(row => [row.user_id, row]));
+  
+  return (position, userId) => {
+    const payout = payouts.get(userId);
+    if (payout) {
+      return {
+        points: payout.points,
+        badgeId: payout.badge_awarded ? payout.badge_id : null,
+        paid: true,
+        paidAt: payout.created_at
+      };
+    }
+    
+    const tier = position ? tiersResult.rows.find(t => position >= t.position_from && position <= t.position_to) : null;
+    return tier ? { points: tier.points, badgeId: tier.badge_id, paid: false, paidAt: null } : null;
+  };
+}
+
+// Função para pagar os prêmios de um período congelado
+// Cada vencedor é pago na própria transação: o registro em ranking_payouts, os pontos e o distintivo
+// entram juntos, e um registro já existente faz o vencedor ser ignorado
+async function payRankingPeriod(periodType, periodKey) {
+  const tiersResult = await query(`
+    SELECT t.id, t.position_from, t.position_to, t.points,
+           b.id as badge_id, b.name as badge_name, b.description as badge_description,
+           b.icon_url as badge_icon_url, b.points_reward as badge_points_reward
+    FROM ranking_reward_tiers t
+    LEFT JOIN badges b ON b.id = t.badge_id AND b.archived_at IS NULL
+    WHERE t.period_type = $1 AND t.is_active = true
+  `, [periodType]);
+  
+  const tiers = tiersResult.rows;
+  const maxPosition = tiers.reduce((max, tier) => Math.max(max, tier.position_to), 0);
+  
+  const winnersResult = await query(`
+    SELECT user_id, position, points
+    FROM rankings
+    WHERE period_type = $1 AND period_start = $2::date
+    AND position IS NOT NULL AND position <= $3
+    ORDER BY position
+  `, [periodType, periodKey, maxPosition]);
+  
+  const payouts = [];
+  for (const winner of winnersResult.rows) {
+    const tier = tiers.find(t => winner.position >= t.position_from && winner.position <= t.position_to);
+    if (!tier) continue;
+    
+    const payout = await withTransaction(async (client) => {
+      const payoutResult = await client.query(
+        `INSERT INTO ranking_payouts
+           (period_type, period_start, user_id, position, period_points, tier_id, points, badge_id)
+         VALUES ($1, $2::date, $3, $4, $5, $6, $7, $8)
+         ON CONFLICT (period_type, period_start, user_id) DO NOTHING
+         RETURNING id`,
+        [periodType, periodKey, winner.user_id, winner.position, winner.points, tier.id, tier.points, tier.badge_id]
+      );
+      
+      if (payoutResult.rows.length === 0) return null;
+      
+      const description = `${winner.position}º lugar no ranking ${PERIOD_LABELS[periodType]} (${periodKey})`;
+      
+      const pointsResult = tier.points > 0
+        ? await applyPointsToUser(client, winner.user_id, tier.points, RANKING_REWARD_POINTS_TYPE, description)
+        : null;
+      
+      // O distintivo é concedido uma única vez por usuário; repetir a posição rende apenas os pontos
+      const badgeResult = tier.badge_id ? await applyBadgeToUser(client, winner.user_id, {
+        id: tier.badge_id,
+        name: tier.badge_name,
+        description: tier.badge_description,
+        icon_url: tier.badge_icon_url,
+        points_reward: tier.badge_points_reward
+      }, description) : null;
+      
+      // Registrar o valor realmente creditado, que pode diferir da faixa (fórmulas e campanhas)
+      const updatedResult = await client.query(
+        `UPDATE ranking_payouts
+         SET points = $2, points_history_id = $3, badge_awarded = $4
+         WHERE id = $1
+         RETURNING ${PAYOUT_COLUMNS}`,
+        [
+          payoutResult.rows[0].id,
+          pointsResult ? pointsResult.pointsAdded : 0,
+          pointsResult ? pointsResult.historyId : null,
+          !!badgeResult
+        ]
+      );
+      
+      return updatedResult.rows[0];
+    });
+    
+    if (payout) payouts.push(formatPayout(payout));
+  }
+  
+  await query(`
+    UPDATE ranking_periods
+    SET rewarded_at = CURRENT_TIMESTAMP
+    WHERE period_type = $1 AND period_start = $2::date AND rewarded_at IS NULL
+  `, [periodType, periodKey]);
+  
+  return payouts;
+}
+
+// Função para pagar os períodos congelados que ainda não foram premiados
+// Não são pagos retroativamente períodos encerrados antes do início da premiação
+// nem os encerrados há mais tempo que a janela do job de congelamento
+async function payPendingRankingRewards(periodType) {
+  const { lookback } = RANKING_PERIODS[periodType];
+  
+  const pendingResult = await query(`
+    SELECT to_char(period_start, 'YYYY-MM-DD') as period_key
+    FROM ranking_periods
+    WHERE period_type = $1 AND rewarded_at IS NULL
+    AND period_end >= CURRENT_TIMESTAMP - $2::interval
+    AND period_end > (SELECT enabled_at FROM ranking_reward_settings)
+    ORDER BY period_start
+  `, [periodType, lookback]);
+  
+  const results = [];
+  for (const row of pendingResult.rows) {
+    const payouts = await payRankingPeriod(periodType, row.period_key);
+    results.push({ periodType, periodStart: row.period_key, payouts });
+  }
+  
+  return results;
+}
+
+module.exports = {
+  RANKING_REWARD_POINTS_TYPE,
+  TIER_COLUMNS,
+  PAYOUT_COLUMNS,
+  validateRewardTier,
+  formatRewardTier,
+  formatPayout,
+  getRankingRewardLookup,
+  payRankingPeriod,
+  payPendingRankingRewards
+};
+
@@ -0,0 +1,368 @@
+// api/gamification/utils/rankings.js
+// Utilitário para os rankings semanal e mensal
+//
+// O período corrente é lido dos totais incrementais (ranking_period_totals), atualizados a cada lançamento.
+// Períodos encerrados são congelados em rankings pelo job rankings/snapshot, com as posições finais;
+// um período encerrado que o job ainda não congelou é calculado do histórico, sem gravar nada.
+
+const { query, withTransaction, RANKING_EXCLUDED_POINTS_TYPES } = require('./database');
+const { regionJoin } = require('./regions');
+
+// Unidade de date_trunc e janela padrão do job de congelamento para cada tipo de ranking
+const RANKING_PERIODS = {
+  weekly: { unit: 'week', lookback: '8 weeks' },
+  monthly: { unit: 'month', lookback: '3 months' }
+};
+
+// Critérios de desempate de cada ranking (t: totais do período, up: user_points)
+const RANKING_ORDER = {
+  weekly: 't.points DESC, up.lifetime_points DESC, t.user_id ASC',
+  monthly: 't.points DESC, t.active_days DESC, up.lifetime_points DESC, t.user_id ASC'
+};
+
+// Função para obter o período que contém a data de referência (padrão: hoje)
+// Rankings já congelados vêm com frozen = true e a evolução diária gravada no congelamento
+// A consulta não congela o período: isso fica com o job rankings/snapshot (freezeRankingPeriod)
+async function getRankingPeriod(periodType, referenceDate = null) {
+  const { unit } = RANKING_PERIODS[periodType];
+  
+  const periodResult = await query(`
+    WITH period AS (
+      SELECT date_trunc($1, COALESCE($2::date, CURRENT_DATE)::timestamp) as period_start
+    )
+    SELECT
+      to_char(period_start, 'YYYY-MM-DD') as period_key,
+      period_start,
+      period_start + ('1 ' || $1)::interval - INTERVAL '1 millisecond' as period_end,
+      period_start < date_trunc($1, CURRENT_TIMESTAMP)::timestamp as is_closed,
+      period_start = date_trunc($1, CURRENT_TIMESTAMP)::timestamp as is_current
+    FROM period
+  `, [unit, referenceDate]);
+  
+  const row = periodResult.rows[0];
+  const period = {
+    type: periodType,
+    key: row.period_key,
+    start: row.period_start,
+    end: row.period_end,
+    isClosed: row.is_closed,
+    isCurrent: row.is_current,
+    frozen: false,
+    frozenAt: null,
+    dailyEvolution: null
+  };
+  
+  if (!period.isClosed) return period;
+  
+  const snapshot = await getRankingSnapshot(periodType, period.key);
+  if (!snapshot) return period;
+  
+  return {
+    ...period,
+    frozen: true,
+    frozenAt: snapshot.frozen_at,
+    dailyEvolution: snapshot.daily_evolution
+  };
+}
+
+// Função para obter o registro de um período congelado
+async function getRankingSnapshot(periodType, periodKey) {
+  const result = await query(`
+    SELECT period_type, period_start, period_end, participants, daily_evolution, frozen_at
+    FROM ranking_periods
+    WHERE period_type = $1 AND period_start = $2::date
+  `, [periodType, periodKey]);
+  
+  return result.rows[0] || null;
+}
+
+// Função para calcular a evolução diária de um período a partir do histórico
+// userIds e region (parseRegion) restringem os usuários
+async function calculateDailyEvolution(db, periodType, periodKey, userIds = null, region = null) {
+  const { unit } = RANKING_PERIODS[periodType];
+  const regionFilter = regionJoin('ph.user_id', region, 5);
+  
+  const result = await db.query(`
+    SELECT
+      DATE(ph.created_at) as day,
+      SUM(ph.points_earned) as points_day,
+      COUNT(DISTINCT ph.user_id) as active_users_day,
+      COUNT(ph.id) as transactions_day
+    FROM points_history ph
+    ${regionFilter.sql}
+    WHERE ph.created_at >= $1::date AND ph.created_at < $1::date + ('1 ' || $2)::interval
+    AND ph.points_type <> ALL($3)
+    AND ($4::integer[] IS NULL OR ph.user_id = ANY($4::integer[]))
+    GROUP BY DATE(ph.created_at)
+    ORDER BY day
+  `, [periodKey, unit, RANKING_EXCLUDED_POINTS_TYPES, userIds, ...regionFilter.params]);
+  
+  return result.rows.map(row => ({
+    date: row.day,
+    points: parseInt(row.points_day),
+    activeUsers: parseInt(row.active_users_day),
+    transactions: parseInt(row.transactions_day)
+  }));
+}
+
+// Consulta com os totais por usuário de um período calculados de points_history
+// ($1: tipo do ranking, $2: início do período), com as mesmas colunas de ranking_period_totals
+// Usada no congelamento e na leitura de períodos encerrados que ainda não foram congelados
+function periodHistoryTotalsQuery(periodType) {
+  const { unit } = RANKING_PERIODS[periodType];
+  const excludedTypes = RANKING_EXCLUDED_POINTS_TYPES.map(type => `'${type}'`).join(', ');
+  
+  return `
+        WITH period_history AS (
+          SELECT user_id, points_type, points_earned, created_at
+          FROM points_history
+          WHERE created_at >= $2::date AND created_at < $2::date + INTERVAL '1 ${unit}'
+          AND points_type NOT IN (${excludedTypes})
+        ),
+        by_type AS (
+          SELECT user_id,
+                 jsonb_object_agg(points_type, jsonb_build_object('points', points, 'transactions', transactions)) as points_by_type
+          FROM (
+            SELECT user_id, points_type, SUM(points_earned) as points, COUNT(*) as transactions
+            FROM period_history
+            GROUP BY user_id, points_type
+          ) typed
+          GROUP BY user_id
+        )
+        SELECT $1::varchar as period_type, $2::date as period_start, ph.user_id,
+               SUM(ph.points_earned)::integer as points, COUNT(*)::integer as transactions,
+               COUNT(DISTINCT DATE(ph.created_at))::integer as active_days,
+               MAX(ph.points_earned) as highest_transaction, bt.points_by_type,
+               MIN(ph.created_at) as first_activity, MAX(ph.created_at) as last_activity
+        FROM period_history ph
+        JOIN by_type bt ON bt.user_id = ph.user_id
+        GROUP BY ph.user_id, bt.points_by_type
+  `;
+}
+
+// Função para congelar um período encerrado em rankings, com as posições finais
+// Os totais vêm de points_history (inclusive estornos feitos até o congelamento);
+// lifetime_points e current_level são os valores do usuário no momento do congelamento
+async function freezeRankingPeriod(periodType, periodKey) {
+  const { unit } = RANKING_PERIODS[periodType];
+  
+  return await withTransaction(async (client) => {
+    // Registrar o período primeiro: execuções concorrentes esperam aqui e não duplicam as posições
+    const periodResult = await client.query(
+      `INSERT INTO ranking_periods (period_type, period_start, period_end)
+       SELECT $1, $2::date, $2::date + ('1 ' || $3)::interval - INTERVAL '1 millisecond'
+       WHERE $2::date + ('1 ' || $3)::interval <= date_trunc($3, CURRENT_TIMESTAMP)::timestamp
+       ON CONFLICT (period_type, period_start) DO NOTHING
+       RETURNING period_start`,
+      [periodType, periodKey, unit]
+    );
+    
+    if (periodResult.rows.length === 0) return null;
+    
+    const rankingResult = await client.query(
+      `INSERT INTO rankings
+         (period_type, period_start, user_id, position, points, transactions, active_days, highest_transaction,
+          points_by_type, first_activity, last_activity, lifetime_points, current_level)
+       SELECT $1, $2::date, t.user_id,
+              CASE WHEN t.points > 0
+                   THEN ROW_NUMBER() OVER (PARTITION BY t.points > 0 ORDER BY ${RANKING_ORDER[periodType]}) END,
+              t.points, t.transactions, t.active_days, t.highest_transaction,
+              t.points_by_type, t.first_activity, t.last_activity, up.lifetime_points, up.current_level
+       FROM (${periodHistoryTotalsQuery(periodType)}) t
+       JOIN user_points up ON up.user_id = t.user_id`,
+      [periodType, periodKey]
+    );
+    
+    const dailyEvolution = await calculateDailyEvolution(client, periodType, periodKey);
+    
+    await client.query(
+      `UPDATE ranking_periods
+       SET participants = $3, daily_evolution = $4
+       WHERE period_type = $1 AND period_start = $2::date`,
+      [periodType, periodKey, rankingResult.rowCount, JSON.stringify(dailyEvolution)]
+    );
+    
+    // Os totais incrementais do período deixam de ser necessários
+    await client.query(
+      'DELETE FROM ranking_period_totals WHERE period_type = $1 AND period_start = $2::date',
+      [periodType, periodKey]
+    );
+    
+    return { periodType, periodStart: periodKey, participants: rankingResult.rowCount };
+  });
+}
+
+// Função para congelar os períodos encerrados que ainda não têm snapshot
+// Sem since, volta a janela padrão do tipo ou até os totais incrementais mais antigos que restarem
+async function freezeClosedRankingPeriods(periodType, since = null) {
+  const { unit, lookback } = RANKING_PERIODS[periodType];
+  
+  const pendingResult = await query(`
+    SELECT to_char(gs, 'YYYY-MM-DD') as period_key
+    FROM generate_series(
+      date_trunc($1, LEAST(
+        COALESCE($2::date, CURRENT_DATE - $3::interval)::timestamp,
+        (SELECT MIN(period_start) FROM ranking_period_totals WHERE period_type = $4)::timestamp
+      )),
+      date_trunc($1, CURRENT_TIMESTAMP)::timestamp - ('1 ' || $1)::interval,
+      ('1 ' || $1)::interval
+    ) gs
+    WHERE NOT EXISTS (
+      SELECT 1 FROM ranking_periods rp WHERE rp.period_type = $4 AND rp.period_start = gs::date
+    )
+    ORDER BY gs
+  `, [unit, since, lookback, periodType]);
+  
+  const frozen = [];
+  for (const row of pendingResult.rows) {
+    const result = await freezeRankingPeriod(periodType, row.period_key);
+    if (result) frozen.push(result);
+  }
+  
+  return frozen;
+}
+
+// Consulta base com uma linha por participante do período: snapshot congelado, totais incrementais
+// (período aberto) ou totais calculados do histórico (período encerrado ainda não congelado)
+// global_position é a posição no ranking geral; position é recalculada entre os usuários do escopo
+// Parâmetros: $1 tipo do ranking, $2 início do período, $3 usuários do escopo (null = todos)
+// regionSql: JOIN de regionJoin sobre g.user_id (vazio sem região)
+function periodRowsQuery(period, regionSql = '') {
+  const totalsSource = period.isClosed ? `(${periodHistoryTotalsQuery(period.type)})` : 'ranking_period_totals';
+  
+  const globalRows = period.frozen ? `
+        SELECT r.user_id, r.position as global_position, r.points, r.transactions, r.active_days,
+               r.highest_transaction, r.points_by_type, r.first_activity, r.last_activity,
+               r.lifetime_points, r.current_level
+        FROM rankings r
+        WHERE r.period_type = $1 AND r.period_start = $2::date
+  ` : `
+        SELECT t.user_id,
+               (CASE WHEN t.points > 0
+                     THEN ROW_NUMBER() OVER (PARTITION BY t.points > 0 ORDER BY ${RANKING_ORDER[period.type]}) END)::integer as global_position,
+               t.points, t.transactions, t.active_days, t.highest_transaction,
+               t.points_by_type, t.first_activity, t.last_activity, up.lifetime_points, up.current_level
+        FROM ${totalsSource} t
+        JOIN user_points up ON up.user_id = t.user_id
+        WHERE t.period_type = $1 AND t.period_start = $2::date
+  `;
+  
+  return `
+      SELECT g.*,
+             (CASE WHEN g.global_position IS NOT NULL
+                   THEN ROW_NUMBER() OVER (PARTITION BY g.global_position IS NOT NULL ORDER BY g.global_position) END)::integer as position
+      FROM (${globalRows}) g
+      ${regionSql}
+      WHERE $3::integer[] IS NULL OR g.user_id = ANY($3::integer[])
+  `;
+}
+
+// Função para obter as primeiras posições do ranking do período
+async function getRankingPositions(period, limit, userIds = null, region = null) {
+  const regionFilter = regionJoin('g.user_id', region, 5);
+  
+  const result = await query(`
+    WITH period_rows AS (${periodRowsQuery(period, regionFilter.sql)})
+    SELECT pr.*, u.name, u.email
+    FROM period_rows pr
+    JOIN users u ON u.id = pr.user_id
+    WHERE pr.position IS NOT NULL
+    ORDER BY pr.position
+    LIMIT $4
+  `, [period.type, period.key, userIds, limit, ...regionFilter.params]);
+  
+  return result.rows;
+}
+
+// Função para obter a posição de um usuário no ranking do período (null se não pontuou)
+async function getUserRankingPosition(period, userId, userIds = null, region = null) {
+  const regionFilter = regionJoin('g.user_id', region, 5);
+  
+  const result = await query(`
+    WITH period_rows AS (${periodRowsQuery(period, regionFilter.sql)})
+    SELECT pr.*, u.name, u.email
+    FROM period_rows pr
+    JOIN users u ON u.id = pr.user_id
+    WHERE pr.position IS NOT NULL AND pr.user_id = $4
+  `, [period.type, period.key, userIds, userId, ...regionFilter.params]);
+  
+  return result.rows[0] || null;
+}
+
+// Função para obter as estatísticas do período (participantes, pontos e transações)
+async function getRankingStatistics(period, userIds = null, region = null) {
+  const regionFilter = regionJoin('g.user_id', region, 4);
+  
+  const result = await query(`
+    WITH period_rows AS (${periodRowsQuery(period, regionFilter.sql)})
+    SELECT
+      COUNT(*) as active_users,
+      COALESCE(SUM(points), 0) as total_points_earned,
+      COALESCE(SUM(transactions), 0) as total_transactions,
+      MAX(highest_transaction) as highest_single_transaction
+    FROM period_rows
+  `, [period.type, period.key, userIds, ...regionFilter.params]);
+  
+  const row = result.rows[0];
+  const totalTransactions = parseInt(row.total_transactions);
+  
+  return {
+    activeUsers: parseInt(row.active_users),
+    totalPointsEarned: parseInt(row.total_points_earned),
+    totalTransactions,
+    averagePointsPerTransaction: totalTransactions > 0 ? parseInt(row.total_points_earned) / totalTransactions : 0,
+    highestSingleTransaction: parseInt(row.highest_single_transaction) || 0
+  };
+}
+
+// Função para obter os melhores de cada tipo de ponto no período (perCategory por tipo)
+async function getTopByCategory(period, perCategory, userIds = null, region = null) {
+  const regionFilter = regionJoin('g.user_id', region, 4);
+  
+  const result = await query(`
+    WITH period_rows AS (${periodRowsQuery(period, regionFilter.sql)})
+    SELECT
+      category.key as points_type,
+      pr.user_id,
+      u.name,
+      (category.value->>'points')::integer as points_in_category,
+      (category.value->>'transactions')::integer as transactions_in_category
+    FROM period_rows pr
+    JOIN users u ON u.id = pr.user_id
+    CROSS JOIN LATERAL jsonb_each(pr.points_by_type) category
+    ORDER BY points_type, points_in_category DESC, pr.user_id
+  `, [period.type, period.key, userIds, ...regionFilter.params]);
+  
+  return result.rows.reduce((categories, row) => {
+    if (!categories[row.points_type]) categories[row.points_type] = [];
+    if (categories[row.points_type].length < perCategory) {
+      categories[row.points_type].push({
+        userId: row.user_id,
+        name: row.name,
+        points: row.points_in_category,
+        transactions: row.transactions_in_category
+      });
+    }
+    return categories;
+  }, {});
+}
+
+// Função para obter a evolução diária do período (gravada no snapshot ou calculada para o período aberto)
+// O snapshot guarda a evolução de todos os usuários; com userIds ou region ela é recalculada para o escopo
+async function getDailyEvolution(period, userIds = null, region = null) {
+  if (period.frozen && !userIds && !region) return period.dailyEvolution;
+  return await calculateDailyEvolution({ query }, period.type, period.key, userIds, region);
+}
+
+module.exports = {
+  RANKING_PERIODS,
+  getRankingPeriod,
+  freezeRankingPeriod,
+  freezeClosedRankingPeriods,
+  getRankingPositions,
+  getUserRankingPosition,
+  getRankingStatistics,
+  getTopByCategory,
+  getDailyEvolution
+};
+
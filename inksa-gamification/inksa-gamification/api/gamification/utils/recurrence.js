@@ -0,0 +1,171 @@
+// api/gamification/utils/recurrence.js
+// Utilitário para desafios recorrentes (modelos em challenge_templates)
+//
+// Cada modelo gera uma instância em challenges por período (diário, semanal ou mensal),
+// com start_date no início do período e end_date no último instante dele (UTC).
+// A geração é idempotente: o índice único (template_id, start_date) impede duplicatas.
+
+const { query } = require('./database');
+
+// Recorrências suportadas
+const RECURRENCE_TYPES = ['daily', 'weekly', 'monthly'];
+
+// Função para obter o início do período (UTC) que contém a data
+// Semanas começam na segunda-feira, como no ranking semanal
+function getPeriodStart(recurrence, date) {
+  const start = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+  
+  if (recurrence === 'weekly') {
+    const daysSinceMonday = (start.getUTCDay() + 6) % 7;
+    start.setUTCDate(start.getUTCDate() - daysSinceMonday);
+  } else if (recurrence === 'monthly') {
+    start.setUTCDate(1);
+  }
+  
+  return start;
+}
+
+// Função para avançar uma quantidade de períodos a partir de uma data de início
+function addPeriods(recurrence, start, count = 1) {
+  const date = new Date(start);
+  
+  if (recurrence === 'daily') date.setUTCDate(date.getUTCDate() + count);
+  else if (recurrence === 'weekly') date.setUTCDate(date.getUTCDate() + 7 * count);
+  else date.setUTCMonth(date.getUTCMonth() + count);
+  
+  return date;
+}
+
+// Função para obter início e fim do período que contém a data
+function getPeriodBounds(recurrence, date) {
+  const start = getPeriodStart(recurrence, date);
+  const end = new Date(addPeriods(recurrence, start).getTime() - 1);
+  return { start, end };
+}
+
+// Função para verificar se o modelo vale para o período
+function templateCoversPeriod(template, bounds) {
+  if (new Date(template.starts_at) > bounds.end) return false;
+  if (template.ends_at && new Date(template.ends_at) < bounds.start) return false;
+  return true;
+}
+
+// Função para gerar as instâncias do período atual e dos próximos periodsAhead períodos
+async function generateRecurringChallenges(referenceDate = new Date(), periodsAhead = 1) {
+  const templatesResult = await query(`
+    SELECT id, title, description, recurrence, criteria, points_reward, badge_reward, starts_at, ends_at
+    FROM challenge_templates
+    WHERE is_active = true
+  `);
+  
+  const created = [];
+  
+  for (const template of templatesResult.rows) {
+    const currentStart = getPeriodStart(template.recurrence, referenceDate);
+    
+    for (let i = 0; i <= periodsAhead; i++) {
+      const bounds = getPeriodBounds(template.recurrence, addPeriods(template.recurrence, currentStart, i));
+      if (!templateCoversPeriod(template, bounds)) continue;
+      
+      const insertResult = await query(`
+        INSERT INTO challenges 
+          (title, description, challenge_type, criteria, points_reward, badge_reward, 
+           start_date, end_date, is_active, template_id)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, true, $9)
+        ON CONFLICT (template_id, start_date) DO NOTHING
+        RETURNING id, start_date, end_date
+      `, [
+        template.title,
+        template.description,
+        template.recurrence,
+        template.criteria,
+        template.points_reward,
+        template.badge_reward,
+        bounds.start,
+        bounds.end,
+        template.id
+      ]);
+      
+      if (insertResult.rows.length > 0) {
+        created.push({
+          challengeId: insertResult.rows[0].id,
+          templateId: template.id,
+          title: template.title,
+          startDate: insertResult.rows[0].start_date,
+          endDate: insertResult.rows[0].end_date
+        });
+      }
+    }
+  }
+  
+  return { templatesProcessed: templatesResult.rows.length, created };
+}
+
+// Função para prever os desafios ativos em uma data
+// Inclui desafios já cadastrados e instâncias que os modelos ainda vão gerar, pela mesma regra de
+// vigência da geração (templateCoversPeriod): o modelo vale se a vigência cruza o período da data
+async function previewActiveChallenges(date) {
+  const challengesResult = await query(`
+    SELECT id, title, description, challenge_type, criteria, points_reward, badge_reward, 
+           start_date, end_date, template_id
+    FROM challenges
+    WHERE is_active = true
+    AND start_date <= $1
+    AND (end_date IS NULL OR end_date >= $1)
+    ORDER BY start_date ASC, id ASC
+  `, [date]);
+  
+  const challenges = challengesResult.rows.map(row => ({
+    id: row.id,
+    title: row.title,
+    description: row.description,
+    type: row.challenge_type,
+    criteria: JSON.parse(row.criteria),
+    pointsReward: row.points_reward,
+    badgeReward: row.badge_reward,
+    startDate: row.start_date,
+    endDate: row.end_date,
+    templateId: row.template_id,
+    generated: true
+  }));
+  
+  const templatesResult = await query(`
+    SELECT id, title, description, recurrence, criteria, points_reward, badge_reward, starts_at, ends_at
+    FROM challenge_templates
+    WHERE is_active = true
+  `);
+  
+  for (const template of templatesResult.rows) {
+    const bounds = getPeriodBounds(template.recurrence, date);
+    if (!templateCoversPeriod(template, bounds)) continue;
+    
+    const alreadyGenerated = challenges.some(challenge => 
+      challenge.templateId === template.id && new Date(challenge.startDate).getTime() === bounds.start.getTime());
+    if (alreadyGenerated) continue;
+    
+    challenges.push({
+      id: null,
+      title: template.title,
+      description: template.description,
+      type: template.recurrence,
+      criteria: JSON.parse(template.criteria),
+      pointsReward: template.points_reward,
+      badgeReward: template.badge_reward,
+      startDate: bounds.start,
+      endDate: bounds.end,
+      templateId: template.id,
+      generated: false
+    });
+  }
+  
+  return challenges;
+}
+
+module.exports = {
+  RECURRENCE_TYPES,
+  getPeriodStart,
+  getPeriodBounds,
+  generateRecurringChallenges,
+  previewActiveChallenges
+};
+
@@ -0,0 +1,223 @@
+// api/gamification/utils/referrals.js
+// Utilitário do programa de indicação
+//
+// Cada usuário tem um código (referral_codes). O indicado informa o código no cadastro
+// (POST /referrals/claim) e a indicação converte no primeiro pedido entregue dele.
+// Na conversão, o indicado recebe pontos de boas-vindas por addPointsToUser e é gerado um
+// evento referral.converted para o indicador: o pipeline de regras credita os pontos dele e
+// a métrica "referrals" dos critérios de distintivos e desafios passa a contar a indicação.
+// Os dois créditos levam o pedido de conversão (order_id), então o estorno desse pedido
+// também estorna as recompensas da indicação (reversals.js).
+
+const crypto = require('crypto');
+const { query, withTransaction, applyPointsToUser } = require('./database');
+const { processEvent } = require('./rules');
+const { createHttpError } = require('./auth');
+
+// Pontos de boas-vindas do indicado na conversão (o indicador recebe pela regra referral.converted)
+const REFEREE_WELCOME_POINTS = 50;
+
+// Tipo dos pontos de boas-vindas do indicado
+const REFEREE_POINTS_TYPE = 'referral_welcome';
+
+// Prazo, a partir do cadastro, para informar um código de indicação
+const CLAIM_WINDOW_DAYS = 7;
+
+// Função para gerar um código de indicação
+function generateReferralCode() {
+  return `INK${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+}
+
+// Função para obter (ou criar) o código de indicação do usuário
+async function getOrCreateReferralCode(userId) {
+  try {
+    const existingResult = await query('SELECT code FROM referral_codes WHERE user_id = $1', [userId]);
+    if (existingResult.rows.length > 0) {
+      return existingResult.rows[0].code;
+    }
+    
+    // Repetir em caso de colisão de código
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const insertResult = await query(`
+        INSERT INTO referral_codes (user_id, code)
+        VALUES ($1, $2)
+        ON CONFLICT DO NOTHING
+        RETURNING code
+      `, [userId, generateReferralCode()]);
+      
+      if (insertResult.rows.length > 0) {
+        return insertResult.rows[0].code;
+      }
+      
+      // Outra requisição pode ter criado o código do usuário ao mesmo tempo
+      const concurrentResult = await query('SELECT code FROM referral_codes WHERE user_id = $1', [userId]);
+      if (concurrentResult.rows.length > 0) {
+        return concurrentResult.rows[0].code;
+      }
+    }
+    
+    throw new Error('Não foi possível gerar o código de indicação');
+  } catch (error) {
+    console.error('Error getting referral code:', error);
+    throw error;
+  }
+}
+
+// Função para registrar a indicação de um novo usuário pelo código
+async function claimReferral(refereeId, code) {
+  try {
+    return await withTransaction(async (client) => {
+      const codeResult = await client.query(
+        'SELECT user_id, code FROM referral_codes WHERE code = UPPER($1)',
+        [code]
+      );
+      
+      if (codeResult.rows.length === 0) {
+        throw createHttpError('Código de indicação não encontrado', 404);
+      }
+      
+      const referrerId = codeResult.rows[0].user_id;
+      if (referrerId === refereeId) {
+        throw createHttpError('Não é possível usar o próprio código de indicação', 400);
+      }
+      
+      // A indicação vale apenas para cadastros recentes e sem pedidos entregues
+      const eligibilityResult = await client.query(`
+        SELECT 
+          u.created_at >= CURRENT_TIMESTAMP - ($2::integer * INTERVAL '1 day') as within_window,
+          EXISTS (
+            SELECT 1 FROM gamification_events e
+            WHERE e.user_id = u.id AND e.event_type = 'order.delivered'
+          ) as has_orders
+        FROM users u
+        WHERE u.id = $1
+      `, [refereeId, CLAIM_WINDOW_DAYS]);
+      
+      const eligibility = eligibilityResult.rows[0];
+      if (!eligibility.within_window || eligibility.has_orders) {
+        throw createHttpError(
+          `O código de indicação só pode ser informado até ${CLAIM_WINDOW_DAYS} dias após o cadastro e antes do primeiro pedido`, 400);
+      }
+      
+      const insertResult = await client.query(`
+        INSERT INTO referrals (referrer_id, referee_id, code)
+        VALUES ($1, $2, $3)
+        ON CONFLICT (referee_id) DO NOTHING
+        RETURNING id, referrer_id, referee_id, code, status, claimed_at
+      `, [referrerId, refereeId, codeResult.rows[0].code]);
+      
+      if (insertResult.rows.length === 0) {
+        throw createHttpError('Usuário já foi indicado', 409);
+      }
+      
+      return formatReferral(insertResult.rows[0]);
+    });
+  } catch (error) {
+    console.error('Error claiming referral:', error);
+    throw error;
+  }
+}
+
+// Função para converter a indicação pendente do usuário no primeiro pedido entregue
+// Retorna null quando não há indicação a converter; repetir a chamada não credita de novo.
+// Se a recompensa do indicador falhar, ela é retomada na próxima chamada (referrer_rewarded_at nulo).
+async function convertReferral(refereeId, orderId = null) {
+  try {
+    const conversion = await withTransaction(async (client) => {
+      const referralResult = await client.query(`
+        UPDATE referrals
+        SET status = 'converted', converted_at = CURRENT_TIMESTAMP, conversion_order_id = $2
+        WHERE referee_id = $1 AND status = 'pending'
+        RETURNING id, referrer_id, referee_id, code, status, claimed_at, converted_at, conversion_order_id
+      `, [refereeId, orderId]);
+      
+      if (referralResult.rows.length === 0) {
+        // Conversão anterior cujo indicador ainda não foi recompensado
+        const unrewardedResult = await client.query(`
+          SELECT id, referrer_id, referee_id, code, status, claimed_at, converted_at, conversion_order_id
+          FROM referrals
+          WHERE referee_id = $1 AND status = 'converted' AND referrer_rewarded_at IS NULL
+          FOR UPDATE
+        `, [refereeId]);
+        
+        return unrewardedResult.rows[0] ? { referral: unrewardedResult.rows[0], refereePoints: null } : null;
+      }
+      
+      const referral = referralResult.rows[0];
+      
+      // Pontos de boas-vindas do indicado, na mesma transação da conversão
+      const refereePoints = await applyPointsToUser(
+        client,
+        refereeId,
+        REFEREE_WELCOME_POINTS,
+        REFEREE_POINTS_TYPE,
+        'Boas-vindas por indicação',
+        referral.conversion_order_id
+      );
+      
+      await client.query(
+        'UPDATE referrals SET referee_points_history_id = $2 WHERE id = $1',
+        [referral.id, refereePoints.historyId]
+      );
+      
+      return { referral, refereePoints };
+    });
+    
+    if (!conversion) return null;
+    
+    const { referral } = conversion;
+    
+    // Pontos, desafios e distintivos do indicador pelo pipeline de regras (idempotente pelo eventId)
+    const referrerResult = await processEvent({
+      eventId: `referral-${referral.id}-converted`,
+      eventType: 'referral.converted',
+      userId: referral.referrer_id,
+      payload: {
+        referralId: referral.id,
+        refereeId,
+        orderId: referral.conversion_order_id
+      }
+    });
+    
+    await query(
+      'UPDATE referrals SET referrer_rewarded_at = CURRENT_TIMESTAMP WHERE id = $1',
+      [referral.id]
+    );
+    
+    return {
+      ...formatReferral(referral),
+      refereePoints: conversion.refereePoints ? conversion.refereePoints.pointsAdded : null,
+      referrerPoints: referrerResult.points ? referrerResult.points.pointsAdded : null,
+      referrerBadges: referrerResult.badges || []
+    };
+  } catch (error) {
+    console.error('Error converting referral:', error);
+    throw error;
+  }
+}
+
+// Função para formatar uma indicação
+function formatReferral(row) {
+  return {
+    id: row.id,
+    referrerId: row.referrer_id,
+    refereeId: row.referee_id,
+    code: row.code,
+    status: row.status,
+    claimedAt: row.claimed_at,
+    convertedAt: row.converted_at || null,
+    reversedAt: row.reversed_at || null,
+    conversionOrderId: row.conversion_order_id || null
+  };
+}
+
+module.exports = {
+  REFEREE_WELCOME_POINTS,
+  REFEREE_POINTS_TYPE,
+  CLAIM_WINDOW_DAYS,
+  getOrCreateReferralCode,
+  claimReferral,
+  convertReferral,
+  formatReferral
+};
+
@@ -0,0 +1,148 @@
+// api/gamification/utils/regions.js
+// Utilitário de regiões (cidade e bairro) dos usuários
+//
+// A região vem do endereço de entrega do último pedido entregue (payload.deliveryAddress do
+// evento order.delivered) ou é informada pelo usuário, e a informada tem prioridade. Os rankings
+// com region= consideram apenas os usuários da região, identificada pelo slug da cidade
+// ("sao-paulo") ou da cidade e do bairro ("sao-paulo/pinheiros"), com um JOIN em user_regions
+// nas próprias consultas (regionJoin).
+
+const { query } = require('./database');
+const { createHttpError } = require('./auth');
+
+// Tamanho máximo dos nomes de cidade e bairro
+const MAX_REGION_NAME_LENGTH = 100;
+
+// Função para gerar o slug de um nome ("São Paulo" -> "sao-paulo")
+function slugify(value) {
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Função para interpretar o parâmetro region (cidade ou cidade/bairro)
+function parseRegion(region) {
+  const parts = String(region).split('/');
+  const citySlug = slugify(parts[0]);
+  const neighborhoodSlug = parts.length > 1 ? slugify(parts.slice(1).join('/')) : null;
+  
+  if (!citySlug || (parts.length > 1 && !neighborhoodSlug)) {
+    throw createHttpError('region deve estar no formato cidade ou cidade/bairro', 400);
+  }
+  
+  return { citySlug, neighborhoodSlug };
+}
+
+// Função para formatar a região de um usuário
+function formatUserRegion(row) {
+  return {
+    city: row.city,
+    neighborhood: row.neighborhood,
+    region: row.neighborhood_slug ? `${row.city_slug}/${row.neighborhood_slug}` : row.city_slug,
+    cityRegion: row.city_slug,
+    source: row.source,
+    updatedAt: row.updated_at
+  };
+}
+
+// Função para obter a região do usuário (null se ainda não há)
+async function getUserRegion(userId) {
+  const result = await query('SELECT * FROM user_regions WHERE user_id = $1', [userId]);
+  return result.rows[0] ? formatUserRegion(result.rows[0]) : null;
+}
+
+// Função para gravar a região do usuário
+// Com source 'address' a região só é atualizada se não foi informada pelo usuário (retorna null nesse caso)
+async function setUserRegion(userId, { city, neighborhood = null }, source) {
+  try {
+    const cityName = typeof city === 'string' ? city.trim() : '';
+    const neighborhoodName = typeof neighborhood === 'string' && neighborhood.trim() ? neighborhood.trim() : null;
+    
+    if (!slugify(cityName) || cityName.length > MAX_REGION_NAME_LENGTH) {
+      throw createHttpError(`city deve ter entre 1 e ${MAX_REGION_NAME_LENGTH} caracteres`, 400);
+    }
+    
+    if (neighborhoodName && (!slugify(neighborhoodName) || neighborhoodName.length > MAX_REGION_NAME_LENGTH)) {
+      throw createHttpError(`neighborhood deve ter entre 1 e ${MAX_REGION_NAME_LENGTH} caracteres`, 400);
+    }
+    
+    const result = await query(`
+      INSERT INTO user_regions (user_id, city, city_slug, neighborhood, neighborhood_slug, source)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (user_id) DO UPDATE
+      SET city = EXCLUDED.city,
+          city_slug = EXCLUDED.city_slug,
+          neighborhood = EXCLUDED.neighborhood,
+          neighborhood_slug = EXCLUDED.neighborhood_slug,
+          source = EXCLUDED.source,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE EXCLUDED.source = 'manual' OR user_regions.source = 'address'
+      RETURNING *
+    `, [
+      userId,
+      cityName,
+      slugify(cityName),
+      neighborhoodName,
+      neighborhoodName ? slugify(neighborhoodName) : null,
+      source
+    ]);
+    
+    return result.rows[0] ? formatUserRegion(result.rows[0]) : null;
+  } catch (error) {
+    console.error('Error setting user region:', error);
+    throw error;
+  }
+}
+
+// Função para atualizar a região a partir do endereço de entrega de um pedido entregue
+// Endereços sem cidade válida são ignorados para não barrar o processamento do evento, e um bairro
+// sem letras nem números (slug vazio) é tratado como ausente, como na migração 030
+async function updateRegionFromDeliveryAddress(userId, address) {
+  if (!address || typeof address !== 'object' || typeof address.city !== 'string') return null;
+  
+  const neighborhood = typeof address.neighborhood === 'string' && slugify(address.neighborhood) ?
+    address.neighborhood : null;
+  if (!slugify(address.city) || address.city.trim().length > MAX_REGION_NAME_LENGTH ||
+      (neighborhood && neighborhood.trim().length > MAX_REGION_NAME_LENGTH)) {
+    return null;
+  }
+  
+  return await setUserRegion(userId, { city: address.city, neighborhood }, 'address');
+}
+
+// Função para remover a região do usuário (a próxima entrega volta a definir a região)
+async function removeUserRegion(userId) {
+  const result = await query('DELETE FROM user_regions WHERE user_id = $1 RETURNING *', [userId]);
+  return result.rows[0] ? formatUserRegion(result.rows[0]) : null;
+}
+
+// Função para montar o JOIN que restringe uma consulta aos usuários da região (parseRegion)
+// userColumn: coluna com o id do usuário; firstParam: posição do primeiro parâmetro acrescentado
+// Sem região retorna um trecho vazio e nenhum parâmetro
+function regionJoin(userColumn, region, firstParam) {
+  if (!region) return { sql: '', params: [] };
+  
+  let sql = `JOIN user_regions ur ON ur.user_id = ${userColumn} AND ur.city_slug = $${firstParam}`;
+  const params = [region.citySlug];
+  
+  if (region.neighborhoodSlug) {
+    sql += ` AND ur.neighborhood_slug = $${firstParam + 1}`;
+    params.push(region.neighborhoodSlug);
+  }
+  
+  return { sql, params };
+}
+
+module.exports = {
+  slugify,
+  parseRegion,
+  getUserRegion,
+  setUserRegion,
+  updateRegionFromDeliveryAddress,
+  removeUserRegion,
+  regionJoin
+};
+
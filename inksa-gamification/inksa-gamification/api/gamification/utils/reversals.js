@@ -0,0 +1,321 @@
+// api/gamification/utils/reversals.js
+// Utilitário para estorno de pontos e revogação de distintivos
+//
+// Pedidos reembolsados ou cancelados geram lançamentos "reversal" (negativos) que compensam
+// os créditos originais. Diferente de resgates e expiração, o estorno reduz também o acumulado
+// (lifetime_points), então o nível é recalculado e pode cair.
+
+const {
+  withTransaction,
+  consumePointLots,
+  syncUserLevel,
+  recordRankingActivity,
+  SPENDING_POINTS_TYPES
+} = require('./database');
+const { createHttpError } = require('./auth');
+const { getCriteriaMetrics, evaluateCriteria } = require('./criteria');
+const { EVENT_RULES } = require('./rules');
+
+// Tipo dos lançamentos de estorno
+const REVERSAL_POINTS_TYPE = 'reversal';
+
+// Função para estornar créditos de pontos dentro de uma transação já aberta (client)
+// entries: linhas de points_history bloqueadas (id, points_earned, points_remaining, order_id)
+async function reverseHistoryEntries(client, userId, entries, reason) {
+  const balanceResult = await client.query(
+    `SELECT lifetime_points, available_points, current_level
+     FROM user_points
+     WHERE user_id = $1
+     FOR UPDATE`,
+    [userId]
+  );
+  const before = balanceResult.rows[0];
+  
+  const reversalIds = [];
+  let totalReversed = 0;
+  let unusedLotPoints = 0;
+  
+  for (const entry of entries) {
+    const reversalResult = await client.query(
+      `INSERT INTO points_history
+         (user_id, points_earned, points_type, description, order_id, reversal_of)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [userId, -entry.points_earned, REVERSAL_POINTS_TYPE, reason, entry.order_id, entry.id]
+    );
+    reversalIds.push(reversalResult.rows[0].id);
+    
+    // O estorno desconta dos rankings do período corrente, como os demais lançamentos
+    await recordRankingActivity(client, userId, -entry.points_earned, REVERSAL_POINTS_TYPE);
+    
+    // O que ainda resta do lote original sai primeiro; o restante é debitado dos outros lotes
+    await client.query('UPDATE points_history SET points_remaining = 0 WHERE id = $1', [entry.id]);
+    
+    totalReversed += entry.points_earned;
+    unusedLotPoints += entry.points_remaining || 0;
+  }
+  
+  if (totalReversed > unusedLotPoints) {
+    await consumePointLots(client, userId, totalReversed - unusedLotPoints);
+  }
+  
+  // O saldo disponível pode ficar negativo se os pontos já foram gastos
+  const updatedResult = await client.query(
+    `UPDATE user_points
+     SET lifetime_points = lifetime_points - $2, available_points = available_points - $2,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1
+     RETURNING lifetime_points, available_points`,
+    [userId, totalReversed]
+  );
+  const after = updatedResult.rows[0];
+  
+  // Recalcular o nível; rebaixamentos também ficam em level_history
+  const { currentLevel, pointsToNextLevel } = await syncUserLevel(
+    client, userId, before.current_level, after.lifetime_points, reversalIds[0]
+  );
+  
+  return {
+    pointsReversed: totalReversed,
+    reversalIds,
+    previousTotal: before.lifetime_points,
+    newTotal: after.lifetime_points,
+    availablePoints: after.available_points,
+    previousLevel: before.current_level,
+    currentLevel: currentLevel.level_number,
+    leveledDown: currentLevel.level_number < before.current_level,
+    pointsToNextLevel
+  };
+}
+
+// Função para bloquear os créditos ainda não estornados de um pedido ou de um lançamento
+async function lockReversibleEntries(client, userId, orderId, historyId) {
+  const result = await client.query(
+    `SELECT ph.id, ph.points_earned, ph.points_type, ph.order_id, ph.points_remaining, ph.created_at
+     FROM points_history ph
+     WHERE ph.user_id = $1
+     AND ph.points_earned > 0
+     AND ph.points_type <> ALL($4)
+     AND (($2::integer IS NOT NULL AND ph.order_id = $2) OR ($3::integer IS NOT NULL AND ph.id = $3))
+     AND NOT EXISTS (SELECT 1 FROM points_history r WHERE r.reversal_of = ph.id)
+     ORDER BY ph.id
+     FOR UPDATE OF ph`,
+    [userId, orderId, historyId, SPENDING_POINTS_TYPES]
+  );
+  
+  return result.rows;
+}
+
+// Função para revogar distintivos que deixaram de ser merecidos após o estorno de eventos
+// Roda na transação do estorno (client), depois de marcar os eventos estornados
+// Só são reavaliados distintivos conquistados depois do primeiro evento estornado
+async function revokeUnearnedBadges(client, userId, affectedMetrics, since, reason) {
+  const badgesResult = await client.query(`
+    SELECT b.id, b.name, b.criteria
+    FROM user_badges ub
+    JOIN badges b ON b.id = ub.badge_id
+    WHERE ub.user_id = $1 AND ub.earned_at >= $2
+  `, [userId, since]);
+  
+  const revoked = [];
+  const cache = new Map();
+  
+  for (const badge of badgesResult.rows) {
+    const usesAffectedMetric = getCriteriaMetrics(badge.criteria).some(key => affectedMetrics.includes(key));
+    if (!usesAffectedMetric) continue;
+    
+    const evaluation = await evaluateCriteria(userId, badge.criteria, cache, client);
+    if (!evaluation.satisfied) {
+      const result = await applyBadgeRevocation(client, userId, badge.id, reason);
+      revoked.push({ id: badge.id, name: badge.name, pointsReversed: result.pointsReversed });
+    }
+  }
+  
+  return revoked;
+}
+
+// Função para estornar as recompensas das indicações convertidas pelos pedidos estornados do indicado
+// O crédito de boas-vindas do indicado já sai com os demais créditos do pedido; aqui são estornados
+// os pontos do indicador, o evento referral.converted dele (métrica "referrals") e os distintivos que
+// deixaram de ser merecidos
+async function reverseReferralRewards(client, refereeId, orderIds, reason) {
+  if (orderIds.length === 0) return [];
+  
+  const referralsResult = await client.query(
+    `UPDATE referrals
+     SET status = 'reversed', reversed_at = CURRENT_TIMESTAMP
+     WHERE referee_id = $1 AND status = 'converted' AND conversion_order_id = ANY($2::integer[])
+     RETURNING id, referrer_id, conversion_order_id`,
+    [refereeId, orderIds]
+  );
+  
+  const reversed = [];
+  for (const referral of referralsResult.rows) {
+    // Sem créditos quando o indicador ainda não tinha sido recompensado
+    const entries = await lockReversibleEntries(client, referral.referrer_id, referral.conversion_order_id, null);
+    const pointsResult = entries.length > 0
+      ? await reverseHistoryEntries(client, referral.referrer_id, entries, reason)
+      : null;
+    
+    const eventsResult = await client.query(
+      `UPDATE gamification_events
+       SET reversed_at = CURRENT_TIMESTAMP
+       WHERE event_id = $1 AND reversed_at IS NULL
+       RETURNING occurred_at`,
+      [`referral-${referral.id}-converted`]
+    );
+    
+    const revokedBadges = eventsResult.rows.length > 0
+      ? await revokeUnearnedBadges(client, referral.referrer_id, ['referrals'], eventsResult.rows[0].occurred_at, reason)
+      : [];
+    
+    reversed.push({
+      referralId: referral.id,
+      referrerId: referral.referrer_id,
+      pointsReversed: pointsResult ? pointsResult.pointsReversed : 0,
+      revokedBadges
+    });
+  }
+  
+  return reversed;
+}
+
+// Função para estornar os pontos de um pedido (orderId) ou de um lançamento específico (historyId)
+// Eventos do pedido deixam de contar nas métricas, distintivos que dependiam deles são revogados e
+// indicações convertidas pelo pedido têm as recompensas estornadas, tudo na mesma transação
+async function reversePoints({ userId, orderId = null, historyId = null, reason }) {
+  try {
+    const reversal = await withTransaction(async (client) => {
+      const entries = await lockReversibleEntries(client, userId, orderId, historyId);
+      
+      if (entries.length === 0) {
+        const reversedResult = await client.query(
+          `SELECT 1 FROM points_history
+           WHERE user_id = $1 AND points_type = $4
+           AND (($2::integer IS NOT NULL AND order_id = $2) OR ($3::integer IS NOT NULL AND reversal_of = $3))`,
+          [userId, orderId, historyId, REVERSAL_POINTS_TYPE]
+        );
+        
+        if (reversedResult.rows.length > 0) {
+          throw createHttpError('Lançamento já estornado', 409);
+        }
+        throw createHttpError('Lançamento de pontos não encontrado', 404);
+      }
+      
+      const pointsResult = await reverseHistoryEntries(client, userId, entries, reason);
+      
+      // Marcar as entregas dos pedidos estornados para que não contem mais nas métricas
+      const orderIds = Array.from(new Set(entries.map(entry => entry.order_id).filter(Boolean)));
+      const eventsResult = await client.query(
+        `UPDATE gamification_events
+         SET reversed_at = CURRENT_TIMESTAMP
+         WHERE user_id = $1
+         AND event_type = 'order.delivered'
+         AND reversed_at IS NULL
+         AND payload->>'orderId' = ANY($2::text[])
+         RETURNING event_type, occurred_at`,
+        [userId, orderIds.map(String)]
+      );
+      
+      // Reavaliar distintivos com as métricas já refletindo o estorno (lidas pela mesma transação)
+      const reversedEvents = eventsResult.rows;
+      let revokedBadges = [];
+      if (reversedEvents.length > 0) {
+        const affectedMetrics = Array.from(new Set(
+          reversedEvents.reduce((all, event) => all.concat(EVENT_RULES[event.event_type].metrics), [])
+        ));
+        const since = reversedEvents.reduce(
+          (earliest, event) => (event.occurred_at < earliest ? event.occurred_at : earliest),
+          reversedEvents[0].occurred_at
+        );
+        
+        revokedBadges = await revokeUnearnedBadges(client, userId, affectedMetrics, since, reason);
+      }
+      
+      const referrals = await reverseReferralRewards(client, userId, orderIds, reason);
+      
+      return { pointsResult, entries, reversedEvents, revokedBadges, referrals };
+    });
+    
+    return {
+      ...reversal.pointsResult,
+      reversedEntries: reversal.entries.map(entry => ({
+        id: entry.id,
+        pointsEarned: entry.points_earned,
+        pointsType: entry.points_type,
+        orderId: entry.order_id,
+        earnedAt: entry.created_at
+      })),
+      reversedEvents: reversal.reversedEvents.length,
+      revokedBadges: reversal.revokedBadges,
+      reversedReferrals: reversal.referrals
+    };
+  } catch (error) {
+    console.error('Error reversing points:', error);
+    throw error;
+  }
+}
+
+// Função para revogar um distintivo dentro de uma transação já aberta (client), registrando o motivo
+// em badge_revocations; manual marca a revogação feita por badges/revoke, que não é desfeita pela
+// concessão automática. A recompensa em pontos é estornada, exceto com { reversePoints: false }
+async function applyBadgeRevocation(client, userId, badgeId, reason, { reversePoints = true, manual = false } = {}) {
+  const userBadgeResult = await client.query(
+    `SELECT id, earned_at, points_history_id
+     FROM user_badges
+     WHERE user_id = $1 AND badge_id = $2
+     FOR UPDATE`,
+    [userId, badgeId]
+  );
+  
+  const userBadge = userBadgeResult.rows[0];
+  if (!userBadge) {
+    throw createHttpError('Usuário não possui este distintivo', 404);
+  }
+  
+  let pointsResult = null;
+  if (reversePoints && userBadge.points_history_id) {
+    const entries = await lockReversibleEntries(client, userId, null, userBadge.points_history_id);
+    if (entries.length > 0) {
+      pointsResult = await reverseHistoryEntries(client, userId, entries, reason);
+    }
+  }
+  
+  await client.query('DELETE FROM user_badges WHERE id = $1', [userBadge.id]);
+  
+  const revocationResult = await client.query(
+    `INSERT INTO badge_revocations (user_id, badge_id, earned_at, reason, points_reversed, manual)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING id, created_at`,
+    [userId, badgeId, userBadge.earned_at, reason, pointsResult ? pointsResult.pointsReversed : 0, manual]
+  );
+  
+  return {
+    revocationId: revocationResult.rows[0].id,
+    revokedAt: revocationResult.rows[0].created_at,
+    earnedAt: userBadge.earned_at,
+    pointsReversed: pointsResult ? pointsResult.pointsReversed : 0,
+    points: pointsResult
+  };
+}
+
+// Função para revogar manualmente um distintivo do usuário (badges/revoke)
+// O distintivo não volta a ser concedido automaticamente
+async function revokeBadge(userId, badgeId, reason, { reversePoints = true } = {}) {
+  try {
+    return await withTransaction(client => applyBadgeRevocation(client, userId, badgeId, reason, {
+      reversePoints,
+      manual: true
+    }));
+  } catch (error) {
+    console.error('Error revoking badge:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  REVERSAL_POINTS_TYPE,
+  reversePoints,
+  revokeBadge
+};
+
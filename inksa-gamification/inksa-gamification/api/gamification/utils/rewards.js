@@ -0,0 +1,149 @@
+// api/gamification/utils/rewards.js
+// Utilitário para resgate de recompensas com pontos
+//
+// Resgates debitam apenas user_points.available_points (saldo gastável).
+// lifetime_points é a pontuação acumulada que define o nível em calculateLevel,
+// portanto gastar pontos nunca rebaixa o usuário.
+
+const crypto = require('crypto');
+const { withTransaction, getUserPoints, consumePointLots } = require('./database');
+const { createHttpError } = require('./auth');
+const { addStreakFreezes } = require('./streaks');
+
+// Tipos de recompensa do catálogo
+const REWARD_TYPES = {
+  coupon: 'Cupom de desconto',
+  free_delivery: 'Entrega grátis',
+  partner_item: 'Item de parceiro',
+  streak_freeze: 'Proteção de sequência'
+};
+
+// Função para gerar código de resgate
+function generateRedemptionCode() {
+  return `INKSA-${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+}
+
+// Função para resgatar uma recompensa, debitando pontos de forma atômica
+async function redeemReward(userId, rewardId, quantity = 1) {
+  // Garantir que o registro de pontos exista antes de bloqueá-lo
+  await getUserPoints(userId);
+  
+  return withTransaction(async (client) => {
+    const rewardResult = await client.query(`
+      SELECT id, name, description, reward_type, points_cost, stock, per_user_limit,
+             reward_value, starts_at, ends_at
+      FROM rewards
+      WHERE id = $1 AND is_active = true
+      FOR UPDATE
+    `, [rewardId]);
+    
+    if (rewardResult.rows.length === 0) {
+      throw createHttpError('Recompensa não encontrada ou inativa', 404);
+    }
+    
+    const reward = rewardResult.rows[0];
+    const now = new Date();
+    
+    if ((reward.starts_at && now < new Date(reward.starts_at)) || (reward.ends_at && now > new Date(reward.ends_at))) {
+      throw createHttpError('Recompensa fora do período de resgate', 400);
+    }
+    
+    if (reward.stock !== null && reward.stock < quantity) {
+      throw createHttpError('Recompensa sem estoque suficiente', 400);
+    }
+    
+    // Verificar limite de resgates por usuário
+    if (reward.per_user_limit !== null) {
+      const redeemedResult = await client.query(`
+        SELECT COALESCE(SUM(quantity), 0) AS redeemed
+        FROM reward_redemptions
+        WHERE user_id = $1 AND reward_id = $2
+      `, [userId, rewardId]);
+      
+      const redeemed = parseInt(redeemedResult.rows[0].redeemed);
+      if (redeemed + quantity > reward.per_user_limit) {
+        throw createHttpError(`Limite de ${reward.per_user_limit} resgate(s) por usuário atingido`, 400);
+      }
+    }
+    
+    // Bloquear saldo do usuário e verificar pontos disponíveis
+    const balanceResult = await client.query(`
+      SELECT lifetime_points, available_points
+      FROM user_points
+      WHERE user_id = $1
+      FOR UPDATE
+    `, [userId]);
+    
+    const balance = balanceResult.rows[0];
+    const pointsCost = reward.points_cost * quantity;
+    
+    if (balance.available_points < pointsCost) {
+      throw createHttpError(
+        `Pontos insuficientes. Disponível: ${balance.available_points}, necessário: ${pointsCost}`, 400);
+    }
+    
+    await client.query(`
+      UPDATE user_points
+      SET available_points = available_points - $2, updated_at = CURRENT_TIMESTAMP
+      WHERE user_id = $1
+    `, [userId, pointsCost]);
+    
+    // Consumir primeiro os pontos mais antigos, que são os próximos a expirar
+    await consumePointLots(client, userId, pointsCost);
+    
+    await client.query(`
+      UPDATE rewards
+      SET stock = stock - $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND stock IS NOT NULL
+    `, [rewardId, quantity]);
+    
+    // Registrar débito no histórico com valor negativo
+    const historyResult = await client.query(`
+      INSERT INTO points_history (user_id, points_earned, points_type, description, order_id)
+      VALUES ($1, $2, 'redemption', $3, NULL)
+      RETURNING id
+    `, [userId, -pointsCost, `Resgate: ${reward.name}${quantity > 1 ? ` (x${quantity})` : ''}`]);
+    
+    const redemptionResult = await client.query(`
+      INSERT INTO reward_redemptions (user_id, reward_id, quantity, points_spent, code, points_history_id)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING id, code, created_at
+    `, [userId, rewardId, quantity, pointsCost, generateRedemptionCode(), historyResult.rows[0].id]);
+    
+    const redemption = redemptionResult.rows[0];
+    
+    // Proteções de sequência são creditadas na hora; reward_value = { streakType, freezes }
+    let streakFreezes = null;
+    if (reward.reward_type === 'streak_freeze') {
+      const streakType = reward.reward_value.streakType || 'daily';
+      const freezesAvailable = await addStreakFreezes(
+        client, userId, streakType, (parseInt(reward.reward_value.freezes) || 1) * quantity
+      );
+      streakFreezes = { streakType, freezesAvailable };
+    }
+    
+    return {
+      redemptionId: redemption.id,
+      code: redemption.code,
+      redeemedAt: redemption.created_at,
+      reward: {
+        id: reward.id,
+        name: reward.name,
+        description: reward.description,
+        type: reward.reward_type,
+        value: reward.reward_value
+      },
+      quantity,
+      streakFreezes,
+      pointsSpent: pointsCost,
+      availablePoints: balance.available_points - pointsCost,
+      lifetimePoints: balance.lifetime_points
+    };
+  });
+}
+
+module.exports = {
+  REWARD_TYPES,
+  redeemReward
+};
+
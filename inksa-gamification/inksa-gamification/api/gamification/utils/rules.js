@@ -0,0 +1,142 @@
+// api/gamification/utils/rules.js
+// Pipeline de regras que transforma eventos de domínio em pontos, desafios e distintivos
+
+const { withTransaction } = require('./database');
+const { applyPointsWithVelocityLimits } = require('./velocity');
+const { advanceChallengeProgress } = require('./challenges');
+const { awardEligibleBadges } = require('./badges');
+
+// Regras por tipo de evento: pontos concedidos e métricas afetadas
+const EVENT_RULES = {
+  'order.delivered': {
+    points: 50,
+    pointsType: 'order',
+    description: payload => payload.orderId ? `Pedido #${payload.orderId} entregue` : 'Pedido entregue',
+    // Com orderTotal no payload, os pontos seguem a fórmula do tipo (points_type 'order')
+    order: (payload, event) => payload.orderTotal !== undefined && payload.orderTotal !== null ? {
+      orderValue: payload.orderTotal,
+      restaurantId: payload.restaurantId,
+      category: payload.category,
+      orderTime: event.occurredAt
+    } : null,
+    metrics: ['orders', 'time', 'different_restaurants', 'total_spent']
+  },
+  'review.created': {
+    points: 10,
+    pointsType: 'review',
+    description: () => 'Avaliação de pedido',
+    metrics: ['reviews']
+  },
+  'referral.converted': {
+    points: 100,
+    pointsType: 'referral',
+    description: () => 'Indicação convertida',
+    metrics: ['referrals']
+  }
+};
+
+// Função para registrar o evento; retorna null se o eventId já foi recebido
+async function recordEvent(client, event) {
+  const result = await client.query(`
+    INSERT INTO gamification_events (event_id, event_type, user_id, payload, occurred_at)
+    VALUES ($1, $2, $3, $4, COALESCE($5::timestamp, CURRENT_TIMESTAMP))
+    ON CONFLICT (event_id) DO NOTHING
+    RETURNING id
+  `, [event.eventId, event.eventType, event.userId, JSON.stringify(event.payload || {}), event.occurredAt || null]);
+  
+  return result.rows[0] || null;
+}
+
+// Função para processar um evento de domínio através das regras
+// Registro do evento, pontos, desafios e distintivos acontecem na mesma transação: se algo falhar,
+// nada é gravado e o remetente pode reenviar o evento sem creditar os pontos duas vezes
+// Os pontos passam pelos mesmos limites de velocidade de points/add: um lançamento recusado ou enviado
+// para revisão não credita pontos nem avança desafios e distintivos, mas o evento fica registrado
+async function processEvent(event) {
+  try {
+    const rule = EVENT_RULES[event.eventType];
+    if (!rule) {
+      throw new Error(`Erros de validação: tipo de evento não suportado (${event.eventType})`);
+    }
+    
+    return await withTransaction(async (client) => {
+      const recorded = await recordEvent(client, event);
+      
+      // Evento repetido: devolver o resultado do primeiro processamento
+      if (!recorded) {
+        const existingResult = await client.query(`
+          SELECT result FROM gamification_events WHERE event_id = $1
+        `, [event.eventId]);
+        
+        return { duplicate: true, ...(existingResult.rows[0].result || {}) };
+      }
+      
+      const payload = event.payload || {};
+      
+      const velocity = await applyPointsWithVelocityLimits(client, {
+        userId: event.userId,
+        points: rule.points,
+        pointsType: rule.pointsType,
+        description: rule.description(payload),
+        orderId: payload.orderId || null,
+        order: rule.order ? rule.order(payload, event) : null,
+        restaurantId: payload.restaurantId || null,
+        source: 'event'
+      });
+      
+      if (velocity.status !== 'added') {
+        const blockedResult = {
+          points: null,
+          velocity: { status: velocity.status, flag: velocity.flag },
+          challenges: [],
+          badges: []
+        };
+        
+        await client.query(`
+          UPDATE gamification_events
+          SET processed_at = CURRENT_TIMESTAMP, result = $2
+          WHERE id = $1
+        `, [recorded.id, JSON.stringify(blockedResult)]);
+        
+        return { duplicate: false, ...blockedResult };
+      }
+      
+      const pointsResult = velocity.pointsResult;
+      const challenges = await advanceChallengeProgress(client, event.userId, rule.metrics);
+      const badges = await awardEligibleBadges(client, event.userId, rule.metrics);
+      
+      const result = {
+        points: {
+          pointsAdded: pointsResult.pointsAdded,
+          pointsType: rule.pointsType,
+          campaign: pointsResult.campaign,
+          previousTotal: pointsResult.previousTotal,
+          newTotal: pointsResult.newTotal,
+          previousLevel: pointsResult.previousLevel,
+          currentLevel: pointsResult.currentLevel,
+          levelUp: pointsResult.levelUp,
+          pointsToNextLevel: pointsResult.pointsToNextLevel
+        },
+        challenges,
+        badges
+      };
+      
+      await client.query(`
+        UPDATE gamification_events
+        SET processed_at = CURRENT_TIMESTAMP, result = $2
+        WHERE id = $1
+      `, [recorded.id, JSON.stringify(result)]);
+      
+      return { duplicate: false, ...result };
+    });
+  } catch (error) {
+    console.error('Error processing event:', error);
+    throw error;
+  }
+}
+
+module.exports = {
+  EVENT_RULES,
+  processEvent
+};
+
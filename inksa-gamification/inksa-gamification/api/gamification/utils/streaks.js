@@ -0,0 +1,215 @@
+// api/gamification/utils/streaks.js
+// Utilitário de sequências (streaks) de dias e semanas consecutivos com pedidos
+//
+// Cada crédito de um tipo qualificado (STREAK_POINTS_TYPES) atualiza as sequências diária e semanal
+// (semanas de segunda a domingo, datas do banco). Períodos perdidos são cobertos por proteções
+// (freezes_available), uma por período; sem proteções suficientes a sequência recomeça em 1.
+// Ao atingir um marco de streak_milestones, o usuário recebe o bônus em pontos (tipo 'streak_bonus').
+//
+// Não depende de database.js (que usa este módulo em applyPointsToUser): as funções
+// recebem o client da transação ou qualquer objeto com query(text, params).
+
+const { createHttpError } = require('./auth');
+
+// Tipos de sequência
+const STREAK_TYPES = ['daily', 'weekly'];
+
+// Tipos de pontos que contam para as sequências
+const STREAK_POINTS_TYPES = ['order'];
+
+// Tipo dos lançamentos de bônus por marco
+const STREAK_BONUS_POINTS_TYPE = 'streak_bonus';
+
+// Limite de proteções acumuladas por sequência
+const MAX_STREAK_FREEZES = 5;
+
+// Expressão SQL do período atual de cada tipo de sequência
+const PERIOD_SQL = {
+  daily: 'CURRENT_DATE',
+  weekly: "date_trunc('week', CURRENT_DATE)::date"
+};
+
+// Tamanho em dias de cada período
+const PERIOD_DAYS = {
+  daily: 1,
+  weekly: 7
+};
+
+// Função para atualizar uma sequência com um novo crédito (com a linha bloqueada)
+// Retorna { streakType, currentCount, increased, freezesUsed, milestones }
+async function advanceStreak(client, userId, streakType) {
+  await client.query(
+    `INSERT INTO user_streaks (user_id, streak_type) 
+     VALUES ($1, $2) 
+     ON CONFLICT (user_id, streak_type) DO NOTHING`,
+    [userId, streakType]
+  );
+  
+  const streakResult = await client.query(
+    `SELECT current_count, longest_count, freezes_available, 
+       (${PERIOD_SQL[streakType]} - period_start) / $3 as periods_since 
+     FROM user_streaks 
+     WHERE user_id = $1 AND streak_type = $2 
+     FOR UPDATE`,
+    [userId, streakType, PERIOD_DAYS[streakType]]
+  );
+  const streak = streakResult.rows[0];
+  const periodsSince = streak.periods_since === null ? null : parseInt(streak.periods_since);
+  
+  // Período atual já contado
+  if (periodsSince === 0) {
+    return { streakType, currentCount: streak.current_count, increased: false, freezesUsed: 0, milestones: [] };
+  }
+  
+  const missedPeriods = periodsSince === null ? 0 : periodsSince - 1;
+  let currentCount;
+  let freezesUsed = 0;
+  
+  if (periodsSince !== null && missedPeriods <= streak.freezes_available) {
+    currentCount = streak.current_count + 1;
+    freezesUsed = missedPeriods;
+  } else {
+    currentCount = 1;
+  }
+  
+  await client.query(
+    `UPDATE user_streaks 
+     SET current_count = $3, 
+         longest_count = GREATEST(longest_count, $3), 
+         longest_achieved_at = CASE WHEN $3 > longest_count THEN CURRENT_TIMESTAMP ELSE longest_achieved_at END, 
+         period_start = ${PERIOD_SQL[streakType]}, 
+         started_at = CASE WHEN $3 = 1 THEN ${PERIOD_SQL[streakType]} ELSE started_at END, 
+         freezes_available = freezes_available - $4, 
+         freezes_used = freezes_used + $4, 
+         updated_at = CURRENT_TIMESTAMP 
+     WHERE user_id = $1 AND streak_type = $2`,
+    [userId, streakType, currentCount, freezesUsed]
+  );
+  
+  const milestonesResult = await client.query(
+    `SELECT streak_count, bonus_points 
+     FROM streak_milestones 
+     WHERE streak_type = $1 AND streak_count = $2 AND is_active = true`,
+    [streakType, currentCount]
+  );
+  
+  return {
+    streakType,
+    currentCount,
+    increased: true,
+    freezesUsed,
+    milestones: milestonesResult.rows.map(row => ({
+      streakType,
+      streakCount: row.streak_count,
+      bonusPoints: row.bonus_points
+    }))
+  };
+}
+
+// Função para atualizar as sequências do usuário após um crédito
+// Retorna null quando o tipo de pontos não conta para sequências
+async function updateStreaks(client, userId, pointsType) {
+  if (!STREAK_POINTS_TYPES.includes(pointsType)) return null;
+  
+  const results = [];
+  for (const streakType of STREAK_TYPES) {
+    results.push(await advanceStreak(client, userId, streakType));
+  }
+  
+  return results;
+}
+
+// Função para adicionar proteções de sequência (ex.: resgate no catálogo)
+async function addStreakFreezes(client, userId, streakType, freezes) {
+  if (!STREAK_TYPES.includes(streakType)) {
+    throw createHttpError(`Tipo de sequência inválido: ${streakType}`, 400);
+  }
+  
+  await client.query(
+    `INSERT INTO user_streaks (user_id, streak_type) 
+     VALUES ($1, $2) 
+     ON CONFLICT (user_id, streak_type) DO NOTHING`,
+    [userId, streakType]
+  );
+  
+  const result = await client.query(
+    `UPDATE user_streaks 
+     SET freezes_available = freezes_available + $3, updated_at = CURRENT_TIMESTAMP 
+     WHERE user_id = $1 AND streak_type = $2 AND freezes_available + $3 <= $4 
+     RETURNING freezes_available`,
+    [userId, streakType, freezes, MAX_STREAK_FREEZES]
+  );
+  
+  if (result.rows.length === 0) {
+    throw createHttpError(`Limite de ${MAX_STREAK_FREEZES} proteções de sequência atingido`, 400);
+  }
+  
+  return result.rows[0].freezes_available;
+}
+
+// Função para obter as sequências do usuário como são vistas agora
+// Uma sequência com mais períodos perdidos do que proteções aparece zerada (isActive: false)
+async function getUserStreaks(db, userId) {
+  const result = await db.query(
+    `SELECT 
+       s.streak_type, s.current_count, s.longest_count, s.longest_achieved_at, s.started_at, 
+       s.freezes_available, s.freezes_used, 
+       to_char(s.period_start, 'YYYY-MM-DD') as last_period, 
+       CASE s.streak_type 
+         WHEN 'daily' THEN ${PERIOD_SQL.daily} - s.period_start 
+         ELSE (${PERIOD_SQL.weekly} - s.period_start) / 7 
+       END as periods_since 
+     FROM user_streaks s 
+     WHERE s.user_id = $1`,
+    [userId]
+  );
+  
+  const milestonesResult = await db.query(
+    `SELECT streak_type, streak_count, bonus_points 
+     FROM streak_milestones 
+     WHERE is_active = true 
+     ORDER BY streak_type, streak_count`
+  );
+  
+  const streaks = {};
+  for (const streakType of STREAK_TYPES) {
+    const row = result.rows.find(item => item.streak_type === streakType);
+    const periodsSince = row && row.periods_since !== null ? parseInt(row.periods_since) : null;
+    const isActive = periodsSince !== null && row.current_count > 0 && periodsSince - 1 <= row.freezes_available;
+    const currentCount = isActive ? row.current_count : 0;
+    
+    const nextMilestone = milestonesResult.rows.find(
+      milestone => milestone.streak_type === streakType && milestone.streak_count > currentCount
+    );
+    
+    streaks[streakType] = {
+      currentCount,
+      isActive,
+      countedThisPeriod: periodsSince === 0,
+      longestCount: row ? row.longest_count : 0,
+      longestAchievedAt: row ? row.longest_achieved_at : null,
+      startedAt: isActive ? row.started_at : null,
+      lastPeriod: row ? row.last_period : null,
+      freezesAvailable: row ? row.freezes_available : 0,
+      freezesUsed: row ? row.freezes_used : 0,
+      nextMilestone: nextMilestone ? {
+        streakCount: nextMilestone.streak_count,
+        bonusPoints: nextMilestone.bonus_points,
+        remaining: nextMilestone.streak_count - currentCount
+      } : null
+    };
+  }
+  
+  return streaks;
+}
+
+module.exports = {
+  STREAK_TYPES,
+  STREAK_POINTS_TYPES,
+  STREAK_BONUS_POINTS_TYPE,
+  MAX_STREAK_FREEZES,
+  updateStreaks,
+  addStreakFreezes,
+  getUserStreaks
+};
+
@@ -0,0 +1,236 @@
+// api/gamification/utils/velocity.js
+// Utilitário de limites de velocidade (antifraude) para lançamentos de pontos
+//
+// As regras ficam em points_velocity_rules por points_type (a regra '*' vale para os demais tipos):
+// máximo por lançamento, máximo por usuário por dia (UTC) e máximo de lançamentos por hora.
+// Lançamentos que violam a regra são recusados ou vão para a fila de revisão, conforme a ação.
+
+const { query, withTransaction, applyPointsToUser, addPointsToUser } = require('./database');
+const { calculateOrderPoints } = require('./formulas');
+const { getBestCampaignBonus } = require('./campaigns');
+const { createHttpError } = require('./auth');
+
+// Regra padrão para tipos sem regra própria
+const DEFAULT_RULE_TYPE = '*';
+
+// Função para obter a regra de velocidade de um tipo de pontos (ou a regra padrão)
+async function getVelocityRule(client, pointsType) {
+  const result = await client.query(
+    `SELECT points_type, max_points_per_transaction, max_points_per_day, max_transactions_per_hour, action 
+     FROM points_velocity_rules 
+     WHERE points_type IN ($1, $2) AND is_active = true 
+     ORDER BY (points_type = $1) DESC 
+     LIMIT 1`,
+    [pointsType, DEFAULT_RULE_TYPE]
+  );
+  
+  return result.rows[0] || null;
+}
+
+// Função para verificar os limites de um novo lançamento; retorna a lista de violações
+// Deve ser chamada com o saldo do usuário bloqueado para que lançamentos simultâneos sejam contados
+async function checkVelocityLimits(client, rule, userId, points, pointsType) {
+  const violations = [];
+  
+  if (rule.max_points_per_transaction && points > rule.max_points_per_transaction) {
+    violations.push({
+      rule: 'max_points_per_transaction',
+      limit: rule.max_points_per_transaction,
+      value: points
+    });
+  }
+  
+  if (rule.max_points_per_day || rule.max_transactions_per_hour) {
+    const usageResult = await client.query(
+      `SELECT 
+         COALESCE(SUM(points_earned) FILTER (WHERE created_at >= date_trunc('day', CURRENT_TIMESTAMP)), 0) as points_today,
+         COUNT(*) FILTER (WHERE created_at >= CURRENT_TIMESTAMP - INTERVAL '1 hour') as transactions_last_hour
+       FROM points_history 
+       WHERE user_id = $1 AND points_type = $2 AND points_earned > 0 
+       AND created_at >= LEAST(date_trunc('day', CURRENT_TIMESTAMP), CURRENT_TIMESTAMP - INTERVAL '1 hour')`,
+      [userId, pointsType]
+    );
+    const usage = usageResult.rows[0];
+    
+    const pointsToday = parseInt(usage.points_today) + points;
+    if (rule.max_points_per_day && pointsToday > rule.max_points_per_day) {
+      violations.push({
+        rule: 'max_points_per_day',
+        limit: rule.max_points_per_day,
+        value: pointsToday
+      });
+    }
+    
+    const transactionsLastHour = parseInt(usage.transactions_last_hour) + 1;
+    if (rule.max_transactions_per_hour && transactionsLastHour > rule.max_transactions_per_hour) {
+      violations.push({
+        rule: 'max_transactions_per_hour',
+        limit: rule.max_transactions_per_hour,
+        value: transactionsLastHour
+      });
+    }
+  }
+  
+  return violations;
+}
+
+// Função para lançar pontos respeitando os limites de velocidade dentro de uma transação já aberta (client)
+// Com order ({ orderValue, restaurantId, category, orderTime }), tipos com fórmula calculam os pontos antes da verificação;
+// um pedido que pela fórmula não rende pontos não gera lançamento nem é verificado
+// Os limites valem para o crédito já com o bônus de campanha, que é o valor efetivamente lançado
+// Retorna { status: 'added', pointsResult } ou { status: 'rejected' | 'pending', flag }
+// source: 'user', 'internal' ou 'event' (ingestão de eventos), gravado no registro do bloqueio
+async function applyPointsWithVelocityLimits(client, { userId, points, pointsType, description, orderId = null, order = null, restaurantId = null, source }) {
+  // Bloquear o saldo para serializar lançamentos simultâneos do mesmo usuário
+  await client.query(
+    `INSERT INTO user_points (user_id, lifetime_points, current_level, points_to_next_level) 
+     VALUES ($1, 0, 1, 100) 
+     ON CONFLICT (user_id) DO NOTHING`,
+    [userId]
+  );
+  const balanceResult = await client.query(
+    'SELECT current_level FROM user_points WHERE user_id = $1 FOR UPDATE',
+    [userId]
+  );
+  
+  const formula = order ? await calculateOrderPoints(client, userId, pointsType, order) : null;
+  if (formula) {
+    if (formula.points === 0) {
+      const pointsResult = await applyPointsToUser(client, userId, 0, pointsType, description, orderId, { order });
+      return { status: 'added', pointsResult };
+    }
+    points = formula.points;
+  }
+  if (!points || points <= 0) {
+    throw createHttpError('O lançamento não gera pontos', 400);
+  }
+  
+  const campaign = await getBestCampaignBonus(client, userId, points, pointsType, {
+    restaurantId,
+    levelNumber: balanceResult.rows[0].current_level
+  });
+  const creditedPoints = points + (campaign ? campaign.bonus : 0);
+  
+  const rule = await getVelocityRule(client, pointsType);
+  const violations = rule ? await checkVelocityLimits(client, rule, userId, creditedPoints, pointsType) : [];
+  
+  if (violations.length === 0) {
+    const pointsResult = await applyPointsToUser(
+      client, userId, points, pointsType, description, orderId, { restaurantId, campaign }
+    );
+    return { status: 'added', pointsResult: { ...pointsResult, formula } };
+  }
+  
+  const status = rule.action === 'review' ? 'pending' : 'rejected';
+  const flagResult = await client.query(
+    `INSERT INTO points_velocity_flags 
+       (user_id, points, points_type, description, order_id, source, violations, status) 
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8) 
+     RETURNING *`,
+    [userId, points, pointsType, description, orderId, source, JSON.stringify(violations), status]
+  );
+  
+  return { status, flag: formatFlag(flagResult.rows[0]) };
+}
+
+// Função para adicionar pontos respeitando os limites de velocidade (points/add)
+// O registro do bloqueio é confirmado (commit) mesmo quando o lançamento não é aplicado
+// Diferente da ingestão de eventos, um pedido que pela fórmula não rende pontos é recusado
+async function addPointsWithVelocityLimits(params) {
+  try {
+    return await withTransaction(async (client) => {
+      const result = await applyPointsWithVelocityLimits(client, params);
+      
+      if (result.status === 'added' && result.pointsResult.pointsAdded === 0) {
+        throw createHttpError('O lançamento não gera pontos', 400);
+      }
+      
+      return result;
+    });
+  } catch (error) {
+    console.error('Error adding points with velocity limits:', error);
+    throw error;
+  }
+}
+
+// Função para decidir um lançamento da fila de revisão
+// Aprovar aplica os pontos sem verificar os limites novamente
+async function reviewFlag(flagId, decision, note = null) {
+  try {
+    const claimResult = await query(
+      `UPDATE points_velocity_flags 
+       SET status = $2, review_note = $3, reviewed_at = CURRENT_TIMESTAMP 
+       WHERE id = $1 AND status = 'pending' 
+       RETURNING *`,
+      [flagId, decision === 'approve' ? 'approved' : 'denied', note]
+    );
+    
+    if (claimResult.rows.length === 0) {
+      const existingResult = await query('SELECT status FROM points_velocity_flags WHERE id = $1', [flagId]);
+      if (existingResult.rows.length === 0) {
+        throw createHttpError('Lançamento em revisão não encontrado', 404);
+      }
+      throw createHttpError(`Lançamento já decidido (${existingResult.rows[0].status})`, 409);
+    }
+    
+    const flag = claimResult.rows[0];
+    if (decision !== 'approve') {
+      return { flag: formatFlag(flag), pointsResult: null };
+    }
+    
+    try {
+      const pointsResult = await addPointsToUser(
+        flag.user_id, flag.points, flag.points_type, flag.description, flag.order_id
+      );
+      
+      const updatedResult = await query(
+        'UPDATE points_velocity_flags SET points_history_id = $2 WHERE id = $1 RETURNING *',
+        [flag.id, pointsResult.historyId]
+      );
+      
+      return { flag: formatFlag(updatedResult.rows[0]), pointsResult };
+    } catch (error) {
+      // Devolver à fila para permitir nova tentativa
+      await query(
+        `UPDATE points_velocity_flags 
+         SET status = 'pending', review_note = NULL, reviewed_at = NULL 
+         WHERE id = $1`,
+        [flag.id]
+      );
+      throw error;
+    }
+  } catch (error) {
+    console.error('Error reviewing velocity flag:', error);
+    throw error;
+  }
+}
+
+// Função para formatar um registro de points_velocity_flags
+function formatFlag(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    points: row.points,
+    pointsType: row.points_type,
+    description: row.description,
+    orderId: row.order_id,
+    source: row.source,
+    violations: row.violations,
+    status: row.status,
+    pointsHistoryId: row.points_history_id,
+    reviewNote: row.review_note,
+    reviewedAt: row.reviewed_at,
+    createdAt: row.created_at
+  };
+}
+
+module.exports = {
+  DEFAULT_RULE_TYPE,
+  getVelocityRule,
+  checkVelocityLimits,
+  applyPointsWithVelocityLimits,
+  addPointsWithVelocityLimits,
+  reviewFlag,
+  formatFlag
+};
+
@@ -0,0 +1,186 @@
+// api/gamification/utils/webhooks.js
+// Utilitário para envio das entregas de webhook pendentes no outbox
+//
+// Cada entrega é assinada com HMAC-SHA256 usando o segredo da assinatura:
+//   X-Inksa-Signature: t=<timestamp>,v1=<hex(hmac(secret, "<timestamp>.<corpo>"))>
+// Falhas são reenviadas com espera exponencial até MAX_DELIVERY_ATTEMPTS;
+// depois disso a entrega fica como "failed" e pode ser reenfileirada.
+
+const crypto = require('crypto');
+const { query } = require('./database');
+
+// Número máximo de tentativas antes de marcar a entrega como falha
+const MAX_DELIVERY_ATTEMPTS = 8;
+
+// Espera inicial e máxima entre tentativas (em segundos)
+const INITIAL_BACKOFF_SECONDS = 60;
+const MAX_BACKOFF_SECONDS = 6 * 60 * 60;
+
+// Tempo máximo de espera pela resposta do destino
+const DELIVERY_TIMEOUT_MS = 10000;
+
+// Entregas por lote; as de um lote são enviadas em paralelo, então o lote leva no máximo DELIVERY_TIMEOUT_MS
+const DELIVERY_BATCH_SIZE = 25;
+
+// Função para gerar um segredo de assinatura
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// Função para assinar o corpo de uma entrega
+function signPayload(secret, timestamp, body) {
+  const signature = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  
+  return `t=${timestamp},v1=${signature}`;
+}
+
+// Função para calcular a espera até a próxima tentativa
+function getBackoffSeconds(attempts) {
+  return Math.min(INITIAL_BACKOFF_SECONDS * Math.pow(2, attempts - 1), MAX_BACKOFF_SECONDS);
+}
+
+// Função para reservar entregas pendentes (SKIP LOCKED evita envio duplicado entre execuções simultâneas)
+// A reserva adia next_attempt_at; se a execução cair no meio, a entrega volta a ficar disponível
+async function claimPendingDeliveries(batchSize) {
+  const result = await query(`
+    UPDATE webhook_deliveries
+    SET attempts = attempts + 1,
+        next_attempt_at = CURRENT_TIMESTAMP + INTERVAL '5 minutes',
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id IN (
+      SELECT wd.id
+      FROM webhook_deliveries wd
+      JOIN webhook_subscriptions ws ON wd.subscription_id = ws.id
+      WHERE wd.status = 'pending'
+      AND wd.next_attempt_at <= CURRENT_TIMESTAMP
+      AND ws.is_active = true
+      ORDER BY wd.next_attempt_at ASC
+      LIMIT $1
+      FOR UPDATE OF wd SKIP LOCKED
+    )
+    RETURNING id
+  `, [batchSize]);
+  
+  if (result.rows.length === 0) {
+    return [];
+  }
+  
+  const deliveriesResult = await query(`
+    SELECT
+      wd.id,
+      wd.attempts,
+      wo.id as event_id,
+      wo.event_type,
+      wo.user_id,
+      wo.payload,
+      wo.created_at as event_created_at,
+      ws.url,
+      ws.secret
+    FROM webhook_deliveries wd
+    JOIN webhook_outbox wo ON wd.event_id = wo.id
+    JOIN webhook_subscriptions ws ON wd.subscription_id = ws.id
+    WHERE wd.id = ANY($1)
+    ORDER BY wd.id ASC
+  `, [result.rows.map(row => row.id)]);
+  
+  return deliveriesResult.rows;
+}
+
+// Função para enviar uma entrega e registrar o resultado
+async function sendDelivery(delivery) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const body = JSON.stringify({
+    id: delivery.event_id,
+    type: delivery.event_type,
+    createdAt: delivery.event_created_at,
+    data: delivery.payload
+  });
+  
+  let statusCode = null;
+  let errorMessage = null;
+  
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Inksa-Gamification-Webhooks/1.0',
+        'X-Inksa-Event': delivery.event_type,
+        'X-Inksa-Delivery': String(delivery.id),
+        'X-Inksa-Signature': signPayload(delivery.secret, timestamp, body)
+      },
+      body,
+      signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+    });
+    
+    statusCode = response.status;
+    if (!response.ok) {
+      errorMessage = `HTTP ${response.status}`;
+    }
+  } catch (error) {
+    errorMessage = error.message;
+  }
+  
+  if (!errorMessage) {
+    await query(`
+      UPDATE webhook_deliveries
+      SET status = 'delivered', delivered_at = CURRENT_TIMESTAMP, last_status_code = $2,
+          last_error = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [delivery.id, statusCode]);
+    
+    return { id: delivery.id, delivered: true, statusCode };
+  }
+  
+  const exhausted = delivery.attempts >= MAX_DELIVERY_ATTEMPTS;
+  await query(`
+    UPDATE webhook_deliveries
+    SET status = $2, last_status_code = $3, last_error = $4,
+        next_attempt_at = CURRENT_TIMESTAMP + ($5::integer * INTERVAL '1 second'),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `, [delivery.id, exhausted ? 'failed' : 'pending', statusCode, errorMessage.slice(0, 500), getBackoffSeconds(delivery.attempts)]);
+  
+  return { id: delivery.id, delivered: false, statusCode, error: errorMessage, failed: exhausted };
+}
+
+// Função para enviar um lote de entregas pendentes, em paralelo
+async function deliverPendingWebhooks(batchSize = DELIVERY_BATCH_SIZE) {
+  const deliveries = await claimPendingDeliveries(batchSize);
+  const summary = { attempted: deliveries.length, delivered: 0, retrying: 0, failed: 0, hasMore: deliveries.length === batchSize };
+  
+  const results = await Promise.all(deliveries.map(delivery => sendDelivery(delivery)));
+  
+  for (const result of results) {
+    if (result.delivered) summary.delivered++;
+    else if (result.failed) summary.failed++;
+    else summary.retrying++;
+  }
+  
+  return summary;
+}
+
+// Função para reenfileirar entregas que esgotaram as tentativas
+async function retryFailedDeliveries(subscriptionId = null) {
+  const result = await query(`
+    UPDATE webhook_deliveries
+    SET status = 'pending', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE status = 'failed'
+    AND ($1::integer IS NULL OR subscription_id = $1)
+  `, [subscriptionId]);
+  
+  return result.rowCount;
+}
+
+module.exports = {
+  MAX_DELIVERY_ATTEMPTS,
+  DELIVERY_TIMEOUT_MS,
+  generateWebhookSecret,
+  signPayload,
+  deliverPendingWebhooks,
+  retryFailedDeliveries
+};
+
@@ -0,0 +1,59 @@
+// api/gamification/webhooks/deliver.js
+// Job agendado (Vercel Cron) para enviar as entregas de webhook pendentes
+
+const { deliverPendingWebhooks, retryFailedDeliveries, DELIVERY_TIMEOUT_MS } = require('../utils/webhooks');
+const { 
+  authenticateCron,
+  createResponse,
+  handleError,
+  handleCors
+} = require('../utils/auth');
+
+// Tempo de envio por execução, com folga para o tempo máximo da função
+// Um novo lote só começa se ainda couber no tempo restante (cada lote leva até DELIVERY_TIMEOUT_MS)
+const TIME_BUDGET_MS = 20000;
+
+module.exports = async (req, res) => {
+  try {
+    // Lidar com CORS preflight
+    const corsResponse = handleCors(req);
+    if (corsResponse) return res.status(corsResponse.statusCode).json(corsResponse);
+    
+    // Verificar método HTTP (o Vercel Cron usa GET)
+    if (req.method !== 'GET' && req.method !== 'POST') {
+      return res.status(405).json(createResponse(false, null, 'Método não permitido', 405));
+    }
+    
+    // Autenticar execução agendada ou chamada interna
+    authenticateCron(req);
+    
+    // Reenfileirar entregas que falharam, quando solicitado (POST { retryFailed: true, subscriptionId? })
+    let requeued = 0;
+    if (req.method === 'POST' && req.body && req.body.retryFailed === true) {
+      const subscriptionId = req.body.subscriptionId ? parseInt(req.body.subscriptionId) : null;
+      requeued = await retryFailedDeliveries(subscriptionId);
+    }
+    
+    // Enviar entregas pendentes em lotes enquanto houver tempo
+    const startedAt = Date.now();
+    const summary = { attempted: 0, delivered: 0, retrying: 0, failed: 0, requeued, batches: 0, hasMore: false };
+    
+    do {
+      const batch = await deliverPendingWebhooks();
+      summary.attempted += batch.attempted;
+      summary.delivered += batch.delivered;
+      summary.retrying += batch.retrying;
+      summary.failed += batch.failed;
+      summary.hasMore = batch.hasMore;
+      summary.batches++;
+    } while (summary.hasMore && Date.now() - startedAt + DELIVERY_TIMEOUT_MS <= TIME_BUDGET_MS);
+    
+    // Retornar resposta de sucesso
+    return res.status(200).json(createResponse(true, summary, 'Entregas de webhook processadas com sucesso'));
+    
+  } catch (error) {
+    const errorResponse = handleError(error, 'deliver webhooks');
+    return res.status(errorResponse.statusCode).json(errorResponse);
+  }
+};
+
@@ -0,0 +1,238 @@
+// api/gamification/webhooks/subscriptions.js
+// API interna para gerenciar assinaturas de webhook (GET lista, POST cria, PUT atualiza, DELETE desativa)
+
+const { query } = require('../utils/database');
+const { WEBHOOK_EVENT_TYPES } = require('../utils/outbox');
+const { generateWebhookSecret } = require('../utils/webhooks');
+const { 
+  authenticateUser,
+  validateRequiredParams,
+  validateDataTypes,
+  sanitizeInput,
+  createResponse,
+  createHttpError,
+  handleError,
+  handleCors
+} = require('../utils/auth');
+
+module.exports = async (req, res) => {
+  try {
+    // Lidar com CORS preflight
+    const corsResponse = handleCors(req);
+    if (corsResponse) return res.status(corsResponse.statusCode).json(corsResponse);
+    
+    // Verificar método HTTP
+    if (!['GET', 'POST', 'PUT', 'DELETE'].includes(req.method)) {
+      return res.status(405).json(createResponse(false, null, 'Método não permitido', 405));
+    }
+    
+    // Autenticar usuário ou verificar API key
+    const auth = authenticateUser(req);
+    
+    // Apenas serviços internos podem gerenciar webhooks
+    if (!auth.isInternal) {
+      return res.status(403).json(createResponse(false, null, 'Apenas chamadas internas podem gerenciar webhooks', 403));
+    }
+    
+    if (req.method === 'POST') {
+      return await createSubscription(req, res);
+    }
+    
+    if (req.method === 'PUT') {
+      return await updateSubscription(req, res);
+    }
+    
+    if (req.method === 'DELETE') {
+      return await deactivateSubscription(req, res);
+    }
+    
+    // Listar assinaturas com o resumo das entregas
+    const subscriptionsResult = await query(`
+      SELECT
+        ws.id,
+        ws.url,
+        ws.event_types,
+        ws.description,
+        ws.is_active,
+        ws.created_at,
+        ws.updated_at,
+        COUNT(wd.id) FILTER (WHERE wd.status = 'pending') as pending_deliveries,
+        COUNT(wd.id) FILTER (WHERE wd.status = 'delivered') as delivered_deliveries,
+        COUNT(wd.id) FILTER (WHERE wd.status = 'failed') as failed_deliveries,
+        MAX(wd.delivered_at) as last_delivered_at
+      FROM webhook_subscriptions ws
+      LEFT JOIN webhook_deliveries wd ON wd.subscription_id = ws.id
+      GROUP BY ws.id
+      ORDER BY ws.id ASC
+    `);
+    
+    const subscriptions = subscriptionsResult.rows.map(row => ({
+      ...formatSubscription(row),
+      deliveries: {
+        pending: parseInt(row.pending_deliveries),
+        delivered: parseInt(row.delivered_deliveries),
+        failed: parseInt(row.failed_deliveries),
+        lastDeliveredAt: row.last_delivered_at
+      }
+    }));
+    
+    // Retornar resposta de sucesso
+    return res.status(200).json(createResponse(true, {
+      subscriptions,
+      eventTypes: WEBHOOK_EVENT_TYPES
+    }, 'Assinaturas obtidas com sucesso'));
+    
+  } catch (error) {
+    const errorResponse = handleError(error, 'manage webhook subscriptions');
+    return res.status(errorResponse.statusCode).json(errorResponse);
+  }
+};
+
+// Função para formatar uma assinatura (o segredo só é exibido na criação)
+function formatSubscription(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    eventTypes: row.event_types,
+    description: row.description,
+    isActive: row.is_active,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Função para validar a URL de destino
+function validateUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw createHttpError('url inválida', 400);
+  }
+  
+  if (parsed.protocol !== 'https:' && !(parsed.protocol === 'http:' && process.env.NODE_ENV !== 'production')) {
+    throw createHttpError('url deve usar https', 400);
+  }
+}
+
+// Função para validar os tipos de evento assinados
+function validateEventTypes(eventTypes) {
+  if (!Array.isArray(eventTypes) || eventTypes.length === 0) {
+    throw createHttpError('eventTypes deve ser uma lista não vazia', 400);
+  }
+  
+  const invalid = eventTypes.filter(type => !WEBHOOK_EVENT_TYPES.includes(type));
+  if (invalid.length > 0) {
+    throw createHttpError(
+      `Tipos de evento inválidos: ${invalid.join(', ')}. Tipos válidos: ${WEBHOOK_EVENT_TYPES.join(', ')}`, 400);
+  }
+}
+
+// Função para criar uma assinatura
+async function createSubscription(req, res) {
+  // Sanitizar entrada
+  const body = sanitizeInput(req.body);
+  
+  // Validar parâmetros obrigatórios
+  validateRequiredParams(body, ['url', 'eventTypes']);
+  
+  // Validar tipos de dados
+  validateDataTypes(body, {
+    url: 'string',
+    description: 'string',
+    secret: 'string'
+  });
+  
+  validateUrl(body.url);
+  validateEventTypes(body.eventTypes);
+  
+  const secret = body.secret || generateWebhookSecret();
+  
+  const insertResult = await query(`
+    INSERT INTO webhook_subscriptions (url, secret, event_types, description)
+    VALUES ($1, $2, $3, $4)
+    RETURNING id, url, event_types, description, is_active, created_at, updated_at
+  `, [body.url, secret, body.eventTypes, body.description || null]);
+  
+  // Retornar resposta de sucesso (o segredo não é exibido novamente)
+  return res.status(201).json(createResponse(true, {
+    ...formatSubscription(insertResult.rows[0]),
+    secret
+  }, 'Assinatura criada com sucesso', 201));
+}
+
+// Função para atualizar uma assinatura
+async function updateSubscription(req, res) {
+  // Sanitizar entrada
+  const body = sanitizeInput(req.body);
+  
+  // Validar parâmetros obrigatórios
+  validateRequiredParams(body, ['id']);
+  
+  // Validar tipos de dados
+  validateDataTypes(body, {
+    id: 'integer',
+    url: 'string',
+    description: 'string',
+    isActive: 'boolean',
+    rotateSecret: 'boolean'
+  });
+  
+  if (body.url !== undefined) validateUrl(body.url);
+  if (body.eventTypes !== undefined) validateEventTypes(body.eventTypes);
+  
+  const secret = body.rotateSecret ? generateWebhookSecret() : null;
+  
+  const updateResult = await query(`
+    UPDATE webhook_subscriptions
+    SET url = COALESCE($2, url),
+        event_types = COALESCE($3, event_types),
+        description = COALESCE($4, description),
+        is_active = COALESCE($5, is_active),
+        secret = COALESCE($6, secret),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING id, url, event_types, description, is_active, created_at, updated_at
+  `, [
+    parseInt(body.id),
+    body.url || null,
+    body.eventTypes || null,
+    body.description !== undefined ? body.description : null,
+    body.isActive !== undefined ? body.isActive : null,
+    secret
+  ]);
+  
+  if (updateResult.rows.length === 0) {
+    return res.status(404).json(createResponse(false, null, 'Assinatura não encontrada', 404));
+  }
+  
+  const responseData = formatSubscription(updateResult.rows[0]);
+  if (secret) responseData.secret = secret;
+  
+  // Retornar resposta de sucesso
+  return res.status(200).json(createResponse(true, responseData, 'Assinatura atualizada com sucesso'));
+}
+
+// Função para desativar uma assinatura (o histórico de entregas é mantido)
+async function deactivateSubscription(req, res) {
+  const id = parseInt(req.query.id);
+  
+  if (!id) {
+    return res.status(400).json(createResponse(false, null, 'id é obrigatório', 400));
+  }
+  
+  const updateResult = await query(`
+    UPDATE webhook_subscriptions
+    SET is_active = false, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING id, url, event_types, description, is_active, created_at, updated_at
+  `, [id]);
+  
+  if (updateResult.rows.length === 0) {
+    return res.status(404).json(createResponse(false, null, 'Assinatura não encontrada', 404));
+  }
+  
+  // Retornar resposta de sucesso
+  return res.status(200).json(createResponse(true, formatSubscription(updateResult.rows[0]), 'Assinatura desativada com sucesso'));
+}
+
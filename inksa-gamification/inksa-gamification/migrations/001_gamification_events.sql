@@ -0,0 +1,17 @@
+-- migrations/001_gamification_events.sql
+-- Eventos de domínio recebidos por POST /api/gamification/events
+
+CREATE TABLE IF NOT EXISTS gamification_events (
+  id SERIAL PRIMARY KEY,
+  event_id VARCHAR(100) NOT NULL UNIQUE,
+  event_type VARCHAR(50) NOT NULL,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  payload JSONB NOT NULL DEFAULT '{}',
+  occurred_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  processed_at TIMESTAMP,
+  result JSONB,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_gamification_events_user_type
+  ON gamification_events (user_id, event_type, occurred_at);
@@ -0,0 +1,15 @@
+-- migrations/002_challenge_progress_events.sql
+-- Inscrição em desafios e incrementos idempotentes de progresso
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_challenge_progress_user_challenge
+  ON user_challenge_progress (user_id, challenge_id);
+
+CREATE TABLE IF NOT EXISTS challenge_progress_events (
+  id SERIAL PRIMARY KEY,
+  event_id VARCHAR(100) NOT NULL,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  challenge_id INTEGER NOT NULL REFERENCES challenges(id),
+  amount INTEGER NOT NULL DEFAULT 1,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (challenge_id, event_id)
+);
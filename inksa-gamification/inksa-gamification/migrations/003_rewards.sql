@@ -0,0 +1,56 @@
+-- migrations/003_rewards.sql
+-- Catálogo de recompensas e resgates com pontos
+--
+-- Resgates debitam apenas available_points (saldo gastável). total_points segue
+-- como pontuação acumulada: é ela que define o nível, então gastar não rebaixa ninguém.
+
+-- A coluna é preenchida só onde ainda está vazia, para que reexecutar a migração não desfaça resgates
+-- (depois da 004, total_points passa a se chamar lifetime_points)
+ALTER TABLE user_points ADD COLUMN IF NOT EXISTS available_points INTEGER;
+
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'user_points' AND column_name = 'total_points'
+  ) THEN
+    UPDATE user_points SET available_points = total_points WHERE available_points IS NULL;
+  ELSE
+    UPDATE user_points SET available_points = lifetime_points WHERE available_points IS NULL;
+  END IF;
+END $$;
+
+ALTER TABLE user_points ALTER COLUMN available_points SET DEFAULT 0;
+ALTER TABLE user_points ALTER COLUMN available_points SET NOT NULL;
+
+CREATE TABLE IF NOT EXISTS rewards (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  reward_type VARCHAR(30) NOT NULL CHECK (reward_type IN ('coupon', 'free_delivery', 'partner_item')),
+  points_cost INTEGER NOT NULL CHECK (points_cost > 0),
+  stock INTEGER CHECK (stock >= 0),
+  per_user_limit INTEGER CHECK (per_user_limit > 0),
+  reward_value JSONB NOT NULL DEFAULT '{}',
+  partner_name VARCHAR(100),
+  image_url TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  starts_at TIMESTAMP,
+  ends_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS reward_redemptions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  reward_id INTEGER NOT NULL REFERENCES rewards(id),
+  quantity INTEGER NOT NULL DEFAULT 1,
+  points_spent INTEGER NOT NULL,
+  code VARCHAR(30) NOT NULL UNIQUE,
+  points_history_id INTEGER REFERENCES points_history(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_reward_redemptions_user_reward
+  ON reward_redemptions (user_id, reward_id);
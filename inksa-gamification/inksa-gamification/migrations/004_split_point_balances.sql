@@ -0,0 +1,16 @@
+-- migrations/004_split_point_balances.sql
+-- Separa o saldo de pontos em acumulado e disponível
+--
+-- lifetime_points: tudo o que o usuário já ganhou; define nível e rankings, nunca diminui por resgate ou expiração
+-- available_points: saldo gastável (criado em 003_rewards.sql); é debitado por resgates e expiração
+
+-- Renomear só se a coluna antiga ainda existir, para que a migração possa ser reexecutada
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'user_points' AND column_name = 'total_points'
+  ) THEN
+    ALTER TABLE user_points RENAME COLUMN total_points TO lifetime_points;
+  END IF;
+END $$;
@@ -0,0 +1,28 @@
+-- migrations/005_points_expiration.sql
+-- Expiração de pontos por tipo, consumindo sempre os lotes mais antigos primeiro
+
+CREATE TABLE IF NOT EXISTS points_expiration_rules (
+  points_type VARCHAR(50) PRIMARY KEY,
+  expires_after_days INTEGER NOT NULL CHECK (expires_after_days > 0),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO points_expiration_rules (points_type, expires_after_days) VALUES
+  ('promotional', 90),
+  ('order', 365)
+ON CONFLICT (points_type) DO NOTHING;
+
+-- Cada crédito vira um lote: quanto ainda não foi gasto/expirado e quando vence.
+-- Lançamentos anteriores a esta migração ficam sem lote (NULL) e nunca expiram.
+ALTER TABLE points_history ADD COLUMN IF NOT EXISTS points_remaining INTEGER;
+ALTER TABLE points_history ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_points_history_open_lots
+  ON points_history (user_id, created_at)
+  WHERE points_remaining > 0;
+
+CREATE INDEX IF NOT EXISTS idx_points_history_expiring
+  ON points_history (expires_at)
+  WHERE points_remaining > 0;
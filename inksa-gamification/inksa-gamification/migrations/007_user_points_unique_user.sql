@@ -0,0 +1,5 @@
+-- migrations/007_user_points_unique_user.sql
+-- Um único registro de saldo por usuário (necessário para criar o registro dentro da transação de pontos)
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_points_user_id
+  ON user_points (user_id);
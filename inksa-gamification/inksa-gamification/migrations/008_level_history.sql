@@ -0,0 +1,15 @@
+-- migrations/008_level_history.sql
+-- Histórico de mudanças de nível (gravado por addPointsToUser na mesma transação dos pontos)
+
+CREATE TABLE IF NOT EXISTS level_history (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  previous_level INTEGER NOT NULL,
+  new_level INTEGER NOT NULL,
+  lifetime_points INTEGER NOT NULL,
+  points_history_id INTEGER REFERENCES points_history(id),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_level_history_user_created
+  ON level_history (user_id, created_at DESC);
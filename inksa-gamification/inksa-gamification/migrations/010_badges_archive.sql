@@ -0,0 +1,5 @@
+-- migrations/010_badges_archive.sql
+-- Arquivamento de distintivos pela API de administração (user_badges não é alterado)
+
+ALTER TABLE badges ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP;
+ALTER TABLE badges ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
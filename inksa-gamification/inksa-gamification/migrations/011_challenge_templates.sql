@@ -0,0 +1,24 @@
+-- migrations/011_challenge_templates.sql
+-- Modelos de desafios recorrentes (diários, semanais e mensais) e vínculo das instâncias geradas
+
+CREATE TABLE IF NOT EXISTS challenge_templates (
+  id SERIAL PRIMARY KEY,
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  recurrence VARCHAR(20) NOT NULL CHECK (recurrence IN ('daily', 'weekly', 'monthly')),
+  criteria TEXT NOT NULL,
+  points_reward INTEGER NOT NULL DEFAULT 0 CHECK (points_reward >= 0),
+  badge_reward INTEGER REFERENCES badges(id),
+  starts_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  ends_at TIMESTAMP,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE challenges ADD COLUMN IF NOT EXISTS template_id INTEGER REFERENCES challenge_templates(id);
+ALTER TABLE challenges ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+
+-- Uma instância por modelo e período
+CREATE UNIQUE INDEX IF NOT EXISTS idx_challenges_template_period
+  ON challenges (template_id, start_date);
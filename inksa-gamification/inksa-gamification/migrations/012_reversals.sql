@@ -0,0 +1,28 @@
+-- migrations/012_reversals.sql
+-- Estorno de pontos de pedidos reembolsados/cancelados e revogação auditada de distintivos
+
+-- Lançamento "reversal" aponta para o crédito estornado; cada crédito só pode ser estornado uma vez
+ALTER TABLE points_history ADD COLUMN IF NOT EXISTS reversal_of INTEGER REFERENCES points_history(id);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_points_history_reversal_of
+  ON points_history (reversal_of)
+  WHERE reversal_of IS NOT NULL;
+
+-- Eventos de pedidos estornados deixam de contar nas métricas de distintivos e desafios
+ALTER TABLE gamification_events ADD COLUMN IF NOT EXISTS reversed_at TIMESTAMP;
+
+-- Lançamento da recompensa em pontos do distintivo (estornado na revogação)
+ALTER TABLE user_badges ADD COLUMN IF NOT EXISTS points_history_id INTEGER REFERENCES points_history(id);
+
+CREATE TABLE IF NOT EXISTS badge_revocations (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  badge_id INTEGER NOT NULL REFERENCES badges(id),
+  earned_at TIMESTAMP,
+  reason TEXT NOT NULL,
+  points_reversed INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_badge_revocations_user
+  ON badge_revocations (user_id, created_at DESC);
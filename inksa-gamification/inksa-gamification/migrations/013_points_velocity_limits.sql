@@ -0,0 +1,44 @@
+-- migrations/013_points_velocity_limits.sql
+-- Limites de velocidade por tipo de pontos (antifraude) e fila de revisão
+
+-- Limites nulos não são verificados. A regra '*' vale para tipos sem regra própria.
+-- action: 'reject' recusa o lançamento; 'review' o coloca na fila de revisão
+CREATE TABLE IF NOT EXISTS points_velocity_rules (
+  points_type VARCHAR(50) PRIMARY KEY,
+  max_points_per_transaction INTEGER CHECK (max_points_per_transaction > 0),
+  max_points_per_day INTEGER CHECK (max_points_per_day > 0),
+  max_transactions_per_hour INTEGER CHECK (max_transactions_per_hour > 0),
+  action VARCHAR(20) NOT NULL DEFAULT 'reject' CHECK (action IN ('reject', 'review')),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO points_velocity_rules
+  (points_type, max_points_per_transaction, max_points_per_day, max_transactions_per_hour, action) VALUES
+  ('*', 500, 2000, 20, 'review')
+ON CONFLICT (points_type) DO NOTHING;
+
+-- Lançamentos barrados pelos limites: recusados ('rejected') ou aguardando revisão ('pending' -> 'approved' | 'denied')
+CREATE TABLE IF NOT EXISTS points_velocity_flags (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  points INTEGER NOT NULL,
+  points_type VARCHAR(50) NOT NULL,
+  description TEXT,
+  order_id INTEGER,
+  source VARCHAR(20) NOT NULL CHECK (source IN ('user', 'internal')),
+  violations JSONB NOT NULL,
+  status VARCHAR(20) NOT NULL CHECK (status IN ('rejected', 'pending', 'approved', 'denied')),
+  points_history_id INTEGER REFERENCES points_history(id),
+  review_note TEXT,
+  reviewed_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_points_velocity_flags_user
+  ON points_velocity_flags (user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_points_velocity_flags_pending
+  ON points_velocity_flags (created_at)
+  WHERE status = 'pending';
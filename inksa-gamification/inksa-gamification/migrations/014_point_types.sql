@@ -0,0 +1,35 @@
+-- migrations/014_point_types.sql
+-- Registro de tipos de pontos aceitos em points/add, com o valor calculado pelo servidor
+
+-- amount_mode:
+--   'fixed'            - sempre fixed_points
+--   'order_percentage' - order_percentage% de orderValue (arredondado para baixo)
+--   'custom'           - valor informado pela chamada interna (ex.: campanhas pontuais)
+-- Apenas tipos 'fixed' podem ser disparados pelo próprio usuário (user_triggerable)
+CREATE TABLE IF NOT EXISTS point_types (
+  points_type VARCHAR(50) PRIMARY KEY,
+  description TEXT,
+  amount_mode VARCHAR(20) NOT NULL CHECK (amount_mode IN ('fixed', 'order_percentage', 'custom')),
+  fixed_points INTEGER CHECK (fixed_points > 0),
+  order_percentage NUMERIC(6,2) CHECK (order_percentage > 0),
+  user_triggerable BOOLEAN NOT NULL DEFAULT false,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (amount_mode <> 'fixed' OR fixed_points IS NOT NULL),
+  CHECK (amount_mode <> 'order_percentage' OR order_percentage IS NOT NULL),
+  CHECK (NOT user_triggerable OR amount_mode = 'fixed')
+);
+
+INSERT INTO point_types (points_type, description, amount_mode, fixed_points, order_percentage, user_triggerable) VALUES
+  ('daily_checkin', 'Check-in diário', 'fixed', 5, NULL, true),
+  ('order', 'Pedido entregue', 'order_percentage', NULL, 10, false),
+  ('review', 'Avaliação de pedido', 'fixed', 10, NULL, false),
+  ('referral', 'Indicação convertida', 'fixed', 100, NULL, false),
+  ('promotional', 'Pontos promocionais', 'custom', NULL, NULL, false)
+ON CONFLICT (points_type) DO NOTHING;
+
+-- Um check-in por dia
+INSERT INTO points_velocity_rules (points_type, max_points_per_day, action) VALUES
+  ('daily_checkin', 5, 'reject')
+ON CONFLICT (points_type) DO NOTHING;
@@ -0,0 +1,46 @@
+-- migrations/015_order_points_formula.sql
+-- Fórmula de pontos por valor do pedido (pontos por real, teto e arredondamento) e multiplicadores
+
+-- Novo modo 'order_formula': orderValue * points_per_currency, multiplicado, arredondado e limitado a max_points
+ALTER TABLE point_types DROP CONSTRAINT IF EXISTS point_types_amount_mode_check;
+ALTER TABLE point_types ADD CONSTRAINT point_types_amount_mode_check
+  CHECK (amount_mode IN ('fixed', 'order_percentage', 'order_formula', 'custom'));
+
+ALTER TABLE point_types ADD COLUMN IF NOT EXISTS points_per_currency NUMERIC(10,4) CHECK (points_per_currency > 0);
+ALTER TABLE point_types ADD COLUMN IF NOT EXISTS max_points INTEGER CHECK (max_points > 0);
+ALTER TABLE point_types ADD COLUMN IF NOT EXISTS rounding VARCHAR(10) NOT NULL DEFAULT 'floor'
+  CHECK (rounding IN ('floor', 'round', 'ceil'));
+
+ALTER TABLE point_types DROP CONSTRAINT IF EXISTS point_types_order_formula_check;
+ALTER TABLE point_types ADD CONSTRAINT point_types_order_formula_check
+  CHECK (amount_mode <> 'order_formula' OR points_per_currency IS NOT NULL);
+
+UPDATE point_types
+SET amount_mode = 'order_formula', points_per_currency = 1, max_points = 500, rounding = 'floor',
+    order_percentage = NULL, updated_at = CURRENT_TIMESTAMP
+WHERE points_type = 'order' AND amount_mode = 'order_percentage';
+
+-- Multiplicadores por restaurante, categoria ou faixa de horário (UTC).
+-- Dentro do mesmo escopo vale o maior; escopos diferentes se multiplicam entre si e com
+-- o benefício points_multiplier do nível do usuário. points_type NULL vale para qualquer tipo com fórmula.
+CREATE TABLE IF NOT EXISTS points_multipliers (
+  id SERIAL PRIMARY KEY,
+  points_type VARCHAR(50) REFERENCES point_types(points_type),
+  scope VARCHAR(20) NOT NULL CHECK (scope IN ('restaurant', 'category', 'time_of_day')),
+  restaurant_id INTEGER,
+  category VARCHAR(100),
+  start_time TIME,
+  end_time TIME,
+  multiplier NUMERIC(5,2) NOT NULL CHECK (multiplier > 0),
+  description TEXT,
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (scope <> 'restaurant' OR restaurant_id IS NOT NULL),
+  CHECK (scope <> 'category' OR category IS NOT NULL),
+  CHECK (scope <> 'time_of_day' OR (start_time IS NOT NULL AND end_time IS NOT NULL))
+);
+
+CREATE INDEX IF NOT EXISTS idx_points_multipliers_active
+  ON points_multipliers (scope)
+  WHERE is_active = true;
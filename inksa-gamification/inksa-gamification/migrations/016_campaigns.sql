@@ -0,0 +1,40 @@
+-- migrations/016_campaigns.sql
+-- Campanhas promocionais de pontos (multiplicador e/ou bônus fixo por período)
+
+-- Filtros nulos não restringem. days_of_week usa 0 = domingo ... 6 = sábado (UTC).
+-- user_segment: 'new_users' (cadastro nos últimos 30 dias), 'inactive' (sem créditos nos últimos 30 dias)
+-- ou 'custom' (usuários em segment_user_ids)
+CREATE TABLE IF NOT EXISTS campaigns (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  starts_at TIMESTAMP NOT NULL,
+  ends_at TIMESTAMP NOT NULL,
+  multiplier NUMERIC(5,2) CHECK (multiplier >= 1),
+  bonus_points INTEGER CHECK (bonus_points > 0),
+  points_types TEXT[],
+  restaurant_ids INTEGER[],
+  days_of_week SMALLINT[],
+  min_level INTEGER,
+  max_level INTEGER,
+  user_segment VARCHAR(20) CHECK (user_segment IN ('new_users', 'inactive', 'custom')),
+  segment_user_ids INTEGER[],
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (ends_at > starts_at),
+  CHECK (multiplier IS NOT NULL OR bonus_points IS NOT NULL),
+  CHECK (user_segment IS DISTINCT FROM 'custom' OR segment_user_ids IS NOT NULL)
+);
+
+CREATE INDEX IF NOT EXISTS idx_campaigns_active_period
+  ON campaigns (starts_at, ends_at)
+  WHERE is_active = true;
+
+-- Campanha aplicada ao crédito; points_earned já inclui campaign_bonus
+ALTER TABLE points_history ADD COLUMN IF NOT EXISTS campaign_id INTEGER REFERENCES campaigns(id);
+ALTER TABLE points_history ADD COLUMN IF NOT EXISTS campaign_bonus INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_points_history_campaign
+  ON points_history (campaign_id)
+  WHERE campaign_id IS NOT NULL;
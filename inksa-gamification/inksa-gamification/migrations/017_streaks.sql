@@ -0,0 +1,39 @@
+-- migrations/017_streaks.sql
+-- Sequências (streaks) de dias e semanas com pedidos, proteções de sequência e bônus por marco
+
+-- period_start guarda o último dia (daily) ou a segunda-feira da última semana (weekly) contados
+CREATE TABLE IF NOT EXISTS user_streaks (
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  streak_type VARCHAR(10) NOT NULL CHECK (streak_type IN ('daily', 'weekly')),
+  current_count INTEGER NOT NULL DEFAULT 0,
+  longest_count INTEGER NOT NULL DEFAULT 0,
+  longest_achieved_at TIMESTAMP,
+  period_start DATE,
+  started_at DATE,
+  freezes_available INTEGER NOT NULL DEFAULT 0 CHECK (freezes_available >= 0),
+  freezes_used INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, streak_type)
+);
+
+CREATE TABLE IF NOT EXISTS streak_milestones (
+  id SERIAL PRIMARY KEY,
+  streak_type VARCHAR(10) NOT NULL CHECK (streak_type IN ('daily', 'weekly')),
+  streak_count INTEGER NOT NULL CHECK (streak_count > 1),
+  bonus_points INTEGER NOT NULL CHECK (bonus_points > 0),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (streak_type, streak_count)
+);
+
+INSERT INTO streak_milestones (streak_type, streak_count, bonus_points) VALUES
+  ('daily', 7, 50),
+  ('daily', 30, 300),
+  ('weekly', 4, 100),
+  ('weekly', 12, 500)
+ON CONFLICT (streak_type, streak_count) DO NOTHING;
+
+-- Proteção de sequência resgatável no catálogo: reward_value = {"streakType": "daily", "freezes": 1}
+ALTER TABLE rewards DROP CONSTRAINT IF EXISTS rewards_reward_type_check;
+ALTER TABLE rewards ADD CONSTRAINT rewards_reward_type_check
+  CHECK (reward_type IN ('coupon', 'free_delivery', 'partner_item', 'streak_freeze'));
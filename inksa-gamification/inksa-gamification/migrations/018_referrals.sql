@@ -0,0 +1,26 @@
+-- migrations/018_referrals.sql
+-- Programa de indicação: código por usuário, indicação registrada no cadastro e conversão no primeiro pedido
+
+CREATE TABLE IF NOT EXISTS referral_codes (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id),
+  code VARCHAR(20) NOT NULL UNIQUE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Cada usuário só pode ser indicado uma vez: pending -> converted
+CREATE TABLE IF NOT EXISTS referrals (
+  id SERIAL PRIMARY KEY,
+  referrer_id INTEGER NOT NULL REFERENCES users(id),
+  referee_id INTEGER NOT NULL UNIQUE REFERENCES users(id),
+  code VARCHAR(20) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'converted')),
+  claimed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  converted_at TIMESTAMP,
+  conversion_order_id INTEGER,
+  referee_points_history_id INTEGER REFERENCES points_history(id),
+  referrer_rewarded_at TIMESTAMP,
+  CHECK (referrer_id <> referee_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_referrals_referrer
+  ON referrals (referrer_id, status);
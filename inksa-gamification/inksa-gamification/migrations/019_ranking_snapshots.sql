@@ -0,0 +1,119 @@
+-- migrations/019_ranking_snapshots.sql
+-- Rankings semanais e mensais: totais incrementais do período corrente e posições finais dos períodos encerrados
+
+-- Totais por usuário e período, atualizados a cada lançamento que conta nos rankings
+-- (créditos e estornos; resgates e expiração ficam de fora)
+CREATE TABLE IF NOT EXISTS ranking_period_totals (
+  period_type VARCHAR(10) NOT NULL CHECK (period_type IN ('weekly', 'monthly')),
+  period_start DATE NOT NULL,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  points INTEGER NOT NULL DEFAULT 0,
+  transactions INTEGER NOT NULL DEFAULT 0,
+  active_days INTEGER NOT NULL DEFAULT 0,
+  last_activity_date DATE,
+  highest_transaction INTEGER,
+  points_by_type JSONB NOT NULL DEFAULT '{}',
+  first_activity TIMESTAMP,
+  last_activity TIMESTAMP,
+  PRIMARY KEY (period_type, period_start, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ranking_period_totals_points
+  ON ranking_period_totals (period_type, period_start, points DESC);
+
+-- Períodos congelados pelo job rankings/snapshot
+CREATE TABLE IF NOT EXISTS ranking_periods (
+  period_type VARCHAR(10) NOT NULL CHECK (period_type IN ('weekly', 'monthly')),
+  period_start DATE NOT NULL,
+  period_end TIMESTAMP NOT NULL,
+  participants INTEGER NOT NULL DEFAULT 0,
+  daily_evolution JSONB NOT NULL DEFAULT '[]',
+  frozen_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (period_type, period_start)
+);
+
+-- Uma tabela rankings anterior a esta migração (sem period_type) é preservada como rankings_legacy,
+-- para que o snapshot não dependa das colunas dela
+DO $$
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM information_schema.tables
+    WHERE table_schema = current_schema() AND table_name = 'rankings'
+  ) AND NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_schema = current_schema() AND table_name = 'rankings' AND column_name = 'period_type'
+  ) THEN
+    ALTER TABLE rankings RENAME TO rankings_legacy;
+  END IF;
+END $$;
+
+-- Posições finais de cada período encerrado (position nula para quem terminou sem saldo positivo)
+-- lifetime_points e current_level são os valores no momento do congelamento
+CREATE TABLE IF NOT EXISTS rankings (
+  id SERIAL PRIMARY KEY,
+  period_type VARCHAR(10) NOT NULL CHECK (period_type IN ('weekly', 'monthly')),
+  period_start DATE NOT NULL,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  position INTEGER CHECK (position >= 1),
+  points INTEGER NOT NULL DEFAULT 0,
+  transactions INTEGER NOT NULL DEFAULT 0,
+  active_days INTEGER NOT NULL DEFAULT 0,
+  highest_transaction INTEGER,
+  points_by_type JSONB NOT NULL DEFAULT '{}',
+  first_activity TIMESTAMP,
+  last_activity TIMESTAMP,
+  lifetime_points INTEGER,
+  current_level INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_rankings_period_user
+  ON rankings (period_type, period_start, user_id);
+
+CREATE INDEX IF NOT EXISTS idx_rankings_period_position
+  ON rankings (period_type, period_start, position);
+
+-- Consultas por intervalo de datas (congelamento e evolução diária)
+CREATE INDEX IF NOT EXISTS idx_points_history_created_at
+  ON points_history (created_at);
+
+-- Carga inicial da semana e do mês correntes a partir do histórico
+INSERT INTO ranking_period_totals
+  (period_type, period_start, user_id, points, transactions, active_days, last_activity_date,
+   highest_transaction, points_by_type, first_activity, last_activity)
+SELECT
+  totals.period_type,
+  totals.period_start,
+  totals.user_id,
+  totals.points,
+  totals.transactions,
+  totals.active_days,
+  totals.last_activity_date,
+  totals.highest_transaction,
+  by_type.points_by_type,
+  totals.first_activity,
+  totals.last_activity
+FROM (
+  SELECT p.period_type, date_trunc(p.unit, CURRENT_TIMESTAMP)::date as period_start, ph.user_id,
+         SUM(ph.points_earned) as points, COUNT(*) as transactions,
+         COUNT(DISTINCT DATE(ph.created_at)) as active_days, MAX(DATE(ph.created_at)) as last_activity_date,
+         MAX(ph.points_earned) as highest_transaction,
+         MIN(ph.created_at) as first_activity, MAX(ph.created_at) as last_activity
+  FROM (VALUES ('weekly', 'week'), ('monthly', 'month')) AS p(period_type, unit)
+  JOIN points_history ph ON ph.created_at >= date_trunc(p.unit, CURRENT_TIMESTAMP)
+  WHERE ph.points_type NOT IN ('redemption', 'expiration')
+  GROUP BY p.period_type, p.unit, ph.user_id
+) totals
+JOIN (
+  SELECT period_type, user_id,
+         jsonb_object_agg(points_type, jsonb_build_object('points', points, 'transactions', transactions)) as points_by_type
+  FROM (
+    SELECT p.period_type, ph.user_id, ph.points_type, SUM(ph.points_earned) as points, COUNT(*) as transactions
+    FROM (VALUES ('weekly', 'week'), ('monthly', 'month')) AS p(period_type, unit)
+    JOIN points_history ph ON ph.created_at >= date_trunc(p.unit, CURRENT_TIMESTAMP)
+    WHERE ph.points_type NOT IN ('redemption', 'expiration')
+    GROUP BY p.period_type, ph.user_id, ph.points_type
+  ) typed
+  GROUP BY period_type, user_id
+) by_type ON by_type.period_type = totals.period_type AND by_type.user_id = totals.user_id
+ON CONFLICT (period_type, period_start, user_id) DO NOTHING;
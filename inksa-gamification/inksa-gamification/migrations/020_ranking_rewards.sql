@@ -0,0 +1,61 @@
+-- migrations/020_ranking_rewards.sql
+-- Prêmios de fim de período para as primeiras posições dos rankings semanal e mensal
+
+-- Faixas de premiação por posição final (pontos e, opcionalmente, um distintivo)
+CREATE TABLE IF NOT EXISTS ranking_reward_tiers (
+  id SERIAL PRIMARY KEY,
+  period_type VARCHAR(10) NOT NULL CHECK (period_type IN ('weekly', 'monthly')),
+  position_from INTEGER NOT NULL CHECK (position_from >= 1),
+  position_to INTEGER NOT NULL,
+  points INTEGER NOT NULL DEFAULT 0 CHECK (points >= 0),
+  badge_id INTEGER REFERENCES badges(id),
+  is_active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (position_to >= position_from)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ranking_reward_tiers_active
+  ON ranking_reward_tiers (period_type, is_active);
+
+-- Log de pagamentos: um por usuário e período, o que impede pagar o mesmo período duas vezes
+CREATE TABLE IF NOT EXISTS ranking_payouts (
+  id SERIAL PRIMARY KEY,
+  period_type VARCHAR(10) NOT NULL,
+  period_start DATE NOT NULL,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  position INTEGER NOT NULL,
+  period_points INTEGER NOT NULL,
+  tier_id INTEGER REFERENCES ranking_reward_tiers(id),
+  points INTEGER NOT NULL DEFAULT 0,
+  points_history_id INTEGER REFERENCES points_history(id),
+  badge_id INTEGER REFERENCES badges(id),
+  badge_awarded BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (period_type, period_start, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ranking_payouts_user
+  ON ranking_payouts (user_id, created_at);
+
+-- Períodos já premiados; os congelados antes desta migração não são pagos retroativamente
+ALTER TABLE ranking_periods ADD COLUMN IF NOT EXISTS rewarded_at TIMESTAMP;
+
+UPDATE ranking_periods SET rewarded_at = CURRENT_TIMESTAMP WHERE rewarded_at IS NULL;
+
+-- Faixas iniciais
+INSERT INTO ranking_reward_tiers (period_type, position_from, position_to, points)
+SELECT period_type, position_from, position_to, points
+FROM (VALUES
+  ('weekly', 1, 1, 300),
+  ('weekly', 2, 2, 200),
+  ('weekly', 3, 3, 100),
+  ('weekly', 4, 10, 50),
+  ('monthly', 1, 1, 1000),
+  ('monthly', 2, 2, 600),
+  ('monthly', 3, 3, 400),
+  ('monthly', 4, 5, 200),
+  ('monthly', 6, 10, 100)
+) AS seed(period_type, position_from, position_to, points)
+WHERE NOT EXISTS (SELECT 1 FROM ranking_reward_tiers);
+
@@ -0,0 +1,23 @@
+-- migrations/021_friendships.sql
+-- Amizades entre usuários para os rankings entre amigos (scope=friends)
+
+-- Convite pendente -> aceito; recusar ou desfazer a amizade remove o registro
+CREATE TABLE IF NOT EXISTS friendships (
+  id SERIAL PRIMARY KEY,
+  requester_id INTEGER NOT NULL REFERENCES users(id),
+  addressee_id INTEGER NOT NULL REFERENCES users(id),
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted')),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  accepted_at TIMESTAMP,
+  CHECK (requester_id <> addressee_id)
+);
+
+-- Um único registro por par de usuários, independente de quem convidou
+CREATE UNIQUE INDEX IF NOT EXISTS idx_friendships_pair
+  ON friendships (LEAST(requester_id, addressee_id), GREATEST(requester_id, addressee_id));
+
+CREATE INDEX IF NOT EXISTS idx_friendships_requester
+  ON friendships (requester_id, status);
+
+CREATE INDEX IF NOT EXISTS idx_friendships_addressee
+  ON friendships (addressee_id, status);
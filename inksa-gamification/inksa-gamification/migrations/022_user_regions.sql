@@ -0,0 +1,17 @@
+-- migrations/022_user_regions.sql
+-- Região (cidade e bairro) de cada usuário para os rankings por região (region=)
+
+-- source: 'address' (endereço de entrega do último pedido entregue) ou 'manual' (informada pelo usuário)
+-- A região manual tem prioridade: endereços de entrega não a sobrescrevem
+CREATE TABLE IF NOT EXISTS user_regions (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id),
+  city VARCHAR(100) NOT NULL,
+  city_slug VARCHAR(100) NOT NULL,
+  neighborhood VARCHAR(100),
+  neighborhood_slug VARCHAR(100),
+  source VARCHAR(20) NOT NULL CHECK (source IN ('address', 'manual')),
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_regions_city
+  ON user_regions (city_slug, neighborhood_slug);
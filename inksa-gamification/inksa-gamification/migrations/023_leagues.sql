@@ -0,0 +1,60 @@
+-- migrations/023_leagues.sql
+-- Ligas semanais: grupos de ~30 usuários por divisão, com promoção e rebaixamento ao fim de cada semana
+
+-- Divisões em ordem crescente; promote_count primeiros sobem e demote_count últimos descem
+CREATE TABLE IF NOT EXISTS league_tiers (
+  tier INTEGER PRIMARY KEY CHECK (tier >= 1),
+  name VARCHAR(50) NOT NULL,
+  promote_count INTEGER NOT NULL DEFAULT 0 CHECK (promote_count >= 0),
+  demote_count INTEGER NOT NULL DEFAULT 0 CHECK (demote_count >= 0)
+);
+
+-- Divisão atual de cada usuário (sem registro: primeira divisão)
+CREATE TABLE IF NOT EXISTS user_league_tiers (
+  user_id INTEGER PRIMARY KEY REFERENCES users(id),
+  tier INTEGER NOT NULL REFERENCES league_tiers(tier),
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Grupos de cada semana (segunda a domingo); closed_at marca a semana já apurada
+CREATE TABLE IF NOT EXISTS league_cohorts (
+  id SERIAL PRIMARY KEY,
+  week_start DATE NOT NULL,
+  tier INTEGER NOT NULL REFERENCES league_tiers(tier),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  closed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_league_cohorts_week
+  ON league_cohorts (week_start, tier);
+
+-- Participação semanal, que também é o histórico de divisões: um grupo por usuário e semana
+-- outcome: 'promoted', 'stayed' ou 'demoted', preenchido na apuração da semana
+CREATE TABLE IF NOT EXISTS league_memberships (
+  id SERIAL PRIMARY KEY,
+  cohort_id INTEGER NOT NULL REFERENCES league_cohorts(id),
+  week_start DATE NOT NULL,
+  user_id INTEGER NOT NULL REFERENCES users(id),
+  tier INTEGER NOT NULL REFERENCES league_tiers(tier),
+  joined_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  final_position INTEGER,
+  final_points INTEGER,
+  outcome VARCHAR(10) CHECK (outcome IN ('promoted', 'stayed', 'demoted')),
+  UNIQUE (week_start, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_league_memberships_cohort
+  ON league_memberships (cohort_id);
+
+CREATE INDEX IF NOT EXISTS idx_league_memberships_user
+  ON league_memberships (user_id, week_start);
+
+-- Divisões iniciais
+INSERT INTO league_tiers (tier, name, promote_count, demote_count)
+VALUES
+  (1, 'Bronze', 7, 0),
+  (2, 'Prata', 7, 5),
+  (3, 'Ouro', 6, 5),
+  (4, 'Safira', 5, 5),
+  (5, 'Diamante', 0, 5)
+ON CONFLICT (tier) DO NOTHING;
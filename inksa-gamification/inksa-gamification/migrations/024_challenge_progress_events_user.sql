@@ -0,0 +1,8 @@
+-- migrations/024_challenge_progress_events_user.sql
+-- Chave de idempotência do progresso por usuário: o mesmo eventId pode avançar o desafio de usuários diferentes
+
+ALTER TABLE challenge_progress_events
+  DROP CONSTRAINT IF EXISTS challenge_progress_events_challenge_id_event_id_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_challenge_progress_events_user_event
+  ON challenge_progress_events (user_id, challenge_id, event_id);
@@ -0,0 +1,12 @@
+-- migrations/025_points_history_order_unique.sql
+-- Um crédito por usuário, tipo de pontos e pedido, garantido pelo banco (com ou sem Idempotency-Key)
+-- Estornos (reversal_of preenchido) repetem o order_id do lançamento original e ficam de fora
+--
+-- Duplicidades anteriores precisam ser estornadas antes desta migração:
+--   SELECT user_id, points_type, order_id, COUNT(*) FROM points_history
+--   WHERE order_id IS NOT NULL AND reversal_of IS NULL
+--   GROUP BY user_id, points_type, order_id HAVING COUNT(*) > 1;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_points_history_user_type_order
+  ON points_history (user_id, points_type, order_id)
+  WHERE order_id IS NOT NULL AND reversal_of IS NULL;
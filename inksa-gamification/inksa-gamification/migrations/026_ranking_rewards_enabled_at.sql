@@ -0,0 +1,14 @@
+-- migrations/026_ranking_rewards_enabled_at.sql
+-- Início da premiação dos rankings: só períodos encerrados depois dele são pagos
+-- (sem isso, o primeiro job pagaria retroativamente toda a janela de 8 semanas e 3 meses)
+
+-- Registro único com o momento em que a premiação foi ativada
+CREATE TABLE IF NOT EXISTS ranking_reward_settings (
+  id BOOLEAN PRIMARY KEY DEFAULT true CHECK (id),
+  enabled_at TIMESTAMP NOT NULL
+);
+
+-- Instalações que já tinham faixas mantêm a data em que elas foram criadas
+INSERT INTO ranking_reward_settings (id, enabled_at)
+SELECT true, COALESCE((SELECT MIN(created_at) FROM ranking_reward_tiers), CURRENT_TIMESTAMP)
+ON CONFLICT (id) DO NOTHING;
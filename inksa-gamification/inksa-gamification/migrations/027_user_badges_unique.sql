@@ -0,0 +1,9 @@
+-- migrations/027_user_badges_unique.sql
+-- Um registro por usuário e distintivo, garantido pelo banco (concessões simultâneas não creditam a recompensa duas vezes)
+--
+-- Duplicidades anteriores precisam ser removidas (e suas recompensas estornadas) antes desta migração:
+--   SELECT user_id, badge_id, COUNT(*) FROM user_badges
+--   GROUP BY user_id, badge_id HAVING COUNT(*) > 1;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_badges_user_badge
+  ON user_badges (user_id, badge_id);
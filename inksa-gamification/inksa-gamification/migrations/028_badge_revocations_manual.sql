@@ -0,0 +1,9 @@
+-- migrations/028_badge_revocations_manual.sql
+-- Revogações manuais (badges/revoke) impedem que a concessão automática devolva o distintivo
+-- Revogações automáticas (estorno de pedido) continuam permitindo reconquistar o distintivo
+
+ALTER TABLE badge_revocations ADD COLUMN IF NOT EXISTS manual BOOLEAN NOT NULL DEFAULT false;
+
+CREATE INDEX IF NOT EXISTS idx_badge_revocations_manual
+  ON badge_revocations (user_id, badge_id)
+  WHERE manual = true;
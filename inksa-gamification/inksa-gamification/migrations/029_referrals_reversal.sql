@@ -0,0 +1,10 @@
+-- migrations/029_referrals_reversal.sql
+-- Indicações estornadas: o estorno do pedido de conversão estorna as recompensas do indicado e do indicador
+-- pending -> converted -> reversed (a indicação estornada não converte de novo)
+
+ALTER TABLE referrals DROP CONSTRAINT IF EXISTS referrals_status_check;
+
+ALTER TABLE referrals ADD CONSTRAINT referrals_status_check
+  CHECK (status IN ('pending', 'converted', 'reversed'));
+
+ALTER TABLE referrals ADD COLUMN IF NOT EXISTS reversed_at TIMESTAMP;
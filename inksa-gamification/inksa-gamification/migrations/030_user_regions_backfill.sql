@@ -0,0 +1,44 @@
+-- migrations/030_user_regions_backfill.sql
+-- Região dos usuários com pedidos entregues antes da migração 022, a partir do payload.deliveryAddress
+-- do último order.delivered com cidade válida (mesma regra de updateRegionFromDeliveryAddress)
+-- Os slugs seguem slugify (utils/regions.js): sem acentos, minúsculos e com hífens
+
+WITH addresses AS (
+  SELECT
+    e.user_id,
+    e.occurred_at,
+    btrim(e.payload->'deliveryAddress'->>'city') as city,
+    CASE WHEN jsonb_typeof(e.payload->'deliveryAddress'->'neighborhood') = 'string'
+         THEN NULLIF(btrim(e.payload->'deliveryAddress'->>'neighborhood'), '') END as neighborhood
+  FROM gamification_events e
+  WHERE e.event_type = 'order.delivered'
+  AND jsonb_typeof(e.payload->'deliveryAddress'->'city') = 'string'
+),
+slugged AS (
+  SELECT
+    a.*,
+    btrim(regexp_replace(
+      translate(lower(a.city), 'áàâãäåéèêëíìîïóòôõöúùûüçñý', 'aaaaaaeeeeiiiiooooouuuucny'),
+      '[^a-z0-9]+', '-', 'g'
+    ), '-') as city_slug,
+    NULLIF(btrim(regexp_replace(
+      translate(lower(a.neighborhood), 'áàâãäåéèêëíìîïóòôõöúùûüçñý', 'aaaaaaeeeeiiiiooooouuuucny'),
+      '[^a-z0-9]+', '-', 'g'
+    ), '-'), '') as neighborhood_slug
+  FROM addresses a
+)
+INSERT INTO user_regions (user_id, city, city_slug, neighborhood, neighborhood_slug, source, updated_at)
+SELECT DISTINCT ON (user_id)
+  user_id,
+  city,
+  city_slug,
+  CASE WHEN neighborhood_slug IS NOT NULL THEN neighborhood END,
+  neighborhood_slug,
+  'address',
+  occurred_at
+FROM slugged
+WHERE city_slug <> ''
+AND length(city) <= 100
+AND (neighborhood IS NULL OR length(neighborhood) <= 100)
+ORDER BY user_id, occurred_at DESC
+ON CONFLICT (user_id) DO NOTHING;
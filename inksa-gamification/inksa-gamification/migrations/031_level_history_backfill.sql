@@ -0,0 +1,46 @@
+-- migrations/031_level_history_backfill.sql
+-- Registro em level_history do nível atual de quem subiu de nível antes da migração 008,
+-- para que levels/get continue informando quando o nível foi alcançado (achievedAt)
+--
+-- A data é a do lançamento em que o acumulado (sem resgates e expiração) atingiu o mínimo do nível
+-- pela última vez; usuários no primeiro nível ou sem lançamentos que expliquem o nível ficam de fora
+
+INSERT INTO level_history (user_id, previous_level, new_level, lifetime_points, points_history_id, created_at)
+SELECT
+  up.user_id,
+  COALESCE(
+    (SELECT MAX(level_number) FROM levels WHERE level_number < up.current_level),
+    up.current_level - 1
+  ),
+  up.current_level,
+  crossing.running_total::integer,
+  crossing.id,
+  crossing.created_at
+FROM user_points up
+JOIN levels l ON l.level_number = up.current_level
+CROSS JOIN LATERAL (
+  SELECT h.id, h.created_at, h.running_total
+  FROM (
+    SELECT
+      t.*,
+      MAX(CASE WHEN t.running_total < l.points_required THEN t.seq END) OVER () as last_below
+    FROM (
+      SELECT
+        ph.id,
+        ph.created_at,
+        SUM(ph.points_earned) OVER (ORDER BY ph.created_at, ph.id) as running_total,
+        ROW_NUMBER() OVER (ORDER BY ph.created_at, ph.id) as seq
+      FROM points_history ph
+      WHERE ph.user_id = up.user_id
+      AND ph.points_type NOT IN ('redemption', 'expiration')
+    ) t
+  ) h
+  WHERE h.seq > COALESCE(h.last_below, 0)
+  AND h.running_total >= l.points_required
+  ORDER BY h.seq
+  LIMIT 1
+) crossing
+WHERE l.points_required > 0
+AND NOT EXISTS (
+  SELECT 1 FROM level_history lh WHERE lh.user_id = up.user_id AND lh.new_level = up.current_level
+);
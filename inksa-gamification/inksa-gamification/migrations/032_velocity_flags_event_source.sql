@@ -0,0 +1,7 @@
+-- migrations/032_velocity_flags_event_source.sql
+-- Limites de velocidade também na ingestão de eventos: lançamentos barrados em events têm source 'event'
+
+ALTER TABLE points_velocity_flags DROP CONSTRAINT IF EXISTS points_velocity_flags_source_check;
+
+ALTER TABLE points_velocity_flags ADD CONSTRAINT points_velocity_flags_source_check
+  CHECK (source IN ('user', 'internal', 'event'));